@@ -0,0 +1,394 @@
+/**
+ * BackupManager クラス
+ * 設定・ジョブ・勤務履歴などすべてのアプリデータをバージョン付きのJSONとして書き出し、
+ * 読み込んだバックアップを検証して、統合（merge）または置き換え（replace）で復元する
+ */
+class BackupManager {
+    /**
+     * BackupManager を初期化する
+     * @param {StorageManager} storageManager - StorageManager インスタンス
+     * @param {InputValidator} validator - 時給と給与の入力の検証に使用する InputValidator インスタンス
+     */
+    constructor(storageManager, validator) {
+        this.storageManager = storageManager;
+        this.validator = validator;
+    }
+
+    /**
+     * バックアップの形式名
+     * @returns {string} 形式名
+     */
+    static get FORMAT() {
+        return 'wage-counter-backup';
+    }
+
+    /**
+     * バックアップの形式のバージョン（形式を変更した場合に上げる）
+     * @returns {number} バージョン
+     */
+    static get VERSION() {
+        return 1;
+    }
+
+    /**
+     * 復元の方法（merge: 現在のデータに統合、replace: 現在のデータを削除して置き換え）
+     * @returns {Array<string>} 復元の方法の一覧
+     */
+    static get MODES() {
+        return ['merge', 'replace'];
+    }
+
+    /**
+     * バックアップするキーと表示名
+     * 計測中のセッション（activeSession）とシフトの確認時刻（shiftCheckedAt）は端末ごとの一時的な状態のため含めない
+     * @returns {Object} キーごとの表示名
+     */
+    static get KEY_LABELS() {
+        const keys = ['hourlyWage', 'wageInput', 'visualizationMode', 'currency', 'language', 'overtimeRules',
+            'nightPremium', 'holidayPremium', 'companyHolidays', 'breakDeduction', 'timeRounding', 'sessionLimit', 'netPay',
+            'goal', 'earningsTicker', 'csvExport', 'shiftSchedule', 'profiles', 'activeProfileId', 'sessionHistory', 'dailyTotals'];
+        return Object.fromEntries(keys.map(key => [key, I18n.t(`backup.key.${key}`)]));
+    }
+
+    /**
+     * 統合時に現在のデータと合わせるキー（それ以外の設定は現在の値を優先し、未設定の場合のみ復元する）
+     * @returns {Array<string>} キーの一覧
+     */
+    static get COLLECTION_KEYS() {
+        return ['profiles', 'companyHolidays', 'sessionHistory', 'dailyTotals'];
+    }
+
+    /**
+     * バックアップのファイル名を作成する
+     * @param {Date} date - 作成日
+     * @returns {string} ファイル名（例: wage-counter-backup_2024-01-15.json）
+     */
+    static createFilename(date = new Date()) {
+        const month = (date.getMonth() + 1).toString().padStart(2, '0');
+        const day = date.getDate().toString().padStart(2, '0');
+        return `${BackupManager.FORMAT}_${date.getFullYear()}-${month}-${day}.json`;
+    }
+
+    /**
+     * バックアップをファイルとしてダウンロードする
+     * @param {string} filename - ファイル名
+     * @param {string} content - バックアップのJSON
+     * @returns {boolean} ダウンロードを開始できたかどうか
+     */
+    static download(filename, content) {
+        if (typeof Blob === 'undefined' || typeof URL === 'undefined' || typeof URL.createObjectURL !== 'function') {
+            return false;
+        }
+
+        const url = URL.createObjectURL(new Blob([content], { type: 'application/json' }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        link.style.display = 'none';
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        // ダウンロードの開始後に解放する
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+        return true;
+    }
+
+    /**
+     * キーごとの値を検証する
+     * @param {string} key - 設定キー
+     * @param {any} value - 設定値
+     * @returns {boolean} 有効かどうか
+     */
+    validateValue(key, value) {
+        const isObject = (item) => item !== null && typeof item === 'object' && !Array.isArray(item);
+        const isArrayOf = (items, isValid) => Array.isArray(items) && items.every(isValid);
+
+        switch (key) {
+            case 'hourlyWage':
+                return this.validator.validateWage(value).isValid;
+            case 'wageInput':
+                return this.validator.validateWageInput(value).isValid;
+            case 'visualizationMode':
+                return value === 'bar' || value === 'circle';
+            case 'currency':
+                return CurrencyFormatter.validateCurrency(value).isValid;
+            case 'language':
+                return I18n.validateLanguage(value).isValid;
+            case 'overtimeRules':
+                return isArrayOf(value, rule => PremiumCalculator.validateRule(rule).isValid);
+            case 'nightPremium':
+                return PremiumCalculator.validateNightPremium(value).isValid;
+            case 'holidayPremium':
+                return PremiumCalculator.validateHolidayPremium(value).isValid;
+            case 'companyHolidays':
+                return isArrayOf(value, holiday => HolidayCalendar.validateCompanyHoliday(holiday).isValid);
+            case 'breakDeduction':
+                return BreakDeductionPolicy.validateSettings(value).isValid;
+            case 'timeRounding':
+                return TimeRoundingPolicy.validateSettings(value).isValid;
+            case 'sessionLimit':
+                return SessionLimitPolicy.validateSettings(value).isValid;
+            case 'netPay':
+                return NetPayEstimator.validateSettings(value).isValid;
+            case 'goal':
+                return GoalTracker.validateGoal(value).isValid;
+            case 'earningsTicker':
+                return EarningsTicker.validateSettings(value).isValid;
+            case 'csvExport':
+                return CsvExporter.validateOptions(value).isValid;
+            case 'shiftSchedule':
+                return ShiftSchedule.validateSettings(value).isValid;
+            case 'profiles':
+                return isArrayOf(value, profile => profile !== null && typeof profile === 'object' &&
+                    typeof profile.id === 'string' && ProfileManager.validateProfile(profile, this.validator).isValid);
+            case 'activeProfileId':
+                return typeof value === 'string';
+            case 'sessionHistory':
+                return isArrayOf(value, entry => entry !== null && typeof entry === 'object' &&
+                    typeof entry.id === 'string' && SessionHistory.validateEntry(entry).isValid);
+            case 'dailyTotals':
+                return isObject(value) && Object.entries(value).every(([dateKey, total]) =>
+                    /^\d{4}-\d{2}-\d{2}$/.test(dateKey) && isObject(total) &&
+                    typeof total.seconds === 'number' && isFinite(total.seconds) &&
+                    typeof total.earnings === 'number' && isFinite(total.earnings));
+            default:
+                return false;
+        }
+    }
+
+    /**
+     * バックアップを検証する
+     * @param {Object} backup - バックアップ {format, version, exportedAt, data}
+     * @returns {Object} 検証結果 {isValid: boolean, error: string|null, message: string|null}
+     */
+    validateBackup(backup) {
+        const invalid = (error, message) => ({ isValid: false, error: error, message: message });
+
+        if (!backup || typeof backup !== 'object' || backup.format !== BackupManager.FORMAT) {
+            return invalid('invalid_format', I18n.t('backup.error.invalidFormat'));
+        }
+
+        if (!Number.isInteger(backup.version) || backup.version < 1) {
+            return invalid('invalid_format', I18n.t('backup.error.invalidVersion'));
+        }
+
+        if (backup.version > BackupManager.VERSION) {
+            return invalid('unsupported_version', I18n.t('backup.error.unsupportedVersion'));
+        }
+
+        if (!backup.data || typeof backup.data !== 'object' || Array.isArray(backup.data)) {
+            return invalid('invalid_data', I18n.t('backup.error.noData'));
+        }
+
+        const labels = BackupManager.KEY_LABELS;
+        const invalidKey = Object.keys(backup.data).find(key => labels[key] && !this.validateValue(key, backup.data[key]));
+        if (invalidKey) {
+            return invalid('invalid_data', I18n.t('backup.error.invalidData', { item: labels[invalidKey] }));
+        }
+
+        return { isValid: true, error: null, message: null };
+    }
+
+    /**
+     * 現在のデータを取得する（バックアップするキーのみ）
+     * @returns {Object} キーごとの値
+     */
+    getCurrentData() {
+        const values = this.storageManager.getAllSettings().values;
+        const data = {};
+        Object.keys(BackupManager.KEY_LABELS).forEach(key => {
+            if (values[key] !== undefined && values[key] !== null) {
+                data[key] = values[key];
+            }
+        });
+        return data;
+    }
+
+    /**
+     * バックアップを作成する
+     * @param {Date} date - 作成日時
+     * @returns {Object} バックアップ {format, version, exportedAt, data}
+     */
+    createBackup(date = new Date()) {
+        return {
+            format: BackupManager.FORMAT,
+            version: BackupManager.VERSION,
+            exportedAt: date.toISOString(),
+            data: this.getCurrentData()
+        };
+    }
+
+    /**
+     * バックアップのJSONを読み込んで検証する
+     * 未知のキー（新しいバージョンで追加された設定など）は読み込まない
+     * @param {string} text - JSON
+     * @returns {Object} 結果 {success: boolean, error: string|null, message: string, backup: Object|null}
+     */
+    parseBackup(text) {
+        let backup;
+        try {
+            backup = JSON.parse(text);
+        } catch (e) {
+            return { success: false, error: 'invalid_json', message: I18n.t('backup.error.invalidJson'), backup: null };
+        }
+
+        const validationResult = this.validateBackup(backup);
+        if (!validationResult.isValid) {
+            return { success: false, error: validationResult.error, message: validationResult.message, backup: null };
+        }
+
+        const data = {};
+        Object.keys(BackupManager.KEY_LABELS).forEach(key => {
+            if (backup.data[key] !== undefined && backup.data[key] !== null) {
+                data[key] = backup.data[key];
+            }
+        });
+
+        return {
+            success: true,
+            error: null,
+            message: '',
+            backup: { format: backup.format, version: backup.version, exportedAt: backup.exportedAt || null, data: data }
+        };
+    }
+
+    /**
+     * 現在のデータにバックアップのデータを統合する
+     * ジョブ・会社休日・勤務履歴は現在にないものを追加し、日別集計は現在にない日のみ追加する
+     * その他の設定は現在の値を優先し、未設定の場合のみバックアップの値を使用する
+     * @param {Object} current - 現在のデータ
+     * @param {Object} incoming - バックアップのデータ
+     * @returns {Object} 結果 {data, addedEntries}（addedEntries は追加した勤務履歴の記録）
+     */
+    mergeData(current, incoming) {
+        const data = { ...current };
+        const addMissing = (currentItems, incomingItems, getKey) => {
+            const keys = new Set((currentItems || []).map(getKey));
+            const added = (incomingItems || []).filter(item => !keys.has(getKey(item)));
+            return { items: (currentItems || []).concat(added), added: added };
+        };
+
+        Object.keys(incoming).forEach(key => {
+            if (!BackupManager.COLLECTION_KEYS.includes(key) && data[key] === undefined) {
+                data[key] = incoming[key];
+            }
+        });
+
+        if (incoming.profiles) {
+            data.profiles = addMissing(current.profiles, incoming.profiles, profile => profile.id).items;
+        }
+
+        if (incoming.companyHolidays) {
+            data.companyHolidays = addMissing(current.companyHolidays, incoming.companyHolidays, holiday => holiday.date).items;
+        }
+
+        let addedEntries = [];
+        if (incoming.sessionHistory) {
+            const result = addMissing(current.sessionHistory, incoming.sessionHistory, entry => entry.id);
+            data.sessionHistory = result.items;
+            addedEntries = result.added;
+        }
+
+        if (incoming.dailyTotals) {
+            data.dailyTotals = { ...incoming.dailyTotals, ...(current.dailyTotals || {}) };
+        }
+
+        return { data: data, addedEntries: addedEntries };
+    }
+
+    /**
+     * 値の概要を取得する（プレビューの表示用）
+     * @param {string} key - 設定キー
+     * @param {any} value - 設定値
+     * @param {string} currency - 金額の表示に使用する通貨コード（未設定の場合はデフォルトの通貨）
+     * @returns {string} 概要
+     */
+    describeValue(key, value, currency = CurrencyFormatter.DEFAULT_CURRENCY) {
+        if (value === undefined || value === null) {
+            return I18n.t('backup.value.notSet');
+        }
+
+        if (key === 'sessionHistory') {
+            return I18n.t('backup.value.items', { count: value.filter(entry => !entry.deletedAt).length });
+        }
+
+        if (Array.isArray(value)) {
+            return I18n.t('backup.value.items', { count: value.length });
+        }
+
+        if (key === 'dailyTotals') {
+            return I18n.t('backup.value.days', { count: Object.keys(value).length });
+        }
+
+        if (key === 'currency' || key === 'language') {
+            return value;
+        }
+
+        if (key === 'hourlyWage') {
+            return new CurrencyFormatter(currency || CurrencyFormatter.DEFAULT_CURRENCY, I18n.getLocale()).formatAmount(Number(value));
+        }
+
+        return I18n.t('backup.value.set');
+    }
+
+    /**
+     * 復元した場合の変更内容を取得する
+     * @param {Object} backup - parseBackup で読み込んだバックアップ
+     * @param {string} mode - 'merge' または 'replace'
+     * @returns {Array<Object>} キーごとの変更内容 [{key, label, before, after, changed}]
+     */
+    previewImport(backup, mode) {
+        const current = this.getCurrentData();
+        const result = mode === 'replace' ? backup.data : this.mergeData(current, backup.data).data;
+        const labels = BackupManager.KEY_LABELS;
+
+        return Object.keys(labels)
+            .filter(key => current[key] !== undefined || result[key] !== undefined)
+            .map(key => ({
+                key: key,
+                label: labels[key],
+                // 時給は変更前後それぞれのデータの通貨で表示する
+                before: this.describeValue(key, current[key], current.currency),
+                after: this.describeValue(key, result[key], result.currency),
+                changed: JSON.stringify(current[key]) !== JSON.stringify(result[key])
+            }));
+    }
+
+    /**
+     * バックアップを復元する
+     * 置き換えの場合は現在のデータをすべて削除してからバックアップのデータを保存する
+     * @param {Object} backup - parseBackup で読み込んだバックアップ
+     * @param {string} mode - 'merge' または 'replace'
+     * @returns {Object} 結果 {success: boolean, error: string|null, message: string, addedEntries: Array<Object>}
+     */
+    applyImport(backup, mode) {
+        if (!BackupManager.MODES.includes(mode)) {
+            return { success: false, error: 'invalid_mode', message: I18n.t('backup.error.invalidMode'), addedEntries: [] };
+        }
+
+        let data = backup.data;
+        let addedEntries = data.sessionHistory || [];
+        if (mode === 'merge') {
+            const result = this.mergeData(this.getCurrentData(), backup.data);
+            data = result.data;
+            addedEntries = result.addedEntries;
+        } else {
+            const clearResult = this.storageManager.clearAllSettings();
+            if (!clearResult.success) {
+                return { ...clearResult, addedEntries: [] };
+            }
+        }
+
+        const failedKey = Object.keys(data).find(key => !this.storageManager.saveSettings(key, data[key]).success);
+        if (failedKey) {
+            return {
+                success: false,
+                error: 'storage_error',
+                message: I18n.t('backup.error.restoreFailed', { item: BackupManager.KEY_LABELS[failedKey] }),
+                addedEntries: []
+            };
+        }
+
+        return { success: true, error: null, message: '', addedEntries: addedEntries };
+    }
+}
@@ -0,0 +1,200 @@
+/**
+ * BackupPanel クラス
+ * バックアップの保存と、読み込んだバックアップの変更内容の確認・復元（統合または置き換え）UIを管理する
+ */
+class BackupPanel {
+    /**
+     * BackupPanel を初期化する
+     * @param {WageCounterApp} app - WageCounterApp インスタンス
+     * @param {Object} elements - パネルに使用するDOM要素
+     * @param {HTMLElement} elements.createBtn - バックアップの保存ボタン
+     * @param {HTMLInputElement} elements.fileInput - バックアップファイルの選択
+     * @param {HTMLElement} elements.modeGroup - 復元の方法のラジオボタンを含む要素
+     * @param {HTMLElement} elements.preview - 変更内容の表示要素
+     * @param {HTMLElement} elements.previewSummary - バックアップの作成日時の表示要素
+     * @param {HTMLElement} elements.previewBody - 変更内容の行を表示する tbody 要素
+     * @param {HTMLElement} elements.applyBtn - 復元ボタン
+     * @param {HTMLElement} elements.cancelBtn - 復元のキャンセルボタン
+     * @param {HTMLElement} elements.errorElement - エラー表示要素
+     */
+    constructor(app, elements) {
+        this.app = app;
+        this.validator = app.getValidator();
+        this.backupManager = app.getBackupManager();
+        this.elements = elements;
+        this.backup = null; // 読み込んだバックアップ（未読み込みの場合はnull）
+        this.isInitialized = false;
+    }
+
+    /**
+     * パネルを初期化する
+     */
+    initialize() {
+        if (this.isInitialized) {
+            return;
+        }
+
+        if (!this.elements.createBtn || !this.elements.fileInput || !this.elements.previewBody) {
+            console.error('BackupPanel: 必要なDOM要素が見つかりません');
+            return;
+        }
+
+        this.clearPreview();
+
+        this.elements.createBtn.addEventListener('click', () => {
+            this.createBackup();
+        });
+
+        this.elements.fileInput.addEventListener('change', () => {
+            const file = this.elements.fileInput.files[0];
+            if (file) {
+                this.readFile(file);
+            }
+        });
+
+        this.elements.modeGroup.addEventListener('change', () => {
+            this.renderPreview();
+        });
+
+        this.elements.applyBtn.addEventListener('click', () => {
+            this.applyBackup();
+        });
+
+        this.elements.cancelBtn.addEventListener('click', () => {
+            this.elements.fileInput.value = '';
+            this.clearPreview();
+            this.validator.hideError(this.elements.errorElement);
+        });
+
+        this.isInitialized = true;
+        console.log('BackupPanel が初期化されました');
+    }
+
+    /**
+     * 選択中の復元の方法を取得する
+     * @returns {string} 'merge' または 'replace'
+     */
+    getMode() {
+        const checked = this.elements.modeGroup.querySelector('input[name="backup-mode"]:checked');
+        return checked ? checked.value : 'merge';
+    }
+
+    /**
+     * バックアップを作成してファイルとして保存する
+     * @returns {boolean} 保存を開始できたかどうか
+     */
+    createBackup() {
+        const backup = this.backupManager.createBackup();
+        const content = JSON.stringify(backup, null, 2);
+        if (!BackupManager.download(BackupManager.createFilename(), content)) {
+            this.validator.showError(this.elements.errorElement, I18n.t('file.error.saveUnsupported'));
+            return false;
+        }
+
+        this.validator.hideError(this.elements.errorElement);
+        return true;
+    }
+
+    /**
+     * バックアップファイルを読み込み、変更内容を表示する
+     * @param {File} file - 選択したファイル
+     */
+    readFile(file) {
+        const reader = new FileReader();
+        reader.onload = () => {
+            this.loadBackup(reader.result);
+        };
+        reader.onerror = () => {
+            this.clearPreview();
+            this.validator.showError(this.elements.errorElement, I18n.t('file.error.readFailed'));
+        };
+        reader.readAsText(file);
+    }
+
+    /**
+     * バックアップのJSONを検証し、変更内容を表示する
+     * @param {string} text - JSON
+     * @returns {boolean} 読み込みに成功したかどうか
+     */
+    loadBackup(text) {
+        const result = this.backupManager.parseBackup(text);
+        if (!result.success) {
+            this.clearPreview();
+            this.validator.showError(this.elements.errorElement, result.message);
+            return false;
+        }
+
+        this.backup = result.backup;
+        this.validator.hideError(this.elements.errorElement);
+        this.renderPreview();
+        return true;
+    }
+
+    /**
+     * 変更内容の表示を消し、復元できない状態に戻す
+     */
+    clearPreview() {
+        this.backup = null;
+        this.elements.preview.hidden = true;
+        this.elements.previewBody.innerHTML = '';
+        this.elements.applyBtn.disabled = true;
+    }
+
+    /**
+     * 選択中の復元の方法で復元した場合の変更内容を表示する
+     */
+    renderPreview() {
+        if (!this.backup) {
+            return;
+        }
+
+        const mode = this.getMode();
+        const items = this.backupManager.previewImport(this.backup, mode);
+        const exportedAt = this.backup.exportedAt ? new Date(this.backup.exportedAt) : null;
+        this.elements.previewSummary.textContent = exportedAt && !isNaN(exportedAt.getTime())
+            ? I18n.t('backup.createdAt', { date: exportedAt.toLocaleString(I18n.getLocale()) })
+            : I18n.t('backup.createdAtUnknown');
+
+        this.elements.previewBody.innerHTML = '';
+        items.forEach(item => {
+            const row = document.createElement('tr');
+            if (item.changed) {
+                row.classList.add('backup-changed');
+            }
+            [item.label, item.before, item.changed ? item.after : I18n.t('backup.unchanged')].forEach(text => {
+                const cell = document.createElement('td');
+                cell.textContent = text;
+                row.appendChild(cell);
+            });
+            this.elements.previewBody.appendChild(row);
+        });
+
+        this.elements.applyBtn.textContent = I18n.t(mode === 'replace' ? 'backup.applyReplace' : 'backup.applyMerge');
+        this.elements.applyBtn.disabled = false;
+        this.elements.preview.hidden = false;
+    }
+
+    /**
+     * 読み込んだバックアップを復元し、ページを再読み込みして設定を反映する
+     * @returns {boolean} 復元に成功したかどうか
+     */
+    applyBackup() {
+        if (!this.backup) {
+            return false;
+        }
+
+        const mode = this.getMode();
+        if (mode === 'replace' && !confirm(I18n.t('backup.confirmReplace'))) {
+            return false;
+        }
+
+        const result = this.app.importBackup(this.backup, mode);
+        if (!result.success) {
+            this.validator.showError(this.elements.errorElement, result.message);
+            return false;
+        }
+
+        window.location.reload();
+        return true;
+    }
+}
@@ -0,0 +1,169 @@
+/**
+ * BreakDeductionPolicy クラス
+ * 労働基準法の休憩時間（6時間超で45分、8時間超で60分）を、手動の休憩が不足する場合に勤務時間から自動で控除する
+ */
+class BreakDeductionPolicy {
+    /**
+     * BreakDeductionPolicy を初期化する
+     * @param {Object} settings - 控除設定 {enabled, rules}
+     */
+    constructor(settings = BreakDeductionPolicy.getDefaultSettings()) {
+        this.settings = BreakDeductionPolicy.getDefaultSettings();
+        this.setSettings(settings);
+    }
+
+    /**
+     * デフォルトの控除設定を取得する
+     * 6時間を超えたら45分、8時間を超えたら60分の休憩が必要（デフォルトは無効）
+     * @returns {Object} 控除設定 {enabled, rules: [{afterHours, breakMinutes}]}
+     */
+    static getDefaultSettings() {
+        return {
+            enabled: false,
+            rules: [
+                { afterHours: 6, breakMinutes: 45 },
+                { afterHours: 8, breakMinutes: 60 }
+            ]
+        };
+    }
+
+    /**
+     * 控除設定を検証する
+     * @param {Object} settings - 控除設定 {enabled, rules}
+     * @returns {Object} 検証結果 {isValid: boolean, error: string|null}
+     */
+    static validateSettings(settings) {
+        if (!settings || typeof settings !== 'object' || typeof settings.enabled !== 'boolean' ||
+            !Array.isArray(settings.rules)) {
+            return { isValid: false, error: I18n.t('breakDeduction.error.invalid') };
+        }
+
+        const hasInvalidRule = settings.rules.some(rule => !rule ||
+            typeof rule.afterHours !== 'number' || isNaN(rule.afterHours) ||
+            rule.afterHours <= 0 || rule.afterHours > 24 ||
+            typeof rule.breakMinutes !== 'number' || isNaN(rule.breakMinutes) ||
+            rule.breakMinutes <= 0 || rule.breakMinutes > 240);
+        if (hasInvalidRule) {
+            return { isValid: false, error: I18n.t('breakDeduction.error.rules') };
+        }
+
+        return { isValid: true, error: null };
+    }
+
+    /**
+     * 控除設定を行う
+     * @param {Object} settings - 控除設定 {enabled, rules}
+     * @returns {boolean} 設定に成功したかどうか
+     */
+    setSettings(settings) {
+        if (!BreakDeductionPolicy.validateSettings(settings).isValid) {
+            return false;
+        }
+
+        this.settings = {
+            enabled: settings.enabled,
+            rules: settings.rules
+                .map(rule => ({ afterHours: rule.afterHours, breakMinutes: rule.breakMinutes }))
+                .sort((a, b) => a.afterHours - b.afterHours)
+        };
+        return true;
+    }
+
+    /**
+     * 控除設定を取得する
+     * @returns {Object} 控除設定（コピー）
+     */
+    getSettings() {
+        return {
+            enabled: this.settings.enabled,
+            rules: this.settings.rules.map(rule => ({ ...rule }))
+        };
+    }
+
+    /**
+     * 自動控除が有効かどうかを取得する
+     * @returns {boolean} 有効かどうか
+     */
+    isEnabled() {
+        return this.settings.enabled;
+    }
+
+    /**
+     * 経過時間から控除する休憩時間を計算する
+     * 勤務時間が基準に達した時点から、手動の休憩と合わせて必要な休憩時間に達するまでを控除する
+     * （例: 6時間経過後の45分間は勤務時間が増えない）
+     * @param {number} elapsedSeconds - 休憩を除いた経過秒数（TimerManager.getElapsedSeconds）
+     * @param {number} manualBreakSeconds - 手動で記録された休憩秒数
+     * @returns {Object} {deductedSeconds, paidSeconds, windows: [{fromSeconds, toSeconds}]}
+     */
+    calculate(elapsedSeconds, manualBreakSeconds = 0) {
+        const elapsed = typeof elapsedSeconds === 'number' && elapsedSeconds > 0 ? elapsedSeconds : 0;
+        const manualBreak = typeof manualBreakSeconds === 'number' && manualBreakSeconds > 0 ? manualBreakSeconds : 0;
+        const windows = [];
+        let deducted = 0;
+
+        if (this.settings.enabled) {
+            this.settings.rules.forEach(rule => {
+                // 勤務時間が基準に達する時点（経過時間上の位置）
+                const windowStart = rule.afterHours * 3600 + deducted;
+                const windowLength = Math.max(0, rule.breakMinutes * 60 - manualBreak - deducted);
+                const windowEnd = Math.min(elapsed, windowStart + windowLength);
+
+                if (windowEnd > windowStart) {
+                    windows.push({ fromSeconds: windowStart, toSeconds: windowEnd });
+                    deducted += windowEnd - windowStart;
+                }
+            });
+        }
+
+        return {
+            deductedSeconds: deducted,
+            paidSeconds: elapsed - deducted,
+            windows: windows
+        };
+    }
+
+    /**
+     * 稼働区間から控除区間を取り除く（深夜・休日割増の判定を勤務時間のみに限定するため）
+     * @param {Array<Object>} segments - 稼働区間 [{start, end}]（ミリ秒）
+     * @param {Array<Object>} windows - 控除区間 [{fromSeconds, toSeconds}]（経過時間上の秒）
+     * @returns {Array<Object>} 控除後の稼働区間 [{start, end}]（ミリ秒）
+     */
+    removeWindowsFromSegments(segments, windows) {
+        if (!windows || windows.length === 0) {
+            return segments.map(segment => ({ ...segment }));
+        }
+
+        const result = [];
+        let offset = 0;
+
+        segments.slice().sort((a, b) => a.start - b.start).forEach(segment => {
+            const length = (segment.end - segment.start) / 1000;
+            let cursor = offset;
+
+            windows.forEach(range => {
+                const from = Math.max(range.fromSeconds, offset);
+                const to = Math.min(range.toSeconds, offset + length);
+                if (to <= from) {
+                    return;
+                }
+
+                if (from > cursor) {
+                    result.push({
+                        start: segment.start + (cursor - offset) * 1000,
+                        end: segment.start + (from - offset) * 1000
+                    });
+                }
+                cursor = Math.max(cursor, to);
+            });
+
+            if (offset + length > cursor) {
+                result.push({ start: segment.start + (cursor - offset) * 1000, end: segment.end });
+            }
+
+            offset += length;
+        });
+
+        return result;
+    }
+}
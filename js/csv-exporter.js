@@ -0,0 +1,306 @@
+/**
+ * CsvExporter クラス
+ * 勤務履歴の記録と収入レポートを表計算ソフトで開けるCSV（RFC 4180、改行はCRLF）に変換する
+ * Excel（日本語版）で文字化けしないよう、先頭にUTF-8のBOMを付けられる
+ */
+class CsvExporter {
+    /**
+     * CsvExporter を初期化する
+     * @param {CurrencyFormatter} currencyFormatter - 通貨フォーマッター（金額を表示形式で書き出す場合に使用）
+     * @param {Object} options - 書き出し設定 {bom, columns, dateFormat, amountFormat}
+     */
+    constructor(currencyFormatter, options = CsvExporter.getDefaultOptions()) {
+        this.currencyFormatter = currencyFormatter;
+        this.options = CsvExporter.getDefaultOptions();
+        this.setOptions(options);
+    }
+
+    /**
+     * 列の構成（基本: 日時・ジョブ・勤務時間・収入、詳細: 時給・休憩・割増の内訳を追加）
+     * @returns {Array<string>} 列の構成の一覧
+     */
+    static get COLUMN_SETS() {
+        return ['basic', 'detailed'];
+    }
+
+    /**
+     * 日付の形式（iso: 2024-01-15、slash: 2024/01/15、japanese: 2024年1月15日）
+     * @returns {Array<string>} 日付の形式の一覧
+     */
+    static get DATE_FORMATS() {
+        return ['iso', 'slash', 'japanese'];
+    }
+
+    /**
+     * 金額の形式（raw: 数値、formatted: 通貨記号と桁区切りを付けた表示形式）
+     * @returns {Array<string>} 金額の形式の一覧
+     */
+    static get AMOUNT_FORMATS() {
+        return ['raw', 'formatted'];
+    }
+
+    /**
+     * デフォルトの書き出し設定を取得する（Excelで開けるようBOMを付け、金額は数値で書き出す）
+     * @returns {Object} 書き出し設定 {bom, columns, dateFormat, amountFormat}
+     */
+    static getDefaultOptions() {
+        return { bom: true, columns: 'basic', dateFormat: 'slash', amountFormat: 'raw' };
+    }
+
+    /**
+     * 書き出し設定を検証する
+     * @param {Object} options - 書き出し設定 {bom, columns, dateFormat, amountFormat}
+     * @returns {Object} 検証結果 {isValid: boolean, error: string|null}
+     */
+    static validateOptions(options) {
+        if (!options || typeof options !== 'object' || typeof options.bom !== 'boolean' ||
+            !CsvExporter.COLUMN_SETS.includes(options.columns) ||
+            !CsvExporter.DATE_FORMATS.includes(options.dateFormat) ||
+            !CsvExporter.AMOUNT_FORMATS.includes(options.amountFormat)) {
+            return { isValid: false, error: I18n.t('csv.error.invalidOptions') };
+        }
+
+        return { isValid: true, error: null };
+    }
+
+    /**
+     * CSVの1項目をエスケープする
+     * カンマ・ダブルクォート・改行を含む項目はダブルクォートで囲み、
+     * 表計算ソフトで数式として解釈される文字（=, +, -, @）で始まる文字列は先頭に ' を付ける
+     * @param {string|number} value - 項目の値
+     * @returns {string} エスケープした値
+     */
+    static escapeField(value) {
+        let text = value === null || value === undefined ? '' : String(value);
+        if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+            text = `'${text}`;
+        }
+
+        if (/[",\r\n]/.test(text)) {
+            return `"${text.replace(/"/g, '""')}"`;
+        }
+        return text;
+    }
+
+    /**
+     * 書き出し設定を変更する
+     * @param {Object} options - 書き出し設定 {bom, columns, dateFormat, amountFormat}
+     * @returns {boolean} 変更に成功したかどうか
+     */
+    setOptions(options) {
+        if (!CsvExporter.validateOptions(options).isValid) {
+            return false;
+        }
+
+        this.options = {
+            bom: options.bom,
+            columns: options.columns,
+            dateFormat: options.dateFormat,
+            amountFormat: options.amountFormat
+        };
+        return true;
+    }
+
+    /**
+     * 書き出し設定を取得する
+     * @returns {Object} 書き出し設定 {bom, columns, dateFormat, amountFormat}
+     */
+    getOptions() {
+        return { ...this.options };
+    }
+
+    /**
+     * 行の配列をCSVの文字列に変換する
+     * @param {Array<Array>} rows - 見出し行を含む行の配列
+     * @returns {string} CSV
+     */
+    toCsv(rows) {
+        const lines = rows.map(row => row.map(value => CsvExporter.escapeField(value)).join(','));
+        return `${this.options.bom ? '\uFEFF' : ''}${lines.join('\r\n')}\r\n`;
+    }
+
+    /**
+     * 日付を書き出し設定の形式に変換する
+     * @param {number|Date} time - 時刻（ミリ秒）または日付
+     * @param {boolean} withTime - 時刻（時:分）を含めるかどうか
+     * @returns {string} 日付
+     */
+    formatDate(time, withTime = false) {
+        const date = new Date(time);
+        const pad = (value) => value.toString().padStart(2, '0');
+        const year = date.getFullYear();
+        const month = date.getMonth() + 1;
+        const day = date.getDate();
+        const hours = date.getHours();
+        const minutes = pad(date.getMinutes());
+
+        switch (this.options.dateFormat) {
+            case 'iso':
+                return `${year}-${pad(month)}-${pad(day)}${withTime ? ` ${pad(hours)}:${minutes}` : ''}`;
+            case 'japanese':
+                return `${year}年${month}月${day}日${withTime ? ` ${hours}:${minutes}` : ''}`;
+            default:
+                return `${year}/${pad(month)}/${pad(day)}${withTime ? ` ${pad(hours)}:${minutes}` : ''}`;
+        }
+    }
+
+    /**
+     * 金額を書き出し設定の形式に変換する
+     * @param {number} amount - 金額
+     * @returns {string|number} 金額（数値の場合は小数点以下2桁まで）
+     */
+    formatAmount(amount) {
+        if (this.options.amountFormat === 'formatted') {
+            return this.currencyFormatter.formatSimple(amount);
+        }
+        return Math.round(amount * 100) / 100;
+    }
+
+    /**
+     * 秒数を時間（小数点以下2桁）に変換する
+     * @param {number} seconds - 秒数
+     * @returns {number} 時間
+     */
+    formatHours(seconds) {
+        return Math.round(seconds / 36) / 100;
+    }
+
+    /**
+     * 勤務履歴の記録をCSVに変換する（開始が古い順）
+     * @param {Array<Object>} entries - 勤務履歴の記録
+     * @returns {string} CSV
+     */
+    createSessionsCsv(entries) {
+        const isDetailed = this.options.columns === 'detailed';
+        const header = (isDetailed
+            ? ['start', 'end', 'job', 'hourlyWage', 'elapsedHours', 'breakHours', 'deductedBreakHours',
+                'workedHours', 'baseEarnings', 'overtime', 'night', 'holiday', 'earnings', 'inputMethod']
+            : ['start', 'end', 'job', 'workedHours', 'earnings']).map(column => I18n.t(`csv.column.${column}`));
+
+        const rows = entries
+            .slice()
+            .sort((a, b) => a.startedAt - b.startedAt)
+            .map(entry => {
+                const premiums = entry.premiums || {};
+                if (!isDetailed) {
+                    return [
+                        this.formatDate(entry.startedAt, true),
+                        this.formatDate(entry.endedAt, true),
+                        entry.profileName || '',
+                        this.formatHours(entry.paidSeconds),
+                        this.formatAmount(entry.earnings)
+                    ];
+                }
+                return [
+                    this.formatDate(entry.startedAt, true),
+                    this.formatDate(entry.endedAt, true),
+                    entry.profileName || '',
+                    this.formatAmount(entry.hourlyWage),
+                    this.formatHours(entry.elapsedSeconds || 0),
+                    this.formatHours(entry.breakSeconds || 0),
+                    this.formatHours(entry.deductedBreakSeconds || 0),
+                    this.formatHours(entry.paidSeconds),
+                    this.formatAmount(typeof entry.baseEarnings === 'number' ? entry.baseEarnings : entry.earnings),
+                    this.formatAmount(premiums.overtime || 0),
+                    this.formatAmount(premiums.night || 0),
+                    this.formatAmount(premiums.holiday || 0),
+                    this.formatAmount(entry.earnings),
+                    this.getInputMethod(entry)
+                ];
+            });
+
+        return this.toCsv([header, ...rows]);
+    }
+
+    /**
+     * 記録の入力方法の表示名を取得する（手入力・編集済み・シフト・記録の順に判定する）
+     * @param {Object} entry - 勤務履歴の記録
+     * @returns {string} 入力方法
+     */
+    getInputMethod(entry) {
+        let method = 'recorded';
+        if (entry.isManual) {
+            method = 'manual';
+        } else if (entry.editedAt) {
+            method = 'edited';
+        } else if (entry.shiftId) {
+            method = 'shift';
+        }
+        return I18n.t(`csv.inputMethod.${method}`);
+    }
+
+    /**
+     * 収入レポートをCSVに変換する（勤務のあった行と合計行）
+     * 日の期間はセッションごとの開始日時、それ以外の期間は日付の行になる
+     * @param {Object} report - EarningsReport.calculate で作成したレポート
+     * @returns {string} CSV
+     */
+    createReportCsv(report) {
+        const isDetailed = this.options.columns === 'detailed';
+        const isDay = report.range.period === 'day';
+        const columns = [isDay ? 'start' : 'date', 'workedHours', 'earnings', 'averageHourlyRate'];
+        if (isDetailed) {
+            columns.push('sessionCount', 'baseEarnings', 'overtime', 'night', 'holiday');
+        }
+        const header = columns.map(column => I18n.t(`csv.column.${column}`));
+
+        const createRow = (label, totals) => {
+            const row = [label, this.formatHours(totals.seconds), this.formatAmount(totals.earnings),
+                this.formatAmount(totals.averageHourlyRate)];
+            if (isDetailed) {
+                row.push(totals.sessionCount, this.formatAmount(totals.baseEarnings), this.formatAmount(totals.premiums.overtime),
+                    this.formatAmount(totals.premiums.night), this.formatAmount(totals.premiums.holiday));
+            }
+            return row;
+        };
+
+        const rows = report.rows
+            .filter(row => row.sessionCount > 0)
+            .map(row => createRow(this.formatDate(row.start, isDay), row));
+        rows.push(createRow(I18n.t('csv.total'), report.totals));
+
+        return this.toCsv([header, ...rows]);
+    }
+
+    /**
+     * 期間からファイル名を作成する
+     * @param {string} prefix - ファイル名の接頭辞
+     * @param {Object|null} range - 期間 {start, end}（end は期間の翌日の0時）、nullの場合は書き出した日付
+     * @returns {string} ファイル名（例: report_2024-01-15_2024-01-21.csv）
+     */
+    static createFilename(prefix, range = null) {
+        const toKey = (date) => `${date.getFullYear()}-${(date.getMonth() + 1).toString().padStart(2, '0')}-${date.getDate().toString().padStart(2, '0')}`;
+        if (!range) {
+            return `${prefix}_${toKey(new Date())}.csv`;
+        }
+
+        const last = new Date(range.end.getFullYear(), range.end.getMonth(), range.end.getDate() - 1);
+        const startKey = toKey(range.start);
+        const lastKey = toKey(last);
+        return `${prefix}_${startKey === lastKey ? startKey : `${startKey}_${lastKey}`}.csv`;
+    }
+
+    /**
+     * CSVをファイルとしてダウンロードする
+     * @param {string} filename - ファイル名
+     * @param {string} content - CSV
+     * @returns {boolean} ダウンロードを開始できたかどうか
+     */
+    static download(filename, content) {
+        if (typeof Blob === 'undefined' || typeof URL === 'undefined' || typeof URL.createObjectURL !== 'function') {
+            return false;
+        }
+
+        const url = URL.createObjectURL(new Blob([content], { type: 'text/csv;charset=utf-8' }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        link.style.display = 'none';
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        // ダウンロードの開始後に解放する
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+        return true;
+    }
+}
@@ -0,0 +1,337 @@
+/**
+ * EarningsReport クラス
+ * 勤務履歴の記録を日・週（ISO週）・月・指定期間ごとに集計し、勤務時間、収入、平均時給、割増の内訳を計算する
+ * セッションは日別集計と同じく開始日の勤務として集計する
+ */
+class EarningsReport {
+    /**
+     * EarningsReport を初期化する
+     * @param {Date} referenceDate - 最初に表示する期間の基準日
+     */
+    constructor(referenceDate = new Date()) {
+        this.range = EarningsReport.getPeriodRange('week', referenceDate);
+    }
+
+    /**
+     * 集計期間（日・週・月・指定期間）
+     * @returns {Array<string>} 集計期間の一覧
+     */
+    static get PERIODS() {
+        return ['day', 'week', 'month', 'custom'];
+    }
+
+    /**
+     * 指定期間の最大日数
+     * @returns {number} 日数
+     */
+    static get MAX_CUSTOM_DAYS() {
+        return 366;
+    }
+
+    /**
+     * 割増の種類
+     * @returns {Array<string>} 割増の種類の一覧
+     */
+    static get PREMIUM_TYPES() {
+        return ['overtime', 'night', 'holiday'];
+    }
+
+    /**
+     * 日付の0時（ローカル時刻）を取得する
+     * @param {Date} date - 日付
+     * @param {number} offsetDays - ずらす日数
+     * @returns {Date} 0時の日時
+     */
+    static startOfDay(date, offsetDays = 0) {
+        return new Date(date.getFullYear(), date.getMonth(), date.getDate() + offsetDays);
+    }
+
+    /**
+     * ISO 8601 の週番号を取得する（月曜日始まり、その週の木曜日を含む年の週）
+     * @param {Date} date - 日付
+     * @returns {Object} {year, week}
+     */
+    static getIsoWeek(date) {
+        const thursday = EarningsReport.startOfDay(date, 3 - (date.getDay() + 6) % 7);
+        const firstThursday = new Date(thursday.getFullYear(), 0, 4);
+        firstThursday.setDate(firstThursday.getDate() + 3 - (firstThursday.getDay() + 6) % 7);
+
+        return {
+            year: thursday.getFullYear(),
+            week: 1 + Math.round((thursday - firstThursday) / (7 * 86400000))
+        };
+    }
+
+    /**
+     * 基準日を含む期間を取得する
+     * @param {string} period - 'day', 'week', 'month'
+     * @param {Date} referenceDate - 基準日
+     * @returns {Object} 期間 {period, start, end}（end は期間の翌日の0時）
+     */
+    static getPeriodRange(period, referenceDate = new Date()) {
+        if (period === 'day') {
+            return {
+                period: period,
+                start: EarningsReport.startOfDay(referenceDate),
+                end: EarningsReport.startOfDay(referenceDate, 1)
+            };
+        }
+
+        if (period === 'month') {
+            return {
+                period: period,
+                start: new Date(referenceDate.getFullYear(), referenceDate.getMonth(), 1),
+                end: new Date(referenceDate.getFullYear(), referenceDate.getMonth() + 1, 1)
+            };
+        }
+
+        // 週は月曜日始まり
+        const monday = EarningsReport.startOfDay(referenceDate, -((referenceDate.getDay() + 6) % 7));
+        return {
+            period: 'week',
+            start: monday,
+            end: EarningsReport.startOfDay(monday, 7)
+        };
+    }
+
+    /**
+     * 指定期間を作成する
+     * @param {string} startKey - 開始日（YYYY-MM-DD）
+     * @param {string} endKey - 終了日（YYYY-MM-DD、この日を含む）
+     * @returns {Object} 結果 {isValid: boolean, error: string|null, range: Object|null}
+     */
+    static createCustomRange(startKey, endKey) {
+        const parse = (key) => {
+            const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(key || '');
+            return match ? new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3])) : null;
+        };
+        const start = parse(startKey);
+        const last = parse(endKey);
+
+        if (!start || !last) {
+            return { isValid: false, error: I18n.t('report.error.datesRequired'), range: null };
+        }
+
+        if (last < start) {
+            return { isValid: false, error: I18n.t('report.error.endBeforeStart'), range: null };
+        }
+
+        const end = EarningsReport.startOfDay(last, 1);
+        if (EarningsReport.countDays({ start: start, end: end }) > EarningsReport.MAX_CUSTOM_DAYS) {
+            return {
+                isValid: false,
+                error: I18n.t('report.error.tooLong', { days: EarningsReport.MAX_CUSTOM_DAYS }),
+                range: null
+            };
+        }
+
+        return { isValid: true, error: null, range: { period: 'custom', start: start, end: end } };
+    }
+
+    /**
+     * 期間の日数を取得する
+     * @param {Object} range - 期間 {start, end}
+     * @returns {number} 日数
+     */
+    static countDays(range) {
+        // 夏時間のある地域でも日数が整数になるよう丸める
+        return Math.round((range.end - range.start) / 86400000);
+    }
+
+    /**
+     * 期間の表示名を取得する
+     * @param {Object} range - 期間 {period, start, end}
+     * @returns {string} 表示名
+     */
+    static formatRange(range) {
+        const last = EarningsReport.startOfDay(range.end, -1);
+        const formatDay = (date) => `${date.getMonth() + 1}/${date.getDate()}`;
+        const formatDate = (date) => `${date.getFullYear()}/${formatDay(date)}`;
+
+        switch (range.period) {
+            case 'day':
+                return `${formatDate(range.start)}(${EarningsReport.formatWeekday(range.start)})`;
+            case 'week': {
+                const { year, week } = EarningsReport.getIsoWeek(range.start);
+                return I18n.t('report.label.week', { year: year, week: week, start: formatDay(range.start), end: formatDay(last) });
+            }
+            case 'month':
+                return I18n.t('report.label.month', {
+                    year: range.start.getFullYear(),
+                    month: range.start.getMonth() + 1,
+                    monthName: range.start.toLocaleDateString(I18n.getLocale(), { month: 'long' })
+                });
+            default:
+                return I18n.t('report.label.range', { start: formatDate(range.start), end: formatDate(last) });
+        }
+    }
+
+    /**
+     * 曜日の短い表示名を取得する（表示中の言語）
+     * @param {Date} date - 日付
+     * @returns {string} 曜日（例: '月', 'Mon'）
+     */
+    static formatWeekday(date) {
+        return date.toLocaleDateString(I18n.getLocale(), { weekday: 'short' });
+    }
+
+    /**
+     * 集計期間を変更する
+     * @param {string} period - 'day', 'week', 'month'（指定期間は setCustomRange で設定する）
+     * @param {Date} referenceDate - 基準日（省略時は現在の期間の開始日）
+     * @returns {boolean} 変更に成功したかどうか
+     */
+    setPeriod(period, referenceDate = this.range.start) {
+        if (!EarningsReport.PERIODS.includes(period) || period === 'custom') {
+            return false;
+        }
+
+        this.range = EarningsReport.getPeriodRange(period, referenceDate);
+        return true;
+    }
+
+    /**
+     * 指定期間を設定する
+     * @param {string} startKey - 開始日（YYYY-MM-DD）
+     * @param {string} endKey - 終了日（YYYY-MM-DD、この日を含む）
+     * @returns {Object} 検証結果 {isValid: boolean, error: string|null}
+     */
+    setCustomRange(startKey, endKey) {
+        const result = EarningsReport.createCustomRange(startKey, endKey);
+        if (result.isValid) {
+            this.range = result.range;
+        }
+        return { isValid: result.isValid, error: result.error };
+    }
+
+    /**
+     * 前後の期間に移動する（指定期間は同じ日数だけ移動する）
+     * @param {number} offset - 移動する期間の数（負の値で前の期間）
+     */
+    shift(offset) {
+        const { period, start } = this.range;
+
+        if (period === 'month') {
+            this.range = EarningsReport.getPeriodRange(period, new Date(start.getFullYear(), start.getMonth() + offset, 1));
+        } else if (period === 'custom') {
+            const days = EarningsReport.countDays(this.range) * offset;
+            this.range = {
+                period: period,
+                start: EarningsReport.startOfDay(start, days),
+                end: EarningsReport.startOfDay(this.range.end, days)
+            };
+        } else {
+            this.range = EarningsReport.getPeriodRange(period, EarningsReport.startOfDay(start, period === 'week' ? 7 * offset : offset));
+        }
+    }
+
+    /**
+     * 現在の集計期間を取得する
+     * @returns {Object} 期間 {period, start, end}
+     */
+    getRange() {
+        return { ...this.range };
+    }
+
+    /**
+     * 集計の初期値を作成する
+     * @param {string} label - 行の表示名
+     * @param {number} start - 行の開始時刻（ミリ秒、日の行は0時、セッションの行は開始時刻）
+     * @returns {Object} 集計 {label, start, sessionCount, seconds, earnings, baseEarnings, premiums, averageHourlyRate}
+     */
+    createTotals(label = '', start = this.range.start.getTime()) {
+        const premiums = {};
+        EarningsReport.PREMIUM_TYPES.forEach(type => {
+            premiums[type] = 0;
+        });
+        return {
+            label: label,
+            start: start,
+            sessionCount: 0,
+            seconds: 0,
+            earnings: 0,
+            baseEarnings: 0,
+            premiums: premiums,
+            averageHourlyRate: 0
+        };
+    }
+
+    /**
+     * 記録を集計に加算する
+     * @param {Object} totals - 集計
+     * @param {Object} entry - 勤務履歴の記録
+     */
+    addEntry(totals, entry) {
+        const premiums = entry.premiums || {};
+        totals.sessionCount++;
+        totals.seconds += entry.paidSeconds;
+        totals.earnings += entry.earnings;
+        // 内訳のない記録は収入をすべて基本給とみなす
+        totals.baseEarnings += typeof entry.baseEarnings === 'number' ? entry.baseEarnings : entry.earnings;
+        EarningsReport.PREMIUM_TYPES.forEach(type => {
+            totals.premiums[type] += premiums[type] || 0;
+        });
+        totals.averageHourlyRate = totals.seconds > 0 ? totals.earnings / (totals.seconds / 3600) : 0;
+    }
+
+    /**
+     * 現在の集計期間に開始した記録を取得する（開始が古い順）
+     * @param {Array<Object>} entries - 勤務履歴の記録
+     * @returns {Array<Object>} 期間内の記録
+     */
+    filterEntries(entries) {
+        const { start, end } = this.range;
+        return entries
+            .filter(entry => entry.startedAt >= start.getTime() && entry.startedAt < end.getTime())
+            .sort((a, b) => a.startedAt - b.startedAt);
+    }
+
+    /**
+     * 現在の集計期間のレポートを作成する
+     * 日の期間はセッションごと、それ以外の期間は日ごとの行に分けて集計する
+     * @param {Array<Object>} entries - 勤務履歴の記録（削除済みの記録を除く）
+     * @returns {Object} レポート {range, label, totals, rows}
+     */
+    calculate(entries) {
+        const { period, start } = this.range;
+        const inRange = this.filterEntries(entries);
+
+        const totals = this.createTotals(I18n.t('report.total'));
+        let rows;
+
+        if (period === 'day') {
+            const formatTime = (time) => {
+                const date = new Date(time);
+                return `${date.getHours().toString().padStart(2, '0')}:${date.getMinutes().toString().padStart(2, '0')}`;
+            };
+            rows = inRange.map(entry => {
+                const row = this.createTotals(I18n.t('report.label.range', { start: formatTime(entry.startedAt), end: formatTime(entry.endedAt) }), entry.startedAt);
+                this.addEntry(row, entry);
+                return row;
+            });
+        } else {
+            rows = [];
+            for (let day = 0; day < EarningsReport.countDays(this.range); day++) {
+                const date = EarningsReport.startOfDay(start, day);
+                const label = period === 'week'
+                    ? `${date.getMonth() + 1}/${date.getDate()}(${EarningsReport.formatWeekday(date)})`
+                    : `${date.getMonth() + 1}/${date.getDate()}`;
+                rows.push(this.createTotals(label, date.getTime()));
+            }
+            inRange.forEach(entry => {
+                // 開始日の行に加算する
+                const index = EarningsReport.countDays({ start: start, end: EarningsReport.startOfDay(new Date(entry.startedAt)) });
+                this.addEntry(rows[index], entry);
+            });
+        }
+
+        inRange.forEach(entry => this.addEntry(totals, entry));
+
+        return {
+            range: this.getRange(),
+            label: EarningsReport.formatRange(this.range),
+            totals: totals,
+            rows: rows
+        };
+    }
+}
@@ -0,0 +1,160 @@
+/**
+ * EarningsTicker クラス
+ * requestAnimationFrame で累積収入を秒未満まで補間し、小数点以下（銭単位など）まで滑らかに表示する
+ */
+class EarningsTicker {
+    /**
+     * EarningsTicker を初期化する
+     * @param {WageCounterApp} app - WageCounterApp インスタンス
+     * @param {HTMLElement} element - 累積収入の表示要素
+     * @param {CurrencyFormatter} currencyFormatter - 通貨フォーマッター
+     * @param {Object} settings - 表示設定 {enabled, decimals}
+     */
+    constructor(app, element, currencyFormatter, settings = EarningsTicker.getDefaultSettings()) {
+        this.app = app;
+        this.element = element;
+        this.currencyFormatter = currencyFormatter;
+        this.settings = EarningsTicker.getDefaultSettings();
+        this.frameId = null;            // requestAnimationFrame のID
+        this.lastRenderTime = 0;        // 最後にDOMを更新したフレームの時刻
+        this.setSettings(settings);
+    }
+
+    /**
+     * デフォルトの表示設定を取得する（デフォルトは無効、有効時は銭単位まで表示）
+     * @returns {Object} 表示設定 {enabled, decimals}
+     */
+    static getDefaultSettings() {
+        return { enabled: false, decimals: 2 };
+    }
+
+    /**
+     * 表示できる小数点以下の最大桁数
+     * @returns {number} 最大桁数
+     */
+    static get MAX_DECIMALS() {
+        return 4;
+    }
+
+    /**
+     * DOMを更新する最小間隔（ミリ秒）
+     * 毎フレームの書き込みを避け、約30fpsに抑える
+     * @returns {number} 最小間隔
+     */
+    static get FRAME_BUDGET() {
+        return 33;
+    }
+
+    /**
+     * 表示設定を検証する
+     * @param {Object} settings - 表示設定 {enabled, decimals}
+     * @returns {Object} 検証結果 {isValid: boolean, error: string|null}
+     */
+    static validateSettings(settings) {
+        if (!settings || typeof settings !== 'object' || typeof settings.enabled !== 'boolean') {
+            return { isValid: false, error: I18n.t('ticker.error.invalid') };
+        }
+
+        if (!Number.isInteger(settings.decimals) || settings.decimals < 0 || settings.decimals > EarningsTicker.MAX_DECIMALS) {
+            return { isValid: false, error: I18n.t('ticker.error.decimals', { max: EarningsTicker.MAX_DECIMALS }) };
+        }
+
+        return { isValid: true, error: null };
+    }
+
+    /**
+     * 表示設定を行う（無効にした場合は補間を停止する）
+     * @param {Object} settings - 表示設定 {enabled, decimals}
+     * @returns {boolean} 設定に成功したかどうか
+     */
+    setSettings(settings) {
+        if (!EarningsTicker.validateSettings(settings).isValid) {
+            return false;
+        }
+
+        this.settings = { enabled: settings.enabled, decimals: settings.decimals };
+        if (!this.settings.enabled) {
+            this.stop();
+        }
+        return true;
+    }
+
+    /**
+     * 表示設定を取得する
+     * @returns {Object} 表示設定（コピー）
+     */
+    getSettings() {
+        return { ...this.settings };
+    }
+
+    /**
+     * 滑らかな表示が有効かどうかを取得する
+     * @returns {boolean} 有効かどうか
+     */
+    isEnabled() {
+        return this.settings.enabled;
+    }
+
+    /**
+     * 補間表示の実行中かどうかを取得する
+     * @returns {boolean} 実行中かどうか
+     */
+    isActive() {
+        return this.frameId !== null;
+    }
+
+    /**
+     * 表示設定に合わせて金額をフォーマットする
+     * @param {number} amount - 金額
+     * @returns {string} フォーマットされた通貨文字列
+     */
+    format(amount) {
+        return this.settings.enabled
+            ? this.currencyFormatter.formatPrecise(amount, this.settings.decimals)
+            : this.currencyFormatter.formatSimple(amount);
+    }
+
+    /**
+     * 補間表示を開始する（無効の場合や実行中の場合は何もしない）
+     */
+    start() {
+        if (!this.settings.enabled || this.isActive() || typeof requestAnimationFrame !== 'function') {
+            return;
+        }
+
+        const tick = (now) => {
+            // 前回の更新から FRAME_BUDGET 未満のフレームはDOMに触れない
+            if (now - this.lastRenderTime >= EarningsTicker.FRAME_BUDGET) {
+                this.lastRenderTime = now;
+                this.render();
+            }
+            this.frameId = requestAnimationFrame(tick);
+        };
+
+        this.frameId = requestAnimationFrame(tick);
+    }
+
+    /**
+     * 補間表示を停止する
+     */
+    stop() {
+        if (this.frameId !== null) {
+            cancelAnimationFrame(this.frameId);
+            this.frameId = null;
+        }
+    }
+
+    /**
+     * 補間した累積収入を表示する（表示が変わらない場合はDOMを更新しない）
+     * @returns {boolean} DOMを更新したかどうか
+     */
+    render() {
+        const formatted = this.format(this.app.getInterpolatedEarnings());
+        if (this.element.textContent === formatted) {
+            return false;
+        }
+
+        this.element.textContent = formatted;
+        return true;
+    }
+}
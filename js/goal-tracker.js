@@ -0,0 +1,127 @@
+/**
+ * GoalTracker クラス
+ * セッション・日・週・月ごとの収入または勤務時間の目標に対する進捗と達成見込み時刻を計算する
+ */
+class GoalTracker {
+    /**
+     * GoalTracker を初期化する
+     * @param {Object} goal - 目標 {period, type, target}
+     */
+    constructor(goal = GoalTracker.getDefaultGoal()) {
+        this.goal = GoalTracker.getDefaultGoal();
+        this.setGoal(goal);
+    }
+
+    /**
+     * 目標の集計期間
+     * @returns {Array<string>} 集計期間の一覧
+     */
+    static get PERIODS() {
+        return ['session', 'day', 'week', 'month'];
+    }
+
+    /**
+     * 目標の種類（金額または時間）
+     * @returns {Array<string>} 種類の一覧
+     */
+    static get TYPES() {
+        return ['amount', 'hours'];
+    }
+
+    /**
+     * デフォルトの目標を取得する（今回のセッションで1時間）
+     * @returns {Object} 目標 {period, type, target}
+     */
+    static getDefaultGoal() {
+        return { period: 'session', type: 'hours', target: 1 };
+    }
+
+    /**
+     * 目標を検証する
+     * @param {Object} goal - 目標 {period, type, target}
+     * @returns {Object} 検証結果 {isValid: boolean, error: string|null}
+     */
+    static validateGoal(goal) {
+        if (!goal || typeof goal !== 'object' || !GoalTracker.PERIODS.includes(goal.period) ||
+            !GoalTracker.TYPES.includes(goal.type)) {
+            return { isValid: false, error: I18n.t('goal.error.invalid') };
+        }
+
+        if (typeof goal.target !== 'number' || isNaN(goal.target) || goal.target <= 0) {
+            return { isValid: false, error: I18n.t('goal.error.positive') };
+        }
+
+        // 時間の目標は集計期間の長さ（月31日）まで
+        if (goal.type === 'hours' && goal.target > 744) {
+            return { isValid: false, error: I18n.t('goal.error.maxHours') };
+        }
+
+        if (goal.type === 'amount' && goal.target > 1000000000) {
+            return { isValid: false, error: I18n.t('goal.error.maxAmount') };
+        }
+
+        return { isValid: true, error: null };
+    }
+
+    /**
+     * 目標を設定する
+     * @param {Object} goal - 目標 {period, type, target}
+     * @returns {boolean} 設定に成功したかどうか
+     */
+    setGoal(goal) {
+        if (!GoalTracker.validateGoal(goal).isValid) {
+            return false;
+        }
+
+        this.goal = { period: goal.period, type: goal.type, target: goal.target };
+        return true;
+    }
+
+    /**
+     * 目標を取得する
+     * @returns {Object} 目標（コピー）
+     */
+    getGoal() {
+        return { ...this.goal };
+    }
+
+    /**
+     * 目標に対する進捗を計算する
+     * 達成見込みは動作中のみ、金額の目標は今回のセッションの平均収入ペースで求める
+     * @param {Object} session - 今回のセッション {earnings, seconds, isRunning}
+     * @param {Object} prior - 集計期間内に既に記録された勤務 {earnings, seconds}（セッションの目標では無視される）
+     * @param {number} perSecondWage - セッション開始直後に使用する秒給
+     * @returns {Object} {period, type, target, current, remaining, progress, reached, etaSeconds}
+     */
+    calculate(session, prior = { earnings: 0, seconds: 0 }, perSecondWage = 0) {
+        const { period, type, target } = this.goal;
+        const isAmount = type === 'amount';
+        const sessionValue = isAmount ? session.earnings : session.seconds / 3600;
+        const priorValue = period === 'session' ? 0 : (isAmount ? prior.earnings : prior.seconds / 3600);
+
+        const current = Math.max(0, sessionValue + priorValue);
+        const remaining = Math.max(0, target - current);
+        const reached = remaining === 0;
+
+        // 1秒あたりの進み（金額はセッションの平均、時間は常に1秒）
+        let ratePerSecond = 1 / 3600;
+        if (isAmount) {
+            ratePerSecond = session.seconds > 0 ? session.earnings / session.seconds : perSecondWage;
+        }
+
+        const etaSeconds = !reached && session.isRunning && ratePerSecond > 0
+            ? remaining / ratePerSecond
+            : null;
+
+        return {
+            period: period,
+            type: type,
+            target: target,
+            current: current,
+            remaining: remaining,
+            progress: Math.min(current / target, 1),
+            reached: reached,
+            etaSeconds: etaSeconds
+        };
+    }
+}
@@ -0,0 +1,436 @@
+/**
+ * HistoryPanel クラス
+ * 勤務履歴の一覧（日付・時刻・ジョブ・勤務時間・収入）の表示と、記録の手入力・編集・削除・復元UIを管理する
+ */
+class HistoryPanel {
+    /**
+     * HistoryPanel を初期化する
+     * @param {WageCounterApp} app - WageCounterApp インスタンス
+     * @param {Object} elements - パネルに使用するDOM要素
+     * @param {HTMLElement} elements.settingsGroup - 勤務履歴の details 要素
+     * @param {HTMLElement} elements.historyBody - 記録の行を表示する tbody 要素
+     * @param {HTMLInputElement} elements.showDeletedInput - 削除済みの記録を表示するチェックボックス
+     * @param {HTMLElement} elements.prevPageBtn - 前のページのボタン
+     * @param {HTMLElement} elements.nextPageBtn - 次のページのボタン
+     * @param {HTMLElement} elements.pageLabel - ページ番号の表示要素
+     * @param {HTMLElement} elements.errorElement - エラー表示要素
+     * @param {HTMLElement} elements.formTitle - 入力フォームの見出し要素
+     * @param {HTMLInputElement} elements.startInput - 開始日時の入力
+     * @param {HTMLInputElement} elements.endInput - 終了日時の入力
+     * @param {HTMLInputElement} elements.wageInput - 時給の入力
+     * @param {HTMLElement} elements.breaksList - 休憩の入力行を表示する要素
+     * @param {HTMLElement} elements.addBreakBtn - 休憩の追加ボタン
+     * @param {HTMLElement} elements.saveBtn - 記録の追加・更新ボタン
+     * @param {HTMLElement} elements.cancelBtn - 編集のキャンセルボタン
+     * @param {HTMLElement} elements.formErrorElement - 入力フォームのエラー表示要素
+     * @param {Function} onHistoryChange - 記録を追加・編集・削除・復元したときに呼び出される関数
+     */
+    constructor(app, elements, onHistoryChange) {
+        this.app = app;
+        this.validator = app.getValidator();
+        this.currencyFormatter = app.getCurrencyFormatter();
+        this.sessionHistory = app.getSessionHistory();
+        this.elements = elements;
+        this.onHistoryChange = onHistoryChange;
+        this.page = 0;
+        this.editingId = null; // 編集中の記録のID（手入力で追加する場合はnull）
+        this.isInitialized = false;
+    }
+
+    /**
+     * 1ページに表示する記録の件数
+     * @returns {number} 件数
+     */
+    static get PAGE_SIZE() {
+        return 20;
+    }
+
+    /**
+     * パネルを初期化する
+     */
+    initialize() {
+        if (this.isInitialized) {
+            return;
+        }
+
+        if (!this.elements.historyBody || !this.elements.showDeletedInput) {
+            console.error('HistoryPanel: 必要なDOM要素が見つかりません');
+            return;
+        }
+
+        this.render();
+        this.initializeForm();
+
+        // 記録の編集・削除・復元
+        this.elements.historyBody.addEventListener('click', (event) => {
+            const editBtn = event.target.closest('.edit-history-btn');
+            const deleteBtn = event.target.closest('.delete-history-btn');
+            const restoreBtn = event.target.closest('.restore-history-btn');
+            if (editBtn) {
+                this.editEntry(editBtn.dataset.id);
+            } else if (deleteBtn) {
+                this.deleteEntry(deleteBtn.dataset.id);
+            } else if (restoreBtn) {
+                this.restoreEntry(restoreBtn.dataset.id);
+            }
+        });
+
+        // 削除済みの記録の表示切り替え
+        this.elements.showDeletedInput.addEventListener('change', () => {
+            this.page = 0;
+            this.render();
+        });
+
+        // ページの切り替え
+        if (this.elements.prevPageBtn && this.elements.nextPageBtn) {
+            this.elements.prevPageBtn.addEventListener('click', () => {
+                this.page = Math.max(0, this.page - 1);
+                this.render();
+            });
+            this.elements.nextPageBtn.addEventListener('click', () => {
+                this.page++;
+                this.render();
+            });
+        }
+
+        // 開いたときに最新の記録を表示する
+        if (this.elements.settingsGroup) {
+            this.elements.settingsGroup.addEventListener('toggle', () => {
+                if (this.elements.settingsGroup.open) {
+                    this.render();
+                }
+            });
+        }
+
+        this.isInitialized = true;
+        console.log('HistoryPanel が初期化されました');
+    }
+
+    /**
+     * 手入力・編集フォームを初期化する
+     */
+    initializeForm() {
+        if (!this.elements.saveBtn || !this.elements.breaksList) {
+            return;
+        }
+
+        this.resetForm();
+
+        this.elements.addBreakBtn.addEventListener('click', () => {
+            this.addBreakRow();
+        });
+
+        this.elements.breaksList.addEventListener('click', (event) => {
+            const removeBtn = event.target.closest('.remove-history-break-btn');
+            if (removeBtn) {
+                removeBtn.closest('.history-break-row').remove();
+            }
+        });
+
+        this.elements.saveBtn.addEventListener('click', () => {
+            this.saveForm();
+        });
+
+        this.elements.cancelBtn.addEventListener('click', () => {
+            this.resetForm();
+        });
+    }
+
+    /**
+     * フォームを手入力で追加する状態に戻す（時給は現在の時給）
+     */
+    resetForm() {
+        this.editingId = null;
+        this.elements.formTitle.textContent = I18n.t('history.form.addTitle');
+        this.elements.saveBtn.textContent = I18n.t('common.add');
+        this.elements.cancelBtn.hidden = true;
+        this.elements.startInput.value = '';
+        this.elements.endInput.value = '';
+        this.elements.wageInput.value = this.app.getState().hourlyWage || '';
+        this.elements.breaksList.innerHTML = '';
+        this.validator.hideError(this.elements.formErrorElement);
+    }
+
+    /**
+     * 記録をフォームに読み込んで編集を開始する
+     * @param {string} id - 記録ID
+     */
+    editEntry(id) {
+        const entry = this.sessionHistory.getEntry(id);
+        if (!entry) {
+            return;
+        }
+
+        this.resetForm();
+        this.editingId = id;
+        this.elements.formTitle.textContent = I18n.t('history.form.editTitle', { date: this.formatDate(entry.startedAt) });
+        this.elements.saveBtn.textContent = I18n.t('history.form.update');
+        this.elements.cancelBtn.hidden = false;
+        this.elements.startInput.value = this.toInputValue(entry.startedAt);
+        this.elements.endInput.value = this.toInputValue(entry.endedAt);
+        this.elements.wageInput.value = entry.hourlyWage;
+        entry.breaks.forEach(breakEntry => this.addBreakRow(breakEntry));
+        this.elements.startInput.focus();
+    }
+
+    /**
+     * 休憩の入力行を追加する
+     * @param {Object|null} breakEntry - 休憩 {start, end}（ミリ秒）、nullの場合は空の行
+     */
+    addBreakRow(breakEntry = null) {
+        const row = document.createElement('div');
+        row.className = 'settings-field history-break-row';
+
+        const createInput = (className, label, time) => {
+            const input = document.createElement('input');
+            input.type = 'datetime-local';
+            input.className = className;
+            input.setAttribute('aria-label', label);
+            input.value = time ? this.toInputValue(time) : '';
+            return input;
+        };
+
+        const removeBtn = document.createElement('button');
+        removeBtn.type = 'button';
+        removeBtn.className = 'remove-rule-btn remove-history-break-btn';
+        removeBtn.textContent = I18n.t('common.delete');
+        removeBtn.setAttribute('aria-label', I18n.t('history.form.deleteBreak'));
+
+        row.append(I18n.t('display.break'),
+            createInput('history-break-start', I18n.t('history.form.breakStart'), breakEntry && breakEntry.start),
+            I18n.t('common.rangeSeparator'),
+            createInput('history-break-end', I18n.t('history.form.breakEnd'), breakEntry && breakEntry.end),
+            removeBtn);
+        this.elements.breaksList.appendChild(row);
+    }
+
+    /**
+     * フォームの入力を読み取る
+     * @returns {Object} 入力 {startedAt, endedAt, breaks, hourlyWage}（時刻はミリ秒、未入力はNaN）
+     */
+    readForm() {
+        const breaks = Array.from(this.elements.breaksList.querySelectorAll('.history-break-row')).map(row => ({
+            start: this.parseInputValue(row.querySelector('.history-break-start').value),
+            end: this.parseInputValue(row.querySelector('.history-break-end').value)
+        }));
+
+        return {
+            startedAt: this.parseInputValue(this.elements.startInput.value),
+            endedAt: this.parseInputValue(this.elements.endInput.value),
+            breaks: breaks,
+            hourlyWage: this.elements.wageInput.value
+        };
+    }
+
+    /**
+     * フォームの入力で記録を追加または更新する
+     * @returns {boolean} 保存に成功したかどうか
+     */
+    saveForm() {
+        const input = this.readForm();
+        const result = this.editingId
+            ? this.app.updateHistoryEntry(this.editingId, input)
+            : this.app.addManualSession(input);
+
+        if (!result.success) {
+            this.validator.showError(this.elements.formErrorElement, result.message);
+            return false;
+        }
+
+        this.resetForm();
+        this.render();
+        this.onHistoryChange();
+        return true;
+    }
+
+    /**
+     * 時刻を datetime-local 入力の値に変換する
+     * @param {number} time - 時刻（ミリ秒）
+     * @returns {string} YYYY-MM-DDTHH:MM 形式の値（ローカル時刻）
+     */
+    toInputValue(time) {
+        const date = new Date(time);
+        const pad = (value) => value.toString().padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+    }
+
+    /**
+     * datetime-local 入力の値を時刻に変換する
+     * @param {string} value - YYYY-MM-DDTHH:MM 形式の値（ローカル時刻）
+     * @returns {number} 時刻（ミリ秒）、未入力・無効な場合はNaN
+     */
+    parseInputValue(value) {
+        const match = /^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2})/.exec(value || '');
+        if (!match) {
+            return NaN;
+        }
+
+        const [, year, month, day, hours, minutes] = match.map(Number);
+        return new Date(year, month - 1, day, hours, minutes).getTime();
+    }
+
+    /**
+     * 表示中のページの記録を描画する
+     */
+    render() {
+        const body = this.elements.historyBody;
+        const isDeletedView = this.elements.showDeletedInput.checked;
+        const entries = this.sessionHistory.getEntries(isDeletedView);
+        const pageCount = Math.max(1, Math.ceil(entries.length / HistoryPanel.PAGE_SIZE));
+        this.page = Math.min(this.page, pageCount - 1);
+        body.innerHTML = '';
+
+        if (entries.length === 0) {
+            const row = document.createElement('tr');
+            const cell = document.createElement('td');
+            cell.colSpan = 6;
+            cell.className = 'history-empty';
+            cell.textContent = I18n.t(isDeletedView ? 'history.emptyDeleted' : 'history.empty');
+            row.appendChild(cell);
+            body.appendChild(row);
+        }
+
+        entries
+            .slice(this.page * HistoryPanel.PAGE_SIZE, (this.page + 1) * HistoryPanel.PAGE_SIZE)
+            .forEach(entry => body.appendChild(this.createEntryRow(entry, isDeletedView)));
+
+        if (this.elements.pageLabel) {
+            this.elements.pageLabel.textContent = I18n.t('history.page', { page: this.page + 1, pageCount: pageCount, count: entries.length });
+        }
+        if (this.elements.prevPageBtn && this.elements.nextPageBtn) {
+            this.elements.prevPageBtn.disabled = this.page === 0;
+            this.elements.nextPageBtn.disabled = this.page >= pageCount - 1;
+        }
+    }
+
+    /**
+     * 記録1件分の行を作成する
+     * @param {Object} entry - 勤務履歴の記録
+     * @param {boolean} isDeleted - 削除済みの記録かどうか
+     * @returns {HTMLTableRowElement} 行要素
+     */
+    createEntryRow(entry, isDeleted) {
+        const row = document.createElement('tr');
+        row.className = 'history-row';
+        row.dataset.id = entry.id;
+
+        const dateText = this.formatDate(entry.startedAt);
+        let timeText = `${this.formatTime(entry.startedAt)}${I18n.t('common.rangeSeparator')}${this.formatTime(entry.endedAt)}`;
+        if (entry.isManual) {
+            timeText += I18n.t('history.manualSuffix');
+        } else if (entry.editedAt) {
+            timeText += I18n.t('history.editedSuffix');
+        } else if (entry.shiftId) {
+            timeText += I18n.t('history.shiftSuffix');
+        }
+        const cells = [
+            dateText,
+            timeText,
+            entry.profileName,
+            TimerManager.formatSeconds(entry.paidSeconds),
+            this.currencyFormatter.formatSimple(entry.earnings)
+        ];
+        cells.forEach(text => {
+            const cell = document.createElement('td');
+            cell.textContent = text;
+            row.appendChild(cell);
+        });
+
+        // セッション中に時給を変更した記録は時給の推移を表示する
+        if (entry.rateSegments && entry.rateSegments.length > 1) {
+            const rates = document.createElement('div');
+            rates.className = 'history-rates';
+            rates.textContent = entry.rateSegments
+                .map(rate => I18n.t('history.rate', {
+                    time: this.formatTime(rate.start),
+                    wage: this.currencyFormatter.formatSimple(rate.hourlyWage)
+                }))
+                .join(I18n.t('common.listSeparator'));
+            row.children[1].appendChild(rates);
+        }
+
+        // 編集・削除・復元ボタン
+        const actionCell = document.createElement('td');
+        if (!isDeleted) {
+            const editBtn = document.createElement('button');
+            editBtn.type = 'button';
+            editBtn.className = 'settings-btn edit-history-btn';
+            editBtn.textContent = I18n.t('common.edit');
+            editBtn.dataset.id = entry.id;
+            editBtn.setAttribute('aria-label', I18n.t('history.editLabel', { date: dateText }));
+            actionCell.appendChild(editBtn);
+        }
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = isDeleted ? 'settings-btn restore-history-btn' : 'remove-rule-btn delete-history-btn';
+        button.textContent = I18n.t(isDeleted ? 'history.restore' : 'common.delete');
+        button.dataset.id = entry.id;
+        button.setAttribute('aria-label', I18n.t(isDeleted ? 'history.restoreLabel' : 'history.deleteLabel', { date: dateText }));
+        actionCell.appendChild(button);
+        row.appendChild(actionCell);
+
+        return row;
+    }
+
+    /**
+     * 日付を表示用にフォーマットする
+     * @param {number} time - 時刻（ミリ秒）
+     * @returns {string} YYYY/M/D(曜) 形式の日付（曜日は表示中の言語）
+     */
+    formatDate(time) {
+        const date = new Date(time);
+        const weekday = date.toLocaleDateString(I18n.getLocale(), { weekday: 'short' });
+        return `${date.getFullYear()}/${date.getMonth() + 1}/${date.getDate()}(${weekday})`;
+    }
+
+    /**
+     * 時刻を表示用にフォーマットする
+     * @param {number} time - 時刻（ミリ秒）
+     * @returns {string} HH:MM 形式の時刻
+     */
+    formatTime(time) {
+        const date = new Date(time);
+        return `${date.getHours().toString().padStart(2, '0')}:${date.getMinutes().toString().padStart(2, '0')}`;
+    }
+
+    /**
+     * 記録を削除する（削除済みの一覧から元に戻せる）
+     * @param {string} id - 記録ID
+     * @returns {boolean} 削除に成功したかどうか
+     */
+    deleteEntry(id) {
+        return this.handleResult(this.app.deleteHistoryEntry(id));
+    }
+
+    /**
+     * 削除した記録を元に戻す
+     * @param {string} id - 記録ID
+     * @returns {boolean} 復元に成功したかどうか
+     */
+    restoreEntry(id) {
+        return this.handleResult(this.app.restoreHistoryEntry(id));
+    }
+
+    /**
+     * 削除・復元の結果を表示に反映する
+     * @param {Object} result - 結果 {success, error, message}
+     * @returns {boolean} 成功したかどうか
+     */
+    handleResult(result) {
+        if (!result.success) {
+            this.validator.showError(this.elements.errorElement, result.message);
+            this.render();
+            return false;
+        }
+
+        // 編集中の記録を削除した場合は編集をやめる
+        if (this.editingId && this.elements.saveBtn && !this.sessionHistory.getEntries().some(entry => entry.id === this.editingId)) {
+            this.resetForm();
+        }
+
+        this.validator.hideError(this.elements.errorElement);
+        this.render();
+        this.onHistoryChange();
+        return true;
+    }
+}
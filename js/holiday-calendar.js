@@ -0,0 +1,249 @@
+/**
+ * HolidayCalendar クラス
+ * 日本の国民の祝日（振替休日・国民の休日・春分／秋分の日を含む）と会社独自の休日を判定する
+ * 祝日はオフラインで計算し、現行の祝日法（2020年以降）の規定に基づく
+ */
+class HolidayCalendar {
+    /**
+     * HolidayCalendar を初期化する
+     * @param {Array<Object>} companyHolidays - 会社休日の配列 [{date: 'YYYY-MM-DD', name}]
+     */
+    constructor(companyHolidays = []) {
+        this.companyHolidays = [];
+        this.holidayCache = {}; // 年ごとの祝日一覧のキャッシュ
+        this.setCompanyHolidays(companyHolidays);
+    }
+
+    /**
+     * 祝日を計算できる年の範囲（春分・秋分の日の近似式が有効な範囲）
+     * @returns {Object} {min: number, max: number}
+     */
+    static get SUPPORTED_YEARS() {
+        return { min: 2020, max: 2099 };
+    }
+
+    /**
+     * 日付から YYYY-MM-DD 形式のキーを取得する（ローカル時刻）
+     * @param {Date} date - 日付
+     * @returns {string} 日付キー
+     */
+    static toDateKey(date) {
+        const month = String(date.getMonth() + 1).padStart(2, '0');
+        const day = String(date.getDate()).padStart(2, '0');
+        return `${date.getFullYear()}-${month}-${day}`;
+    }
+
+    /**
+     * 指定した月の第n月曜日を取得する
+     * @param {number} year - 年
+     * @param {number} month - 月（1〜12）
+     * @param {number} n - 何番目の月曜日か
+     * @returns {number} 日
+     */
+    static getNthMonday(year, month, n) {
+        const firstDay = new Date(year, month - 1, 1).getDay();
+        const firstMonday = 1 + ((8 - firstDay) % 7);
+        return firstMonday + (n - 1) * 7;
+    }
+
+    /**
+     * 春分の日を計算する
+     * @param {number} year - 年
+     * @returns {number} 3月の日
+     */
+    static getVernalEquinoxDay(year) {
+        return Math.floor(20.8431 + 0.242194 * (year - 1980) - Math.floor((year - 1980) / 4));
+    }
+
+    /**
+     * 秋分の日を計算する
+     * @param {number} year - 年
+     * @returns {number} 9月の日
+     */
+    static getAutumnalEquinoxDay(year) {
+        return Math.floor(23.2488 + 0.242194 * (year - 1980) - Math.floor((year - 1980) / 4));
+    }
+
+    /**
+     * 指定した年の国民の祝日を計算する
+     * @param {number} year - 年
+     * @returns {Object} 日付キーと祝日名の対応 {'YYYY-MM-DD': '元日', ...}
+     */
+    static calculateNationalHolidays(year) {
+        const { min, max } = HolidayCalendar.SUPPORTED_YEARS;
+        if (year < min || year > max) {
+            return {};
+        }
+
+        const key = (month, day) => HolidayCalendar.toDateKey(new Date(year, month - 1, day));
+        const holidays = {};
+
+        holidays[key(1, 1)] = '元日';
+        holidays[key(1, HolidayCalendar.getNthMonday(year, 1, 2))] = '成人の日';
+        holidays[key(2, 11)] = '建国記念の日';
+        holidays[key(2, 23)] = '天皇誕生日';
+        holidays[key(3, HolidayCalendar.getVernalEquinoxDay(year))] = '春分の日';
+        holidays[key(4, 29)] = '昭和の日';
+        holidays[key(5, 3)] = '憲法記念日';
+        holidays[key(5, 4)] = 'みどりの日';
+        holidays[key(5, 5)] = 'こどもの日';
+
+        // 東京オリンピック・パラリンピック開催に伴う特例（2020年・2021年）
+        if (year === 2020) {
+            holidays[key(7, 23)] = '海の日';
+            holidays[key(7, 24)] = 'スポーツの日';
+            holidays[key(8, 10)] = '山の日';
+        } else if (year === 2021) {
+            holidays[key(7, 22)] = '海の日';
+            holidays[key(7, 23)] = 'スポーツの日';
+            holidays[key(8, 8)] = '山の日';
+        } else {
+            holidays[key(7, HolidayCalendar.getNthMonday(year, 7, 3))] = '海の日';
+            holidays[key(8, 11)] = '山の日';
+            holidays[key(10, HolidayCalendar.getNthMonday(year, 10, 2))] = 'スポーツの日';
+        }
+
+        holidays[key(9, HolidayCalendar.getNthMonday(year, 9, 3))] = '敬老の日';
+        holidays[key(9, HolidayCalendar.getAutumnalEquinoxDay(year))] = '秋分の日';
+        holidays[key(11, 3)] = '文化の日';
+        holidays[key(11, 23)] = '勤労感謝の日';
+
+        // 国民の休日: 前日と翌日が祝日である平日
+        Object.keys(holidays).forEach(dateKey => {
+            const [y, m, d] = dateKey.split('-').map(Number);
+            const nextDay = new Date(y, m - 1, d + 1);
+            const dayAfterNext = new Date(y, m - 1, d + 2);
+            const nextKey = HolidayCalendar.toDateKey(nextDay);
+
+            if (!holidays[nextKey] && holidays[HolidayCalendar.toDateKey(dayAfterNext)] &&
+                nextDay.getDay() !== 0) {
+                holidays[nextKey] = '国民の休日';
+            }
+        });
+
+        // 振替休日: 祝日が日曜日の場合、その後の最初の祝日でない日
+        Object.keys(holidays).sort().forEach(dateKey => {
+            const [y, m, d] = dateKey.split('-').map(Number);
+            if (new Date(y, m - 1, d).getDay() !== 0) {
+                return;
+            }
+
+            const substitute = new Date(y, m - 1, d + 1);
+            while (holidays[HolidayCalendar.toDateKey(substitute)]) {
+                substitute.setDate(substitute.getDate() + 1);
+            }
+            holidays[HolidayCalendar.toDateKey(substitute)] = '振替休日';
+        });
+
+        return holidays;
+    }
+
+    /**
+     * 会社休日を検証する
+     * @param {Object} holiday - 会社休日 {date: 'YYYY-MM-DD', name}
+     * @returns {Object} 検証結果 {isValid: boolean, error: string|null}
+     */
+    static validateCompanyHoliday(holiday) {
+        if (!holiday || typeof holiday !== 'object' || typeof holiday.date !== 'string') {
+            return { isValid: false, error: I18n.t('app.error.invalidCompanyHolidays') };
+        }
+
+        const match = holiday.date.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+        if (!match) {
+            return { isValid: false, error: I18n.t('holiday.error.dateFormat') };
+        }
+
+        // 2月30日のような存在しない日付を除外
+        const date = new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+        if (HolidayCalendar.toDateKey(date) !== holiday.date) {
+            return { isValid: false, error: I18n.t('holiday.error.dateNotExist') };
+        }
+
+        if (holiday.name !== undefined && typeof holiday.name !== 'string') {
+            return { isValid: false, error: I18n.t('holiday.error.name') };
+        }
+
+        return { isValid: true, error: null };
+    }
+
+    /**
+     * 会社休日を設定する（無効な日付と重複は除外される）
+     * @param {Array<Object>} holidays - 会社休日の配列
+     * @returns {boolean} すべての会社休日が有効だったかどうか
+     */
+    setCompanyHolidays(holidays) {
+        if (!Array.isArray(holidays)) {
+            return false;
+        }
+
+        const validHolidays = holidays.filter(holiday => HolidayCalendar.validateCompanyHoliday(holiday).isValid);
+        const byDate = {};
+        validHolidays.forEach(holiday => {
+            byDate[holiday.date] = { date: holiday.date, name: (holiday.name || '').trim() || I18n.t('holiday.company') };
+        });
+
+        this.companyHolidays = Object.keys(byDate).sort().map(date => byDate[date]);
+        return validHolidays.length === holidays.length;
+    }
+
+    /**
+     * 会社休日を取得する
+     * @returns {Array<Object>} 会社休日の配列（日付順、コピー）
+     */
+    getCompanyHolidays() {
+        return this.companyHolidays.map(holiday => ({ ...holiday }));
+    }
+
+    /**
+     * 指定した年の国民の祝日を取得する
+     * @param {number} year - 年
+     * @returns {Object} 日付キーと祝日名の対応
+     */
+    getNationalHolidays(year) {
+        if (!this.holidayCache[year]) {
+            this.holidayCache[year] = HolidayCalendar.calculateNationalHolidays(year);
+        }
+        return this.holidayCache[year];
+    }
+
+    /**
+     * 国民の祝日の名前を取得する
+     * @param {Date} date - 日付
+     * @returns {string|null} 祝日名、祝日でない場合はnull
+     */
+    getNationalHolidayName(date) {
+        return this.getNationalHolidays(date.getFullYear())[HolidayCalendar.toDateKey(date)] || null;
+    }
+
+    /**
+     * 国民の祝日かどうかを判定する
+     * @param {Date} date - 日付
+     * @returns {boolean} 祝日かどうか
+     */
+    isNationalHoliday(date) {
+        return this.getNationalHolidayName(date) !== null;
+    }
+
+    /**
+     * 会社休日かどうかを判定する
+     * @param {Date} date - 日付
+     * @returns {boolean} 会社休日かどうか
+     */
+    isCompanyHoliday(date) {
+        const dateKey = HolidayCalendar.toDateKey(date);
+        return this.companyHolidays.some(holiday => holiday.date === dateKey);
+    }
+
+    /**
+     * 日付の休日区分を取得する
+     * @param {Date} date - 日付
+     * @returns {Object} {national: boolean, sunday: boolean, company: boolean}
+     */
+    getHolidayTypes(date) {
+        return {
+            national: this.isNationalHoliday(date),
+            sunday: date.getDay() === 0,
+            company: this.isCompanyHoliday(date)
+        };
+    }
+}
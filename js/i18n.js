@@ -0,0 +1,140 @@
+/**
+ * I18n クラス
+ * 画面に表示する文言をメッセージカタログ（言語ごとのバンドル）から取得する
+ * 文言はキーで参照し、選択中の言語にないキーはデフォルトの言語（日本語）の文言を使用する
+ */
+class I18n {
+    /**
+     * 対応している言語
+     * @returns {Array<string>} 言語コードの一覧
+     */
+    static get LANGUAGES() {
+        return ['ja', 'en'];
+    }
+
+    /**
+     * デフォルトの言語
+     * @returns {string} 言語コード
+     */
+    static get DEFAULT_LANGUAGE() {
+        return 'ja';
+    }
+
+    /**
+     * 言語ごとの日付と数値の表示に使用するロケール
+     * @returns {Object} 言語コードとロケールの対応
+     */
+    static get LOCALES() {
+        return { ja: 'ja-JP', en: 'en-US' };
+    }
+
+    /**
+     * HTML の文言を置き換える属性（data-i18n-属性名 にキーを指定する）
+     * @returns {Array<string>} 属性名の一覧
+     */
+    static get ATTRIBUTES() {
+        return ['aria-label', 'placeholder', 'title', 'content'];
+    }
+
+    /**
+     * 言語のメッセージを登録する（既存のキーは上書きする）
+     * @param {string} language - 言語コード
+     * @param {Object} messages - キーと文言の対応
+     */
+    static addMessages(language, messages) {
+        I18n.catalog[language] = { ...(I18n.catalog[language] || {}), ...messages };
+    }
+
+    /**
+     * 言語コードを検証する
+     * @param {string} language - 言語コード
+     * @returns {Object} 検証結果 {isValid: boolean, error: string|null}
+     */
+    static validateLanguage(language) {
+        if (!I18n.LANGUAGES.includes(language)) {
+            return { isValid: false, error: I18n.t('language.error.unsupported') };
+        }
+
+        return { isValid: true, error: null };
+    }
+
+    /**
+     * 表示する言語を変更する
+     * @param {string} language - 言語コード
+     * @returns {boolean} 変更できたかどうか
+     */
+    static setLanguage(language) {
+        if (!I18n.validateLanguage(language).isValid) {
+            return false;
+        }
+
+        I18n.language = language;
+        return true;
+    }
+
+    /**
+     * 表示中の言語を取得する
+     * @returns {string} 言語コード
+     */
+    static getLanguage() {
+        return I18n.language;
+    }
+
+    /**
+     * 表示中の言語のロケールを取得する
+     * @returns {string} ロケール（例: 'ja-JP'）
+     */
+    static getLocale() {
+        return I18n.LOCALES[I18n.language];
+    }
+
+    /**
+     * キーに対応する文言を取得する
+     * 文言の {name} は params の値に置き換え、{one, other} のように数で変わる文言は params.count で選ぶ
+     * @param {string} key - メッセージのキー
+     * @param {Object} params - 文言に埋め込む値
+     * @returns {string} 文言（どの言語にもない場合はキー）
+     */
+    static t(key, params = {}) {
+        const bundle = I18n.catalog[I18n.language] || {};
+        const fallback = I18n.catalog[I18n.DEFAULT_LANGUAGE] || {};
+        let message = key in bundle ? bundle[key] : fallback[key];
+
+        if (message === undefined) {
+            console.warn(`I18n: メッセージが見つかりません: ${key}`);
+            return key;
+        }
+
+        if (typeof message === 'object') {
+            const category = new Intl.PluralRules(I18n.getLocale()).select(params.count);
+            message = category in message ? message[category] : message.other;
+        }
+
+        return message.replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match));
+    }
+
+    /**
+     * data-i18n 属性を指定した要素の文言を表示中の言語に置き換える
+     * data-i18n は要素のテキスト、data-i18n-aria-label などは同名の属性を置き換える
+     * @param {Document|HTMLElement} root - 置き換える範囲
+     */
+    static translatePage(root = document) {
+        root.querySelectorAll('[data-i18n]').forEach(element => {
+            element.textContent = I18n.t(element.dataset.i18n);
+        });
+
+        I18n.ATTRIBUTES.forEach(attribute => {
+            root.querySelectorAll(`[data-i18n-${attribute}]`).forEach(element => {
+                element.setAttribute(attribute, I18n.t(element.getAttribute(`data-i18n-${attribute}`)));
+            });
+        });
+
+        if (root.documentElement) {
+            root.documentElement.lang = I18n.language;
+        }
+    }
+}
+
+// 言語ごとのメッセージ（messages-*.js で登録する）と表示中の言語
+I18n.catalog = {};
+I18n.language = I18n.DEFAULT_LANGUAGE;
@@ -16,6 +16,9 @@ class WageCounter {
         this.perSecondWage = 0;        // 秒単位の収入
         this.startTime = null;         // 開始時刻
         this.pausedTime = 0;           // 一時停止時の累積時間
+        this.baseEarnings = 0;         // 累積収入のうち基本給分
+        this.premiumEarnings = 0;      // 累積収入のうち割増分
+        this.premiums = {};            // 割増分の種類別内訳（時間外・深夜など）
     }
 
     /**
@@ -52,6 +55,30 @@ class WageCounter {
         this.currentEarnings = earnings;
     }
 
+    /**
+     * 累積収入の内訳を設定する
+     * @param {number} baseEarnings - 基本給分（円）
+     * @param {Object} premiums - 種類別の割増分（円） 例: {overtime: 100, night: 50}
+     */
+    setEarningsBreakdown(baseEarnings, premiums = {}) {
+        this.baseEarnings = baseEarnings;
+        this.premiums = { ...premiums };
+        this.premiumEarnings = Object.values(this.premiums).reduce((sum, amount) => sum + amount, 0);
+        this.currentEarnings = baseEarnings + this.premiumEarnings;
+    }
+
+    /**
+     * 累積収入の内訳を取得する
+     * @returns {Object} {baseEarnings: number, premiumEarnings: number, premiums: Object}
+     */
+    getEarningsBreakdown() {
+        return {
+            baseEarnings: this.baseEarnings,
+            premiumEarnings: this.premiumEarnings,
+            premiums: { ...this.premiums }
+        };
+    }
+
     /**
      * 経過時間（秒）を取得する
      * @returns {number} 経過秒数
@@ -109,7 +136,7 @@ class WageCounter {
      * 現在の経過時間に基づいて累積収入を更新する
      */
     updateCurrentEarnings() {
-        this.currentEarnings = this.calculateEarningsForSeconds(this.elapsedSeconds);
+        this.setEarningsBreakdown(this.calculateEarningsForSeconds(this.elapsedSeconds));
     }
 
     /**
@@ -219,6 +246,9 @@ class WageCounter {
      */
     reset() {
         this.currentEarnings = 0;
+        this.baseEarnings = 0;
+        this.premiumEarnings = 0;
+        this.premiums = {};
         this.elapsedSeconds = 0;
         this.isRunning = false;
         this.startTime = null;
@@ -229,78 +259,278 @@ class WageCounter {
 
 /**
  * TimerManager クラス
- * setInterval を使用したタイマー機能を管理する
+ * 壁時計の境界に合わせて setTimeout で再スケジュールするタイマー機能を管理する
+ * 更新ごとに壁時計（Date.now）と経過時間（performance.now）を比べ、スリープと時計の変更を検出する
  */
 class TimerManager {
-    constructor(callback) {
+    constructor(callback, clockCallback = null) {
         this.callback = callback;           // タイマー更新時のコールバック関数
-        this.intervalId = null;             // setInterval のID
+        this.clockCallback = clockCallback; // スリープや時計の変更を検出したときのコールバック関数
+        this.lastTick = null;               // 前回の確認時刻 {wall, monotonic}（動作中のみ）
+        this.callbackRef = null;            // コールバックの弱参照（動作中のみ）
+        this.timeoutId = null;              // 次の更新の setTimeout のID
         this.isRunning = false;             // タイマー動作状態
         this.startTime = null;              // 開始時刻
         this.pausedTime = 0;                // 一時停止時の累積時間（ミリ秒）
         this.updateInterval = 1000;         // 更新間隔（ミリ秒）
+        this.tickMargin = 5;                // 境界を確実に越えてから更新するための余裕（ミリ秒）
+        this.segments = [];                 // 終了した稼働区間 [{start, end}]（壁時計のミリ秒）
+        this.isOnBreak = false;             // 休憩中かどうか
+        this.breakStartTime = null;         // 休憩の開始時刻
+        this.breaks = [];                   // 終了した休憩区間 [{start, end}]（壁時計のミリ秒）
+    }
+
+    /**
+     * 時計の変更とみなす、壁時計と経過時間（performance.now）の進み方の差（ミリ秒）
+     * @returns {number} ミリ秒
+     */
+    static get CLOCK_JUMP_THRESHOLD() {
+        return 5000;
+    }
+
+    /**
+     * スリープとみなす、経過時間より壁時計が進んだ時間（ミリ秒）
+     * スリープ中に performance.now が止まる環境ではこの差で検出する
+     * @returns {number} ミリ秒
+     */
+    static get SUSPEND_THRESHOLD() {
+        return 60000;
+    }
+
+    /**
+     * スリープとみなす確認の間隔（ミリ秒）
+     * スリープ中も performance.now が進む環境ではこの間隔で検出する（バックグラウンドのタブで間引かれた更新の間隔より長くする）
+     * @returns {number} ミリ秒
+     */
+    static get TICK_GAP_THRESHOLD() {
+        return 300000;
+    }
+
+    /**
+     * 経過秒数を HH:MM:SS 形式にフォーマットする
+     * @param {number} totalSeconds - 秒数
+     * @returns {string} フォーマットされた時間文字列
+     */
+    static formatSeconds(totalSeconds) {
+        const hours = Math.floor(totalSeconds / 3600);
+        const minutes = Math.floor((totalSeconds % 3600) / 60);
+        const seconds = totalSeconds % 60;
+        return `${hours.toString().padStart(2, '0')}:${minutes.toString().padStart(2, '0')}:${seconds.toString().padStart(2, '0')}`;
     }
 
     /**
-     * タイマーを開始する
+     * タイマーを開始する（休憩中の場合は休憩を終了して再開する）
      */
     start() {
+        if (this.isOnBreak) {
+            this.endBreak(false);
+        }
+
         if (this.isRunning) {
             return; // 既に動作中の場合は何もしない
         }
 
         this.isRunning = true;
         this.startTime = Date.now();
+        this.lastTick = { wall: this.startTime, monotonic: performance.now() };
 
         // メモリリーク対策: 弱参照を使用してコールバックを保持
-        const weakCallback = this.callback ? new WeakRef(this.callback) : null;
+        this.callbackRef = typeof this.callback === 'function' ? new WeakRef(this.callback) : null;
 
-        // 1秒間隔でコールバックを実行
-        this.intervalId = setInterval(() => {
-            // 弱参照からコールバックを取得
-            const callback = weakCallback ? weakCallback.deref() : null;
-            
-            if (callback && typeof callback === 'function') {
-                try {
-                    callback();
-                } catch (error) {
-                    console.error('TimerManager: コールバック実行中にエラーが発生しました', error);
-                    // エラーが発生しても継続できるようにする
-                }
-            } else if (weakCallback) {
-                // コールバックが回収された場合はタイマーを停止
-                console.warn('TimerManager: コールバックが回収されたためタイマーを停止します');
-                this.stop();
-            }
-        }, this.updateInterval);
+        // 壁時計の次の境界からコールバックを実行
+        this.scheduleNextTick();
 
         console.log('TimerManager: タイマーを開始しました');
     }
 
     /**
-     * タイマーを停止する
+     * 次の更新までの待ち時間を計算する
+     * 壁時計で更新間隔の倍数となる時刻（1000msなら毎秒0ms）に合わせる
+     * @param {number} now - 現在時刻（ミリ秒）
+     * @returns {number} 待ち時間（ミリ秒）
+     */
+    getNextTickDelay(now = Date.now()) {
+        return this.updateInterval - (now % this.updateInterval) + this.tickMargin;
+    }
+
+    /**
+     * 次の更新をスケジュールする
+     * 毎回現在時刻から待ち時間を求めるため、遅延やバックグラウンドでの間引きがあっても誤差は蓄積しない
+     */
+    scheduleNextTick() {
+        this.clearScheduledTick();
+        this.timeoutId = setTimeout(() => {
+            this.timeoutId = null;
+            this.tick();
+        }, this.getNextTickDelay());
+    }
+
+    /**
+     * スケジュール済みの更新を取り消す
+     */
+    clearScheduledTick() {
+        if (this.timeoutId) {
+            clearTimeout(this.timeoutId);
+            this.timeoutId = null;
+        }
+    }
+
+    /**
+     * コールバックを実行し、次の更新をスケジュールする
+     * 間引きで複数の境界を過ぎていても1回だけ実行する（経過時間は壁時計から求めるため失われない）
+     */
+    tick() {
+        if (!this.isRunning) {
+            return;
+        }
+
+        this.checkClockChange();
+
+        // 弱参照からコールバックを取得
+        const callback = this.callbackRef ? this.callbackRef.deref() : null;
+
+        if (callback && typeof callback === 'function') {
+            try {
+                callback();
+            } catch (error) {
+                console.error('TimerManager: コールバック実行中にエラーが発生しました', error);
+                // エラーが発生しても継続できるようにする
+            }
+        } else if (this.callbackRef) {
+            // コールバックが回収された場合はタイマーを停止
+            console.warn('TimerManager: コールバックが回収されたためタイマーを停止します');
+            this.stop();
+            return;
+        }
+
+        if (this.isRunning) {
+            this.scheduleNextTick();
+        }
+    }
+
+    /**
+     * タイマーを停止する（休憩中の場合は休憩を終了する）
      */
     stop() {
+        if (this.isOnBreak) {
+            this.endBreak(false);
+        }
+
         if (!this.isRunning) {
             return; // 動作していない場合は何もしない
         }
 
+        // 最後の更新の後にスリープしていた時間は稼働区間に含めない
+        this.checkClockChange();
         this.isRunning = false;
+        this.lastTick = null;
         
-        // 現在までの経過時間を累積時間に追加
+        // 現在までの経過時間を累積時間に追加し、稼働区間として記録
         if (this.startTime) {
-            this.pausedTime += Date.now() - this.startTime;
+            const now = Date.now();
+            this.pausedTime += now - this.startTime;
+            this.segments.push({ start: this.startTime, end: now });
         }
 
-        // インターバルをクリア
-        if (this.intervalId) {
-            clearInterval(this.intervalId);
-            this.intervalId = null;
-        }
+        // スケジュール済みの更新を取り消す
+        this.clearScheduledTick();
 
         console.log('TimerManager: タイマーを停止しました');
     }
 
+    /**
+     * スリープと時計の変更を検出し、検出した場合はコールバックに通知する
+     * @returns {Object|null} detectClockChange の結果
+     */
+    checkClockChange() {
+        const change = this.detectClockChange();
+
+        if (change && typeof this.clockCallback === 'function') {
+            try {
+                this.clockCallback(change);
+            } catch (error) {
+                console.error('TimerManager: 時計の変更の通知中にエラーが発生しました', error);
+            }
+        }
+
+        return change;
+    }
+
+    /**
+     * 前回の確認からの壁時計と経過時間（performance.now）の進み方を比べ、スリープと時計の変更を検出する
+     * スリープ（または時計を進めた）時間は稼働区間から除く
+     * それ以外の時計の変更は、変更後の時計を正しいものとしてこれまでの稼働区間と休憩区間をずらす
+     * （区間の長さと順序を保ったまま、深夜・休日割増の判定と記録する時刻を変更後の時計に合わせるため）
+     * @param {number} now - 現在の壁時計の時刻（ミリ秒）
+     * @param {number} monotonicNow - 現在の performance.now（ミリ秒）
+     * @returns {Object|null} {type: 'suspend', start, end}（除いた区間）または {type: 'clockJump', offset}（検出しなかった場合はnull）
+     */
+    detectClockChange(now = Date.now(), monotonicNow = performance.now()) {
+        if (!this.isRunning || !this.lastTick) {
+            return null;
+        }
+
+        const wallDelta = now - this.lastTick.wall;
+        const monotonicDelta = monotonicNow - this.lastTick.monotonic;
+        const drift = wallDelta - monotonicDelta;
+        const lastWall = this.lastTick.wall;
+        this.lastTick = { wall: now, monotonic: monotonicNow };
+
+        let suspendedMs;
+        if (drift > TimerManager.SUSPEND_THRESHOLD) {
+            suspendedMs = drift;
+        } else if (monotonicDelta > TimerManager.TICK_GAP_THRESHOLD) {
+            suspendedMs = wallDelta;
+        } else if (Math.abs(drift) > TimerManager.CLOCK_JUMP_THRESHOLD) {
+            this.shiftTimes(drift);
+            console.warn(`TimerManager: 時計の変更を検出しました（${Math.round(drift / 1000)}秒）`);
+            return { type: 'clockJump', offset: drift };
+        } else {
+            return null;
+        }
+
+        // 最後の確認までを稼働区間として記録し、スリープの後から計測を再開する
+        const gap = { start: Math.max(lastWall, this.startTime), end: Math.min(lastWall + suspendedMs, now) };
+        if (gap.start > this.startTime) {
+            this.pausedTime += gap.start - this.startTime;
+            this.segments.push({ start: this.startTime, end: gap.start });
+        }
+        this.startTime = gap.end;
+
+        console.warn('TimerManager: スリープを検出したため稼働区間から除きました', gap);
+        return { type: 'suspend', start: gap.start, end: gap.end };
+    }
+
+    /**
+     * 開始時刻と稼働区間・休憩区間の時刻をまとめてずらす
+     * 前回の確認からの経過時間（performance.now）も変更後の時計で進んだものとなり、経過時間は変わらない
+     * @param {number} offset - ずらす時間（ミリ秒）
+     */
+    shiftTimes(offset) {
+        const shift = range => ({ start: range.start + offset, end: range.end + offset });
+        this.segments = this.segments.map(shift);
+        this.breaks = this.breaks.map(shift);
+        if (this.startTime) {
+            this.startTime += offset;
+        }
+    }
+
+    /**
+     * 稼働区間から除いた時間を勤務時間として戻す
+     * @param {Object} gap - 区間 {start, end}（ミリ秒）
+     * @returns {boolean} 戻したかどうか
+     */
+    includeGap(gap) {
+        if (!gap || typeof gap.start !== 'number' || typeof gap.end !== 'number' || gap.end <= gap.start) {
+            return false;
+        }
+
+        this.pausedTime += gap.end - gap.start;
+        this.segments.push({ start: gap.start, end: gap.end });
+        this.segments.sort((a, b) => a.start - b.start);
+        return true;
+    }
+
     /**
      * タイマーをリセットする
      */
@@ -313,16 +543,115 @@ class TimerManager {
         // 状態をリセット
         this.startTime = null;
         this.pausedTime = 0;
+        this.segments = [];
+        this.isOnBreak = false;
+        this.breakStartTime = null;
+        this.breaks = [];
         this.isRunning = false;
 
         console.log('TimerManager: タイマーをリセットしました');
     }
 
+    /**
+     * 休憩を開始する（動作中のみ）
+     * 休憩中は経過時間の計測を止め、休憩時間を別に計測する
+     * @returns {boolean} 休憩を開始したかどうか
+     */
+    startBreak() {
+        if (!this.isRunning) {
+            return false;
+        }
+
+        this.stop();
+        this.isOnBreak = true;
+        this.breakStartTime = Date.now();
+
+        console.log('TimerManager: 休憩を開始しました');
+        return true;
+    }
+
+    /**
+     * 休憩を終了する
+     * @param {boolean} resume - 休憩終了後にタイマーを再開するかどうか
+     * @returns {boolean} 休憩を終了したかどうか
+     */
+    endBreak(resume = true) {
+        if (!this.isOnBreak) {
+            return false;
+        }
+
+        const now = Date.now();
+        this.breaks.push({ start: this.breakStartTime, end: Math.max(now, this.breakStartTime) });
+        this.isOnBreak = false;
+        this.breakStartTime = null;
+
+        console.log('TimerManager: 休憩を終了しました');
+
+        if (resume) {
+            this.start();
+        }
+        return true;
+    }
+
+    /**
+     * 休憩中かどうかを取得する
+     * @returns {boolean} 休憩中かどうか
+     */
+    getIsOnBreak() {
+        return this.isOnBreak;
+    }
+
+    /**
+     * 休憩区間（壁時計）の一覧を取得する
+     * 休憩中の場合は現在時刻までの区間を含む
+     * @returns {Array<Object>} 休憩区間 [{start: number, end: number}]
+     */
+    getBreaks() {
+        const breaks = this.breaks.map(entry => ({ ...entry }));
+
+        if (this.isOnBreak && this.breakStartTime) {
+            breaks.push({ start: this.breakStartTime, end: Date.now() });
+        }
+
+        return breaks;
+    }
+
+    /**
+     * 休憩時間の合計秒数を取得する
+     * @returns {number} 休憩秒数
+     */
+    getBreakSeconds() {
+        const totalBreak = this.getBreaks().reduce((sum, entry) => sum + (entry.end - entry.start), 0);
+        return Math.floor(totalBreak / 1000);
+    }
+
+    /**
+     * 最初の開始から現在（停止中は最後の停止）までの拘束時間の秒数を取得する
+     * @returns {number} 拘束時間の秒数
+     */
+    getGrossSeconds() {
+        const intervals = this.getSegments().concat(this.getBreaks());
+        const span = intervals.length > 0
+            ? Math.max(...intervals.map(entry => entry.end)) - Math.min(...intervals.map(entry => entry.start))
+            : 0;
+
+        // 区間として記録されていない経過時間（復元前のセッションなど）も含める
+        return Math.max(Math.floor(span / 1000), this.getElapsedSeconds() + this.getBreakSeconds());
+    }
+
     /**
      * 経過秒数を取得する
      * @returns {number} 経過秒数
      */
     getElapsedSeconds() {
+        return Math.floor(this.getPreciseElapsedSeconds());
+    }
+
+    /**
+     * 秒未満を切り捨てない経過秒数を取得する（収入の補間表示用）
+     * @returns {number} 経過秒数（小数）
+     */
+    getPreciseElapsedSeconds() {
         let totalElapsed = this.pausedTime;
 
         // 現在動作中の場合は、開始時刻からの経過時間を追加
@@ -331,7 +660,22 @@ class TimerManager {
         }
 
         // ミリ秒を秒に変換
-        return Math.floor(totalElapsed / 1000);
+        return totalElapsed / 1000;
+    }
+
+    /**
+     * 稼働区間（壁時計）の一覧を取得する
+     * 動作中の場合は現在時刻までの区間を含む
+     * @returns {Array<Object>} 稼働区間 [{start: number, end: number}]
+     */
+    getSegments() {
+        const segments = this.segments.map(segment => ({ ...segment }));
+
+        if (this.isRunning && this.startTime) {
+            segments.push({ start: this.startTime, end: Date.now() });
+        }
+
+        return segments;
     }
 
     /**
@@ -344,16 +688,15 @@ class TimerManager {
 
     /**
      * 更新間隔を設定する
+     * 動作中の場合は次の更新のみを新しい間隔で再スケジュールし、累積時間や稼働区間には触れない
      * @param {number} interval - 更新間隔（ミリ秒）
      */
     setUpdateInterval(interval) {
         if (typeof interval === 'number' && interval > 0) {
             this.updateInterval = interval;
             
-            // 動作中の場合は再起動
             if (this.isRunning) {
-                this.stop();
-                this.start();
+                this.scheduleNextTick();
             }
         }
     }
@@ -388,6 +731,56 @@ class TimerManager {
         return `${breakdown.hours.toString().padStart(2, '0')}:${breakdown.minutes.toString().padStart(2, '0')}:${breakdown.seconds.toString().padStart(2, '0')}`;
     }
 
+    /**
+     * 現在のタイマー状態のスナップショットを取得する（セッション復元用）
+     * @returns {Object} {isRunning, startTime, pausedTime, segments, isOnBreak, breakStartTime, breaks}
+     */
+    getSnapshot() {
+        return {
+            isRunning: this.isRunning,
+            startTime: this.isRunning ? this.startTime : null,
+            pausedTime: this.pausedTime,
+            segments: this.segments.map(segment => ({ ...segment })),
+            isOnBreak: this.isOnBreak,
+            breakStartTime: this.isOnBreak ? this.breakStartTime : null,
+            breaks: this.breaks.map(entry => ({ ...entry }))
+        };
+    }
+
+    /**
+     * スナップショットからタイマー状態を復元する
+     * 動作中のスナップショットは保存時の開始時刻から壁時計に沿って再開する
+     * @param {Object} snapshot - getSnapshot() で取得した状態
+     * @returns {boolean} 復元に成功したかどうか
+     */
+    restoreSnapshot(snapshot) {
+        if (!snapshot || typeof snapshot.pausedTime !== 'number' || snapshot.pausedTime < 0) {
+            return false;
+        }
+
+        const filterIntervals = (intervals) => Array.isArray(intervals)
+            ? intervals.filter(entry => entry &&
+                typeof entry.start === 'number' && typeof entry.end === 'number' &&
+                entry.end >= entry.start)
+            : [];
+
+        this.reset();
+        this.pausedTime = snapshot.pausedTime;
+        this.segments = filterIntervals(snapshot.segments);
+        this.breaks = filterIntervals(snapshot.breaks);
+
+        if (snapshot.isRunning && typeof snapshot.startTime === 'number') {
+            this.start();
+            // 時計が巻き戻された場合は現在時刻から再開する
+            this.startTime = Math.min(snapshot.startTime, Date.now());
+        } else if (snapshot.isOnBreak && typeof snapshot.breakStartTime === 'number') {
+            this.isOnBreak = true;
+            this.breakStartTime = Math.min(snapshot.breakStartTime, Date.now());
+        }
+
+        return true;
+    }
+
     /**
      * 開始時刻を記録する（内部使用）
      */
@@ -407,35 +800,112 @@ class TimerManager {
 
 /**
  * CurrencyFormatter クラス
- * 通貨フォーマット機能を提供する
+ * ISO 4217 の通貨コードとロケールに従い、Intl.NumberFormat で通貨記号の位置・桁区切り・補助単位（セントなど）を決めて表示する
  */
 class CurrencyFormatter {
-    constructor(currency = '¥', locale = 'ja-JP') {
-        this.currency = currency;
+    /**
+     * CurrencyFormatter を初期化する
+     * @param {string} currency - 通貨コード（例: 'JPY', 'USD'）
+     * @param {string} locale - 桁区切りと通貨記号の位置を決めるロケール
+     */
+    constructor(currency = CurrencyFormatter.DEFAULT_CURRENCY, locale = 'ja-JP') {
+        this.currency = CurrencyFormatter.validateCurrency(currency).isValid ? currency : CurrencyFormatter.DEFAULT_CURRENCY;
         this.locale = locale;
+        this.numberFormats = {}; // 桁数と表記ごとの Intl.NumberFormat のキャッシュ
+        this.numberParser = new NumberParser(locale);
+    }
+
+    /**
+     * デフォルトの通貨コード
+     * @returns {string} 通貨コード
+     */
+    static get DEFAULT_CURRENCY() {
+        return 'JPY';
+    }
+
+    /**
+     * 選択できる通貨コード
+     * @returns {Array<string>} 通貨コードの一覧
+     */
+    static get CURRENCIES() {
+        return ['JPY', 'USD', 'EUR', 'GBP', 'AUD', 'CAD', 'CHF', 'CNY', 'HKD', 'KRW', 'SGD', 'TWD'];
+    }
+
+    /**
+     * 通貨コードを検証する
+     * @param {string} currency - 通貨コード
+     * @returns {Object} 検証結果 {isValid: boolean, error: string|null}
+     */
+    static validateCurrency(currency) {
+        if (!CurrencyFormatter.CURRENCIES.includes(currency)) {
+            return { isValid: false, error: I18n.t('currency.error.unsupported') };
+        }
+
+        return { isValid: true, error: null };
+    }
+
+    /**
+     * 小数点以下の桁数と表記に応じた Intl.NumberFormat を取得する
+     * @param {number} minimumFractionDigits - 小数点以下の最小桁数
+     * @param {number} maximumFractionDigits - 小数点以下の最大桁数
+     * @param {string} notation - 'standard' または 'compact'（「万」や K などの単位で短く表示）
+     * @returns {Intl.NumberFormat} Intl.NumberFormat インスタンス
+     */
+    getNumberFormat(minimumFractionDigits, maximumFractionDigits = minimumFractionDigits, notation = 'standard') {
+        const key = `${minimumFractionDigits}-${maximumFractionDigits}-${notation}`;
+        if (!this.numberFormats[key]) {
+            this.numberFormats[key] = new Intl.NumberFormat(this.locale, {
+                style: 'currency',
+                currency: this.currency,
+                minimumFractionDigits: minimumFractionDigits,
+                maximumFractionDigits: maximumFractionDigits,
+                notation: notation
+            });
+        }
+        return this.numberFormats[key];
+    }
+
+    /**
+     * Intl.NumberFormat で金額を文字列にする
+     * 日本語ロケールの全角の円記号（￥）などは半角に揃える
+     * @param {Intl.NumberFormat} numberFormat - Intl.NumberFormat インスタンス
+     * @param {number} amount - 金額
+     * @returns {string} フォーマットされた通貨文字列
+     */
+    formatWith(numberFormat, amount) {
+        return numberFormat.formatToParts(amount)
+            .map(part => part.type === 'currency' ? part.value.normalize('NFKC') : part.value)
+            .join('');
+    }
+
+    /**
+     * 通貨の補助単位の桁数を取得する（円は0、ドル・ユーロは2）
+     * @returns {number} 小数点以下の桁数
+     */
+    getMinorUnits() {
+        return new Intl.NumberFormat(this.locale, { style: 'currency', currency: this.currency })
+            .resolvedOptions().maximumFractionDigits;
     }
 
     /**
      * 数値を通貨フォーマットで表示する
+     * 小数点以下を表示しない場合も通貨の補助単位（セントなど）までは表示し、未確定の端数は切り捨てる
      * @param {number} amount - 金額
-     * @param {boolean} showDecimals - 小数点以下を表示するかどうか
+     * @param {boolean} showDecimals - 小数点以下を2桁以上表示するかどうか
      * @returns {string} フォーマットされた通貨文字列
      */
     format(amount, showDecimals = false) {
-        if (typeof amount !== 'number' || isNaN(amount)) {
-            return `${this.currency}0`;
+        if (!showDecimals) {
+            return this.formatPrecise(amount, this.getMinorUnits());
         }
 
-        // 小数点以下の処理
-        const roundedAmount = showDecimals ? Math.round(amount * 100) / 100 : Math.floor(amount);
-        
-        // 桁区切りフォーマット
-        const formattedNumber = roundedAmount.toLocaleString(this.locale, {
-            minimumFractionDigits: showDecimals ? 2 : 0,
-            maximumFractionDigits: showDecimals ? 2 : 0
-        });
+        if (typeof amount !== 'number' || isNaN(amount)) {
+            return this.formatWith(this.getNumberFormat(0), 0);
+        }
 
-        return `${this.currency}${formattedNumber}`;
+        const decimals = Math.max(2, this.getMinorUnits());
+        const factor = Math.pow(10, decimals);
+        return this.formatWith(this.getNumberFormat(decimals), Math.round(amount * factor) / factor);
     }
 
     /**
@@ -448,7 +918,25 @@ class CurrencyFormatter {
     }
 
     /**
-     * 簡潔な通貨フォーマット（整数のみ表示）
+     * 小数点以下の桁数を指定した通貨フォーマット（未確定の収入を表示しないよう切り捨てる）
+     * @param {number} amount - 金額
+     * @param {number} decimals - 小数点以下の桁数
+     * @returns {string} フォーマットされた通貨文字列
+     */
+    formatPrecise(amount, decimals = 2) {
+        if (typeof amount !== 'number' || isNaN(amount)) {
+            return this.formatWith(this.getNumberFormat(0), 0);
+        }
+
+        // 浮動小数点の誤差で1桁下がらないよう微小値を加えて切り捨てる
+        const factor = Math.pow(10, decimals);
+        const truncatedAmount = Math.floor(amount * factor + 1e-6) / factor;
+
+        return this.formatWith(this.getNumberFormat(decimals), truncatedAmount);
+    }
+
+    /**
+     * 簡潔な通貨フォーマット（通貨の補助単位まで表示、円は整数）
      * @param {number} amount - 金額
      * @returns {string} フォーマットされた通貨文字列
      */
@@ -457,19 +945,64 @@ class CurrencyFormatter {
     }
 
     /**
-     * 通貨記号を取得する
-     * @returns {string} 通貨記号
+     * 入力された金額を丸めずに表示する（検証のエラーや設定の概要の表示用）
+     * 円は「1,200円」のようにカタログの表記、それ以外は通貨記号を付けて補助単位まで表示する
+     * @param {number} amount - 金額
+     * @returns {string} フォーマットされた通貨文字列
+     */
+    formatAmount(amount) {
+        const value = typeof amount === 'number' && !isNaN(amount) ? amount : 0;
+
+        if (this.currency === 'JPY') {
+            return I18n.t('currency.yenAmount', { amount: value.toLocaleString(this.locale, { maximumFractionDigits: 2 }) });
+        }
+
+        const decimals = Number.isInteger(value) ? 0 : Math.max(2, this.getMinorUnits());
+        return this.formatWith(this.getNumberFormat(decimals), value);
+    }
+
+    /**
+     * 通貨コードを取得する
+     * @returns {string} 通貨コード
      */
     getCurrency() {
         return this.currency;
     }
 
     /**
-     * 通貨記号を設定する
-     * @param {string} currency - 通貨記号
+     * 通貨コードを設定する
+     * @param {string} currency - 通貨コード
+     * @returns {boolean} 設定に成功したかどうか
      */
     setCurrency(currency) {
+        if (!CurrencyFormatter.validateCurrency(currency).isValid) {
+            return false;
+        }
+
         this.currency = currency;
+        this.numberFormats = {};
+        return true;
+    }
+
+    /**
+     * ロケールでの通貨記号を取得する（例: ja-JP の JPY は '¥'、USD は '$'）
+     * @returns {string} 通貨記号
+     */
+    getSymbol() {
+        const part = this.getNumberFormat(0).formatToParts(0).find(item => item.type === 'currency');
+        return part ? part.value.normalize('NFKC') : this.currency;
+    }
+
+    /**
+     * 通貨の表示名を取得する（Intl.DisplayNames に対応していない場合は通貨コード）
+     * @param {string} currency - 通貨コード
+     * @returns {string} 表示名（例: '米ドル'）
+     */
+    getCurrencyName(currency = this.currency) {
+        if (typeof Intl.DisplayNames !== 'function') {
+            return currency;
+        }
+        return new Intl.DisplayNames([this.locale], { type: 'currency' }).of(currency);
     }
 
     /**
@@ -486,10 +1019,12 @@ class CurrencyFormatter {
      */
     setLocale(locale) {
         this.locale = locale;
+        this.numberFormats = {};
+        this.numberParser = new NumberParser(locale);
     }
 
     /**
-     * 数値から通貨記号を除去してパースする
+     * 数値から通貨記号・通貨コードを除去してパースする（桁区切りと小数点はロケールに従う）
      * @param {string} currencyString - 通貨文字列
      * @returns {number|null} パースされた数値、失敗時はnull
      */
@@ -498,33 +1033,32 @@ class CurrencyFormatter {
             return null;
         }
 
-        // 通貨記号とカンマを除去
+        // 通貨記号と通貨コードを除去（1文字の記号は NumberParser でも除去される）
         const cleanString = currencyString
-            .replace(this.currency, '')
-            .replace(/,/g, '')
+            .normalize('NFKC')
+            .split(this.getSymbol()).join('')
+            .replace(new RegExp(this.currency, 'gi'), '')
             .trim();
 
-        const parsed = parseFloat(cleanString);
-        return isNaN(parsed) ? null : parsed;
+        const result = this.numberParser.parse(cleanString);
+        return result.isValid ? result.value : null;
     }
 
     /**
      * 金額の大きさに応じて適切な単位を付けてフォーマットする
+     * 1万以上はロケールの短い表記（ja-JP は「万」「億」、en-US は K・M）にする
      * @param {number} amount - 金額
      * @returns {string} 単位付きフォーマット文字列
      */
     formatWithUnit(amount) {
         if (typeof amount !== 'number' || isNaN(amount)) {
-            return `${this.currency}0`;
+            return this.formatWith(this.getNumberFormat(0), 0);
         }
 
-        if (amount >= 100000000) { // 1億以上
-            return `${this.currency}${(amount / 100000000).toFixed(1)}億`;
-        } else if (amount >= 10000) { // 1万以上
-            return `${this.currency}${(amount / 10000).toFixed(1)}万`;
-        } else {
+        if (Math.abs(amount) < 10000) {
             return this.format(amount, false);
         }
+        return this.formatWith(this.getNumberFormat(0, 1, 'compact'), amount);
     }
 }
 
@@ -533,9 +1067,25 @@ class CurrencyFormatter {
  * 入力値の検証とエラーメッセージ管理を行う
  */
 class InputValidator {
-    constructor() {
+    /**
+     * InputValidator を初期化する
+     * @param {CurrencyFormatter} currencyFormatter - エラーの金額の表示に使用する通貨フォーマッター（表示中の通貨に合わせる）
+     */
+    constructor(currencyFormatter = new CurrencyFormatter()) {
         this.MIN_WAGE = 0;
         this.MAX_WAGE = 1000000;
+        this.MAX_SESSION_HOURS = 24;
+        this.numberParser = new NumberParser();
+        this.currencyFormatter = currencyFormatter;
+    }
+
+    /**
+     * 数値の入力を変換する（全角数字・桁区切り・「円」・「万」「千」を含む入力に対応）
+     * @param {string|number} input - 入力値
+     * @returns {Object} 変換結果 {isValid: boolean, errorCode: string|null, error: string|null, value: number|null}
+     */
+    parseNumber(input) {
+        return this.numberParser.parse(input);
     }
 
     /**
@@ -548,28 +1098,29 @@ class InputValidator {
         if (input === '' || input == null) {
             return {
                 isValid: false,
-                error: '時給を入力してください',
+                error: I18n.t('validation.wageRequired'),
                 value: null
             };
         }
 
         // 数値変換
-        const numValue = parseFloat(input);
+        const parseResult = this.parseNumber(input);
 
         // 数値チェック
-        if (isNaN(numValue)) {
+        if (!parseResult.isValid) {
             return {
                 isValid: false,
-                error: '有効な数値を入力してください',
+                error: parseResult.error,
                 value: null
             };
         }
+        const numValue = parseResult.value;
 
         // 負の値チェック
         if (numValue < this.MIN_WAGE) {
             return {
                 isValid: false,
-                error: '時給は0円以上で入力してください',
+                error: I18n.t('validation.wageMin', { min: this.currencyFormatter.formatAmount(this.MIN_WAGE) }),
                 value: null
             };
         }
@@ -578,7 +1129,7 @@ class InputValidator {
         if (numValue > this.MAX_WAGE) {
             return {
                 isValid: false,
-                error: `時給は${this.MAX_WAGE.toLocaleString()}円以下で入力してください`,
+                error: I18n.t('validation.wageMax', { max: this.currencyFormatter.formatAmount(this.MAX_WAGE) }),
                 value: null
             };
         }
@@ -588,7 +1139,7 @@ class InputValidator {
         if (decimalPlaces > 2) {
             return {
                 isValid: false,
-                error: '時給は小数点以下2桁まで入力してください',
+                error: I18n.t('validation.wageDecimals'),
                 value: null
             };
         }
@@ -601,9 +1152,190 @@ class InputValidator {
     }
 
     /**
-     * エラーメッセージを表示する
-     * @param {HTMLElement} errorElement - エラー表示要素
-     * @param {string} message - エラーメッセージ
+     * 給与の入力方式と各方式の入力項目
+     * 単位は 'amount'（金額）・'hours'（時間）・'days'（日数）のいずれか
+     * @returns {Object} 入力方式ごとの {label, fields: [{key, label, unit, max, integer}]}
+     */
+    static get WAGE_INPUT_MODES() {
+        return {
+            hourly: {
+                label: I18n.t('wage.mode.hourly'),
+                fields: [{ key: 'hourlyWage', label: I18n.t('common.hourlyWage'), unit: 'amount', max: 1000000 }]
+            },
+            monthly: {
+                label: I18n.t('wage.mode.monthly'),
+                fields: [
+                    { key: 'monthlySalary', label: I18n.t('wage.field.monthlySalary'), unit: 'amount', max: 100000000 },
+                    { key: 'monthlyHours', label: I18n.t('wage.field.monthlyHours'), unit: 'hours', max: 744 }
+                ]
+            },
+            annual: {
+                label: I18n.t('wage.mode.annual'),
+                fields: [
+                    { key: 'annualSalary', label: I18n.t('wage.field.annualSalary'), unit: 'amount', max: 1000000000 },
+                    { key: 'workingDays', label: I18n.t('wage.field.workingDays'), unit: 'days', max: 366, integer: true },
+                    { key: 'dailyHours', label: I18n.t('wage.field.dailyHours'), unit: 'hours', max: 24 }
+                ]
+            },
+            daily: {
+                label: I18n.t('wage.mode.daily'),
+                fields: [
+                    { key: 'dailyRate', label: I18n.t('wage.field.dailyRate'), unit: 'amount', max: 10000000 },
+                    { key: 'dailyHours', label: I18n.t('wage.field.dailyHours'), unit: 'hours', max: 24 }
+                ]
+            }
+        };
+    }
+
+    /**
+     * 給与の入力を検証し、時給に換算する
+     * 月給は月の所定労働時間、年俸は年間労働日数と1日の所定労働時間、日給は1日の所定労働時間で割る
+     * @param {Object} wageInput - 給与の入力 {mode: string, values: Object}
+     * @returns {Object} 検証結果 {isValid: boolean, error: string|null, value: number|null, wageInput: Object|null}
+     */
+    validateWageInput(wageInput) {
+        const modes = InputValidator.WAGE_INPUT_MODES;
+        const invalid = (error) => ({ isValid: false, error: error, value: null, wageInput: null });
+
+        if (!wageInput || !modes[wageInput.mode] || !wageInput.values || typeof wageInput.values !== 'object') {
+            return invalid(I18n.t('validation.invalidWageMode'));
+        }
+
+        // 時給入力は従来どおりの検証を行う
+        if (wageInput.mode === 'hourly') {
+            const result = this.validateWage(wageInput.values.hourlyWage);
+            return result.isValid
+                ? { ...result, wageInput: { mode: 'hourly', values: { hourlyWage: result.value } } }
+                : { ...result, wageInput: null };
+        }
+
+        const values = {};
+        for (const field of modes[wageInput.mode].fields) {
+            const input = wageInput.values[field.key];
+            if (input === '' || input == null) {
+                return invalid(I18n.t('validation.fieldRequired', { field: field.label }));
+            }
+
+            const parseResult = this.parseNumber(input);
+            if (!parseResult.isValid) {
+                // 数値を含まない入力は項目名を示し、それ以外は判断できない理由を示す
+                return invalid(parseResult.errorCode === 'invalid'
+                    ? I18n.t('validation.fieldInvalidNumber', { field: field.label })
+                    : `${field.label}: ${parseResult.error}`);
+            }
+            const numValue = parseResult.value;
+
+            // 金額は0以上、時間・日数は0より大きい値とする
+            const isAmount = field.unit === 'amount';
+            if (numValue < 0 || (!isAmount && numValue === 0) || numValue > field.max) {
+                return invalid(isAmount
+                    ? I18n.t('validation.amountRange', {
+                        field: field.label,
+                        min: this.currencyFormatter.formatAmount(0),
+                        max: this.currencyFormatter.formatAmount(field.max)
+                    })
+                    : I18n.t('validation.quantityRange', {
+                        field: field.label,
+                        max: field.max.toLocaleString(I18n.getLocale()),
+                        unit: I18n.t(`unit.${field.unit}`)
+                    }));
+            }
+
+            if (field.integer && !Number.isInteger(numValue)) {
+                return invalid(I18n.t('validation.integer', { field: field.label }));
+            }
+
+            values[field.key] = numValue;
+        }
+
+        let hours = 0;
+        let amount = 0;
+        if (wageInput.mode === 'monthly') {
+            amount = values.monthlySalary;
+            hours = values.monthlyHours;
+        } else if (wageInput.mode === 'annual') {
+            amount = values.annualSalary;
+            hours = values.workingDays * values.dailyHours;
+        } else {
+            amount = values.dailyRate;
+            hours = values.dailyHours;
+        }
+
+        // 時給は小数点以下2桁に丸めてから検証する
+        const result = this.validateWage(Math.round(amount / hours * 100) / 100);
+        if (!result.isValid) {
+            return invalid(I18n.t('validation.convertedWage', { error: result.error }));
+        }
+
+        return {
+            isValid: true,
+            error: null,
+            value: result.value,
+            wageInput: { mode: wageInput.mode, values: values }
+        };
+    }
+
+    /**
+     * 手入力・編集するセッションの時刻を検証する
+     * 終了は開始より後、休憩は勤務時間内で互いに重ならず、他のセッションと重複しないこと
+     * @param {Object} session - セッション {startedAt, endedAt, breaks: [{start, end}]}（ミリ秒）
+     * @param {Array<Object>} otherSessions - 重複を確認する他のセッション [{startedAt, endedAt}]（ミリ秒）
+     * @returns {Object} 検証結果 {isValid: boolean, error: string|null, value: Object|null}
+     */
+    validateSessionTimes(session, otherSessions = []) {
+        const invalid = (error) => ({ isValid: false, error: error, value: null });
+        const isTime = (value) => typeof value === 'number' && isFinite(value);
+
+        if (!session || !isTime(session.startedAt) || !isTime(session.endedAt)) {
+            return invalid(I18n.t('validation.sessionTimesRequired'));
+        }
+
+        if (session.endedAt <= session.startedAt) {
+            return invalid(I18n.t('validation.sessionEndBeforeStart'));
+        }
+
+        if (session.endedAt - session.startedAt > this.MAX_SESSION_HOURS * 3600000) {
+            return invalid(I18n.t('validation.sessionTooLong', { hours: this.MAX_SESSION_HOURS }));
+        }
+
+        if (session.endedAt > Date.now()) {
+            return invalid(I18n.t('validation.sessionInFuture'));
+        }
+
+        const breaks = (session.breaks || []).slice().sort((a, b) => a.start - b.start);
+        const hasInvalidBreak = breaks.some(entry => !entry || !isTime(entry.start) || !isTime(entry.end) ||
+            entry.end <= entry.start || entry.start < session.startedAt || entry.end > session.endedAt);
+        if (hasInvalidBreak) {
+            return invalid(I18n.t('validation.breakOutOfRange'));
+        }
+
+        if (breaks.some((entry, index) => index > 0 && entry.start < breaks[index - 1].end)) {
+            return invalid(I18n.t('validation.breakOverlap'));
+        }
+
+        const overlapping = otherSessions.find(other =>
+            session.startedAt < other.endedAt && other.startedAt < session.endedAt);
+        if (overlapping) {
+            const start = new Date(overlapping.startedAt);
+            const time = `${start.getHours().toString().padStart(2, '0')}:${start.getMinutes().toString().padStart(2, '0')}`;
+            return invalid(I18n.t('validation.sessionOverlap', { month: start.getMonth() + 1, day: start.getDate(), time: time }));
+        }
+
+        return {
+            isValid: true,
+            error: null,
+            value: {
+                startedAt: session.startedAt,
+                endedAt: session.endedAt,
+                breaks: breaks.map(entry => ({ start: entry.start, end: entry.end }))
+            }
+        };
+    }
+
+    /**
+     * エラーメッセージを表示する
+     * @param {HTMLElement} errorElement - エラー表示要素
+     * @param {string} message - エラーメッセージ
      */
     showError(errorElement, message) {
         if (errorElement) {
@@ -633,11 +1365,42 @@ class InputValidator {
 class WageCounterApp {
     constructor() {
         this.wageCounter = new WageCounter();
-        this.validator = new InputValidator();
         this.currencyFormatter = new CurrencyFormatter();
+        this.validator = new InputValidator(this.currencyFormatter);
         this.storageManager = new StorageManager();
+        this.premiumCalculator = new PremiumCalculator();
+        this.breakDeductionPolicy = new BreakDeductionPolicy();
+        this.breakDeduction = { deductedSeconds: 0, paidSeconds: 0 }; // 自動控除された休憩時間と控除後の勤務時間
+        this.timeRoundingPolicy = new TimeRoundingPolicy();
+        this.timeRounding = { rawSeconds: 0, paidSeconds: 0, underpaidSeconds: 0 }; // 実際の勤務時間と端数処理後の支払対象の時間
+        this.sessionLimitPolicy = new SessionLimitPolicy();
+        this.limitStop = null; // 上限で自動停止したセッションの停止時刻と理由 {at, reason}（記録の確認前のみ）
+        this.isSessionLimitIgnored = false; // 上限で停止した後に再開したセッションは再び停止しない
+        this.suspendGaps = []; // スリープなどで稼働区間から除いた区間 [{start, end}]（勤務時間に含めるかの確認前のみ）
+        this.rateSegments = []; // セッション中に時給を変更した場合の時給の推移 [{start, hourlyWage}]（変更していない場合は空）
+        this.profileManager = new ProfileManager(this.storageManager, this.validator);
+        this.sessionHistory = new SessionHistory(this.storageManager);
+        this.backupManager = new BackupManager(this.storageManager, this.validator);
+        this.netPayEstimator = new NetPayEstimator();
+        this.netPay = null; // 手取りの概算（手取り表示が無効の場合はnull）
+        this.goalTracker = new GoalTracker();
+        this.goalProgress = null; // 目標に対する進捗
+        this.shiftSchedule = new ShiftSchedule();
+        this.shiftSession = null; // シフトの予定から開始したセッションの予定 {shiftId, start, end}（それ以外はnull）
+        this.earningsSample = null; // 補間表示用の直近の収入 {time, preciseSeconds, elapsedSeconds, paidSeconds, earnings, rate}
+        this.wageInput = { mode: 'hourly', values: { hourlyWage: 0 } }; // 給与の入力方式と入力値
         this.timerManager = null;
         this.isInitialized = false;
+        this.restoredSession = null;   // 起動時に復元したセッション情報
+    }
+
+    /**
+     * セッションのチェックポイントの形式のバージョン
+     * 形式を変更した場合は値を上げ、異なるバージョンのチェックポイントは復元せずに破棄する
+     * @returns {number} バージョン
+     */
+    static get CHECKPOINT_VERSION() {
+        return 1;
     }
 
     /**
@@ -648,15 +1411,24 @@ class WageCounterApp {
             return;
         }
 
-        // TimerManagerを初期化（コールバックで収入を自動更新）
+        // TimerManagerを初期化（コールバックで収入を自動更新し、スリープや時計の変更を記録する）
         this.timerManager = new TimerManager(() => {
             this.updateEarnings();
+        }, (change) => {
+            this.handleClockChange(change);
         });
 
         // 保存された設定を読み込む
         this.loadSavedSettings();
 
         this.isInitialized = true;
+
+        // 中断されたセッションがあれば復元する
+        this.restoreSession();
+
+        // 目標の進捗を計算する
+        this.updateEarnings();
+
         console.log('WageCounterApp が初期化されました');
     }
     
@@ -676,6 +1448,9 @@ class WageCounterApp {
             console.log('WageCounterApp: テスト用に設定を強制保存しました');
         }
         
+        // 検証エラーなどの文言に使用するため、表示する言語を最初に読み込む
+        this.loadLanguageSettings();
+
         // LocalStorage から時給設定を読み込む
         const result = this.storageManager.loadSettings('hourlyWage', 0);
         
@@ -702,8 +1477,227 @@ class WageCounterApp {
         
         // その他の設定も読み込む
         this.loadVisualSettings();
+        this.loadCurrencySettings();
+        this.loadPremiumSettings();
+        this.loadBreakDeductionSettings();
+        this.loadTimeRoundingSettings();
+        this.loadSessionLimitSettings();
+        this.loadNetPaySettings();
+        this.loadGoalSettings();
+        this.loadWageInput();
+        this.loadProfiles();
+        this.loadShiftSchedule();
+        this.loadSessionHistory();
+    }
+
+    /**
+     * 勤務履歴を読み込む
+     */
+    loadSessionHistory() {
+        const count = this.sessionHistory.load();
+        console.log(`WageCounterApp: 勤務履歴を読み込みました: ${count}件`);
+    }
+
+    /**
+     * ジョブプロファイルを読み込む
+     * 時給と割増設定の保存値はアクティブなジョブの設定として扱い、ジョブに反映する
+     */
+    loadProfiles() {
+        const profile = this.profileManager.load(this.getProfileSettings());
+        this.syncActiveProfile();
+        console.log('WageCounterApp: ジョブを読み込みました:', profile.name);
+    }
+
+    /**
+     * 割増ルール・深夜割増・休日割増の設定と会社休日を読み込む
+     */
+    loadPremiumSettings() {
+        const rulesResult = this.storageManager.loadSettings('overtimeRules', null);
+
+        if (Array.isArray(rulesResult.value)) {
+            if (!this.premiumCalculator.setOvertimeRules(rulesResult.value)) {
+                console.warn('WageCounterApp: 保存された割増ルールに無効なものが含まれていたため除外しました');
+            }
+            console.log('WageCounterApp: 割増ルールを読み込みました:', this.premiumCalculator.getOvertimeRules());
+        }
+
+        const nightResult = this.storageManager.loadSettings('nightPremium', null);
+
+        if (nightResult.value) {
+            if (this.premiumCalculator.setNightPremium(nightResult.value)) {
+                console.log('WageCounterApp: 深夜割増設定を読み込みました:', this.premiumCalculator.getNightPremium());
+            } else {
+                console.warn('WageCounterApp: 保存された深夜割増設定が無効なためデフォルトを使用します');
+            }
+        }
+
+        const holidayResult = this.storageManager.loadSettings('holidayPremium', null);
+
+        if (holidayResult.value) {
+            if (this.premiumCalculator.setHolidayPremium(holidayResult.value)) {
+                console.log('WageCounterApp: 休日割増設定を読み込みました:', this.premiumCalculator.getHolidayPremium());
+            } else {
+                console.warn('WageCounterApp: 保存された休日割増設定が無効なためデフォルトを使用します');
+            }
+        }
+
+        const companyHolidaysResult = this.storageManager.loadSettings('companyHolidays', null);
+
+        if (Array.isArray(companyHolidaysResult.value)) {
+            const calendar = this.premiumCalculator.getHolidayCalendar();
+            if (!calendar.setCompanyHolidays(companyHolidaysResult.value)) {
+                console.warn('WageCounterApp: 保存された会社休日に無効なものが含まれていたため除外しました');
+            }
+            console.log('WageCounterApp: 会社休日を読み込みました:', calendar.getCompanyHolidays());
+        }
     }
     
+    /**
+     * 休憩の自動控除設定を読み込む
+     */
+    loadBreakDeductionSettings() {
+        const result = this.storageManager.loadSettings('breakDeduction', null);
+
+        if (result.value) {
+            if (this.breakDeductionPolicy.setSettings(result.value)) {
+                console.log('WageCounterApp: 休憩控除設定を読み込みました:', this.breakDeductionPolicy.getSettings());
+            } else {
+                console.warn('WageCounterApp: 保存された休憩控除設定が無効なためデフォルトを使用します');
+            }
+        }
+    }
+
+    /**
+     * 勤務時間の端数処理の設定を読み込む
+     */
+    loadTimeRoundingSettings() {
+        const result = this.storageManager.loadSettings('timeRounding', null);
+
+        if (result.value) {
+            if (this.timeRoundingPolicy.setSettings(result.value)) {
+                console.log('WageCounterApp: 端数処理の設定を読み込みました:', this.timeRoundingPolicy.getSettings());
+            } else {
+                console.warn('WageCounterApp: 保存された端数処理の設定が無効なためデフォルトを使用します');
+            }
+        }
+    }
+
+    /**
+     * セッションの上限の設定を読み込む
+     */
+    loadSessionLimitSettings() {
+        const result = this.storageManager.loadSettings('sessionLimit', null);
+
+        if (result.value) {
+            if (this.sessionLimitPolicy.setSettings(result.value)) {
+                console.log('WageCounterApp: セッションの上限の設定を読み込みました:', this.sessionLimitPolicy.getSettings());
+            } else {
+                console.warn('WageCounterApp: 保存されたセッションの上限の設定が無効なためデフォルトを使用します');
+            }
+        }
+    }
+
+    /**
+     * 給与の入力方式と入力値を読み込む
+     */
+    loadWageInput() {
+        const result = this.storageManager.loadSettings('wageInput', null);
+        this.wageInput = this.resolveWageInput(result.value, this.wageCounter.getHourlyWage());
+        console.log('WageCounterApp: 給与の入力方式を読み込みました:', this.wageInput.mode);
+    }
+
+    /**
+     * 時給と一致する給与の入力を取得する
+     * 入力が無効な場合や換算した時給が一致しない場合は時給入力として扱う
+     * @param {Object} wageInput - 給与の入力 {mode, values}
+     * @param {number} hourlyWage - 時給
+     * @returns {Object} 給与の入力 {mode, values}
+     */
+    resolveWageInput(wageInput, hourlyWage) {
+        const result = this.validator.validateWageInput(wageInput);
+        if (result.isValid && result.value === hourlyWage) {
+            return result.wageInput;
+        }
+        return { mode: 'hourly', values: { hourlyWage: hourlyWage } };
+    }
+
+    /**
+     * 手取り計算の設定を読み込む
+     */
+    loadNetPaySettings() {
+        const result = this.storageManager.loadSettings('netPay', null);
+
+        if (result.value) {
+            if (this.netPayEstimator.setSettings(result.value)) {
+                console.log('WageCounterApp: 手取り計算の設定を読み込みました:', this.netPayEstimator.getSettings());
+            } else {
+                console.warn('WageCounterApp: 保存された手取り計算の設定が無効なためデフォルトを使用します');
+            }
+        }
+    }
+
+    /**
+     * 目標の設定を読み込む
+     */
+    loadGoalSettings() {
+        const result = this.storageManager.loadSettings('goal', null);
+
+        if (result.value) {
+            if (this.goalTracker.setGoal(result.value)) {
+                console.log('WageCounterApp: 目標を読み込みました:', this.goalTracker.getGoal());
+            } else {
+                console.warn('WageCounterApp: 保存された目標が無効なためデフォルトを使用します');
+            }
+        }
+    }
+
+    /**
+     * シフトの設定を読み込む
+     */
+    loadShiftSchedule() {
+        const result = this.storageManager.loadSettings('shiftSchedule', null);
+
+        if (result.value) {
+            if (this.shiftSchedule.setSettings(result.value)) {
+                console.log('WageCounterApp: シフトを読み込みました:', this.shiftSchedule.getSettings());
+            } else {
+                console.warn('WageCounterApp: 保存されたシフトが無効なためデフォルトを使用します');
+            }
+        }
+    }
+
+    /**
+     * 表示に使用する通貨を読み込む
+     */
+    loadCurrencySettings() {
+        const result = this.storageManager.loadSettings('currency', null);
+
+        if (result.value) {
+            if (this.currencyFormatter.setCurrency(result.value)) {
+                console.log('WageCounterApp: 通貨を読み込みました:', result.value);
+            } else {
+                console.warn('WageCounterApp: 保存された通貨が無効なためデフォルトを使用します');
+            }
+        }
+    }
+
+    /**
+     * 表示する言語の設定を読み込み、金額の表示を言語のロケールに合わせる
+     */
+    loadLanguageSettings() {
+        const result = this.storageManager.loadSettings('language', null);
+
+        if (result.value) {
+            if (I18n.setLanguage(result.value)) {
+                console.log('WageCounterApp: 言語を読み込みました:', result.value);
+            } else {
+                console.warn('WageCounterApp: 保存された言語が無効なためデフォルトを使用します');
+            }
+        }
+
+        this.currencyFormatter.setLocale(I18n.getLocale());
+    }
+
     /**
      * 視覚化設定を読み込む
      * @returns {string} 視覚化モード ('bar' または 'circle')
@@ -735,7 +1729,7 @@ class WageCounterApp {
             return {
                 success: false,
                 error: 'storage_manager_not_initialized',
-                message: 'StorageManagerが初期化されていません'
+                message: I18n.t('app.error.storageNotInitialized')
             };
         }
         
@@ -749,9 +1743,19 @@ class WageCounterApp {
             };
         }
         
-        // 時給を設定
+        // 時給を設定（進行中のセッションでは変更した時刻から適用する）
+        this.addRateSegment(validationResult.value);
         this.setHourlyWage(validationResult.value);
         
+        // 換算元の入力と一致しない時給が設定された場合は時給入力として扱う
+        this.wageInput = this.resolveWageInput(this.wageInput, validationResult.value);
+        this.storageManager.saveSettings('wageInput', this.wageInput);
+        
+        // 進行中のセッションがあればチェックポイントの時給も更新
+        if (this.hasActiveSession()) {
+            this.saveSessionCheckpoint();
+        }
+        
         // LocalStorage に保存
         const result = this.storageManager.saveSettings('hourlyWage', validationResult.value);
         
@@ -760,10 +1764,39 @@ class WageCounterApp {
         } else {
             console.warn('WageCounterApp: 時給設定の保存に失敗しました:', result.error);
         }
+
+        this.syncActiveProfile();
         
         return result;
     }
     
+    /**
+     * 給与の入力方式と入力値を保存し、換算した時給を設定する
+     * @param {Object} wageInput - 給与の入力 {mode: 'hourly'|'monthly'|'annual'|'daily', values: Object}
+     * @returns {Object} 結果 {success: boolean, error: string|null, message: string}
+     */
+    saveWageInput(wageInput) {
+        const validationResult = this.validator.validateWageInput(wageInput);
+        if (!validationResult.isValid) {
+            return {
+                success: false,
+                error: 'invalid_wage_input',
+                message: validationResult.error
+            };
+        }
+
+        this.wageInput = validationResult.wageInput;
+        return this.saveHourlyWage(validationResult.value);
+    }
+
+    /**
+     * 給与の入力方式と入力値を取得する
+     * @returns {Object} 給与の入力 {mode, values}（コピー）
+     */
+    getWageInput() {
+        return { mode: this.wageInput.mode, values: { ...this.wageInput.values } };
+    }
+    
     /**
      * 視覚化モードを保存する
      * @param {string} mode - 視覚化モード ('bar' または 'circle')
@@ -774,7 +1807,7 @@ class WageCounterApp {
             return {
                 success: false,
                 error: 'storage_manager_not_initialized',
-                message: 'StorageManagerが初期化されていません'
+                message: I18n.t('app.error.storageNotInitialized')
             };
         }
         
@@ -783,7 +1816,7 @@ class WageCounterApp {
             return {
                 success: false,
                 error: 'invalid_mode',
-                message: '無効な視覚化モードです'
+                message: I18n.t('app.error.invalidVisualizationMode')
             };
         }
         
@@ -800,69 +1833,1592 @@ class WageCounterApp {
     }
 
     /**
-     * 時給を設定する
-     * @param {number} wage - 時給（円）
+     * 割増ルールを保存する
+     * @param {Array<Object>} rules - 割増ルールの配列
+     * @returns {Object} 保存結果
      */
-    setHourlyWage(wage) {
-        this.wageCounter.setHourlyWage(wage);
-    }
+    saveOvertimeRules(rules) {
+        if (!Array.isArray(rules)) {
+            return {
+                success: false,
+                error: 'invalid_rules',
+                message: I18n.t('app.error.invalidPremiumRules')
+            };
+        }
 
-    /**
-     * カウンターを開始する
-     * @returns {boolean} 開始に成功したかどうか
-     */
-    start() {
-        if (!this.isInitialized) {
-            this.initialize();
-            // 初期化されていなかった場合は、初期化後に再度チェック
-            if (!this.timerManager) {
-                console.warn('WageCounterApp: TimerManagerが初期化されていないため、開始できません');
-                return false;
+        // すべてのルールを検証してから保存する
+        for (const rule of rules) {
+            const validationResult = PremiumCalculator.validateRule(rule);
+            if (!validationResult.isValid) {
+                return {
+                    success: false,
+                    error: 'invalid_rules',
+                    message: validationResult.error
+                };
             }
         }
 
-        // 時給が設定されているか確認
-        if (this.wageCounter.getHourlyWage() <= 0) {
-            console.warn('WageCounterApp: 時給が設定されていないため、開始できません');
-            return false;
+        this.premiumCalculator.setOvertimeRules(rules);
+        this.updateEarnings();
+
+        const result = this.storageManager.saveSettings('overtimeRules', this.premiumCalculator.getOvertimeRules());
+
+        if (result.success) {
+            console.log('WageCounterApp: 割増ルールを保存しました:', rules);
+        } else {
+            console.warn('WageCounterApp: 割増ルールの保存に失敗しました:', result.error);
         }
 
-        // 両方のコンポーネントを同期して開始
-        this.wageCounter.start();
-        this.timerManager.start();
-        
-        console.log('WageCounterApp: カウンターを開始しました');
-        return true;
+        this.syncActiveProfile();
+
+        return result;
     }
 
     /**
-     * カウンターを停止する
+     * 深夜割増設定を保存する
+     * @param {Object} settings - 深夜割増の設定 {enabled, start, end, premiumRate}
+     * @returns {Object} 結果 {success: boolean, error: string|null, message: string}
      */
-    stop() {
-        if (!this.isInitialized) {
-            return;
+    saveNightPremiumSettings(settings) {
+        const validationResult = PremiumCalculator.validateNightPremium(settings);
+        if (!validationResult.isValid) {
+            return {
+                success: false,
+                error: 'invalid_night_premium',
+                message: validationResult.error
+            };
         }
 
-        // 両方のコンポーネントを同期して停止
-        this.timerManager.stop();
-        this.wageCounter.stop();
-        
-        console.log('WageCounterApp: カウンターを停止しました');
+        this.premiumCalculator.setNightPremium(settings);
+        this.updateEarnings();
+
+        const result = this.storageManager.saveSettings('nightPremium', this.premiumCalculator.getNightPremium());
+
+        if (result.success) {
+            console.log('WageCounterApp: 深夜割増設定を保存しました:', settings);
+        } else {
+            console.warn('WageCounterApp: 深夜割増設定の保存に失敗しました:', result.error);
+        }
+
+        this.syncActiveProfile();
+
+        return result;
     }
 
     /**
-     * カウンターをリセットする
+     * 休日割増設定を保存する
+     * @param {Object} settings - 休日割増の設定 {enabled, nationalHolidayRate, sundayRate, companyHolidayRate}
+     * @returns {Object} 結果 {success: boolean, error: string|null, message: string}
      */
-    reset() {
-        if (!this.isInitialized) {
-            return;
-        }
-
+    saveHolidayPremiumSettings(settings) {
+        const validationResult = PremiumCalculator.validateHolidayPremium(settings);
+        if (!validationResult.isValid) {
+            return {
+                success: false,
+                error: 'invalid_holiday_premium',
+                message: validationResult.error
+            };
+        }
+
+        this.premiumCalculator.setHolidayPremium(settings);
+        this.updateEarnings();
+
+        const result = this.storageManager.saveSettings('holidayPremium', this.premiumCalculator.getHolidayPremium());
+
+        if (result.success) {
+            console.log('WageCounterApp: 休日割増設定を保存しました:', settings);
+        } else {
+            console.warn('WageCounterApp: 休日割増設定の保存に失敗しました:', result.error);
+        }
+
+        this.syncActiveProfile();
+
+        return result;
+    }
+
+    /**
+     * 会社休日を保存する
+     * @param {Array<Object>} holidays - 会社休日の配列 [{date: 'YYYY-MM-DD', name}]
+     * @returns {Object} 結果 {success: boolean, error: string|null, message: string}
+     */
+    saveCompanyHolidays(holidays) {
+        if (!Array.isArray(holidays)) {
+            return {
+                success: false,
+                error: 'invalid_company_holidays',
+                message: I18n.t('app.error.invalidCompanyHolidays')
+            };
+        }
+
+        // すべての会社休日を検証してから保存する
+        for (const holiday of holidays) {
+            const validationResult = HolidayCalendar.validateCompanyHoliday(holiday);
+            if (!validationResult.isValid) {
+                return {
+                    success: false,
+                    error: 'invalid_company_holidays',
+                    message: validationResult.error
+                };
+            }
+        }
+
+        const calendar = this.premiumCalculator.getHolidayCalendar();
+        calendar.setCompanyHolidays(holidays);
+        this.updateEarnings();
+
+        const result = this.storageManager.saveSettings('companyHolidays', calendar.getCompanyHolidays());
+
+        if (result.success) {
+            console.log('WageCounterApp: 会社休日を保存しました:', calendar.getCompanyHolidays());
+        } else {
+            console.warn('WageCounterApp: 会社休日の保存に失敗しました:', result.error);
+        }
+
+        return result;
+    }
+
+    /**
+     * 休憩の自動控除設定を保存する
+     * @param {Object} settings - 控除設定 {enabled, rules}
+     * @returns {Object} 結果 {success: boolean, error: string|null, message: string}
+     */
+    saveBreakDeductionSettings(settings) {
+        const validationResult = BreakDeductionPolicy.validateSettings(settings);
+        if (!validationResult.isValid) {
+            return {
+                success: false,
+                error: 'invalid_break_deduction',
+                message: validationResult.error
+            };
+        }
+
+        this.breakDeductionPolicy.setSettings(settings);
+        this.updateEarnings();
+
+        const result = this.storageManager.saveSettings('breakDeduction', this.breakDeductionPolicy.getSettings());
+
+        if (result.success) {
+            console.log('WageCounterApp: 休憩控除設定を保存しました:', settings);
+        } else {
+            console.warn('WageCounterApp: 休憩控除設定の保存に失敗しました:', result.error);
+        }
+
+        return result;
+    }
+
+    /**
+     * 勤務時間の端数処理の設定を保存する
+     * @param {Object} settings - 端数処理の設定 {enabled, start, end, total}
+     * @returns {Object} 結果 {success: boolean, error: string|null, message: string}
+     */
+    saveTimeRoundingSettings(settings) {
+        const validationResult = TimeRoundingPolicy.validateSettings(settings);
+        if (!validationResult.isValid) {
+            return {
+                success: false,
+                error: 'invalid_time_rounding',
+                message: validationResult.error
+            };
+        }
+
+        this.timeRoundingPolicy.setSettings(settings);
+        this.updateEarnings();
+
+        const result = this.storageManager.saveSettings('timeRounding', this.timeRoundingPolicy.getSettings());
+
+        if (result.success) {
+            console.log('WageCounterApp: 端数処理の設定を保存しました:', settings);
+        } else {
+            console.warn('WageCounterApp: 端数処理の設定の保存に失敗しました:', result.error);
+        }
+
+        return result;
+    }
+
+    /**
+     * セッションの上限の設定を保存する
+     * @param {Object} settings - セッションの上限の設定 {enabled, maxHours, expectedEnd}
+     * @returns {Object} 結果 {success: boolean, error: string|null, message: string}
+     */
+    saveSessionLimitSettings(settings) {
+        const validationResult = SessionLimitPolicy.validateSettings(settings);
+        if (!validationResult.isValid) {
+            return {
+                success: false,
+                error: 'invalid_session_limit',
+                message: validationResult.error
+            };
+        }
+
+        this.sessionLimitPolicy.setSettings(settings);
+
+        const result = this.storageManager.saveSettings('sessionLimit', this.sessionLimitPolicy.getSettings());
+
+        if (result.success) {
+            console.log('WageCounterApp: セッションの上限の設定を保存しました:', settings);
+        } else {
+            console.warn('WageCounterApp: セッションの上限の設定の保存に失敗しました:', result.error);
+        }
+
+        return result;
+    }
+
+    /**
+     * 手取り計算の設定を保存する
+     * @param {Object} settings - 手取り計算の設定 {enabled, healthInsuranceRate, nursingCareRate, pensionRate, employmentInsuranceRate, dependents}
+     * @returns {Object} 結果 {success: boolean, error: string|null, message: string}
+     */
+    saveNetPaySettings(settings) {
+        const validationResult = NetPayEstimator.validateSettings(settings);
+        if (!validationResult.isValid) {
+            return {
+                success: false,
+                error: 'invalid_net_pay',
+                message: validationResult.error
+            };
+        }
+
+        this.netPayEstimator.setSettings(settings);
+        this.updateEarnings();
+
+        const result = this.storageManager.saveSettings('netPay', this.netPayEstimator.getSettings());
+
+        if (result.success) {
+            console.log('WageCounterApp: 手取り計算の設定を保存しました:', settings);
+        } else {
+            console.warn('WageCounterApp: 手取り計算の設定の保存に失敗しました:', result.error);
+        }
+
+        return result;
+    }
+
+    /**
+     * 目標を保存する
+     * @param {Object} goal - 目標 {period, type, target}
+     * @returns {Object} 結果 {success: boolean, error: string|null, message: string}
+     */
+    saveGoalSettings(goal) {
+        const validationResult = GoalTracker.validateGoal(goal);
+        if (!validationResult.isValid) {
+            return {
+                success: false,
+                error: 'invalid_goal',
+                message: validationResult.error
+            };
+        }
+
+        this.goalTracker.setGoal(goal);
+        this.updateEarnings();
+
+        const result = this.storageManager.saveSettings('goal', this.goalTracker.getGoal());
+
+        if (result.success) {
+            console.log('WageCounterApp: 目標を保存しました:', goal);
+        } else {
+            console.warn('WageCounterApp: 目標の保存に失敗しました:', result.error);
+        }
+
+        return result;
+    }
+
+    /**
+     * シフトの設定を保存する
+     * 保存より前に始まったシフトは開始・記録の対象にしない
+     * @param {Object} settings - シフトの設定 {mode, shifts: [{id, weekday, start, end, profileId}]}
+     * @returns {Object} 結果 {success: boolean, error: string|null, message: string}
+     */
+    saveShiftSchedule(settings) {
+        const validationResult = ShiftSchedule.validateSettings(settings);
+        if (!validationResult.isValid) {
+            return {
+                success: false,
+                error: 'invalid_shift_schedule',
+                message: validationResult.error
+            };
+        }
+
+        if (settings.shifts.some(shift => !this.profileManager.getProfile(shift.profileId))) {
+            return {
+                success: false,
+                error: 'invalid_shift_schedule',
+                message: I18n.t('shift.error.profile')
+            };
+        }
+
+        this.shiftSchedule.setSettings(settings);
+        this.storageManager.saveSettings('shiftCheckedAt', Date.now());
+
+        const result = this.storageManager.saveSettings('shiftSchedule', this.shiftSchedule.getSettings());
+
+        if (result.success) {
+            console.log('WageCounterApp: シフトを保存しました:', settings);
+        } else {
+            console.warn('WageCounterApp: シフトの保存に失敗しました:', result.error);
+        }
+
+        return result;
+    }
+
+    /**
+     * 表示に使用する通貨を保存する（金額は換算せず、表示の通貨記号と補助単位のみ変わる）
+     * @param {string} currency - 通貨コード（例: 'JPY', 'USD'）
+     * @returns {Object} 保存結果
+     */
+    saveCurrency(currency) {
+        const validationResult = CurrencyFormatter.validateCurrency(currency);
+        if (!validationResult.isValid) {
+            return {
+                success: false,
+                error: 'invalid_currency',
+                message: validationResult.error
+            };
+        }
+
+        this.currencyFormatter.setCurrency(currency);
+
+        const result = this.storageManager.saveSettings('currency', currency);
+
+        if (result.success) {
+            console.log('WageCounterApp: 通貨を保存しました:', currency);
+        } else {
+            console.warn('WageCounterApp: 通貨の保存に失敗しました:', result.error);
+        }
+
+        return result;
+    }
+
+    /**
+     * 表示する言語を保存する（画面の文言は再読み込み後に切り替わる）
+     * @param {string} language - 言語コード（例: 'ja', 'en'）
+     * @returns {Object} 保存結果
+     */
+    saveLanguage(language) {
+        const validationResult = I18n.validateLanguage(language);
+        if (!validationResult.isValid) {
+            return {
+                success: false,
+                error: 'invalid_language',
+                message: validationResult.error
+            };
+        }
+
+        I18n.setLanguage(language);
+        this.currencyFormatter.setLocale(I18n.getLocale());
+
+        const result = this.storageManager.saveSettings('language', language);
+
+        if (result.success) {
+            console.log('WageCounterApp: 言語を保存しました:', language);
+        } else {
+            console.warn('WageCounterApp: 言語の保存に失敗しました:', result.error);
+        }
+
+        return result;
+    }
+
+    /**
+     * 現在の時給と割増設定をジョブの設定として取得する
+     * @returns {Object} {hourlyWage, wageInput, overtimeRules, nightPremium, holidayPremium}
+     */
+    getProfileSettings() {
+        return {
+            hourlyWage: this.wageCounter.getHourlyWage(),
+            wageInput: this.getWageInput(),
+            overtimeRules: this.premiumCalculator.getOvertimeRules(),
+            nightPremium: this.premiumCalculator.getNightPremium(),
+            holidayPremium: this.premiumCalculator.getHolidayPremium()
+        };
+    }
+
+    /**
+     * 現在の時給と割増設定をアクティブなジョブに反映する
+     * @returns {Object} 保存結果
+     */
+    syncActiveProfile() {
+        return this.profileManager.updateProfile(this.profileManager.getActiveProfileId(), this.getProfileSettings());
+    }
+
+    /**
+     * ジョブの時給と割増設定を現在の設定として適用し、保存する
+     * @param {Object} profile - ジョブプロファイル
+     */
+    applyProfile(profile) {
+        this.setHourlyWage(profile.hourlyWage);
+        this.wageInput = this.resolveWageInput(profile.wageInput, profile.hourlyWage);
+        this.premiumCalculator.setOvertimeRules(profile.overtimeRules || PremiumCalculator.getDefaultOvertimeRules());
+        this.premiumCalculator.setNightPremium(profile.nightPremium || PremiumCalculator.getDefaultNightPremium());
+        this.premiumCalculator.setHolidayPremium(profile.holidayPremium || PremiumCalculator.getDefaultHolidayPremium());
+        this.updateEarnings();
+
+        const settings = this.getProfileSettings();
+        Object.keys(settings).forEach(key => {
+            this.storageManager.saveSettings(key, settings[key]);
+        });
+    }
+
+    /**
+     * 使用するジョブを切り替える（進行中のセッションがある場合は切り替えられない）
+     * @param {string} id - ジョブのID
+     * @returns {Object} 結果 {success: boolean, error: string|null, message: string}
+     */
+    switchProfile(id) {
+        if (this.hasActiveSession()) {
+            return {
+                success: false,
+                error: 'session_active',
+                message: I18n.t('app.error.switchProfileDuringSession')
+            };
+        }
+
+        const profile = this.profileManager.getProfile(id);
+        if (!profile) {
+            return {
+                success: false,
+                error: 'profile_not_found',
+                message: I18n.t('app.error.profileNotFound')
+            };
+        }
+
+        this.profileManager.setActiveProfileId(id);
+        this.applyProfile(profile);
+
+        console.log('WageCounterApp: ジョブを切り替えました:', profile.name);
+        return { success: true, error: null };
+    }
+
+    /**
+     * ジョブを削除する（使用中のジョブはセッション中には削除できない）
+     * @param {string} id - ジョブのID
+     * @returns {Object} 結果 {success: boolean, error: string|null, message: string}
+     */
+    deleteProfile(id) {
+        const isActive = id === this.profileManager.getActiveProfileId();
+        if (isActive && this.hasActiveSession()) {
+            return {
+                success: false,
+                error: 'session_active',
+                message: I18n.t('app.error.deleteActiveProfile')
+            };
+        }
+
+        const result = this.profileManager.deleteProfile(id);
+        if (result.success && isActive) {
+            this.applyProfile(this.profileManager.getActiveProfile());
+        }
+        return result;
+    }
+
+    /**
+     * 今月のジョブごとの勤務時間と収入を取得する（進行中のセッションを含む）
+     * @param {Date} referenceDate - 基準日
+     * @returns {Object} ジョブIDごとの集計 {[id]: {seconds, earnings}}
+     */
+    getProfileTotals(referenceDate = new Date()) {
+        const totals = this.storageManager.loadSettings('dailyTotals', {}).value || {};
+        const monthPrefix = this.getDateKey(referenceDate).slice(0, 8);
+        const result = {};
+        const add = (id, seconds, earnings) => {
+            result[id] = result[id] || { seconds: 0, earnings: 0 };
+            result[id].seconds += seconds;
+            result[id].earnings += earnings;
+        };
+
+        Object.entries(totals).forEach(([key, entry]) => {
+            if (!key.startsWith(monthPrefix) || !entry || !entry.byProfile) {
+                return;
+            }
+            Object.entries(entry.byProfile).forEach(([id, profileEntry]) => {
+                add(id, profileEntry.seconds || 0, profileEntry.earnings || 0);
+            });
+        });
+
+        const sessionStartTime = this.wageCounter.getStartTime();
+        if (sessionStartTime && this.getDateKey(sessionStartTime).startsWith(monthPrefix)) {
+            add(this.profileManager.getActiveProfileId(), this.timeRounding.paidSeconds,
+                this.wageCounter.getCurrentEarnings());
+        }
+
+        return result;
+    }
+
+    /**
+     * 日付から日別集計用のキーを取得する
+     * @param {Date} date - 日付
+     * @returns {string} YYYY-MM-DD 形式のキー（ローカル時刻）
+     */
+    getDateKey(date) {
+        const year = date.getFullYear();
+        const month = (date.getMonth() + 1).toString().padStart(2, '0');
+        const day = date.getDate().toString().padStart(2, '0');
+        return `${year}-${month}-${day}`;
+    }
+
+    /**
+     * 指定日までに記録された勤務秒数と収入を日・週・月ごとに集計する
+     * 週は月曜日始まりで集計する
+     * @param {Date} referenceDate - 基準日（通常はセッション開始日）
+     * @returns {Object} {day: {seconds, earnings}, week: {seconds, earnings}, month: {seconds, earnings}}
+     */
+    getPriorTotals(referenceDate = new Date()) {
+        const totals = this.storageManager.loadSettings('dailyTotals', {}).value || {};
+        const dayKey = this.getDateKey(referenceDate);
+        const monthPrefix = dayKey.slice(0, 8);
+
+        const weekStart = new Date(referenceDate.getFullYear(), referenceDate.getMonth(), referenceDate.getDate());
+        weekStart.setDate(weekStart.getDate() - ((weekStart.getDay() + 6) % 7));
+        const weekStartKey = this.getDateKey(weekStart);
+
+        const prior = {
+            day: { seconds: 0, earnings: 0 },
+            week: { seconds: 0, earnings: 0 },
+            month: { seconds: 0, earnings: 0 }
+        };
+        const add = (total, entry) => {
+            total.seconds += entry && typeof entry.seconds === 'number' ? entry.seconds : 0;
+            total.earnings += entry && typeof entry.earnings === 'number' ? entry.earnings : 0;
+        };
+
+        Object.entries(totals).forEach(([key, entry]) => {
+            if (key > dayKey) {
+                return;
+            }
+            if (key === dayKey) {
+                add(prior.day, entry);
+            }
+            if (key >= weekStartKey) {
+                add(prior.week, entry);
+            }
+            if (key.startsWith(monthPrefix)) {
+                add(prior.month, entry);
+            }
+        });
+
+        return prior;
+    }
+
+    /**
+     * 指定日より前に記録された勤務秒数を日・週・月ごとに集計する
+     * @param {Date} referenceDate - 基準日（通常はセッション開始日）
+     * @returns {Object} {day: number, week: number, month: number}
+     */
+    getPriorWorkedSeconds(referenceDate = new Date()) {
+        const prior = this.getPriorTotals(referenceDate);
+        return { day: prior.day.seconds, week: prior.week.seconds, month: prior.month.seconds };
+    }
+
+    /**
+     * 指定日の月に既に記録された収入を集計する（源泉徴収税額の月額計算に使用）
+     * @param {Date} referenceDate - 基準日（通常はセッション開始日）
+     * @returns {number} 収入（円）
+     */
+    getPriorMonthEarnings(referenceDate = new Date()) {
+        return this.getPriorTotals(referenceDate).month.earnings;
+    }
+
+    /**
+     * セッションの勤務時間を計算する
+     * 手動の休憩が不足する分の法定休憩を控除し、端数処理の設定に従って支払対象の時間を求める
+     * @param {Object|null} session - {elapsedSeconds, breakSeconds, segments}（nullの場合は現在のセッション）
+     * @returns {Object} {elapsedSeconds, deduction, rounding}
+     *   deduction は BreakDeductionPolicy.calculate、rounding は TimeRoundingPolicy.calculate の結果
+     */
+    calculateWorkedTime(session = null) {
+        const source = session || {
+            elapsedSeconds: this.timerManager.getElapsedSeconds(),
+            breakSeconds: this.timerManager.getBreakSeconds(),
+            segments: this.timerManager.getSegments()
+        };
+        const deduction = this.breakDeductionPolicy.calculate(source.elapsedSeconds, source.breakSeconds);
+        const segments = this.breakDeductionPolicy.removeWindowsFromSegments(source.segments, deduction.windows);
+
+        return {
+            elapsedSeconds: source.elapsedSeconds,
+            deduction: deduction,
+            rounding: this.timeRoundingPolicy.calculate(deduction.paidSeconds, segments)
+        };
+    }
+
+    /**
+     * 現在のセッションから勤務履歴の記録を作成する
+     * @returns {Object|null} 記録（記録するセッションがない場合はnull）
+     */
+    createHistoryEntry() {
+        const sessionStartTime = this.wageCounter.getStartTime();
+        const { elapsedSeconds, deduction, rounding } = this.calculateWorkedTime();
+
+        if (!sessionStartTime || elapsedSeconds <= 0) {
+            return null;
+        }
+
+        const segments = this.timerManager.getSegments();
+        const breakdown = this.wageCounter.getEarningsBreakdown();
+        const profile = this.profileManager.getActiveProfile();
+
+        return {
+            startedAt: sessionStartTime.getTime(),
+            endedAt: segments.length > 0 ? Math.max(...segments.map(segment => segment.end)) : Date.now(),
+            segments: segments,
+            breaks: this.timerManager.getBreaks(),
+            hourlyWage: this.wageCounter.getHourlyWage(),
+            rateSegments: this.rateSegments.map(rate => ({ ...rate })),
+            profileId: this.profileManager.getActiveProfileId(),
+            profileName: profile ? profile.name : '',
+            elapsedSeconds: elapsedSeconds,
+            paidSeconds: rounding.paidSeconds,
+            breakSeconds: this.timerManager.getBreakSeconds(),
+            deductedBreakSeconds: deduction.deductedSeconds,
+            earnings: this.wageCounter.getCurrentEarnings(),
+            baseEarnings: breakdown.baseEarnings,
+            premiums: { ...breakdown.premiums }
+        };
+    }
+
+    /**
+     * 現在のセッションを勤務履歴と日別集計に記録する
+     * @returns {Object|null} 記録（記録するセッションがない場合はnull）
+     */
+    recordSession() {
+        const entry = this.createHistoryEntry();
+        if (!entry) {
+            return null;
+        }
+
+        const result = this.sessionHistory.addEntry(entry);
+        this.applyToDailyTotals(entry);
+        return result.entry;
+    }
+
+    /**
+     * 勤務履歴の記録を日別集計に加算する（削除した記録は減算する）
+     * セッションは開始日の勤務として記録する
+     * @param {Object} entry - 勤務履歴の記録
+     * @param {number} sign - 1: 加算、-1: 減算
+     * @returns {Object} 保存結果
+     */
+    applyToDailyTotals(entry, sign = 1) {
+        const totals = { ...(this.storageManager.loadSettings('dailyTotals', {}).value || {}) };
+        const key = this.getDateKey(new Date(entry.startedAt));
+        const total = totals[key] || { seconds: 0, earnings: 0 };
+
+        // ジョブごとの内訳
+        const byProfile = { ...(total.byProfile || {}) };
+        const profileEntry = byProfile[entry.profileId] || { seconds: 0, earnings: 0 };
+        byProfile[entry.profileId] = {
+            seconds: profileEntry.seconds + sign * entry.paidSeconds,
+            earnings: profileEntry.earnings + sign * entry.earnings
+        };
+        if (byProfile[entry.profileId].seconds <= 0) {
+            delete byProfile[entry.profileId];
+        }
+
+        totals[key] = {
+            seconds: total.seconds + sign * entry.paidSeconds,
+            earnings: total.earnings + sign * entry.earnings,
+            breakSeconds: (total.breakSeconds || 0) + sign * (entry.breakSeconds || 0),
+            deductedBreakSeconds: (total.deductedBreakSeconds || 0) + sign * (entry.deductedBreakSeconds || 0),
+            byProfile: byProfile
+        };
+        if (totals[key].seconds <= 0) {
+            delete totals[key];
+        }
+
+        // 割増判定に必要な約13か月分のみ保持する
+        const cutoff = new Date();
+        cutoff.setDate(cutoff.getDate() - 400);
+        const cutoffKey = this.getDateKey(cutoff);
+        Object.keys(totals).forEach(dateKey => {
+            if (dateKey < cutoffKey) {
+                delete totals[dateKey];
+            }
+        });
+
+        return this.storageManager.saveSettings('dailyTotals', totals);
+    }
+
+    /**
+     * 勤務履歴の記録を削除する（日別集計から減算し、元に戻せるように削除済みとして残す）
+     * @param {string} id - 記録ID
+     * @returns {Object} 結果 {success: boolean, error: string|null, message: string}
+     */
+    deleteHistoryEntry(id) {
+        const result = this.sessionHistory.deleteEntry(id);
+        if (result.entry) {
+            this.applyToDailyTotals(result.entry, -1);
+            this.updateEarnings();
+        }
+        return result;
+    }
+
+    /**
+     * 削除した勤務履歴の記録を元に戻す（日別集計に再び加算する）
+     * 削除後に追加した記録と重複する場合は元に戻せない
+     * @param {string} id - 記録ID
+     * @returns {Object} 結果 {success: boolean, error: string|null, message: string}
+     */
+    restoreHistoryEntry(id) {
+        const entry = this.sessionHistory.getEntry(id);
+        const isOverlapping = entry && this.sessionHistory.getEntries().some(other =>
+            entry.startedAt < other.endedAt && other.startedAt < entry.endedAt);
+        if (isOverlapping) {
+            return {
+                success: false,
+                error: 'session_overlap',
+                message: I18n.t('app.error.restoreOverlap'),
+                entry: null
+            };
+        }
+
+        const result = this.sessionHistory.restoreEntry(id);
+        if (result.entry) {
+            this.applyToDailyTotals(result.entry);
+            this.updateEarnings();
+        }
+        return result;
+    }
+
+    /**
+     * 手入力の時刻と時給から勤務履歴の記録を作成する
+     * 収入は進行中のセッションと同じ規則（休憩控除・端数処理・割増）で計算する
+     * @param {Object} session - 検証済みのセッション {startedAt, endedAt, breaks}
+     * @param {number} hourlyWage - 時給（円）
+     * @param {Object} profile - ジョブプロファイル
+     * @param {Array<Object>|null} segments - 稼働区間（nullの場合は開始から終了までの休憩以外の時間）
+     * @param {Array<Object>} rateSegments - 時給の推移 [{start, hourlyWage}]（時給を変更していない場合は空）
+     * @returns {Object} 記録
+     */
+    createManualEntry(session, hourlyWage, profile, segments = null, rateSegments = []) {
+        const breaks = session.breaks.map(entry => ({ ...entry }));
+        const workSegments = segments || this.subtractBreaks(session.startedAt, session.endedAt, breaks);
+        const sum = (ranges) => ranges.reduce((total, range) => total + (range.end - range.start), 0);
+        const breakSeconds = Math.floor(sum(breaks) / 1000);
+        const { elapsedSeconds, deduction, rounding } = this.calculateWorkedTime({
+            elapsedSeconds: Math.floor(sum(workSegments) / 1000),
+            breakSeconds: breakSeconds,
+            segments: workSegments
+        });
+
+        // 記録のジョブの割増設定で計算する
+        const calculator = profile.id === this.profileManager.getActiveProfileId()
+            ? this.premiumCalculator
+            : new PremiumCalculator(
+                profile.overtimeRules || PremiumCalculator.getDefaultOvertimeRules(),
+                profile.nightPremium || PremiumCalculator.getDefaultNightPremium(),
+                profile.holidayPremium || PremiumCalculator.getDefaultHolidayPremium(),
+                this.premiumCalculator.holidayCalendar
+            );
+        const breakdown = calculator.calculate(rounding.paidSeconds, hourlyWage,
+            this.getPriorWorkedSeconds(new Date(session.startedAt)), rounding.segments, rateSegments);
+
+        return {
+            startedAt: session.startedAt,
+            endedAt: session.endedAt,
+            segments: workSegments,
+            breaks: breaks,
+            hourlyWage: hourlyWage,
+            rateSegments: rateSegments.map(rate => ({ ...rate })),
+            profileId: profile.id,
+            profileName: profile.name,
+            elapsedSeconds: elapsedSeconds,
+            paidSeconds: rounding.paidSeconds,
+            breakSeconds: breakSeconds,
+            deductedBreakSeconds: deduction.deductedSeconds,
+            earnings: breakdown.totalEarnings,
+            baseEarnings: breakdown.baseEarnings,
+            premiums: { ...breakdown.premiums },
+            isManual: true
+        };
+    }
+
+    /**
+     * 開始から終了までの時間から休憩を除いた稼働区間を求める
+     * @param {number} startedAt - 開始時刻（ミリ秒）
+     * @param {number} endedAt - 終了時刻（ミリ秒）
+     * @param {Array<Object>} breaks - 開始時刻順の休憩 [{start, end}]（ミリ秒）
+     * @returns {Array<Object>} 稼働区間 [{start, end}]（ミリ秒）
+     */
+    subtractBreaks(startedAt, endedAt, breaks) {
+        const segments = [];
+        let cursor = startedAt;
+
+        breaks.forEach(entry => {
+            if (entry.start > cursor) {
+                segments.push({ start: cursor, end: entry.start });
+            }
+            cursor = Math.max(cursor, entry.end);
+        });
+
+        if (endedAt > cursor) {
+            segments.push({ start: cursor, end: endedAt });
+        }
+        return segments;
+    }
+
+    /**
+     * 手入力・編集するセッションを検証する（他の記録や進行中のセッションとの重複を含む）
+     * @param {Object} input - 入力 {startedAt, endedAt, breaks, hourlyWage}
+     * @param {string|null} ignoreId - 重複の確認から除く記録のID（編集中の記録）
+     * @returns {Object} 検証結果 {isValid: boolean, error: string|null, value: Object|null, hourlyWage: number|null}
+     */
+    validateManualSession(input, ignoreId = null) {
+        const wageResult = this.validator.validateWage(input ? input.hourlyWage : null);
+        if (!wageResult.isValid) {
+            return { isValid: false, error: wageResult.error, value: null, hourlyWage: null };
+        }
+
+        const otherSessions = this.sessionHistory.getEntries().filter(entry => entry.id !== ignoreId);
+        if (this.hasActiveSession()) {
+            otherSessions.push({ startedAt: this.wageCounter.getStartTime().getTime(), endedAt: Date.now() });
+        }
+
+        const result = this.validator.validateSessionTimes(input, otherSessions);
+        return { ...result, hourlyWage: result.isValid ? wageResult.value : null };
+    }
+
+    /**
+     * 開始を押し忘れたセッションを手入力で勤務履歴に追加する（使用中のジョブで記録する）
+     * @param {Object} input - 入力 {startedAt, endedAt, breaks: [{start, end}], hourlyWage}（時刻はミリ秒）
+     * @returns {Object} 結果 {success: boolean, error: string|null, message: string, entry: Object|null}
+     */
+    addManualSession(input) {
+        const validationResult = this.validateManualSession(input);
+        if (!validationResult.isValid) {
+            return {
+                success: false,
+                error: 'invalid_session',
+                message: validationResult.error,
+                entry: null
+            };
+        }
+
+        const entry = this.createManualEntry(validationResult.value, validationResult.hourlyWage,
+            this.profileManager.getActiveProfile());
+        const result = this.sessionHistory.addEntry(entry);
+        if (result.entry) {
+            this.applyToDailyTotals(result.entry);
+            this.updateEarnings();
+        }
+        return result;
+    }
+
+    /**
+     * 勤務履歴の記録の時刻・休憩・時給を編集し、収入を再計算する
+     * 時刻と休憩を変更しない場合は記録された稼働区間（停止していた時間を含む）を維持する
+     * 時給を変更しない場合はセッション中の時給の推移を維持し、変更した場合は勤務全体に新しい時給を適用する
+     * @param {string} id - 記録ID
+     * @param {Object} input - 入力 {startedAt, endedAt, breaks: [{start, end}], hourlyWage}（時刻はミリ秒）
+     * @returns {Object} 結果 {success: boolean, error: string|null, message: string, entry: Object|null}
+     */
+    updateHistoryEntry(id, input) {
+        const current = this.sessionHistory.getEntry(id);
+        if (!current || current.deletedAt) {
+            return {
+                success: false,
+                error: 'entry_not_found',
+                message: I18n.t('app.error.entryNotFound'),
+                entry: null
+            };
+        }
+
+        const validationResult = this.validateManualSession(input, id);
+        if (!validationResult.isValid) {
+            return {
+                success: false,
+                error: 'invalid_session',
+                message: validationResult.error,
+                entry: null
+            };
+        }
+
+        const session = validationResult.value;
+        const isSameTimes = session.startedAt === current.startedAt && session.endedAt === current.endedAt &&
+            JSON.stringify(session.breaks) === JSON.stringify(current.breaks.map(entry => ({ start: entry.start, end: entry.end })));
+        const profile = this.profileManager.getProfile(current.profileId) ||
+            { ...this.profileManager.getActiveProfile(), id: current.profileId, name: current.profileName };
+
+        // 割増判定の記録済みの勤務に編集前の記録を含めないよう先に日別集計から減算する
+        this.applyToDailyTotals(current, -1);
+        const isSameWage = validationResult.hourlyWage === current.hourlyWage;
+        const entry = this.createManualEntry(session, validationResult.hourlyWage, profile,
+            isSameTimes ? current.segments : null, isSameWage ? (current.rateSegments || []) : []);
+        entry.isManual = Boolean(current.isManual);
+        if (current.shiftId) {
+            entry.shiftId = current.shiftId;
+        }
+
+        const result = this.sessionHistory.updateEntry(id, entry);
+        this.applyToDailyTotals(result.entry || current);
+        this.updateEarnings();
+        return result;
+    }
+
+    /**
+     * バックアップを復元する
+     * 統合の場合、追加した記録のうち日別集計が現在にもある日の記録は日別集計に加算する
+     * （現在にない日の日別集計はバックアップの値をそのまま使用する）
+     * 復元後の設定はページの再読み込みで反映する
+     * @param {Object} backup - BackupManager.parseBackup で読み込んだバックアップ
+     * @param {string} mode - 'merge'（統合）または 'replace'（置き換え）
+     * @returns {Object} 結果 {success: boolean, error: string|null, message: string}
+     */
+    importBackup(backup, mode) {
+        if (this.hasActiveSession()) {
+            return {
+                success: false,
+                error: 'session_active',
+                message: I18n.t('app.error.importDuringSession')
+            };
+        }
+
+        const currentTotals = this.storageManager.loadSettings('dailyTotals', {}).value || {};
+        const result = this.backupManager.applyImport(backup, mode);
+        if (!result.success) {
+            return { success: false, error: result.error, message: result.message };
+        }
+
+        if (mode === 'merge') {
+            result.addedEntries
+                .filter(entry => !entry.deletedAt && currentTotals[this.getDateKey(new Date(entry.startedAt))])
+                .forEach(entry => this.applyToDailyTotals(entry));
+        }
+
+        return { success: true, error: null, message: '' };
+    }
+
+    /**
+     * 前回の確認以降に始まったシフトと、シフトから開始したセッションの終了を処理する
+     * - シフトから開始したセッションは終了時刻を過ぎていればシフトの終了時刻で終了して記録する
+     * - 自動開始の場合、行われているシフトはシフトの開始時刻から開始し、
+     *   ページを閉じていた間に終わったシフトは予定どおり勤務したものとして勤務履歴に記録する
+     * - 開始を確認する場合、行われているシフトを確認待ちとして返す
+     * - 自動開始に失敗した場合（時給が未設定など）も、確認待ちとして開始できなかった理由とともに返す
+     * @param {number} now - 現在時刻（ミリ秒）
+     * @returns {Object} 結果 {stopped: Object|null, started: Object|null, pending: Object|null, startError: string|null, backfilled: Array<Object>}
+     *   stopped は終了したセッションの予定 {shiftId, start, end}、started と pending はシフトの予定 {shift, start, end}、
+     *   startError は自動開始できなかった理由、backfilled はページを閉じていた間のシフトとして記録した勤務履歴
+     */
+    checkShiftSchedule(now = Date.now()) {
+        const result = { stopped: null, started: null, pending: null, startError: null, backfilled: [] };
+
+        if (this.shiftSession && now >= this.shiftSession.end) {
+            result.stopped = this.getShiftSession();
+            this.finishShiftSession();
+        }
+
+        const mode = this.shiftSchedule.getMode();
+        const checkedAt = this.storageManager.loadSettings('shiftCheckedAt', null).value;
+        const from = Math.max(typeof checkedAt === 'number' ? checkedAt : now,
+            now - ShiftSchedule.MAX_BACKFILL_DAYS * 24 * 3600000);
+
+        if (mode !== 'off') {
+            this.shiftSchedule.getOccurrences(from, now).forEach(occurrence => {
+                if (occurrence.end <= now) {
+                    const entry = mode === 'auto' ? this.backfillShift(occurrence) : null;
+                    if (entry) {
+                        result.backfilled.push(entry);
+                    }
+                } else if (!this.hasActiveSession()) {
+                    const startResult = mode === 'prompt' ? null : this.startShift(occurrence);
+                    if (startResult && startResult.success) {
+                        result.started = occurrence;
+                    } else {
+                        result.pending = occurrence;
+                        result.startError = startResult ? startResult.message : null;
+                    }
+                }
+            });
+        }
+
+        this.storageManager.saveSettings('shiftCheckedAt', now);
+        if (result.backfilled.length > 0) {
+            this.updateEarnings();
+        }
+        return result;
+    }
+
+    /**
+     * シフトのジョブに切り替えてセッションを開始する
+     * 開始時刻が現在より前の場合はその時刻から開始したものとして計測する
+     * @param {Object} occurrence - シフトの予定 {shift, start, end}
+     * @param {number} startAt - 開始時刻（ミリ秒、デフォルトはシフトの開始時刻）
+     * @returns {Object} 結果 {success: boolean, error: string|null, message: string}
+     */
+    startShift(occurrence, startAt = occurrence.start) {
+        if (this.hasActiveSession()) {
+            return {
+                success: false,
+                error: 'session_active',
+                message: I18n.t('app.error.shiftDuringSession')
+            };
+        }
+
+        if (this.profileManager.getProfile(occurrence.shift.profileId)) {
+            this.switchProfile(occurrence.shift.profileId);
+        }
+
+        if (!this.start()) {
+            return {
+                success: false,
+                error: 'start_failed',
+                message: I18n.t('app.error.shiftStartFailed')
+            };
+        }
+
+        const start = Math.min(Math.max(startAt, occurrence.start), Date.now());
+        if (start < Date.now()) {
+            this.timerManager.restoreSnapshot({ isRunning: true, startTime: start, pausedTime: 0, segments: [], breaks: [] });
+            this.wageCounter.setStartTime(new Date(start));
+            this.updateEarnings();
+            this.recordEarningsSample();
+        }
+
+        this.shiftSession = { shiftId: occurrence.shift.id, start: occurrence.start, end: occurrence.end };
+        this.saveSessionCheckpoint();
+
+        console.log('WageCounterApp: シフトのセッションを開始しました:', this.shiftSession);
+        return { success: true, error: null };
+    }
+
+    /**
+     * シフトから開始したセッションをシフトの終了時刻で終了し、勤務履歴と日別集計に記録する
+     * 終了時刻より後の稼働区間と休憩は記録しない
+     * @returns {Object|null} 記録（記録する勤務がない場合はnull）
+     */
+    finishShiftSession() {
+        const end = this.shiftSession.end;
+        const clip = (ranges) => ranges
+            .filter(range => range.start < end)
+            .map(range => ({ start: range.start, end: Math.min(range.end, end) }));
+        const segments = clip(this.timerManager.getSegments());
+        const breaks = clip(this.timerManager.getBreaks());
+        const shiftId = this.shiftSession.shiftId;
+        let entry = null;
+
+        if (segments.length > 0) {
+            const startedAt = this.wageCounter.getStartTime().getTime();
+            const endedAt = Math.max(...segments.concat(breaks).map(range => range.end));
+            const created = this.createManualEntry({ startedAt: startedAt, endedAt: endedAt, breaks: breaks },
+                this.wageCounter.getHourlyWage(), this.profileManager.getActiveProfile(), segments, this.rateSegments);
+            const result = this.sessionHistory.addEntry({ ...created, isManual: false, shiftId: shiftId });
+            if (result.entry) {
+                this.applyToDailyTotals(result.entry);
+                entry = result.entry;
+            }
+        }
+
+        this.clearSession();
+        console.log('WageCounterApp: シフトの終了時刻でセッションを終了しました:', shiftId);
+        return entry;
+    }
+
+    /**
+     * ページを閉じていた間に終わったシフトを、予定どおり勤務したものとして勤務履歴と日別集計に記録する
+     * 他の記録と重なる場合は記録しない
+     * @param {Object} occurrence - シフトの予定 {shift, start, end}
+     * @returns {Object|null} 記録（記録しなかった場合はnull）
+     */
+    backfillShift(occurrence) {
+        const profile = this.profileManager.getProfile(occurrence.shift.profileId) || this.profileManager.getActiveProfile();
+        const validationResult = this.validateManualSession({
+            startedAt: occurrence.start,
+            endedAt: occurrence.end,
+            breaks: [],
+            hourlyWage: profile.hourlyWage
+        });
+        if (!validationResult.isValid) {
+            console.warn('WageCounterApp: シフトを勤務履歴に記録できませんでした:', validationResult.error);
+            return null;
+        }
+
+        const entry = this.createManualEntry(validationResult.value, validationResult.hourlyWage, profile);
+        const result = this.sessionHistory.addEntry({ ...entry, isManual: false, shiftId: occurrence.shift.id });
+        if (result.entry) {
+            this.applyToDailyTotals(result.entry);
+        }
+        return result.entry;
+    }
+
+    /**
+     * 時給を設定する
+     * @param {number} wage - 時給（円）
+     */
+    setHourlyWage(wage) {
+        this.wageCounter.setHourlyWage(wage);
+    }
+
+    /**
+     * 進行中のセッションの時給の推移に、指定した時刻から適用する時給を追加する
+     * 最初の変更ではセッションの開始から変更前の時給の区間も追加する
+     * @param {number} hourlyWage - 新しい時給（円）
+     * @param {number} now - 変更した時刻（ミリ秒）
+     * @returns {boolean} 追加したかどうか（セッションがない場合や時給が変わらない場合はfalse）
+     */
+    addRateSegment(hourlyWage, now = Date.now()) {
+        const previousWage = this.wageCounter.getHourlyWage();
+        if (!this.hasActiveSession() || hourlyWage === previousWage) {
+            return false;
+        }
+
+        if (this.rateSegments.length === 0) {
+            this.rateSegments.push({ start: this.wageCounter.getStartTime().getTime(), hourlyWage: previousWage });
+        }
+
+        const last = this.rateSegments[this.rateSegments.length - 1];
+        if (last.start >= now) {
+            last.hourlyWage = hourlyWage;
+        } else {
+            this.rateSegments.push({ start: now, hourlyWage: hourlyWage });
+        }
+        return true;
+    }
+
+    /**
+     * カウンターを開始する
+     * @returns {boolean} 開始に成功したかどうか
+     */
+    start() {
+        if (!this.isInitialized) {
+            this.initialize();
+            // 初期化されていなかった場合は、初期化後に再度チェック
+            if (!this.timerManager) {
+                console.warn('WageCounterApp: TimerManagerが初期化されていないため、開始できません');
+                return false;
+            }
+        }
+
+        // 時給が設定されているか確認
+        if (this.wageCounter.getHourlyWage() <= 0) {
+            console.warn('WageCounterApp: 時給が設定されていないため、開始できません');
+            return false;
+        }
+
+        // 上限で停止した後に再開した場合は、このセッションでは再び停止しない
+        if (this.limitStop) {
+            this.limitStop = null;
+            this.isSessionLimitIgnored = true;
+        }
+
+        // 両方のコンポーネントを同期して開始
+        this.wageCounter.start();
+        this.timerManager.start();
+        this.recordEarningsSample(); // 再開時刻から補間する
+        this.saveSessionCheckpoint();
+        
+        console.log('WageCounterApp: カウンターを開始しました');
+        return true;
+    }
+
+    /**
+     * カウンターを停止する
+     */
+    stop() {
+        if (!this.isInitialized) {
+            return;
+        }
+
+        // 両方のコンポーネントを同期して停止
+        this.timerManager.stop();
+        this.wageCounter.stop();
+        
+        if (this.hasActiveSession()) {
+            this.saveSessionCheckpoint();
+        }
+        
+        console.log('WageCounterApp: カウンターを停止しました');
+    }
+
+    /**
+     * 休憩を開始する（動作中のみ）
+     * 休憩中は収入の計算を止め、休憩時間を別に計測する
+     * @returns {boolean} 休憩を開始したかどうか
+     */
+    startBreak() {
+        if (!this.isInitialized || !this.timerManager.startBreak()) {
+            return false;
+        }
+
+        this.wageCounter.stop();
+        this.updateEarnings();
+        this.saveSessionCheckpoint();
+
+        console.log('WageCounterApp: 休憩を開始しました');
+        return true;
+    }
+
+    /**
+     * 休憩を終了して勤務を再開する
+     * @returns {boolean} 休憩を終了したかどうか
+     */
+    endBreak() {
+        if (!this.isInitialized || !this.timerManager.endBreak()) {
+            return false;
+        }
+
+        this.wageCounter.start();
+        this.recordEarningsSample(); // 再開時刻から補間する
+        this.saveSessionCheckpoint();
+
+        console.log('WageCounterApp: 休憩を終了しました');
+        return true;
+    }
+
+    /**
+     * 休憩の開始と終了を切り替える
+     * @returns {boolean} 切り替えに成功したかどうか
+     */
+    toggleBreak() {
+        return this.timerManager.getIsOnBreak() ? this.endBreak() : this.startBreak();
+    }
+
+    /**
+     * カウンターをリセットする
+     */
+    reset() {
+        if (!this.isInitialized) {
+            return;
+        }
+
+        // 終了したセッションを勤務履歴と日別集計に記録
+        this.updateEarnings();
+        this.recordSession();
+        this.clearSession();
+        
+        console.log('WageCounterApp: カウンターをリセットしました');
+    }
+
+    /**
+     * 記録せずにセッションを終了し、カウンターを初期状態に戻す
+     */
+    clearSession() {
         // 両方のコンポーネントを同期してリセット
         this.timerManager.reset();
         this.wageCounter.reset();
-        
-        console.log('WageCounterApp: カウンターをリセットしました');
+        this.breakDeduction = { deductedSeconds: 0, paidSeconds: 0 };
+        this.timeRounding = { rawSeconds: 0, paidSeconds: 0, underpaidSeconds: 0 };
+        this.shiftSession = null;
+        this.limitStop = null;
+        this.isSessionLimitIgnored = false;
+        this.suspendGaps = [];
+        this.rateSegments = [];
+        this.updateEarnings();
+        this.clearSessionCheckpoint();
+    }
+
+    /**
+     * TimerManager が検出したスリープや時計の変更をセッションに反映する
+     * スリープした区間は勤務時間に含めるかを確認するまで保持する
+     * 時計の変更では、TimerManager の区間と同じだけセッションの開始時刻と時給の推移などの時刻をずらす
+     * @param {Object} change - TimerManager.detectClockChange の結果
+     */
+    handleClockChange(change) {
+        if (change.type === 'suspend') {
+            this.suspendGaps.push({ start: change.start, end: change.end });
+        } else if (change.type === 'clockJump') {
+            const offset = change.offset;
+            const sessionStartTime = this.wageCounter.getStartTime();
+            if (sessionStartTime) {
+                this.wageCounter.setStartTime(new Date(sessionStartTime.getTime() + offset));
+            }
+            this.rateSegments = this.rateSegments.map(rate => ({ ...rate, start: rate.start + offset }));
+            this.suspendGaps = this.suspendGaps.map(gap => ({ start: gap.start + offset, end: gap.end + offset }));
+            if (this.limitStop) {
+                this.limitStop = { ...this.limitStop, at: this.limitStop.at + offset };
+            }
+        }
+
+        this.updateEarnings();
+        this.recordEarningsSample(); // 除いた区間の後から補間する
+        this.saveSessionCheckpoint();
+    }
+
+    /**
+     * スリープなどで稼働区間から除いた区間を、勤務時間に含めるかどうかを確定する
+     * 上限で停止したセッションでは、停止した時刻より後の区間は含めない
+     * @param {boolean} include - 勤務時間に含めるかどうか
+     * @returns {number} 勤務時間に含めた区間の数
+     */
+    resolveSuspendGaps(include) {
+        let count = 0;
+
+        if (include) {
+            this.suspendGaps.forEach(gap => {
+                const end = this.limitStop ? Math.min(gap.end, this.limitStop.at) : gap.end;
+                if (this.timerManager.includeGap({ start: gap.start, end: end })) {
+                    count++;
+                }
+            });
+        }
+
+        this.suspendGaps = [];
+        this.updateEarnings();
+        this.recordEarningsSample();
+        if (this.hasActiveSession()) {
+            this.saveSessionCheckpoint();
+        }
+
+        console.log(`WageCounterApp: スリープした区間のうち${count}件を勤務時間に含めました`);
+        return count;
+    }
+
+    /**
+     * 現在のセッションを自動で停止する時刻を取得する
+     * シフトから開始したセッション（シフトの終了時刻で停止する）と、上限で停止した後に再開したセッションは対象外
+     * @returns {Object|null} 停止する時刻 {at, reason}（対象外の場合はnull）
+     */
+    getSessionLimit() {
+        const sessionStartTime = this.wageCounter.getStartTime();
+        if (!sessionStartTime || this.shiftSession || this.limitStop || this.isSessionLimitIgnored) {
+            return null;
+        }
+
+        return this.sessionLimitPolicy.getLimit(sessionStartTime.getTime());
+    }
+
+    /**
+     * 動作中または休憩中のセッションが上限を過ぎていれば、上限の時刻で停止する
+     * @param {number} now - 現在時刻（ミリ秒）
+     * @returns {Object|null} 停止した時刻と理由 {at, reason}（停止しなかった場合はnull）
+     */
+    checkSessionLimit(now = Date.now()) {
+        if (!this.isInitialized || (!this.timerManager.getIsRunning() && !this.timerManager.getIsOnBreak())) {
+            return null;
+        }
+
+        const limit = this.getSessionLimit();
+        if (!limit || now < limit.at) {
+            return null;
+        }
+
+        this.timerManager.stop();
+        this.wageCounter.stop();
+        this.trimSession(limit.at);
+        this.limitStop = { at: limit.at, reason: limit.reason };
+        this.saveSessionCheckpoint();
+
+        console.log('WageCounterApp: セッションが上限に達したため停止しました:', this.limitStop);
+        return this.getLimitStop();
+    }
+
+    /**
+     * 停止中のセッションの稼働区間と休憩を指定した時刻までに切り詰める
+     * @param {number} end - 終了時刻（ミリ秒）
+     */
+    trimSession(end) {
+        const clip = (ranges) => ranges
+            .filter(range => range.start < end)
+            .map(range => ({ start: range.start, end: Math.min(range.end, end) }));
+        const sum = (ranges) => ranges.reduce((total, range) => total + (range.end - range.start), 0);
+        const segments = this.timerManager.getSegments();
+        const clipped = clip(segments);
+
+        this.timerManager.restoreSnapshot({
+            isRunning: false,
+            startTime: null,
+            // 区間として記録されていない経過時間（復元前のセッションなど）は残し、切り詰めた分だけ減らす
+            pausedTime: Math.max(0, this.timerManager.getSnapshot().pausedTime - (sum(segments) - sum(clipped))),
+            segments: clipped,
+            breaks: clip(this.timerManager.getBreaks())
+        });
+        this.updateEarnings();
+    }
+
+    /**
+     * 上限で停止したセッションを、指定した終了時刻までの勤務として勤務履歴と日別集計に記録する
+     * 上限を過ぎてから止めていなかった分（停止時刻より前の実際の終了時刻まで）を除くことができる
+     * @param {number|null} endAt - 記録する終了時刻（ミリ秒、nullの場合は停止した時刻）
+     * @returns {Object} 結果 {success: boolean, error: string|null, message: string}
+     */
+    finishLimitedSession(endAt = null) {
+        if (!this.limitStop) {
+            return {
+                success: false,
+                error: 'no_limit_stop',
+                message: I18n.t('limit.error.noStop')
+            };
+        }
+
+        const end = endAt === null ? this.limitStop.at : endAt;
+        const sessionStartTime = this.wageCounter.getStartTime().getTime();
+        if (typeof end !== 'number' || isNaN(end) || end <= sessionStartTime || end > this.limitStop.at) {
+            return {
+                success: false,
+                error: 'invalid_end_time',
+                message: I18n.t('limit.error.endTime')
+            };
+        }
+
+        this.trimSession(end);
+        this.reset();
+        return { success: true, error: null };
+    }
+
+    /**
+     * 進行中（動作中または一時停止中）のセッションがあるかどうかを確認する
+     * @returns {boolean} セッションが存在するかどうか
+     */
+    hasActiveSession() {
+        return this.wageCounter.getStartTime() !== null;
+    }
+
+    /**
+     * 現在のセッションをチェックポイントとして保存する
+     * ページの再読み込みやクラッシュ後に restoreSession で再構築される
+     * @returns {Object} 保存結果
+     */
+    saveSessionCheckpoint() {
+        if (!this.isInitialized || !this.storageManager) {
+            return {
+                success: false,
+                error: 'not_initialized',
+                message: I18n.t('app.error.notInitialized')
+            };
+        }
+
+        const snapshot = this.timerManager.getSnapshot();
+        const sessionStartTime = this.wageCounter.getStartTime();
+        let status = 'paused';
+        if (snapshot.isRunning) {
+            status = 'running';
+        } else if (snapshot.isOnBreak) {
+            status = 'break';
+        }
+
+        const checkpoint = {
+            version: WageCounterApp.CHECKPOINT_VERSION,
+            status: status,
+            accumulatedMs: snapshot.pausedTime,
+            segments: snapshot.segments,
+            segmentStartedAt: snapshot.startTime,
+            breaks: snapshot.breaks,
+            breakStartedAt: snapshot.breakStartTime,
+            sessionStartedAt: sessionStartTime ? sessionStartTime.getTime() : Date.now(),
+            hourlyWage: this.wageCounter.getHourlyWage(),
+            rateSegments: this.rateSegments,
+            profileId: this.profileManager.getActiveProfileId(),
+            shift: this.shiftSession,
+            limitStop: this.limitStop,
+            isSessionLimitIgnored: this.isSessionLimitIgnored,
+            suspendGaps: this.suspendGaps,
+            savedAt: Date.now()
+        };
+
+        const result = this.storageManager.saveSettings('activeSession', checkpoint);
+        if (!result.success) {
+            console.warn('WageCounterApp: セッションのチェックポイント保存に失敗しました:', result.error);
+        }
+        return result;
+    }
+
+    /**
+     * 保存されたチェックポイントからセッションを復元する
+     * 動作中だったセッションは壁時計に沿ってそのまま継続する
+     * @returns {boolean} 復元したかどうか
+     */
+    restoreSession() {
+        const result = this.storageManager.loadSettings('activeSession', null);
+        const checkpoint = result.value;
+
+        if (checkpoint === null || checkpoint === undefined) {
+            return false;
+        }
+
+        const isValid = typeof checkpoint === 'object' &&
+            checkpoint.version === WageCounterApp.CHECKPOINT_VERSION &&
+            ['running', 'paused', 'break'].includes(checkpoint.status) &&
+            typeof checkpoint.accumulatedMs === 'number' && checkpoint.accumulatedMs >= 0 &&
+            typeof checkpoint.sessionStartedAt === 'number' &&
+            (checkpoint.status !== 'running' || typeof checkpoint.segmentStartedAt === 'number') &&
+            (checkpoint.status !== 'break' || typeof checkpoint.breakStartedAt === 'number');
+
+        if (!isValid) {
+            console.warn('WageCounterApp: 保存されたセッションが無効または異なる形式のため破棄します:', checkpoint);
+            this.clearSessionCheckpoint();
+            return false;
+        }
+
+        // セッションを開始したジョブに戻す
+        const profile = this.profileManager.getProfile(checkpoint.profileId);
+        if (profile && profile.id !== this.profileManager.getActiveProfileId()) {
+            this.profileManager.setActiveProfileId(profile.id);
+            this.applyProfile(profile);
+        }
+
+        // セッションの時給（時給を変更した場合は最後の時給）を優先する
+        const wageResult = this.validator.validateWage(checkpoint.hourlyWage);
+        if (wageResult.isValid) {
+            this.setHourlyWage(wageResult.value);
+        }
+
+        // セッション中に変更した時給の推移
+        this.rateSegments = Array.isArray(checkpoint.rateSegments)
+            ? checkpoint.rateSegments
+                .filter(rate => rate && typeof rate.start === 'number' && typeof rate.hourlyWage === 'number' &&
+                    isFinite(rate.hourlyWage) && rate.hourlyWage >= 0)
+                .map(rate => ({ start: rate.start, hourlyWage: rate.hourlyWage }))
+            : [];
+
+        const isRunning = checkpoint.status === 'running';
+        this.timerManager.restoreSnapshot({
+            isRunning: isRunning,
+            startTime: checkpoint.segmentStartedAt,
+            pausedTime: checkpoint.accumulatedMs,
+            segments: checkpoint.segments,
+            isOnBreak: checkpoint.status === 'break',
+            breakStartTime: checkpoint.breakStartedAt,
+            breaks: checkpoint.breaks
+        });
+
+        this.wageCounter.reset();
+        this.wageCounter.setStartTime(new Date(checkpoint.sessionStartedAt));
+        this.wageCounter.setIsRunning(isRunning);
+        this.updateEarnings();
+
+        // シフトから開始したセッション
+        const shift = checkpoint.shift;
+        this.shiftSession = shift && typeof shift.shiftId === 'string' &&
+            typeof shift.start === 'number' && typeof shift.end === 'number'
+            ? { shiftId: shift.shiftId, start: shift.start, end: shift.end }
+            : null;
+
+        // 上限で停止したセッション
+        const limitStop = checkpoint.limitStop;
+        this.limitStop = checkpoint.status === 'paused' && limitStop && typeof limitStop.at === 'number' &&
+            ['maxLength', 'expectedEnd'].includes(limitStop.reason)
+            ? { at: limitStop.at, reason: limitStop.reason }
+            : null;
+        this.isSessionLimitIgnored = checkpoint.isSessionLimitIgnored === true;
+
+        // 勤務時間に含めるかを確認していないスリープした区間
+        this.suspendGaps = Array.isArray(checkpoint.suspendGaps)
+            ? checkpoint.suspendGaps
+                .filter(gap => gap && typeof gap.start === 'number' && typeof gap.end === 'number' && gap.end > gap.start)
+                .map(gap => ({ start: gap.start, end: gap.end }))
+            : [];
+
+        this.restoredSession = {
+            status: checkpoint.status,
+            sessionStartedAt: checkpoint.sessionStartedAt,
+            savedAt: checkpoint.savedAt
+        };
+
+        console.log('WageCounterApp: 中断されたセッションを復元しました:', this.restoredSession);
+        return true;
+    }
+
+    /**
+     * セッションのチェックポイントを削除する
+     */
+    clearSessionCheckpoint() {
+        if (this.storageManager) {
+            this.storageManager.removeSettings('activeSession');
+        }
+    }
+
+    /**
+     * 起動時に復元されたセッション情報を取得する
+     * @returns {Object|null} 復元されたセッション情報
+     */
+    getRestoredSession() {
+        return this.restoredSession;
     }
 
     /**
@@ -873,28 +3429,106 @@ class WageCounterApp {
             return;
         }
 
-        const elapsedSeconds = this.timerManager.getElapsedSeconds();
+        // 手動の休憩が不足している場合は法定の休憩時間を控除し、端数処理した時間を支払対象とする
+        const { elapsedSeconds, deduction, rounding } = this.calculateWorkedTime();
         this.wageCounter.updateElapsedTime(elapsedSeconds);
+        this.breakDeduction = { deductedSeconds: deduction.deductedSeconds, paidSeconds: deduction.paidSeconds };
+        this.timeRounding = {
+            rawSeconds: rounding.rawSeconds,
+            paidSeconds: rounding.paidSeconds,
+            underpaidSeconds: rounding.underpaidSeconds
+        };
         
-        // 時給変更後の収入計算を正確に行うために現在の時給で再計算
+        // 現在の時給で再計算する（セッション中に時給を変更した場合、変更前の区間は変更前の時給で計算する）
         const currentHourlyWage = this.wageCounter.getHourlyWage();
+        const sessionStartTime = this.wageCounter.getStartTime() || new Date();
+        const prior = this.getPriorTotals(sessionStartTime);
         
         // 時給が設定されている場合のみ計算（0円の時給も許可）
         if (currentHourlyWage >= 0) {
             // テスト用の特別処理（完全な操作フローテスト用）
-            if (window.testWageOverride !== undefined && window.location.search.includes('test=true')) {
-                const perSecondWage = window.testWageOverride / 3600;
-                const newEarnings = perSecondWage * elapsedSeconds;
-                this.wageCounter.setCurrentEarnings(newEarnings);
-            } else {
-                const perSecondWage = currentHourlyWage / 3600; // 秒単位の収入を直接計算
-                const newEarnings = perSecondWage * elapsedSeconds;
-                this.wageCounter.setCurrentEarnings(newEarnings);
-            }
+            const wage = window.testWageOverride !== undefined && window.location.search.includes('test=true')
+                ? window.testWageOverride
+                : currentHourlyWage;
+            
+            // 割増ルールに基づいて基本給と割増分を計算
+            const breakdown = this.premiumCalculator.calculate(
+                rounding.paidSeconds,
+                wage,
+                { day: prior.day.seconds, week: prior.week.seconds, month: prior.month.seconds },
+                rounding.segments,
+                this.rateSegments
+            );
+            this.wageCounter.setEarningsBreakdown(breakdown.baseEarnings, breakdown.premiums);
         } else {
             // 負の時給の場合は0として扱う
-            this.wageCounter.setCurrentEarnings(0);
+            this.wageCounter.setEarningsBreakdown(0);
+        }
+        
+        // 手取りの概算（同じ月の収入を含めて源泉徴収税額を求める）
+        this.netPay = this.netPayEstimator.isEnabled()
+            ? this.netPayEstimator.estimate(this.wageCounter.getCurrentEarnings(), prior.month.earnings)
+            : null;
+
+        this.recordEarningsSample();
+
+        // 目標に対する進捗（セッションは開始日の勤務として集計する）
+        this.goalProgress = this.goalTracker.calculate(
+            {
+                earnings: this.wageCounter.getCurrentEarnings(),
+                seconds: rounding.paidSeconds,
+                isRunning: this.wageCounter.getIsRunning()
+            },
+            prior[this.goalTracker.getGoal().period],
+            this.wageCounter.getPerSecondWage()
+        );
+    }
+
+    /**
+     * 秒未満の補間表示に使用する直近の収入と増加ペースを記録する
+     * 増加ペースは直前の記録からの差分とし、割増の開始や休憩の自動控除も反映する
+     * 端数処理で支払対象の時間が経過時間より進んだ場合は、次の区切りまで増えないため補間しない
+     */
+    recordEarningsSample() {
+        const previous = this.earningsSample;
+        const elapsedSeconds = this.wageCounter.getElapsedTime();
+        const paidSeconds = this.timeRounding.paidSeconds;
+        const earnings = this.wageCounter.getCurrentEarnings();
+        let rate = this.wageCounter.getPerSecondWage();
+
+        if (previous && elapsedSeconds > previous.elapsedSeconds && earnings >= previous.earnings) {
+            rate = paidSeconds - previous.paidSeconds > elapsedSeconds - previous.elapsedSeconds
+                ? 0
+                : (earnings - previous.earnings) / (elapsedSeconds - previous.elapsedSeconds);
+        } else if (previous && elapsedSeconds === previous.elapsedSeconds) {
+            rate = previous.rate;
+        }
+
+        this.earningsSample = {
+            time: performance.now(),
+            preciseSeconds: this.timerManager.getPreciseElapsedSeconds(),
+            elapsedSeconds: elapsedSeconds,
+            paidSeconds: paidSeconds,
+            earnings: earnings,
+            rate: rate
+        };
+    }
+
+    /**
+     * 秒未満まで補間した累積収入を取得する
+     * 直近の収入に performance.now() で測った経過分の増加を加える（次の1秒分の収入を超えない）
+     * @param {number} now - 現在時刻（performance.now() の値）
+     * @returns {number} 補間した累積収入（停止中は累積収入）
+     */
+    getInterpolatedEarnings(now = performance.now()) {
+        const sample = this.earningsSample;
+        if (!this.isInitialized || !sample || !this.wageCounter.getIsRunning()) {
+            return this.wageCounter.getCurrentEarnings();
         }
+
+        const preciseSeconds = sample.preciseSeconds + Math.max(0, now - sample.time) / 1000;
+        const fraction = Math.min(Math.max(preciseSeconds - sample.elapsedSeconds, 0), 1);
+        return sample.earnings + sample.rate * fraction;
     }
 
     /**
@@ -902,10 +3536,31 @@ class WageCounterApp {
      * @returns {Object} アプリケーションの現在の状態
      */
     getState() {
+        const breakdown = this.wageCounter.getEarningsBreakdown();
+        const timer = this.timerManager; // 初期化前は null
+
         return {
             isRunning: this.wageCounter.getIsRunning(),
             hourlyWage: this.wageCounter.getHourlyWage(),
+            profileId: this.profileManager.getActiveProfileId(),
             currentEarnings: this.wageCounter.getCurrentEarnings(),
+            baseEarnings: breakdown.baseEarnings,
+            premiumEarnings: breakdown.premiumEarnings,
+            overtimePremium: breakdown.premiums.overtime || 0,
+            nightPremium: breakdown.premiums.night || 0,
+            holidayPremium: breakdown.premiums.holiday || 0,
+            isOnBreak: timer ? timer.getIsOnBreak() : false,
+            breakSeconds: timer ? timer.getBreakSeconds() : 0,
+            grossSeconds: timer ? timer.getGrossSeconds() : 0,
+            deductedBreakSeconds: this.breakDeduction.deductedSeconds,
+            isBreakDeductionEnabled: this.breakDeductionPolicy.isEnabled(),
+            rawWorkedSeconds: this.timeRounding.rawSeconds,
+            paidSeconds: this.timeRounding.paidSeconds,
+            underpaidSeconds: this.timeRounding.underpaidSeconds,
+            isTimeRoundingEnabled: this.timeRoundingPolicy.isEnabled(),
+            netEarnings: this.netPay ? this.netPay.net : null,
+            netPay: this.netPay ? { ...this.netPay } : null,
+            goal: this.goalProgress ? { ...this.goalProgress } : null,
             elapsedSeconds: this.wageCounter.getElapsedTime(),
             formattedElapsedTime: this.wageCounter.getFormattedElapsedTime(),
             perSecondWage: this.wageCounter.getPerSecondWage()
@@ -959,6 +3614,118 @@ class WageCounterApp {
         return this.timerManager;
     }
     
+    /**
+     * PremiumCalculatorインスタンスを取得する
+     * @returns {PremiumCalculator} PremiumCalculatorインスタンス
+     */
+    getPremiumCalculator() {
+        return this.premiumCalculator;
+    }
+    
+    /**
+     * BreakDeductionPolicyインスタンスを取得する
+     * @returns {BreakDeductionPolicy} BreakDeductionPolicyインスタンス
+     */
+    getBreakDeductionPolicy() {
+        return this.breakDeductionPolicy;
+    }
+    
+    /**
+     * TimeRoundingPolicyインスタンスを取得する
+     * @returns {TimeRoundingPolicy} TimeRoundingPolicyインスタンス
+     */
+    getTimeRoundingPolicy() {
+        return this.timeRoundingPolicy;
+    }
+    
+    /**
+     * SessionLimitPolicyインスタンスを取得する
+     * @returns {SessionLimitPolicy} SessionLimitPolicyインスタンス
+     */
+    getSessionLimitPolicy() {
+        return this.sessionLimitPolicy;
+    }
+    
+    /**
+     * 上限で自動停止したセッションの停止時刻と理由を取得する
+     * @returns {Object|null} {at, reason}（上限で停止していない場合、記録・再開した後はnull）
+     */
+    getLimitStop() {
+        return this.limitStop ? { ...this.limitStop } : null;
+    }
+    
+    /**
+     * スリープなどで稼働区間から除き、勤務時間に含めるかを確認していない区間を取得する
+     * @returns {Array<Object>} 区間 [{start, end}]（ミリ秒）
+     */
+    getSuspendGaps() {
+        return this.suspendGaps.map(gap => ({ ...gap }));
+    }
+    
+    /**
+     * 進行中のセッションの時給の推移を取得する
+     * @returns {Array<Object>} 時給の推移 [{start, hourlyWage}]（時給を変更していない場合は空）
+     */
+    getRateSegments() {
+        return this.rateSegments.map(rate => ({ ...rate }));
+    }
+    
+    /**
+     * NetPayEstimatorインスタンスを取得する
+     * @returns {NetPayEstimator} NetPayEstimatorインスタンス
+     */
+    getNetPayEstimator() {
+        return this.netPayEstimator;
+    }
+    
+    /**
+     * ShiftScheduleインスタンスを取得する
+     * @returns {ShiftSchedule} ShiftScheduleインスタンス
+     */
+    getShiftSchedule() {
+        return this.shiftSchedule;
+    }
+
+    /**
+     * シフトから開始したセッションの予定を取得する
+     * @returns {Object|null} 予定 {shiftId, start, end}（シフトから開始したセッションがない場合はnull）
+     */
+    getShiftSession() {
+        return this.shiftSession ? { ...this.shiftSession } : null;
+    }
+
+    /**
+     * GoalTrackerインスタンスを取得する
+     * @returns {GoalTracker} GoalTrackerインスタンス
+     */
+    getGoalTracker() {
+        return this.goalTracker;
+    }
+    
+    /**
+     * ProfileManagerインスタンスを取得する
+     * @returns {ProfileManager} ProfileManagerインスタンス
+     */
+    getProfileManager() {
+        return this.profileManager;
+    }
+    
+    /**
+     * SessionHistoryインスタンスを取得する
+     * @returns {SessionHistory} SessionHistoryインスタンス
+     */
+    getSessionHistory() {
+        return this.sessionHistory;
+    }
+    
+    /**
+     * BackupManagerインスタンスを取得する
+     * @returns {BackupManager} BackupManagerインスタンス
+     */
+    getBackupManager() {
+        return this.backupManager;
+    }
+    
     /**
      * StorageManagerインスタンスを取得する
      * @returns {StorageManager} StorageManagerインスタンス
@@ -978,7 +3745,7 @@ class WageCounterApp {
             return {
                 success: false,
                 error: 'storage_manager_not_initialized',
-                message: 'StorageManagerが初期化されていません'
+                message: I18n.t('app.error.storageNotInitialized')
             };
         }
         
@@ -997,7 +3764,7 @@ class WageCounterApp {
                 value: defaultValue,
                 success: false,
                 error: 'storage_manager_not_initialized',
-                message: 'StorageManagerが初期化されていません'
+                message: I18n.t('app.error.storageNotInitialized')
             };
         }
         
@@ -0,0 +1,563 @@
+/**
+ * 英語のメッセージカタログ
+ * messages-ja.js と同じキーで、数で変わる文言は {one, other} で指定する
+ */
+I18n.addMessages('en', {
+    // アプリ全体
+    'app.description': 'A web app that calculates your earnings by the second from your hourly wage and visualizes them in real time',
+    'app.title': 'Hourly Wage Counter',
+    'app.skipLink': 'Skip to main content',
+    'app.error.storageNotInitialized': 'Storage is not initialized',
+    'app.error.invalidVisualizationMode': 'Invalid visualization mode',
+    'app.error.invalidPremiumRules': 'Invalid premium rules',
+    'app.error.invalidCompanyHolidays': 'Invalid company holidays',
+    'app.error.switchProfileDuringSession': 'You cannot switch jobs during a session',
+    'app.error.profileNotFound': 'Job not found',
+    'app.error.deleteActiveProfile': 'You cannot delete the job of the current session',
+    'app.error.restoreOverlap': 'This record overlaps another record and cannot be restored',
+    'app.error.entryNotFound': 'Work record not found',
+    'app.error.importDuringSession': 'You cannot restore while a session is in progress. End the session first.',
+    'app.error.notInitialized': 'The app is not initialized',
+    'app.error.shiftDuringSession': 'Cannot start a shift during a session',
+    'app.error.shiftStartFailed': 'Cannot start the shift because no hourly wage is set',
+
+    // 収入と時間の表示
+    'display.heading': 'Display',
+    'display.earnings': 'Total earnings',
+    'display.base': 'Base',
+    'display.overtime': 'Overtime',
+    'display.night': 'Night',
+    'display.holiday': 'Holiday',
+    'display.elapsed': 'Elapsed time',
+    'display.break': 'Break',
+    'display.deducted': 'Deducted',
+    'display.gross': 'On duty',
+    'display.worked': 'Worked',
+    'display.paid': 'Paid',
+    'display.underpaid': { one: '⚠ Paid time is {count} minute shorter than the time actually worked (you may be underpaid)', other: '⚠ Paid time is {count} minutes shorter than the time actually worked (you may be underpaid)' },
+    'display.earningsDetail': 'Exact: {amount}',
+    'display.earningsLabel': 'Current total earnings: {amount}',
+    'display.elapsedLabel': 'Elapsed time: {time}',
+
+    // 時給入力
+    'wage.heading': 'Wage input',
+    'wage.profileLabel': 'Job:',
+    'wage.modeLabel': 'Pay type:',
+    'wage.mode.hourly': 'Hourly',
+    'wage.mode.monthly': 'Monthly salary',
+    'wage.mode.annual': 'Annual salary',
+    'wage.mode.daily': 'Daily rate',
+    'wage.field.monthlySalary': 'Monthly salary',
+    'wage.field.monthlyHours': 'Scheduled hours per month',
+    'wage.field.annualSalary': 'Annual salary',
+    'wage.field.workingDays': 'Working days per year',
+    'wage.field.dailyHours': 'Scheduled hours per day',
+    'wage.field.dailyRate': 'Daily rate',
+    'wage.fieldLabel': '{field} ({unit})',
+    'wage.hourlyLabel': 'Hourly wage ({unit}):',
+    'wage.effectiveLabel': 'Effective hourly wage ({unit}):',
+    'wage.conversion': 'Effective hourly wage {hourly} ({perSecond} per second)',
+
+    // 手取りの概算
+    'netPay.label': 'Take-home (estimated)',
+    'netPay.details': 'Deduction breakdown',
+    'netPay.gross': 'Gross pay',
+    'netPay.incomeTax': 'Income tax',
+    'netPay.healthInsurance': 'Health insurance',
+    'netPay.nursingCare': 'Long-term care insurance',
+    'netPay.pension': 'Employees\' pension',
+    'netPay.employmentInsurance': 'Employment insurance',
+    'netPay.totalDeductions': 'Total deductions',
+    'netPay.heading': 'Take-home estimate',
+    'netPay.description': 'Estimate take-home pay by subtracting withholding income tax (monthly table, column A, computer calculation method) and social and employment insurance premiums from your earnings. Income tax includes earnings recorded in the same month. Enter the employee share of each insurance rate.',
+    'netPay.enabled': 'Show take-home pay',
+    'netPay.healthInsuranceRate': 'Health insurance rate (%)',
+    'netPay.nursingCareRate': 'Long-term care insurance rate (%)',
+    'netPay.pensionRate': 'Employees\' pension rate (%)',
+    'netPay.employmentInsuranceRate': 'Employment insurance rate (%)',
+    'netPay.dependents': 'Number of dependents',
+    'netPay.dependentsLabel': 'Number of qualifying spouse and dependents for withholding',
+    'netPay.people': 'people',
+    'netPay.error.invalid': 'Invalid take-home estimate settings',
+    'netPay.error.rate': 'Insurance rates must be between 0% and 30%',
+    'netPay.error.dependents': 'The number of dependents must be a whole number from 0 to 20',
+
+    // 操作ボタン
+    'controls.heading': 'Controls',
+    'controls.start': 'Start',
+    'controls.stop': 'Stop',
+    'controls.break': 'Break',
+    'controls.startBreak': 'Start a break',
+    'controls.reset': 'Reset',
+    'controls.resetDisabled': 'You cannot reset while the counter is running. Stop it first.',
+    'controls.confirmReset': 'Reset the counter?',
+    'controls.wageRequiredToStart': 'Set an hourly wage before starting the counter',
+    'controls.confirmResetRunning': 'The counter is running. Reset it?',
+    'controls.endBreak': 'End break',
+    'controls.endBreakLabel': 'End the break and resume work',
+    'controls.stopLabel': 'Stop the wage counter',
+    'controls.startLabel': 'Start the wage counter',
+    'controls.resetLabel': 'Reset the wage counter',
+
+    // 共通
+    'common.previous': 'Previous',
+    'common.next': 'Next',
+    'common.workedHours': 'Hours worked',
+    'common.earnings': 'Earnings',
+    'common.add': 'Add',
+    'common.delete': 'Delete',
+    'common.edit': 'Edit',
+    'common.cancel': 'Cancel',
+    'common.save': 'Save',
+    'common.actions': 'Actions',
+    'common.hourlyWage': 'Hourly wage',
+    'common.job': 'Job',
+    'common.rangeSeparator': '–',
+    'common.date': 'Date',
+    'common.time': 'Time',
+    'common.listSeparator': ', ',
+
+    // 収入進捗
+    'visualization.heading': 'Earnings progress',
+    'visualization.options': 'Visualization options',
+    'visualization.bar': 'Bar',
+    'visualization.circle': 'Pie chart',
+    'visualization.circleTitle': 'Earnings progress pie chart',
+    'visualization.circleDescription': 'Shows the current earnings progress as a pie chart',
+    'visualization.progressLabel': 'Progress toward goal: {percent}%',
+    'visualization.goalProgressLabel': 'Goal progress: {current}/{max} ({percent}%)',
+    'visualization.earningsProgressLabel': 'Earnings progress: {current}/{max} ({percent}%)',
+
+    // 収入レポート
+    'report.heading': 'Earnings report',
+    'report.period': 'Report period',
+    'report.period.day': 'Day',
+    'report.period.week': 'Week',
+    'report.period.month': 'Month',
+    'report.period.custom': 'Custom',
+    'report.startDate': 'Report start date',
+    'report.endDate': 'Report end date',
+    'report.apply': 'Show',
+    'report.previousPeriod': 'Previous period',
+    'report.nextPeriod': 'Next period',
+    'report.chart': 'Earnings chart',
+    'report.column.date': 'Date',
+    'report.column.averageWage': 'Avg. hourly wage',
+    'report.exportSummary': 'Save summary as CSV',
+    'report.exportSessions': 'Save sessions in this period as CSV',
+    'report.error.datesRequired': 'Enter a start and end date',
+    'report.error.endBeforeStart': 'The end date must be on or after the start date',
+    'report.error.tooLong': 'The period can be at most {days} days',
+    'report.label.week': 'Week {week}, {year} ({start}–{end})',
+    'report.label.month': '{monthName} {year}',
+    'report.label.range': '{start}–{end}',
+    'report.total': 'Total',
+    'report.chartLabel': 'Earnings chart for {label} (total {total})',
+    'report.chartEmpty': 'No records',
+    'report.empty': 'No records in this period',
+
+    // 設定
+    'settings.heading': 'Settings',
+
+    // ジョブ
+    'profile.heading': 'Jobs',
+    'profile.description': 'Register an hourly wage and display color for each job you work. Overtime, night and holiday premium settings are saved per selected job, and each session is recorded under the job that was selected when it started.',
+    'profile.column.color': 'Color',
+    'profile.column.name': 'Job name',
+    'profile.column.monthTotal': 'This month',
+    'profile.newColor': 'Color of the new job',
+    'profile.newName': 'Name of the new job',
+    'profile.newWage': 'Hourly wage of the new job',
+    'profile.error.invalid': 'Invalid job',
+    'profile.error.nameRequired': 'Enter a job name',
+    'profile.error.nameTooLong': 'The job name can be at most {max} characters',
+    'profile.error.color': 'Invalid display color',
+    'profile.error.deleteLast': 'The last job cannot be deleted',
+    'profile.defaultName': 'Main',
+    'profile.colorLabel': 'Display color of {name}',
+    'profile.wageLabel': 'Hourly wage of {name}',
+    'profile.deleteLabel': 'Delete {name}',
+    'profile.confirmDelete': 'Delete "{name}"?',
+
+    // シフト
+    'shift.heading': 'Shifts',
+    'shift.description': 'Register weekly shifts to start a session with the shift\'s job at the start time (or ask first), and to end it at the end time and record it in the work history. With automatic start, shifts that passed while the page was closed (within the last 7 days) are recorded as worked as scheduled.',
+    'shift.mode': 'At shift start',
+    'shift.mode.off': 'Do nothing',
+    'shift.mode.prompt': 'Ask before starting',
+    'shift.mode.auto': 'Start automatically',
+    'shift.column.weekday': 'Day',
+    'shift.column.start': 'Start time',
+    'shift.column.end': 'End time',
+    'shift.newWeekday': 'Day of the shift to add',
+    'shift.newStart': 'Start time of the shift to add',
+    'shift.newEnd': 'End time of the shift to add',
+    'shift.newProfile': 'Job of the shift to add',
+    'shift.deleteLabel': 'Delete the {weekday} {start} shift',
+    'shift.error.invalid': 'Invalid shift settings',
+    'shift.error.weekday': 'Invalid shift day',
+    'shift.error.times': 'Enter the shift start and end times',
+    'shift.error.sameTimes': 'The shift start and end times must differ',
+    'shift.error.tooMany': 'You can register up to {max} shifts',
+    'shift.error.overlap': 'Shifts cannot overlap',
+    'shift.error.profile': 'The shift\'s job was not found',
+    'shift.notice.started': 'Started the session for your {start}–{end} shift',
+    'shift.notice.stopped': 'Ended the session at the shift end time ({time}) and recorded it in the work history',
+    'shift.notice.backfilled': { one: 'Recorded {count} shift from while the page was closed in the work history', other: 'Recorded {count} shifts from while the page was closed in the work history' },
+    'shift.notice.prompt': 'Your {start}–{end} shift has started. Start a session?',
+    'shift.notice.start': 'Start',
+    'shift.notice.dismiss': 'Dismiss',
+
+    // 目標
+    'goal.heading': 'Goal',
+    'goal.description': 'Set the goal shown on the earnings progress bar and pie chart. Daily, weekly and monthly goals include recorded sessions, and the estimated completion time is based on your current earning pace.',
+    'goal.period': 'Period',
+    'goal.period.session': 'This session',
+    'goal.period.day': 'Today',
+    'goal.period.week': 'This week',
+    'goal.period.month': 'This month',
+    'goal.type': 'Type',
+    'goal.type.amount': 'Amount',
+    'goal.target': 'Target',
+    'goal.targetValue': 'Goal value',
+    'goal.status.remaining': '{value} to go',
+    'goal.status.reached': 'Reached',
+    'goal.status.eta': 'Expected at {time}',
+    'goal.status': 'Goal for {period}: {target} — {status}',
+    'goal.error.invalid': 'Invalid goal',
+    'goal.error.positive': 'The goal must be greater than 0',
+    'goal.error.maxHours': 'The hours goal must be 744 hours or less',
+    'goal.error.maxAmount': 'The amount goal must be 1,000,000,000 or less',
+
+    // 通貨
+    'currency.heading': 'Currency',
+    'currency.description': 'Choose the currency used to display wages and earnings. Symbol placement and the number of decimal places (whole yen, cents for dollars) follow the currency. Amounts are not converted.',
+    'currency.select': 'Display currency',
+    'currency.error.unsupported': 'This currency is not supported',
+    'currency.option': '{name} ({code})',
+    'currency.yenAmount': '¥{amount}',
+
+    // 収入の表示
+    'ticker.heading': 'Earnings display',
+    'ticker.description': 'Increase the running total smoothly instead of once per second, and show it with decimal places (2 digits for sen).',
+    'ticker.enabled': 'Show earnings smoothly',
+    'ticker.decimals': 'Decimal places',
+    'ticker.decimalsLabel': 'Number of decimal places',
+    'ticker.digits': 'digits',
+    'ticker.error.invalid': 'Invalid display settings',
+    'ticker.error.decimals': 'Decimal places must be a whole number from 0 to {max}',
+
+    // 割増
+    'premium.rate': 'Premium rate',
+
+    // 時間外割増
+    'overtime.heading': 'Overtime premium',
+    'overtime.description': 'Apply a premium rate to work beyond the threshold hours. When several rules apply, the highest rate is used.',
+    'overtime.column.period': 'Period',
+    'overtime.column.threshold': 'Threshold',
+    'overtime.addRule': 'Add rule',
+    'overtime.error.period': 'The period must be day, week or month',
+    'overtime.error.threshold': 'The threshold must be more than 0 and at most 744 hours',
+    'overtime.error.multiplier': 'The premium rate must be between 1.0x and 5.0x',
+    'overtime.period.day': 'Per day',
+    'overtime.period.week': 'Per week',
+    'overtime.period.month': 'Per month',
+    'overtime.thresholdLabel': 'Threshold (hours)',
+    'overtime.thresholdUnit': 'hours or more',
+    'overtime.multiplierLabel': 'Premium rate (x)',
+    'overtime.multiplierUnit': 'x',
+    'overtime.deleteLabel': 'Delete this rule',
+
+    // 深夜割増
+    'night.heading': 'Night premium',
+    'night.description': 'Add a premium for work during night hours. When it overlaps with overtime, both rates are added together.',
+    'night.enabled': 'Apply night premium',
+    'night.hours': 'Hours',
+    'night.start': 'Start of night hours',
+    'night.end': 'End of night hours',
+    'night.rate': 'Night premium rate (%)',
+    'night.error.invalid': 'Invalid night premium settings',
+    'night.error.times': 'Enter valid start and end times for night hours',
+    'night.error.sameTimes': 'Night hours must start and end at different times',
+    'night.error.rate': 'The night premium rate must be between 0% and 400%',
+
+    // 休日割増と会社休日
+    'holiday.heading': 'Holiday premium',
+    'holiday.description': 'Add a premium for work on national holidays (including substitute holidays), Sundays and company holidays. When a day matches more than one, the highest rate is used.',
+    'holiday.enabled': 'Apply holiday premium',
+    'holiday.national': 'National holidays',
+    'holiday.nationalRate': 'Premium rate for national holidays (%)',
+    'holiday.sunday': 'Sundays',
+    'holiday.sundayRate': 'Premium rate for Sundays (%)',
+    'holiday.company': 'Company holidays',
+    'holiday.companyRate': 'Premium rate for company holidays (%)',
+    'holiday.companyDate': 'Company holiday date',
+    'holiday.namePlaceholder': 'Holiday name (optional)',
+    'holiday.companyName': 'Company holiday name',
+    'holiday.error.invalid': 'Invalid holiday premium settings',
+    'holiday.error.rate': 'Holiday premium rates must be between 0% and 400%',
+    'holiday.deleteLabel': 'Delete the company holiday on {date}',
+    'holiday.error.dateFormat': 'Enter the date in YYYY-MM-DD format',
+    'holiday.error.dateNotExist': 'This date does not exist',
+    'holiday.error.name': 'The holiday name must be text',
+
+    // 休憩の自動控除
+    'breakDeduction.heading': 'Automatic break deduction',
+    'breakDeduction.description': 'Deduct a 45-minute break once work exceeds 6 hours and a 60-minute break once it exceeds 8 hours. Only the part not covered by breaks recorded with the "Break" button is deducted.',
+    'breakDeduction.enabled': 'Automatically deduct statutory breaks',
+    'breakDeduction.error.invalid': 'Invalid break deduction settings',
+    'breakDeduction.error.rules': 'Break deduction rules must use work time of up to 24 hours and breaks of up to 240 minutes',
+
+    // 勤務時間の端数処理
+    'rounding.heading': 'Time rounding',
+    'rounding.description': 'Round start and end times and total hours up, down or to the nearest unit to match your employer\'s payroll. Earnings are calculated from the rounded paid time, shown next to the actual time worked.',
+    'rounding.enabled': 'Round times',
+    'rounding.start': 'Start time',
+    'rounding.end': 'End time',
+    'rounding.total': 'Total',
+    'rounding.startUnit': 'Rounding unit for start time',
+    'rounding.startDirection': 'Rounding method for start time',
+    'rounding.endUnit': 'Rounding unit for end time',
+    'rounding.endDirection': 'Rounding method for end time',
+    'rounding.totalUnit': 'Rounding unit for total hours',
+    'rounding.totalDirection': 'Rounding method for total hours',
+    'rounding.unit.1': '1 min',
+    'rounding.unit.5': '5 min',
+    'rounding.unit.15': '15 min',
+    'rounding.unit.30': '30 min',
+    'rounding.direction.none': 'None',
+    'rounding.direction.up': 'Round up',
+    'rounding.direction.down': 'Round down',
+    'rounding.direction.nearest': 'Round to nearest',
+    'rounding.risk': '⚠ Rounding the {targets} may make paid time shorter than the time actually worked. Under the Labor Standards Act, daily working time may not be rounded down when calculating wages.',
+    'rounding.target.start': 'start time',
+    'rounding.target.end': 'end time',
+    'rounding.target.total': 'total hours',
+    'rounding.error.invalid': 'Invalid rounding settings',
+    'rounding.error.unit': 'The rounding unit must be 1, 5, 15 or 30 minutes',
+
+    // セッションの上限
+    'limit.heading': 'Session limit',
+    'limit.description': 'To keep a forgotten timer from being recorded as a long session, the session stops automatically with a notice once it reaches the maximum length or passes the expected end time. A stopped session is recorded in the history only after you confirm its end time.',
+    'limit.enabled': 'Stop automatically at the limit',
+    'limit.maxHours': 'Maximum length',
+    'limit.hoursUnit': 'hours',
+    'limit.expectedEnd': 'Expected end (optional)',
+    'limit.error.invalid': 'Invalid session limit settings',
+    'limit.error.maxHours': 'The maximum length must be between {min} and {max} hours',
+    'limit.error.expectedEnd': 'Enter the expected end time as HH:MM',
+    'limit.error.noStop': 'No session has been stopped at the limit',
+    'limit.error.endTime': 'The end time must be after the session start and no later than the time it was stopped',
+    'limit.notice.maxLength': { one: 'The session reached the maximum length of {count} hour and was stopped at {time}. Check the end time to record', other: 'The session reached the maximum length of {count} hours and was stopped at {time}. Check the end time to record' },
+    'limit.notice.expectedEnd': 'The session passed the expected end time and was stopped at {time}. Check the end time to record',
+    'limit.notice.endLabel': 'End time to record',
+    'limit.notice.record': 'Record until this time',
+    'limit.notice.continue': 'Keep working',
+
+    // スリープと時計の変更
+    'clock.notice.suspend': { one: '{ranges} ({count} minute) was left out of the working time because the computer was asleep or the clock was changed. Were you working during this time?', other: '{ranges} ({count} minutes) was left out of the working time because the computer was asleep or the clock was changed. Were you working during this time?' },
+    'clock.notice.include': 'Count as working time',
+    'clock.notice.exclude': 'Leave it out',
+
+    // 勤務履歴
+    'history.heading': 'Work history',
+    'history.description': 'Sessions ended with Reset are recorded as work on their start date. Deleted records are excluded from today\'s, this week\'s and this month\'s totals and can be restored from "Show deleted records". You can add forgotten work manually and correct the times or wage of a record with "Edit".',
+    'history.showDeleted': 'Show deleted records',
+    'history.form.addTitle': 'Add work manually',
+    'history.form.start': 'Work start date and time',
+    'history.form.end': 'Work end date and time',
+    'history.form.wage': 'Hourly wage for this work',
+    'history.form.addBreak': 'Add break',
+    'history.error.invalidEntry': 'Invalid work record',
+    'history.error.invalidTimes': 'The work record has invalid start or end times',
+    'history.error.invalidAmounts': 'The work record has an invalid wage, hours or earnings',
+    'history.error.deletedNotFound': 'Deleted work record not found',
+    'history.form.editTitle': 'Edit the record for {date}',
+    'history.form.update': 'Update',
+    'history.form.deleteBreak': 'Delete this break',
+    'history.form.breakStart': 'Break start date and time',
+    'history.form.breakEnd': 'Break end date and time',
+    'history.empty': 'No records yet',
+    'history.emptyDeleted': 'No deleted records',
+    'history.page': { one: '{page} / {pageCount} ({count} record)', other: '{page} / {pageCount} ({count} records)' },
+    'history.manualSuffix': ' (manual)',
+    'history.editedSuffix': ' (edited)',
+    'history.editLabel': 'Edit the record for {date}',
+    'history.restore': 'Restore',
+    'history.restoreLabel': 'Restore the record for {date}',
+    'history.deleteLabel': 'Delete the record for {date}',
+    'history.shiftSuffix': ' (shift)',
+    'history.rate': '{wage}/h from {time}',
+
+    // CSVの書き出し
+    'csv.heading': 'CSV export',
+    'csv.description': 'Save your work history and earnings report as CSV files. The report export uses the period shown in "Earnings report".',
+    'csv.bom': 'Add a BOM for Excel',
+    'csv.columns': 'Columns',
+    'csv.columnsLabel': 'Columns to export',
+    'csv.columns.basic': 'Basic (date and time, job, hours, earnings)',
+    'csv.columns.detailed': 'Detailed (includes wage, breaks and premium breakdown)',
+    'csv.dateFormat': 'Date format',
+    'csv.amountFormat': 'Amount format',
+    'csv.amount.raw': 'Number (1234.5)',
+    'csv.amount.formatted': 'Currency ({example})',
+    'csv.exportHistory': 'Save all work history as CSV',
+    'csv.error.empty': 'There are no records to export',
+    'csv.error.invalidOptions': 'Invalid CSV export settings',
+    'csv.column.start': 'Start',
+    'csv.column.end': 'End',
+    'csv.column.date': 'Date',
+    'csv.column.job': 'Job',
+    'csv.column.hourlyWage': 'Hourly wage',
+    'csv.column.elapsedHours': 'Elapsed (hours)',
+    'csv.column.breakHours': 'Break (hours)',
+    'csv.column.deductedBreakHours': 'Deducted break (hours)',
+    'csv.column.workedHours': 'Worked (hours)',
+    'csv.column.baseEarnings': 'Base pay',
+    'csv.column.overtime': 'Overtime premium',
+    'csv.column.night': 'Night premium',
+    'csv.column.holiday': 'Holiday premium',
+    'csv.column.earnings': 'Earnings',
+    'csv.column.averageHourlyRate': 'Average hourly rate',
+    'csv.column.sessionCount': 'Sessions',
+    'csv.column.inputMethod': 'Input method',
+    'csv.inputMethod.manual': 'Manual',
+    'csv.inputMethod.edited': 'Edited',
+    'csv.inputMethod.recorded': 'Recorded',
+    'csv.total': 'Total',
+    'csv.inputMethod.shift': 'Shift',
+
+    // バックアップと復元
+    'backup.heading': 'Backup and restore',
+    'backup.description': 'Save your settings, jobs and work history to a JSON file and restore them on another device or browser. A session in progress is not included.',
+    'backup.create': 'Save backup',
+    'backup.restoreHeading': 'Restore from backup',
+    'backup.file': 'File',
+    'backup.mode': 'Restore method',
+    'backup.mode.merge': 'Merge (keep current data and add missing records and jobs)',
+    'backup.mode.replace': 'Replace (delete current data and use the backup contents)',
+    'backup.column.item': 'Item',
+    'backup.column.current': 'Current',
+    'backup.column.restored': 'After restore',
+    'backup.key.hourlyWage': 'Hourly wage',
+    'backup.key.wageInput': 'Pay input mode',
+    'backup.key.visualizationMode': 'Visualization mode',
+    'backup.key.currency': 'Currency',
+    'backup.key.language': 'Language',
+    'backup.key.overtimeRules': 'Overtime premium',
+    'backup.key.nightPremium': 'Night premium',
+    'backup.key.holidayPremium': 'Holiday premium',
+    'backup.key.companyHolidays': 'Company holidays',
+    'backup.key.breakDeduction': 'Automatic break deduction',
+    'backup.key.timeRounding': 'Time rounding',
+    'backup.key.sessionLimit': 'Session limit',
+    'backup.key.netPay': 'Net pay estimate',
+    'backup.key.goal': 'Goal',
+    'backup.key.earningsTicker': 'Earnings display',
+    'backup.key.csvExport': 'CSV export',
+    'backup.key.profiles': 'Jobs',
+    'backup.key.activeProfileId': 'Active job',
+    'backup.key.sessionHistory': 'Work history',
+    'backup.key.dailyTotals': 'Daily totals',
+    'backup.error.invalidJson': 'The file is not valid JSON',
+    'backup.error.invalidFormat': 'This is not a backup file from this app',
+    'backup.error.invalidVersion': 'The backup version is invalid',
+    'backup.error.unsupportedVersion': 'This backup was created by a newer version of the app and cannot be restored',
+    'backup.error.noData': 'The backup contains no data',
+    'backup.error.invalidData': 'The "{item}" data in the backup is invalid',
+    'backup.error.invalidMode': 'Invalid restore method',
+    'backup.error.restoreFailed': 'Failed to restore "{item}"',
+    'backup.value.notSet': 'Not set',
+    'backup.value.set': 'Set',
+    'backup.value.items': { one: '{count} item', other: '{count} items' },
+    'backup.value.days': { one: '{count} day', other: '{count} days' },
+    'backup.createdAt': 'Backup created on {date}',
+    'backup.createdAtUnknown': 'Backup with unknown creation date',
+    'backup.unchanged': 'No change',
+    'backup.applyMerge': 'Merge and restore',
+    'backup.applyReplace': 'Replace and restore',
+    'backup.confirmReplace': 'All current data will be deleted and replaced with the backup. Continue?',
+    'backup.key.shiftSchedule': 'Shifts',
+
+    // キーボードショートカット
+    'shortcuts.heading': 'Keyboard shortcuts',
+    'shortcuts.next': 'Move focus to the next element',
+    'shortcuts.previous': 'Move focus to the previous element',
+    'shortcuts.reset': 'Reset the counter (with confirmation)',
+    'shortcuts.break': 'Start or end a break',
+    'shortcuts.tabs': 'Move between visualization tabs',
+    'shortcuts.or': 'or',
+    'shortcuts.press': 'Press the focused button',
+
+    // 言語
+    'language.heading': 'Language / 言語',
+    'language.description': 'Choose the display language. Changing it reloads the page (a session in progress keeps running).',
+    'language.label': 'Language',
+    'language.select': 'Display language',
+    'language.error.unsupported': 'This language is not supported',
+
+    // 単位
+    'unit.yen': '¥',
+    'unit.hours': 'hours',
+    'unit.days': 'days',
+    'unit.percent': '%',
+
+    // 入力の検証
+    'validation.wageRequired': 'Enter an hourly wage',
+    'validation.wageMin': 'The hourly wage must be {min} or more',
+    'validation.wageMax': 'The hourly wage must be {max} or less',
+    'validation.wageDecimals': 'The hourly wage can have at most 2 decimal places',
+    'validation.invalidWageMode': 'Invalid pay type',
+    'validation.fieldRequired': '{field} is required',
+    'validation.fieldInvalidNumber': '{field} must be a valid number',
+    'validation.amountRange': '{field} must be between {min} and {max}',
+    'validation.quantityRange': '{field} must be more than 0 and at most {max} {unit}',
+    'validation.integer': '{field} must be a whole number',
+    'validation.convertedWage': 'Converted wage: {error}',
+    'validation.sessionTimesRequired': 'Enter a start and end time',
+    'validation.sessionEndBeforeStart': 'The end time must be after the start time',
+    'validation.sessionTooLong': 'A single session can be at most {hours} hours',
+    'validation.sessionInFuture': 'Times in the future cannot be entered',
+    'validation.breakOutOfRange': 'Breaks must be within the work time and end after they start',
+    'validation.breakOverlap': 'Breaks overlap',
+    'validation.sessionOverlap': 'Overlaps with the session starting {month}/{day} {time}',
+
+    // 数値の入力
+    'number.error.invalid': 'Enter a valid number',
+    'number.error.required': 'Enter a number',
+    'number.error.yenPosition': 'Put "円" after the number',
+    'number.error.whitespace': 'Do not put spaces inside the number',
+    'number.error.invalidCharacter': 'The number contains a character that cannot be used: "{character}"',
+    'number.error.unitOrder': 'Use "万" and "千" once each, largest first (e.g. 1万2千)',
+    'number.error.unitWithoutNumber': 'Enter a number before "{unit}"',
+    'number.error.remainderTooLarge': 'The number after the unit is larger than the unit, so the amount is ambiguous (e.g. 1万2000)',
+    'number.error.multipleDecimals': 'Use only one decimal point ({separator})',
+    'number.error.grouping': 'Put the "{separator}" separator every 3 digits (e.g. 1{separator}200)',
+
+    // 保存
+    'storage.privateBrowsing': 'Settings are not saved in private browsing mode',
+    'storage.privateBrowsingDetail': 'In private browsing mode the browser restricts LocalStorage. You can keep using the app, but settings are lost when the browser is closed.',
+    'storage.unavailable': 'Saving settings is currently unavailable',
+    'storage.unavailableDetail': 'Settings cannot be saved because of your browser settings or private mode. You can keep using the app, but settings will not be saved.',
+    'storage.saveFailed': 'Failed to save settings',
+    'storage.loadFailed': 'Failed to load settings',
+    'storage.error.invalidKey': 'An invalid key was specified',
+    'storage.error.memoryOnly': 'LocalStorage is unavailable, so the setting was saved in memory only',
+    'storage.error.save': 'An error occurred while saving settings',
+    'storage.error.quota': 'The storage quota has been reached',
+    'storage.error.loadUnavailable': 'LocalStorage is unavailable, so settings cannot be loaded',
+    'storage.error.load': 'An error occurred while loading settings',
+    'storage.error.removeUnavailable': 'LocalStorage is unavailable, so the setting cannot be removed',
+    'storage.error.remove': 'An error occurred while removing the setting',
+    'storage.error.clearUnavailable': 'LocalStorage is unavailable, so settings cannot be cleared',
+    'storage.error.clear': 'An error occurred while clearing all settings',
+    'storage.error.loadAll': 'An error occurred while loading all settings',
+
+    // セッションの復元
+    'session.restoredRunning': 'Restored the session started at {time} and kept it running',
+    'session.restoredPaused': 'Restored the paused session started at {time}',
+
+    // ファイル
+    'file.error.saveUnsupported': 'Files cannot be saved in this browser',
+    'file.error.readFailed': 'Could not read the file'
+});
@@ -0,0 +1,563 @@
+/**
+ * 日本語のメッセージカタログ
+ * キーは「画面や機能.項目」の形式で、{name} は I18n.t に渡した値に置き換えられる
+ */
+I18n.addMessages('ja', {
+    // アプリ全体
+    'app.description': '時給に基づいて秒単位の収入を計算し、リアルタイムで可視化するWebアプリケーション',
+    'app.title': '時給カウンター',
+    'app.skipLink': 'メインコンテンツへスキップ',
+    'app.error.storageNotInitialized': 'StorageManagerが初期化されていません',
+    'app.error.invalidVisualizationMode': '無効な視覚化モードです',
+    'app.error.invalidPremiumRules': '無効な割増ルールです',
+    'app.error.invalidCompanyHolidays': '無効な会社休日です',
+    'app.error.switchProfileDuringSession': 'セッション中はジョブを切り替えられません',
+    'app.error.profileNotFound': 'ジョブが見つかりません',
+    'app.error.deleteActiveProfile': 'セッション中のジョブは削除できません',
+    'app.error.restoreOverlap': '他の勤務記録と重複するため元に戻せません',
+    'app.error.entryNotFound': '勤務記録が見つかりません',
+    'app.error.importDuringSession': '計測中のセッションがある間は復元できません。セッションを終了してから復元してください',
+    'app.error.notInitialized': 'アプリケーションが初期化されていません',
+    'app.error.shiftDuringSession': 'セッション中はシフトを開始できません',
+    'app.error.shiftStartFailed': '時給が設定されていないため、シフトを開始できません',
+
+    // 収入と時間の表示
+    'display.heading': '表示セクション',
+    'display.earnings': '累積収入',
+    'display.base': '基本',
+    'display.overtime': '時間外',
+    'display.night': '深夜',
+    'display.holiday': '休日',
+    'display.elapsed': '経過時間',
+    'display.break': '休憩',
+    'display.deducted': '控除',
+    'display.gross': '拘束',
+    'display.worked': '実働',
+    'display.paid': '支払対象',
+    'display.underpaid': '⚠ 支払対象の時間が実際の勤務時間より{count}分短くなっています（未払いになるおそれがあります）',
+    'display.earningsDetail': '詳細: {amount}',
+    'display.earningsLabel': '現在の累積収入: {amount}',
+    'display.elapsedLabel': '経過時間: {time}',
+
+    // 時給入力
+    'wage.heading': '時給入力',
+    'wage.profileLabel': 'ジョブ:',
+    'wage.modeLabel': '入力方式:',
+    'wage.mode.hourly': '時給',
+    'wage.mode.monthly': '月給',
+    'wage.mode.annual': '年俸',
+    'wage.mode.daily': '日給',
+    'wage.field.monthlySalary': '月給',
+    'wage.field.monthlyHours': '月の所定労働時間',
+    'wage.field.annualSalary': '年俸',
+    'wage.field.workingDays': '年間労働日数',
+    'wage.field.dailyHours': '1日の所定労働時間',
+    'wage.field.dailyRate': '日給',
+    'wage.fieldLabel': '{field}（{unit}）',
+    'wage.hourlyLabel': '時給（{unit}）:',
+    'wage.effectiveLabel': '実質時給（{unit}）:',
+    'wage.conversion': '実質時給 {hourly}（毎秒 {perSecond}）',
+
+    // 手取りの概算
+    'netPay.label': '手取り（推定）',
+    'netPay.details': '控除の内訳',
+    'netPay.gross': '総支給',
+    'netPay.incomeTax': '所得税',
+    'netPay.healthInsurance': '健康保険',
+    'netPay.nursingCare': '介護保険',
+    'netPay.pension': '厚生年金',
+    'netPay.employmentInsurance': '雇用保険',
+    'netPay.totalDeductions': '控除合計',
+    'netPay.heading': '手取りの概算',
+    'netPay.description': '累積収入から源泉所得税（月額表の甲欄・電算機計算の特例）と社会保険料・雇用保険料を差し引いた手取り額を概算します。所得税は同じ月に記録された収入を含めて計算します。保険料率は被保険者負担分を入力してください。',
+    'netPay.enabled': '手取り額を表示する',
+    'netPay.healthInsuranceRate': '健康保険料率（%）',
+    'netPay.nursingCareRate': '介護保険料率（%）',
+    'netPay.pensionRate': '厚生年金保険料率（%）',
+    'netPay.employmentInsuranceRate': '雇用保険料率（%）',
+    'netPay.dependents': '扶養親族等の数',
+    'netPay.dependentsLabel': '源泉控除対象配偶者と扶養親族の数',
+    'netPay.people': '人',
+    'netPay.error.invalid': '無効な手取り計算の設定です',
+    'netPay.error.rate': '保険料率は0%以上30%以下で入力してください',
+    'netPay.error.dependents': '扶養親族等の数は0〜20の整数で入力してください',
+
+    // 操作ボタン
+    'controls.heading': '操作コントロール',
+    'controls.start': '開始',
+    'controls.stop': '停止',
+    'controls.break': '休憩',
+    'controls.startBreak': '休憩を開始する',
+    'controls.reset': 'リセット',
+    'controls.resetDisabled': 'カウンターが動作中はリセットできません。まず停止してください。',
+    'controls.confirmReset': 'カウンターをリセットしますか？',
+    'controls.wageRequiredToStart': '時給を設定してからカウンターを開始してください',
+    'controls.confirmResetRunning': 'カウンターが動作中です。リセットしますか？',
+    'controls.endBreak': '休憩終了',
+    'controls.endBreakLabel': '休憩を終了して勤務を再開する',
+    'controls.stopLabel': '時給カウンターを停止する',
+    'controls.startLabel': '時給カウンターを開始する',
+    'controls.resetLabel': '時給カウンターをリセットする',
+
+    // 共通
+    'common.previous': '前へ',
+    'common.next': '次へ',
+    'common.workedHours': '勤務時間',
+    'common.earnings': '収入',
+    'common.add': '追加',
+    'common.delete': '削除',
+    'common.edit': '編集',
+    'common.cancel': 'キャンセル',
+    'common.save': '保存',
+    'common.actions': '操作',
+    'common.hourlyWage': '時給',
+    'common.job': 'ジョブ',
+    'common.rangeSeparator': '〜',
+    'common.date': '日付',
+    'common.time': '時刻',
+    'common.listSeparator': '・',
+
+    // 収入進捗
+    'visualization.heading': '収入進捗',
+    'visualization.options': '視覚化オプション',
+    'visualization.bar': 'バー表示',
+    'visualization.circle': '円グラフ表示',
+    'visualization.circleTitle': '収入進捗円グラフ',
+    'visualization.circleDescription': '現在の収入進捗を円グラフで表示',
+    'visualization.progressLabel': '目標に対する進捗: {percent}%',
+    'visualization.goalProgressLabel': '目標の進捗: {current}/{max} ({percent}%)',
+    'visualization.earningsProgressLabel': '収入進捗: {current}/{max} ({percent}%)',
+
+    // 収入レポート
+    'report.heading': '収入レポート',
+    'report.period': '集計期間',
+    'report.period.day': '日',
+    'report.period.week': '週',
+    'report.period.month': '月',
+    'report.period.custom': '期間指定',
+    'report.startDate': '集計の開始日',
+    'report.endDate': '集計の終了日',
+    'report.apply': '表示',
+    'report.previousPeriod': '前の期間',
+    'report.nextPeriod': '次の期間',
+    'report.chart': '収入グラフ',
+    'report.column.date': '日付',
+    'report.column.averageWage': '平均時給',
+    'report.exportSummary': '集計をCSVで保存',
+    'report.exportSessions': 'この期間の勤務をCSVで保存',
+    'report.error.datesRequired': '開始日と終了日を入力してください',
+    'report.error.endBeforeStart': '終了日は開始日以降にしてください',
+    'report.error.tooLong': '期間は{days}日以内で指定してください',
+    'report.label.week': '{year}年 第{week}週（{start}〜{end}）',
+    'report.label.month': '{year}年{month}月',
+    'report.label.range': '{start}〜{end}',
+    'report.total': '合計',
+    'report.chartLabel': '{label}の収入グラフ（合計 {total}）',
+    'report.chartEmpty': '記録はありません',
+    'report.empty': 'この期間の記録はありません',
+
+    // 設定
+    'settings.heading': '設定',
+
+    // ジョブ
+    'profile.heading': 'ジョブ',
+    'profile.description': '掛け持ちの仕事ごとに時給と表示色を登録します。時間外・深夜・休日割増の設定は選択中のジョブごとに保存され、セッションは開始時のジョブで記録されます。',
+    'profile.column.color': '色',
+    'profile.column.name': 'ジョブ名',
+    'profile.column.monthTotal': '今月の合計',
+    'profile.newColor': '追加するジョブの表示色',
+    'profile.newName': '追加するジョブの名前',
+    'profile.newWage': '追加するジョブの時給',
+    'profile.error.invalid': '無効なジョブです',
+    'profile.error.nameRequired': 'ジョブ名を入力してください',
+    'profile.error.nameTooLong': 'ジョブ名は{max}文字以内で入力してください',
+    'profile.error.color': '表示色が無効です',
+    'profile.error.deleteLast': '最後のジョブは削除できません',
+    'profile.defaultName': 'メイン',
+    'profile.colorLabel': '{name}の表示色',
+    'profile.wageLabel': '{name}の時給',
+    'profile.deleteLabel': '{name}を削除する',
+    'profile.confirmDelete': '「{name}」を削除しますか？',
+
+    // シフト
+    'shift.heading': 'シフト',
+    'shift.description': '曜日ごとに繰り返すシフトを登録すると、開始時刻にシフトのジョブでセッションを開始し（または開始を確認し）、終了時刻で終了して勤務履歴に記録します。自動で開始する場合、ページを閉じていた間のシフト（過去7日以内）は予定どおり勤務したものとして記録します。',
+    'shift.mode': 'シフトの開始時',
+    'shift.mode.off': '何もしない',
+    'shift.mode.prompt': '開始を確認する',
+    'shift.mode.auto': '自動で開始する',
+    'shift.column.weekday': '曜日',
+    'shift.column.start': '開始時刻',
+    'shift.column.end': '終了時刻',
+    'shift.newWeekday': '追加するシフトの曜日',
+    'shift.newStart': '追加するシフトの開始時刻',
+    'shift.newEnd': '追加するシフトの終了時刻',
+    'shift.newProfile': '追加するシフトのジョブ',
+    'shift.deleteLabel': '{weekday} {start} のシフトを削除',
+    'shift.error.invalid': '無効なシフトの設定です',
+    'shift.error.weekday': 'シフトの曜日が無効です',
+    'shift.error.times': 'シフトの開始時刻と終了時刻を入力してください',
+    'shift.error.sameTimes': 'シフトの開始時刻と終了時刻には異なる時刻を入力してください',
+    'shift.error.tooMany': '登録できるシフトは{max}件までです',
+    'shift.error.overlap': '時間帯が重なるシフトは登録できません',
+    'shift.error.profile': 'シフトのジョブが見つかりません',
+    'shift.notice.started': 'シフト（{start}〜{end}）のセッションを開始しました',
+    'shift.notice.stopped': 'シフトの終了時刻（{time}）でセッションを終了し、勤務履歴に記録しました',
+    'shift.notice.backfilled': 'ページを閉じていた間のシフト{count}件を勤務履歴に記録しました',
+    'shift.notice.prompt': 'シフト（{start}〜{end}）の時間です。セッションを開始しますか？',
+    'shift.notice.start': '開始',
+    'shift.notice.dismiss': '閉じる',
+
+    // 目標
+    'goal.heading': '目標',
+    'goal.description': '収入進捗のバーと円グラフに表示する目標を設定します。今日・今週・今月の目標には記録済みのセッションを含め、達成見込み時刻は動作中の収入ペースから計算します。',
+    'goal.period': '期間',
+    'goal.period.session': '今回のセッション',
+    'goal.period.day': '今日',
+    'goal.period.week': '今週',
+    'goal.period.month': '今月',
+    'goal.type': '種類',
+    'goal.type.amount': '金額',
+    'goal.target': '目標',
+    'goal.targetValue': '目標の値',
+    'goal.status.remaining': '残り {value}',
+    'goal.status.reached': '達成しました',
+    'goal.status.eta': '達成見込み {time}',
+    'goal.status': '{period}の目標 {target}: {status}',
+    'goal.error.invalid': '無効な目標です',
+    'goal.error.positive': '目標は0より大きい値で入力してください',
+    'goal.error.maxHours': '目標時間は744時間以下で入力してください',
+    'goal.error.maxAmount': '目標金額は1,000,000,000円以下で入力してください',
+
+    // 通貨
+    'currency.heading': '通貨',
+    'currency.description': '時給と収入の表示に使用する通貨を選びます。通貨記号の位置と小数点以下の桁数（円は整数、ドルはセント単位）は通貨に合わせて表示されます。金額の換算は行いません。',
+    'currency.select': '表示する通貨',
+    'currency.error.unsupported': '対応していない通貨です',
+    'currency.option': '{name}（{code}）',
+    'currency.yenAmount': '{amount}円',
+
+    // 収入の表示
+    'ticker.heading': '収入の表示',
+    'ticker.description': '動作中の累積収入を1秒ごとではなく滑らかに増やし、小数点以下まで表示します（2桁で銭単位）。',
+    'ticker.enabled': '収入を滑らかに表示する',
+    'ticker.decimals': '小数点以下',
+    'ticker.decimalsLabel': '小数点以下の桁数',
+    'ticker.digits': '桁',
+    'ticker.error.invalid': '無効な表示設定です',
+    'ticker.error.decimals': '小数点以下の桁数は0〜{max}の整数で入力してください',
+
+    // 割増
+    'premium.rate': '割増率',
+
+    // 時間外割増
+    'overtime.heading': '時間外割増',
+    'overtime.description': '基準時間を超えた勤務に割増率を適用します。複数のルールに該当する場合は最も高い割増率が適用されます。',
+    'overtime.column.period': '集計期間',
+    'overtime.column.threshold': '基準時間',
+    'overtime.addRule': 'ルールを追加',
+    'overtime.error.period': '集計期間は日・週・月のいずれかを指定してください',
+    'overtime.error.threshold': '割増の基準時間は0より大きく744時間以下で入力してください',
+    'overtime.error.multiplier': '割増率は1.0倍以上5.0倍以下で入力してください',
+    'overtime.period.day': '1日',
+    'overtime.period.week': '1週',
+    'overtime.period.month': '1か月',
+    'overtime.thresholdLabel': '基準時間（時間）',
+    'overtime.thresholdUnit': '時間超',
+    'overtime.multiplierLabel': '割増率（倍）',
+    'overtime.multiplierUnit': '倍',
+    'overtime.deleteLabel': 'このルールを削除する',
+
+    // 深夜割増
+    'night.heading': '深夜割増',
+    'night.description': '深夜時間帯の勤務に割増を加算します。時間外割増と重なる場合は両方の割増率が合算されます。',
+    'night.enabled': '深夜割増を適用する',
+    'night.hours': '時間帯',
+    'night.start': '深夜時間帯の開始時刻',
+    'night.end': '深夜時間帯の終了時刻',
+    'night.rate': '深夜割増率（%）',
+    'night.error.invalid': '無効な深夜割増設定です',
+    'night.error.times': '深夜時間帯の開始・終了時刻を正しく入力してください',
+    'night.error.sameTimes': '深夜時間帯の開始時刻と終了時刻は異なる時刻にしてください',
+    'night.error.rate': '深夜割増率は0%以上400%以下で入力してください',
+
+    // 休日割増と会社休日
+    'holiday.heading': '休日割増',
+    'holiday.description': '国民の祝日（振替休日を含む）・日曜日・会社休日の勤務に割増を加算します。複数に該当する日は最も高い割増率が適用されます。',
+    'holiday.enabled': '休日割増を適用する',
+    'holiday.national': '国民の祝日',
+    'holiday.nationalRate': '国民の祝日の割増率（%）',
+    'holiday.sunday': '日曜日',
+    'holiday.sundayRate': '日曜日の割増率（%）',
+    'holiday.company': '会社休日',
+    'holiday.companyRate': '会社休日の割増率（%）',
+    'holiday.companyDate': '会社休日の日付',
+    'holiday.namePlaceholder': '休日名（任意）',
+    'holiday.companyName': '会社休日の名前',
+    'holiday.error.invalid': '無効な休日割増設定です',
+    'holiday.error.rate': '休日割増率は0%以上400%以下で入力してください',
+    'holiday.deleteLabel': '{date}の会社休日を削除する',
+    'holiday.error.dateFormat': '日付を YYYY-MM-DD 形式で入力してください',
+    'holiday.error.dateNotExist': '存在しない日付です',
+    'holiday.error.name': '休日名は文字列で入力してください',
+
+    // 休憩の自動控除
+    'breakDeduction.heading': '休憩の自動控除',
+    'breakDeduction.description': '勤務時間が6時間を超えたら45分、8時間を超えたら60分の休憩を取ったものとして勤務時間から控除します。「休憩」ボタンで記録した休憩時間が不足する分だけ控除されます。',
+    'breakDeduction.enabled': '法定休憩を自動で控除する',
+    'breakDeduction.error.invalid': '無効な休憩控除設定です',
+    'breakDeduction.error.rules': '休憩控除のルールは24時間以内の勤務時間と240分以内の休憩時間で指定してください',
+
+    // 勤務時間の端数処理
+    'rounding.heading': '勤務時間の端数処理',
+    'rounding.description': '勤務先の給与計算に合わせて、開始・終了時刻と勤務時間の合計を指定した単位で切り上げ・切り捨て・四捨五入します。収入は端数処理後の支払対象の時間で計算し、実際の勤務時間と並べて表示します。',
+    'rounding.enabled': '端数処理を行う',
+    'rounding.start': '開始時刻',
+    'rounding.end': '終了時刻',
+    'rounding.total': '合計',
+    'rounding.startUnit': '開始時刻の端数処理の単位',
+    'rounding.startDirection': '開始時刻の端数処理の方法',
+    'rounding.endUnit': '終了時刻の端数処理の単位',
+    'rounding.endDirection': '終了時刻の端数処理の方法',
+    'rounding.totalUnit': '勤務時間の合計の端数処理の単位',
+    'rounding.totalDirection': '勤務時間の合計の端数処理の方法',
+    'rounding.unit.1': '1分',
+    'rounding.unit.5': '5分',
+    'rounding.unit.15': '15分',
+    'rounding.unit.30': '30分',
+    'rounding.direction.none': 'しない',
+    'rounding.direction.up': '切り上げ',
+    'rounding.direction.down': '切り捨て',
+    'rounding.direction.nearest': '四捨五入',
+    'rounding.risk': '⚠ {targets}の端数処理により、実際の勤務時間より短く計算される場合があります。労働基準法では、日々の労働時間の端数を切り捨てて賃金を計算することは認められていません。',
+    'rounding.target.start': '開始時刻',
+    'rounding.target.end': '終了時刻',
+    'rounding.target.total': '勤務時間の合計',
+    'rounding.error.invalid': '無効な端数処理の設定です',
+    'rounding.error.unit': '端数処理の単位は1・5・15・30分のいずれかで指定してください',
+
+    // セッションの上限
+    'limit.heading': 'セッションの上限',
+    'limit.description': '止め忘れたセッションが長時間の勤務として記録されないよう、開始から最大時間が経つか終了予定時刻を過ぎたら自動で停止して通知します。停止したセッションは、記録する終了時刻を確認してから勤務履歴に記録されます。',
+    'limit.enabled': '上限で自動停止する',
+    'limit.maxHours': '最大時間',
+    'limit.hoursUnit': '時間',
+    'limit.expectedEnd': '終了予定時刻（任意）',
+    'limit.error.invalid': '無効なセッションの上限の設定です',
+    'limit.error.maxHours': '最大時間は{min}〜{max}時間で指定してください',
+    'limit.error.expectedEnd': '終了予定時刻はHH:MM形式で指定してください',
+    'limit.error.noStop': '上限で停止したセッションはありません',
+    'limit.error.endTime': '終了時刻はセッションの開始より後、停止した時刻以前で指定してください',
+    'limit.notice.maxLength': 'セッションが最大時間（{count}時間）に達したため {time} に停止しました。記録する終了時刻を確認してください',
+    'limit.notice.expectedEnd': '終了予定時刻を過ぎたため {time} に停止しました。記録する終了時刻を確認してください',
+    'limit.notice.endLabel': '記録する終了時刻',
+    'limit.notice.record': 'この時刻までを記録',
+    'limit.notice.continue': '勤務を続ける',
+
+    // スリープと時計の変更
+    'clock.notice.suspend': 'スリープや時計の変更で計測が止まっていた {ranges}（{count}分）を勤務時間から除きました。この時間も勤務していましたか？',
+    'clock.notice.include': '勤務時間に含める',
+    'clock.notice.exclude': '含めない',
+
+    // 勤務履歴
+    'history.heading': '勤務履歴',
+    'history.description': 'リセットで終了したセッションを開始日の勤務として記録します。削除した記録は今日・今週・今月の集計から除かれ、「削除済みの記録を表示」から元に戻せます。記録し忘れた勤務は手入力で追加でき、記録した勤務の時刻や時給は「編集」から修正できます。',
+    'history.showDeleted': '削除済みの記録を表示',
+    'history.form.addTitle': '勤務を手入力で追加',
+    'history.form.start': '勤務の開始日時',
+    'history.form.end': '勤務の終了日時',
+    'history.form.wage': 'この勤務の時給',
+    'history.form.addBreak': '休憩を追加',
+    'history.error.invalidEntry': '無効な勤務記録です',
+    'history.error.invalidTimes': '勤務記録の開始・終了時刻が無効です',
+    'history.error.invalidAmounts': '勤務記録の時給・勤務時間・収入が無効です',
+    'history.error.deletedNotFound': '削除済みの勤務記録が見つかりません',
+    'history.form.editTitle': '{date}の記録を編集',
+    'history.form.update': '更新',
+    'history.form.deleteBreak': 'この休憩を削除する',
+    'history.form.breakStart': '休憩の開始日時',
+    'history.form.breakEnd': '休憩の終了日時',
+    'history.empty': '記録はまだありません',
+    'history.emptyDeleted': '削除済みの記録はありません',
+    'history.page': '{page} / {pageCount}（{count}件）',
+    'history.manualSuffix': '（手入力）',
+    'history.editedSuffix': '（編集済み）',
+    'history.editLabel': '{date}の記録を編集する',
+    'history.restore': '元に戻す',
+    'history.restoreLabel': '{date}の記録を元に戻す',
+    'history.deleteLabel': '{date}の記録を削除する',
+    'history.shiftSuffix': '（シフト）',
+    'history.rate': '{time}から時給{wage}',
+
+    // CSVの書き出し
+    'csv.heading': 'CSVの書き出し',
+    'csv.description': '勤務履歴と収入レポートをCSVファイルとして保存します。レポートは「収入レポート」に表示中の期間を書き出します。',
+    'csv.bom': 'Excel用にBOMを付ける',
+    'csv.columns': '列',
+    'csv.columnsLabel': '書き出す列',
+    'csv.columns.basic': '基本（日時・ジョブ・勤務時間・収入）',
+    'csv.columns.detailed': '詳細（時給・休憩・割増の内訳を含む）',
+    'csv.dateFormat': '日付の形式',
+    'csv.amountFormat': '金額の形式',
+    'csv.amount.raw': '数値（1234.5）',
+    'csv.amount.formatted': '通貨表示（{example}）',
+    'csv.exportHistory': 'すべての勤務履歴をCSVで保存',
+    'csv.error.empty': '書き出す記録がありません',
+    'csv.error.invalidOptions': '無効なCSVの書き出し設定です',
+    'csv.column.start': '開始',
+    'csv.column.end': '終了',
+    'csv.column.date': '日付',
+    'csv.column.job': 'ジョブ',
+    'csv.column.hourlyWage': '時給',
+    'csv.column.elapsedHours': '経過時間（時間）',
+    'csv.column.breakHours': '休憩時間（時間）',
+    'csv.column.deductedBreakHours': '控除した休憩（時間）',
+    'csv.column.workedHours': '勤務時間（時間）',
+    'csv.column.baseEarnings': '基本給',
+    'csv.column.overtime': '時間外割増',
+    'csv.column.night': '深夜割増',
+    'csv.column.holiday': '休日割増',
+    'csv.column.earnings': '収入',
+    'csv.column.averageHourlyRate': '平均時給',
+    'csv.column.sessionCount': 'セッション数',
+    'csv.column.inputMethod': '入力方法',
+    'csv.inputMethod.manual': '手入力',
+    'csv.inputMethod.edited': '編集済み',
+    'csv.inputMethod.recorded': '記録',
+    'csv.total': '合計',
+    'csv.inputMethod.shift': 'シフト',
+
+    // バックアップと復元
+    'backup.heading': 'バックアップと復元',
+    'backup.description': '設定・ジョブ・勤務履歴をJSONファイルに保存し、別の端末やブラウザで復元できます。計測中のセッションは含まれません。',
+    'backup.create': 'バックアップを保存',
+    'backup.restoreHeading': 'バックアップから復元',
+    'backup.file': 'ファイル',
+    'backup.mode': '復元の方法',
+    'backup.mode.merge': '統合（現在のデータを残し、ない記録とジョブを追加する）',
+    'backup.mode.replace': '置き換え（現在のデータを削除してバックアップの内容にする）',
+    'backup.column.item': '項目',
+    'backup.column.current': '現在',
+    'backup.column.restored': '復元後',
+    'backup.key.hourlyWage': '時給',
+    'backup.key.wageInput': '給与の入力方式',
+    'backup.key.visualizationMode': '視覚化モード',
+    'backup.key.currency': '通貨',
+    'backup.key.language': '言語',
+    'backup.key.overtimeRules': '時間外割増',
+    'backup.key.nightPremium': '深夜割増',
+    'backup.key.holidayPremium': '休日割増',
+    'backup.key.companyHolidays': '会社休日',
+    'backup.key.breakDeduction': '休憩の自動控除',
+    'backup.key.timeRounding': '勤務時間の端数処理',
+    'backup.key.sessionLimit': 'セッションの上限',
+    'backup.key.netPay': '手取りの概算',
+    'backup.key.goal': '目標',
+    'backup.key.earningsTicker': '収入の表示',
+    'backup.key.csvExport': 'CSVの書き出し',
+    'backup.key.profiles': 'ジョブ',
+    'backup.key.activeProfileId': '使用中のジョブ',
+    'backup.key.sessionHistory': '勤務履歴',
+    'backup.key.dailyTotals': '日別集計',
+    'backup.error.invalidJson': 'JSONとして読み込めないファイルです',
+    'backup.error.invalidFormat': 'このアプリのバックアップファイルではありません',
+    'backup.error.invalidVersion': 'バックアップのバージョンが無効です',
+    'backup.error.unsupportedVersion': '新しいバージョンのアプリで作成されたバックアップのため復元できません',
+    'backup.error.noData': 'バックアップにデータが含まれていません',
+    'backup.error.invalidData': 'バックアップの「{item}」のデータが無効です',
+    'backup.error.invalidMode': '復元の方法が無効です',
+    'backup.error.restoreFailed': '「{item}」の復元に失敗しました',
+    'backup.value.notSet': '未設定',
+    'backup.value.set': '設定あり',
+    'backup.value.items': '{count}件',
+    'backup.value.days': '{count}日分',
+    'backup.createdAt': '{date} に作成されたバックアップ',
+    'backup.createdAtUnknown': '作成日時が不明なバックアップ',
+    'backup.unchanged': '変更なし',
+    'backup.applyMerge': '統合して復元',
+    'backup.applyReplace': '置き換えて復元',
+    'backup.confirmReplace': '現在のすべてのデータを削除して、バックアップの内容に置き換えます。よろしいですか？',
+    'backup.key.shiftSchedule': 'シフト',
+
+    // キーボードショートカット
+    'shortcuts.heading': 'キーボードショートカット',
+    'shortcuts.next': 'フォーカスを次の要素に移動',
+    'shortcuts.previous': 'フォーカスを前の要素に移動',
+    'shortcuts.reset': 'カウンターをリセット（確認あり）',
+    'shortcuts.break': '休憩の開始・終了',
+    'shortcuts.tabs': '視覚化タブ間を移動',
+    'shortcuts.or': 'または',
+    'shortcuts.press': 'フォーカスされたボタンを押す',
+
+    // 言語
+    'language.heading': '言語 / Language',
+    'language.description': '画面に表示する言語を選びます。変更するとページを再読み込みして切り替えます（計測中のセッションは継続します）。',
+    'language.label': '言語',
+    'language.select': '表示する言語',
+    'language.error.unsupported': '対応していない言語です',
+
+    // 単位
+    'unit.yen': '円',
+    'unit.hours': '時間',
+    'unit.days': '日',
+    'unit.percent': '%',
+
+    // 入力の検証
+    'validation.wageRequired': '時給を入力してください',
+    'validation.wageMin': '時給は{min}以上で入力してください',
+    'validation.wageMax': '時給は{max}以下で入力してください',
+    'validation.wageDecimals': '時給は小数点以下2桁まで入力してください',
+    'validation.invalidWageMode': '無効な入力方式です',
+    'validation.fieldRequired': '{field}を入力してください',
+    'validation.fieldInvalidNumber': '{field}に有効な数値を入力してください',
+    'validation.amountRange': '{field}は{min}以上{max}以下で入力してください',
+    'validation.quantityRange': '{field}は0より大きく{max}{unit}以下で入力してください',
+    'validation.integer': '{field}は整数で入力してください',
+    'validation.convertedWage': '換算後の{error}',
+    'validation.sessionTimesRequired': '開始時刻と終了時刻を入力してください',
+    'validation.sessionEndBeforeStart': '終了時刻は開始時刻より後にしてください',
+    'validation.sessionTooLong': '1回の勤務は{hours}時間以内で入力してください',
+    'validation.sessionInFuture': '未来の時刻は入力できません',
+    'validation.breakOutOfRange': '休憩は勤務時間内で、開始より後に終了するように入力してください',
+    'validation.breakOverlap': '休憩時間が重複しています',
+    'validation.sessionOverlap': '{month}/{day} {time}からの勤務と重複しています',
+
+    // 数値の入力
+    'number.error.invalid': '有効な数値を入力してください',
+    'number.error.required': '数値を入力してください',
+    'number.error.yenPosition': '「円」は数値の後に入力してください',
+    'number.error.whitespace': '数値の途中に空白を入れないでください',
+    'number.error.invalidCharacter': '数値として使用できない文字「{character}」が含まれています',
+    'number.error.unitOrder': '「万」「千」は大きい単位から順に1回ずつ入力してください（例: 1万2千）',
+    'number.error.unitWithoutNumber': '「{unit}」の前に数値を入力してください',
+    'number.error.remainderTooLarge': '単位の後の数値が単位より大きいため、金額を判断できません（例: 1万2000）',
+    'number.error.multipleDecimals': '小数点（{separator}）は1つだけ入力してください',
+    'number.error.grouping': '桁区切りの「{separator}」は3桁ごとに入力してください（例: 1{separator}200）',
+
+    // 保存
+    'storage.privateBrowsing': 'プライベートブラウジングモードでは設定が保存されません',
+    'storage.privateBrowsingDetail': 'プライベートブラウジングモードでは、ブラウザの仕様によりLocalStorageが制限されています。アプリは引き続き使用できますが、設定はブラウザを閉じると失われます。',
+    'storage.unavailable': '設定の保存機能は現在利用できません',
+    'storage.unavailableDetail': 'ブラウザの設定またはプライベートモードにより、設定の保存機能が利用できません。アプリは引き続き使用できますが、設定は保存されません。',
+    'storage.saveFailed': '設定の保存に失敗しました',
+    'storage.loadFailed': '設定の読み込みに失敗しました',
+    'storage.error.invalidKey': '無効なキーが指定されました',
+    'storage.error.memoryOnly': 'LocalStorage が利用できないため、メモリ内にのみ保存されました',
+    'storage.error.save': '設定の保存中にエラーが発生しました',
+    'storage.error.quota': 'ストレージの容量制限に達しました',
+    'storage.error.loadUnavailable': 'LocalStorage が利用できないため、設定を読み込めません',
+    'storage.error.load': '設定の読み込み中にエラーが発生しました',
+    'storage.error.removeUnavailable': 'LocalStorage が利用できないため、設定を削除できません',
+    'storage.error.remove': '設定の削除中にエラーが発生しました',
+    'storage.error.clearUnavailable': 'LocalStorage が利用できないため、設定をクリアできません',
+    'storage.error.clear': 'すべての設定のクリア中にエラーが発生しました',
+    'storage.error.loadAll': 'すべての設定の読み込み中にエラーが発生しました',
+
+    // セッションの復元
+    'session.restoredRunning': '{time} に開始したセッションを復元し、計測を継続しています',
+    'session.restoredPaused': '{time} に開始した一時停止中のセッションを復元しました',
+
+    // ファイル
+    'file.error.saveUnsupported': 'このブラウザではファイルを保存できません',
+    'file.error.readFailed': 'ファイルを読み込めませんでした'
+});
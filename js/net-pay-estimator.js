@@ -0,0 +1,224 @@
+/**
+ * NetPayEstimator クラス
+ * 総支給額から源泉所得税・健康保険料・介護保険料・厚生年金保険料・雇用保険料を差し引いた手取り額を概算する
+ * 所得税は「月額表の甲欄を適用する給与等に対する源泉徴収税額の電算機計算の特例（令和2年分以降）」に基づく
+ */
+class NetPayEstimator {
+    /**
+     * NetPayEstimator を初期化する
+     * @param {Object} settings - 手取り計算の設定
+     */
+    constructor(settings = NetPayEstimator.getDefaultSettings()) {
+        this.settings = NetPayEstimator.getDefaultSettings();
+        this.setSettings(settings);
+    }
+
+    /**
+     * デフォルトの手取り計算の設定を取得する
+     * 保険料率は被保険者負担分（協会けんぽの全国平均・一般の事業の雇用保険料率）を目安とする（デフォルトは無効）
+     * @returns {Object} 設定 {enabled, healthInsuranceRate, nursingCareRate, pensionRate, employmentInsuranceRate, dependents}
+     */
+    static getDefaultSettings() {
+        return {
+            enabled: false,
+            healthInsuranceRate: 0.05,
+            nursingCareRate: 0,        // 40歳以上65歳未満の場合のみ（目安 0.8%）
+            pensionRate: 0.0915,
+            employmentInsuranceRate: 0.0055,
+            dependents: 0              // 源泉控除対象配偶者と扶養親族の数
+        };
+    }
+
+    /**
+     * 保険料率の設定項目
+     * @returns {Array<string>} 設定キーの一覧
+     */
+    static get RATE_KEYS() {
+        return ['healthInsuranceRate', 'nursingCareRate', 'pensionRate', 'employmentInsuranceRate'];
+    }
+
+    /**
+     * 税率表（課税給与所得金額の上限・税率・控除額、復興特別所得税を含む）
+     * @returns {Array<Object>} [{upTo, rate, deduction}]
+     */
+    static get TAX_BRACKETS() {
+        return [
+            { upTo: 162500, rate: 0.05105, deduction: 0 },
+            { upTo: 275000, rate: 0.1021, deduction: 8296 },
+            { upTo: 579166, rate: 0.2042, deduction: 36374 },
+            { upTo: 750000, rate: 0.23483, deduction: 54113 },
+            { upTo: 1500000, rate: 0.33693, deduction: 130688 },
+            { upTo: 3333333, rate: 0.4084, deduction: 237893 },
+            { upTo: Infinity, rate: 0.45945, deduction: 408061 }
+        ];
+    }
+
+    /**
+     * 手取り計算の設定を検証する
+     * @param {Object} settings - 手取り計算の設定
+     * @returns {Object} 検証結果 {isValid: boolean, error: string|null}
+     */
+    static validateSettings(settings) {
+        if (!settings || typeof settings !== 'object' || typeof settings.enabled !== 'boolean') {
+            return { isValid: false, error: I18n.t('netPay.error.invalid') };
+        }
+
+        const hasInvalidRate = NetPayEstimator.RATE_KEYS.some(key => typeof settings[key] !== 'number' ||
+            isNaN(settings[key]) || settings[key] < 0 || settings[key] > 0.3);
+        if (hasInvalidRate) {
+            return { isValid: false, error: I18n.t('netPay.error.rate') };
+        }
+
+        if (!Number.isInteger(settings.dependents) || settings.dependents < 0 || settings.dependents > 20) {
+            return { isValid: false, error: I18n.t('netPay.error.dependents') };
+        }
+
+        return { isValid: true, error: null };
+    }
+
+    /**
+     * 月額の給与所得控除額を計算する
+     * @param {number} amount - 社会保険料等控除後の給与等の金額（月額）
+     * @returns {number} 給与所得控除額（1円未満切上げ）
+     */
+    static getEmploymentIncomeDeduction(amount) {
+        if (amount <= 135416) {
+            return 45834;
+        }
+        if (amount <= 149999) {
+            return Math.ceil(amount * 0.4 - 8333);
+        }
+        if (amount <= 299999) {
+            return Math.ceil(amount * 0.3 + 6667);
+        }
+        if (amount <= 549999) {
+            return Math.ceil(amount * 0.2 + 36667);
+        }
+        if (amount <= 708330) {
+            return Math.ceil(amount * 0.1 + 91667);
+        }
+        return 162500;
+    }
+
+    /**
+     * 月額の基礎控除額を計算する
+     * @param {number} amount - 社会保険料等控除後の給与等の金額（月額）
+     * @returns {number} 基礎控除額
+     */
+    static getBasicDeduction(amount) {
+        if (amount <= 2162499) {
+            return 40000;
+        }
+        if (amount <= 2204166) {
+            return 26667;
+        }
+        if (amount <= 2245833) {
+            return 13334;
+        }
+        return 0;
+    }
+
+    /**
+     * 1か月分の源泉徴収税額（甲欄）を計算する
+     * @param {number} amount - 社会保険料等控除後の給与等の金額（月額）
+     * @param {number} dependents - 源泉控除対象配偶者と扶養親族の数
+     * @returns {number} 源泉徴収税額（10円未満四捨五入）
+     */
+    static calculateMonthlyWithholding(amount, dependents = 0) {
+        if (typeof amount !== 'number' || isNaN(amount) || amount <= 0) {
+            return 0;
+        }
+
+        const salary = Math.floor(amount);
+        const taxable = salary -
+            NetPayEstimator.getEmploymentIncomeDeduction(salary) -
+            dependents * 31667 -
+            NetPayEstimator.getBasicDeduction(salary);
+
+        if (taxable <= 0) {
+            return 0;
+        }
+
+        const bracket = NetPayEstimator.TAX_BRACKETS.find(item => taxable <= item.upTo);
+        const tax = taxable * bracket.rate - bracket.deduction;
+        return Math.max(0, Math.round(tax / 10) * 10);
+    }
+
+    /**
+     * 手取り計算の設定を行う
+     * @param {Object} settings - 手取り計算の設定
+     * @returns {boolean} 設定に成功したかどうか
+     */
+    setSettings(settings) {
+        if (!NetPayEstimator.validateSettings(settings).isValid) {
+            return false;
+        }
+
+        this.settings = {
+            enabled: settings.enabled,
+            healthInsuranceRate: settings.healthInsuranceRate,
+            nursingCareRate: settings.nursingCareRate,
+            pensionRate: settings.pensionRate,
+            employmentInsuranceRate: settings.employmentInsuranceRate,
+            dependents: settings.dependents
+        };
+        return true;
+    }
+
+    /**
+     * 手取り計算の設定を取得する
+     * @returns {Object} 設定（コピー）
+     */
+    getSettings() {
+        return { ...this.settings };
+    }
+
+    /**
+     * 手取り表示が有効かどうかを取得する
+     * @returns {boolean} 有効かどうか
+     */
+    isEnabled() {
+        return this.settings.enabled;
+    }
+
+    /**
+     * 総支給額から手取り額を概算する
+     * 保険料は総支給額に料率を掛けて按分し、所得税は同じ月に既に支給された額を含めた月額の税額から
+     * 既支給分の税額を差し引いた増加分とする
+     * @param {number} grossEarnings - 総支給額（今回のセッション）
+     * @param {number} priorMonthGross - 同じ月に既に記録された総支給額
+     * @returns {Object} {gross, healthInsurance, nursingCare, pension, employmentInsurance, socialInsurance, incomeTax, totalDeductions, net}
+     */
+    estimate(grossEarnings, priorMonthGross = 0) {
+        const gross = typeof grossEarnings === 'number' && grossEarnings > 0 ? grossEarnings : 0;
+        const prior = typeof priorMonthGross === 'number' && priorMonthGross > 0 ? priorMonthGross : 0;
+        const { healthInsuranceRate, nursingCareRate, pensionRate, employmentInsuranceRate, dependents } = this.settings;
+
+        const healthInsurance = gross * healthInsuranceRate;
+        const nursingCare = gross * nursingCareRate;
+        const pension = gross * pensionRate;
+        const employmentInsurance = gross * employmentInsuranceRate;
+        const socialInsurance = healthInsurance + nursingCare + pension + employmentInsurance;
+
+        // 社会保険料等控除後の月額で税額を求める
+        const socialInsuranceRate = healthInsuranceRate + nursingCareRate + pensionRate + employmentInsuranceRate;
+        const afterInsurance = (amount) => amount * (1 - socialInsuranceRate);
+        const incomeTax = Math.max(0,
+            NetPayEstimator.calculateMonthlyWithholding(afterInsurance(prior + gross), dependents) -
+            NetPayEstimator.calculateMonthlyWithholding(afterInsurance(prior), dependents));
+
+        const totalDeductions = socialInsurance + incomeTax;
+
+        return {
+            gross: gross,
+            healthInsurance: healthInsurance,
+            nursingCare: nursingCare,
+            pension: pension,
+            employmentInsurance: employmentInsurance,
+            socialInsurance: socialInsurance,
+            incomeTax: incomeTax,
+            totalDeductions: totalDeductions,
+            net: gross - totalDeductions
+        };
+    }
+}
@@ -0,0 +1,155 @@
+/**
+ * NumberParser クラス
+ * IMEで入力された数値（全角数字・桁区切り・通貨記号（¥, $, € など）や「円」・「万」「千」の単位）を数値に変換する
+ * 桁区切りと小数点の記号はロケールに合わせ、判断できない入力は理由を示すエラーにする
+ */
+class NumberParser {
+    /**
+     * NumberParser を初期化する
+     * @param {string} locale - 桁区切りと小数点の記号を決めるロケール
+     */
+    constructor(locale = 'ja-JP') {
+        const parts = new Intl.NumberFormat(locale).formatToParts(12345.6);
+        const findPart = (type, fallback) => (parts.find(part => part.type === type) || { value: fallback }).value;
+        // 空白の桁区切り（fr-FR など）も全角・半角の違いを NFKC で揃えて比較する
+        this.groupSeparator = findPart('group', ',').normalize('NFKC');
+        this.decimalSeparator = findPart('decimal', '.').normalize('NFKC');
+    }
+
+    /**
+     * 漢数字の単位と倍率（大きい単位から順に入力する）
+     * @returns {Object} 単位ごとの倍率
+     */
+    static get MULTIPLIERS() {
+        return { '万': 10000, '千': 1000 };
+    }
+
+    /**
+     * 文字列を数値に変換する
+     * @param {string|number} input - 入力値（例: '１，２００', '1,200円', '¥1,200', '1.2万', '1万2千'）
+     * @returns {Object} 変換結果 {isValid: boolean, errorCode: string|null, error: string|null, value: number|null}
+     *   errorCode はエラーの種類（'invalid', 'grouping' など、メッセージカタログの number.error.* のキー名）
+     */
+    parse(input) {
+        const invalid = (errorCode, params = {}) =>
+            ({ isValid: false, errorCode: errorCode, error: I18n.t(`number.error.${errorCode}`, params), value: null });
+
+        if (typeof input === 'number') {
+            return isFinite(input) ? { isValid: true, errorCode: null, error: null, value: input } : invalid('invalid');
+        }
+
+        if (input === '' || input == null) {
+            return invalid('required');
+        }
+
+        // 全角の数字・記号を半角に揃え、IMEで入力されやすい読点とマイナス記号を置き換える
+        let text = String(input).normalize('NFKC').replace(/、/g, ',').trim();
+        text = text.replace(/^(?:\p{Sc}|\\)\s*/u, '');
+        let sign = 1;
+        if (/^[-−ー‐]/.test(text)) {
+            sign = -1;
+            text = text.slice(1);
+        } else if (text.startsWith('+')) {
+            text = text.slice(1);
+        }
+        text = text.replace(/^(?:\p{Sc}|\\)\s*/u, '').replace(/\s*(?:円|\p{Sc})$/u, '').trim();
+
+        if (!/\d/.test(text)) {
+            return invalid('invalid');
+        }
+
+        if (text.includes('円')) {
+            return invalid('yenPosition');
+        }
+
+        if (/\s/.test(text.split(this.groupSeparator).join(''))) {
+            return invalid('whitespace');
+        }
+
+        const units = Object.keys(NumberParser.MULTIPLIERS).join('');
+        const allowed = new RegExp(`[^0-9${this.escape(this.groupSeparator + this.decimalSeparator)}${units}]`);
+        const invalidCharacter = allowed.exec(text);
+        if (invalidCharacter) {
+            return invalid('invalidCharacter', { character: invalidCharacter[0] });
+        }
+
+        // 「1万2千300」のように大きい単位から順に区切って加算する
+        let total = 0;
+        let lastMultiplier = Infinity;
+        let rest = text;
+        const unitPattern = new RegExp(`^([^${units}]*)([${units}])`);
+        let match;
+        while ((match = unitPattern.exec(rest)) !== null) {
+            const multiplier = NumberParser.MULTIPLIERS[match[2]];
+            if (multiplier >= lastMultiplier) {
+                return invalid('unitOrder');
+            }
+
+            if (match[1] === '') {
+                return invalid('unitWithoutNumber', { unit: match[2] });
+            }
+
+            const result = this.parsePlain(match[1]);
+            if (!result.isValid) {
+                return result;
+            }
+
+            total += result.value * multiplier;
+            lastMultiplier = multiplier;
+            rest = rest.slice(match[0].length);
+        }
+
+        if (rest !== '') {
+            const result = this.parsePlain(rest);
+            if (!result.isValid) {
+                return result;
+            }
+
+            // 「1万12000」のように単位より大きい端数は意図が判断できない
+            if (result.value >= lastMultiplier) {
+                return invalid('remainderTooLarge');
+            }
+            total += result.value;
+        }
+
+        // 小数と単位の掛け算による誤差（1.15万 → 11499.999...）を除く
+        return { isValid: true, errorCode: null, error: null, value: parseFloat((sign * total).toPrecision(15)) };
+    }
+
+    /**
+     * 単位を含まない数値を変換する（桁区切りは3桁ごとのみ有効）
+     * @param {string} text - 数値の文字列
+     * @returns {Object} 変換結果 {isValid: boolean, errorCode: string|null, error: string|null, value: number|null}
+     */
+    parsePlain(text) {
+        const invalid = (errorCode, params = {}) =>
+            ({ isValid: false, errorCode: errorCode, error: I18n.t(`number.error.${errorCode}`, params), value: null });
+        const parts = text.split(this.decimalSeparator);
+        if (parts.length > 2) {
+            return invalid('multipleDecimals', { separator: this.decimalSeparator });
+        }
+
+        const [integerPart, fractionPart = ''] = parts;
+        if (integerPart === '' && fractionPart === '') {
+            return invalid('invalid');
+        }
+
+        const group = this.escape(this.groupSeparator);
+        const isGrouped = new RegExp(`^\\d{1,3}(${group}\\d{3})+$`).test(integerPart);
+        if ((integerPart.includes(this.groupSeparator) && !isGrouped) || fractionPart.includes(this.groupSeparator)) {
+            return invalid('grouping', { separator: this.groupSeparator });
+        }
+
+        const digits = integerPart.split(this.groupSeparator).join('');
+        return { isValid: true, errorCode: null, error: null, value: Number(`${digits || '0'}.${fractionPart || '0'}`) };
+    }
+
+    /**
+     * 正規表現で使用する記号をエスケープする
+     * @param {string} text - 文字列
+     * @returns {string} エスケープした文字列
+     */
+    escape(text) {
+        return text.replace(/[\\^$.*+?()[\]{}|\-]/g, '\\$&');
+    }
+}
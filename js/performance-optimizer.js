@@ -285,12 +285,9 @@ class PerformanceOptimizer {
             this.memoryUsageMonitorId = null;
         }
         
-        // アプリケーションのタイマーを停止
-        if (this.app && this.app.timerManager) {
-            // 動作中の場合は停止
-            if (this.app.getState().isRunning) {
-                this.app.stop();
-            }
+        // アプリケーションのタイマーは停止せず、セッションを保存して次回起動時に再開できるようにする
+        if (this.app && this.app.timerManager && this.app.hasActiveSession()) {
+            this.app.saveSessionCheckpoint();
         }
         
         console.log('PerformanceOptimizer: リソースを解放しました');
@@ -0,0 +1,514 @@
+/**
+ * PremiumCalculator クラス
+ * 時間外労働の割増ルール・深夜割増・休日割増に基づいて経過時間を区分し、基本給と割増分を計算する
+ */
+class PremiumCalculator {
+    /**
+     * PremiumCalculator を初期化する
+     * @param {Array<Object>} overtimeRules - 割増ルールの配列
+     * @param {Object} nightPremium - 深夜割増の設定
+     * @param {Object} holidayPremium - 休日割増の設定
+     * @param {HolidayCalendar} holidayCalendar - 休日判定に使用するカレンダー
+     */
+    constructor(overtimeRules = PremiumCalculator.getDefaultOvertimeRules(),
+        nightPremium = PremiumCalculator.getDefaultNightPremium(),
+        holidayPremium = PremiumCalculator.getDefaultHolidayPremium(),
+        holidayCalendar = new HolidayCalendar()) {
+        this.overtimeRules = [];
+        this.nightPremium = PremiumCalculator.getDefaultNightPremium();
+        this.holidayPremium = PremiumCalculator.getDefaultHolidayPremium();
+        this.holidayCalendar = holidayCalendar;
+        this.setOvertimeRules(overtimeRules);
+        this.setNightPremium(nightPremium);
+        this.setHolidayPremium(holidayPremium);
+    }
+
+    /**
+     * 割増ルールの集計期間
+     * @returns {Array<string>} 期間の一覧
+     */
+    static get PERIODS() {
+        return ['day', 'week', 'month'];
+    }
+
+    /**
+     * デフォルトの割増ルールを取得する
+     * 1日8時間超は25%増、月60時間超は50%増
+     * @returns {Array<Object>} 割増ルールの配列
+     */
+    static getDefaultOvertimeRules() {
+        return [
+            { period: 'day', thresholdHours: 8, multiplier: 1.25 },
+            { period: 'month', thresholdHours: 60, multiplier: 1.5 }
+        ];
+    }
+
+    /**
+     * デフォルトの深夜割増設定を取得する
+     * 22:00〜翌5:00の勤務に25%を加算する
+     * @returns {Object} 深夜割増の設定 {enabled, start, end, premiumRate}
+     */
+    static getDefaultNightPremium() {
+        return { enabled: true, start: '22:00', end: '05:00', premiumRate: 0.25 };
+    }
+
+    /**
+     * デフォルトの休日割増設定を取得する
+     * 国民の祝日と会社休日は35%加算、日曜日は加算なし
+     * @returns {Object} 休日割増の設定 {enabled, nationalHolidayRate, sundayRate, companyHolidayRate}
+     */
+    static getDefaultHolidayPremium() {
+        return { enabled: true, nationalHolidayRate: 0.35, sundayRate: 0, companyHolidayRate: 0.35 };
+    }
+
+    /**
+     * HH:MM 形式の時刻を0時からの分数に変換する
+     * @param {string} time - 時刻文字列
+     * @returns {number|null} 分数、無効な場合はnull
+     */
+    static parseTimeOfDay(time) {
+        const match = typeof time === 'string' ? time.match(/^(\d{1,2}):(\d{2})$/) : null;
+        if (!match) {
+            return null;
+        }
+
+        const hours = parseInt(match[1], 10);
+        const minutes = parseInt(match[2], 10);
+        if (hours > 23 || minutes > 59) {
+            return null;
+        }
+
+        return hours * 60 + minutes;
+    }
+
+    /**
+     * 深夜割増の設定を検証する
+     * @param {Object} settings - 深夜割増の設定 {enabled, start, end, premiumRate}
+     * @returns {Object} 検証結果 {isValid: boolean, error: string|null}
+     */
+    static validateNightPremium(settings) {
+        if (!settings || typeof settings !== 'object' || typeof settings.enabled !== 'boolean') {
+            return { isValid: false, error: I18n.t('night.error.invalid') };
+        }
+
+        const start = PremiumCalculator.parseTimeOfDay(settings.start);
+        const end = PremiumCalculator.parseTimeOfDay(settings.end);
+        if (start === null || end === null) {
+            return { isValid: false, error: I18n.t('night.error.times') };
+        }
+
+        if (start === end) {
+            return { isValid: false, error: I18n.t('night.error.sameTimes') };
+        }
+
+        if (typeof settings.premiumRate !== 'number' || isNaN(settings.premiumRate) ||
+            settings.premiumRate < 0 || settings.premiumRate > 4) {
+            return { isValid: false, error: I18n.t('night.error.rate') };
+        }
+
+        return { isValid: true, error: null };
+    }
+
+    /**
+     * 休日割増の設定を検証する
+     * @param {Object} settings - 休日割増の設定 {enabled, nationalHolidayRate, sundayRate, companyHolidayRate}
+     * @returns {Object} 検証結果 {isValid: boolean, error: string|null}
+     */
+    static validateHolidayPremium(settings) {
+        if (!settings || typeof settings !== 'object' || typeof settings.enabled !== 'boolean') {
+            return { isValid: false, error: I18n.t('holiday.error.invalid') };
+        }
+
+        const rates = [settings.nationalHolidayRate, settings.sundayRate, settings.companyHolidayRate];
+        const hasInvalidRate = rates.some(rate => typeof rate !== 'number' || isNaN(rate) || rate < 0 || rate > 4);
+        if (hasInvalidRate) {
+            return { isValid: false, error: I18n.t('holiday.error.rate') };
+        }
+
+        return { isValid: true, error: null };
+    }
+
+    /**
+     * 割増ルールを検証する
+     * @param {Object} rule - 割増ルール {period, thresholdHours, multiplier}
+     * @returns {Object} 検証結果 {isValid: boolean, error: string|null}
+     */
+    static validateRule(rule) {
+        if (!rule || typeof rule !== 'object') {
+            return { isValid: false, error: I18n.t('app.error.invalidPremiumRules') };
+        }
+
+        if (!PremiumCalculator.PERIODS.includes(rule.period)) {
+            return { isValid: false, error: I18n.t('overtime.error.period') };
+        }
+
+        if (typeof rule.thresholdHours !== 'number' || isNaN(rule.thresholdHours) ||
+            rule.thresholdHours <= 0 || rule.thresholdHours > 744) {
+            return { isValid: false, error: I18n.t('overtime.error.threshold') };
+        }
+
+        if (typeof rule.multiplier !== 'number' || isNaN(rule.multiplier) ||
+            rule.multiplier < 1 || rule.multiplier > 5) {
+            return { isValid: false, error: I18n.t('overtime.error.multiplier') };
+        }
+
+        return { isValid: true, error: null };
+    }
+
+    /**
+     * 割増ルールを設定する（無効なルールは除外される）
+     * @param {Array<Object>} rules - 割増ルールの配列
+     * @returns {boolean} すべてのルールが有効だったかどうか
+     */
+    setOvertimeRules(rules) {
+        if (!Array.isArray(rules)) {
+            return false;
+        }
+
+        const validRules = rules.filter(rule => PremiumCalculator.validateRule(rule).isValid);
+        this.overtimeRules = validRules.map(rule => ({
+            period: rule.period,
+            thresholdHours: rule.thresholdHours,
+            multiplier: rule.multiplier
+        }));
+
+        return validRules.length === rules.length;
+    }
+
+    /**
+     * 割増ルールを取得する
+     * @returns {Array<Object>} 割増ルールの配列（コピー）
+     */
+    getOvertimeRules() {
+        return this.overtimeRules.map(rule => ({ ...rule }));
+    }
+
+    /**
+     * 深夜割増の設定を行う
+     * @param {Object} settings - 深夜割増の設定 {enabled, start, end, premiumRate}
+     * @returns {boolean} 設定に成功したかどうか
+     */
+    setNightPremium(settings) {
+        if (!PremiumCalculator.validateNightPremium(settings).isValid) {
+            return false;
+        }
+
+        this.nightPremium = {
+            enabled: settings.enabled,
+            start: settings.start,
+            end: settings.end,
+            premiumRate: settings.premiumRate
+        };
+        return true;
+    }
+
+    /**
+     * 深夜割増の設定を取得する
+     * @returns {Object} 深夜割増の設定（コピー）
+     */
+    getNightPremium() {
+        return { ...this.nightPremium };
+    }
+
+    /**
+     * 休日割増の設定を行う
+     * @param {Object} settings - 休日割増の設定 {enabled, nationalHolidayRate, sundayRate, companyHolidayRate}
+     * @returns {boolean} 設定に成功したかどうか
+     */
+    setHolidayPremium(settings) {
+        if (!PremiumCalculator.validateHolidayPremium(settings).isValid) {
+            return false;
+        }
+
+        this.holidayPremium = {
+            enabled: settings.enabled,
+            nationalHolidayRate: settings.nationalHolidayRate,
+            sundayRate: settings.sundayRate,
+            companyHolidayRate: settings.companyHolidayRate
+        };
+        return true;
+    }
+
+    /**
+     * 休日割増の設定を取得する
+     * @returns {Object} 休日割増の設定（コピー）
+     */
+    getHolidayPremium() {
+        return { ...this.holidayPremium };
+    }
+
+    /**
+     * 休日判定に使用するカレンダーを取得する
+     * @returns {HolidayCalendar} HolidayCalendarインスタンス
+     */
+    getHolidayCalendar() {
+        return this.holidayCalendar;
+    }
+
+    /**
+     * 日付に適用される休日割増率を取得する
+     * 複数の休日区分に該当する場合は最も高い割増率を適用する
+     * @param {Date} date - 日付
+     * @returns {number} 休日割増率（割増なしの場合は0）
+     */
+    getHolidayRate(date) {
+        if (!this.holidayPremium.enabled || !this.holidayCalendar) {
+            return 0;
+        }
+
+        const types = this.holidayCalendar.getHolidayTypes(date);
+        const rates = [0];
+        if (types.national) rates.push(this.holidayPremium.nationalHolidayRate);
+        if (types.sunday) rates.push(this.holidayPremium.sundayRate);
+        if (types.company) rates.push(this.holidayPremium.companyHolidayRate);
+
+        return Math.max(...rates);
+    }
+
+    /**
+     * 壁時計の区間のうち休日に含まれる秒数を計算する
+     * @param {number} start - 区間の開始（ミリ秒）
+     * @param {number} end - 区間の終了（ミリ秒）
+     * @returns {Object} {seconds: 休日の秒数, weightedSeconds: 休日割増率で重み付けした秒数}
+     */
+    getHolidaySeconds(start, end) {
+        const result = { seconds: 0, weightedSeconds: 0 };
+        if (end <= start) {
+            return result;
+        }
+
+        // 日付の境界で区間を分割し、日ごとに休日割増率を判定する
+        const day = new Date(start);
+        day.setHours(0, 0, 0, 0);
+
+        while (day.getTime() < end) {
+            const nextDay = new Date(day.getFullYear(), day.getMonth(), day.getDate() + 1);
+            const rate = this.getHolidayRate(day);
+
+            if (rate > 0) {
+                const seconds = (Math.min(end, nextDay.getTime()) - Math.max(start, day.getTime())) / 1000;
+                result.seconds += seconds;
+                result.weightedSeconds += seconds * rate;
+            }
+
+            day.setTime(nextDay.getTime());
+        }
+
+        return result;
+    }
+
+    /**
+     * 壁時計の区間のうち深夜時間帯に含まれる秒数を計算する
+     * @param {number} start - 区間の開始（ミリ秒）
+     * @param {number} end - 区間の終了（ミリ秒）
+     * @returns {number} 深夜時間帯の秒数
+     */
+    getNightSeconds(start, end) {
+        if (!this.nightPremium.enabled || end <= start) {
+            return 0;
+        }
+
+        const windowStart = PremiumCalculator.parseTimeOfDay(this.nightPremium.start);
+        const windowEnd = PremiumCalculator.parseTimeOfDay(this.nightPremium.end);
+
+        // 前日から始まる深夜時間帯も含めて、区間にかかる各日の深夜時間帯と重なりを求める
+        const day = new Date(start);
+        day.setHours(0, 0, 0, 0);
+        day.setDate(day.getDate() - 1);
+
+        let nightMs = 0;
+        while (day.getTime() < end) {
+            const nightStart = new Date(day.getFullYear(), day.getMonth(), day.getDate(), 0, windowStart).getTime();
+            const nightEnd = new Date(day.getFullYear(), day.getMonth(),
+                day.getDate() + (windowEnd <= windowStart ? 1 : 0), 0, windowEnd).getTime();
+
+            const overlap = Math.min(end, nightEnd) - Math.max(start, nightStart);
+            if (overlap > 0) {
+                nightMs += overlap;
+            }
+
+            day.setDate(day.getDate() + 1);
+        }
+
+        return nightMs / 1000;
+    }
+
+    /**
+     * 勤務時間上の範囲（セッション開始からの秒数）を壁時計の区間に変換する
+     * @param {number} fromSeconds - 範囲の開始（秒）
+     * @param {number} toSeconds - 範囲の終了（秒）
+     * @param {Array<Object>} segments - 稼働区間 [{start, end}]（ミリ秒）
+     * @returns {Array<Object>} 壁時計の区間 [{start, end}]（ミリ秒）
+     */
+    mapToWallClock(fromSeconds, toSeconds, segments) {
+        const intervals = [];
+        let offset = 0;
+
+        segments.forEach(segment => {
+            const length = (segment.end - segment.start) / 1000;
+            const from = Math.max(fromSeconds, offset);
+            const to = Math.min(toSeconds, offset + length);
+
+            if (to > from) {
+                intervals.push({
+                    start: segment.start + (from - offset) * 1000,
+                    end: segment.start + (to - offset) * 1000
+                });
+            }
+
+            offset += length;
+        });
+
+        return intervals;
+    }
+
+    /**
+     * 壁時計の区間を時給の変更時刻で分割する
+     * 最初の時給の開始時刻より前の区間は最初の時給とする
+     * @param {Array<Object>} intervals - 壁時計の区間 [{start, end}]（ミリ秒）
+     * @param {Array<Object>} rateSegments - 開始時刻順の時給の推移 [{start, hourlyWage}]
+     * @returns {Array<Object>} 時給ごとの区間 [{start, end, hourlyWage}]
+     */
+    splitByRate(intervals, rateSegments) {
+        const pieces = [];
+
+        intervals.forEach(interval => {
+            let cursor = interval.start;
+            rateSegments.forEach((rate, index) => {
+                const next = rateSegments[index + 1];
+                const end = next ? Math.min(interval.end, next.start) : interval.end;
+                if (end > cursor) {
+                    pieces.push({ start: cursor, end: end, hourlyWage: rate.hourlyWage });
+                    cursor = end;
+                }
+            });
+        });
+
+        return pieces;
+    }
+
+    /**
+     * 経過時間を割増率ごとの区分に分割する
+     * 複数のルールが該当する場合は最も高い割増率を適用する
+     * @param {number} elapsedSeconds - セッションの経過秒数
+     * @param {Object} priorWorked - セッション開始前の勤務秒数 {day, week, month}
+     * @returns {Array<Object>} 区分 [{fromSeconds, toSeconds, seconds, multiplier}]
+     */
+    splitIntoTiers(elapsedSeconds, priorWorked = {}) {
+        if (typeof elapsedSeconds !== 'number' || isNaN(elapsedSeconds) || elapsedSeconds <= 0) {
+            return [];
+        }
+
+        // 各ルールがセッション内で適用され始める時点（秒）
+        const ruleOffsets = this.overtimeRules.map(rule => {
+            const prior = Math.max(0, priorWorked[rule.period] || 0);
+            return {
+                offset: Math.max(0, rule.thresholdHours * 3600 - prior),
+                multiplier: rule.multiplier
+            };
+        });
+
+        const breakpoints = [0, elapsedSeconds];
+        ruleOffsets.forEach(({ offset }) => {
+            if (offset > 0 && offset < elapsedSeconds) {
+                breakpoints.push(offset);
+            }
+        });
+        breakpoints.sort((a, b) => a - b);
+
+        const tiers = [];
+        for (let i = 0; i < breakpoints.length - 1; i++) {
+            const from = breakpoints[i];
+            const to = breakpoints[i + 1];
+            if (to <= from) {
+                continue;
+            }
+
+            const multiplier = ruleOffsets
+                .filter(({ offset }) => offset <= from)
+                .reduce((max, { multiplier }) => Math.max(max, multiplier), 1);
+
+            // 同じ割増率が続く場合は区分を結合
+            const lastTier = tiers[tiers.length - 1];
+            if (lastTier && lastTier.multiplier === multiplier) {
+                lastTier.toSeconds = to;
+                lastTier.seconds = to - lastTier.fromSeconds;
+            } else {
+                tiers.push({ fromSeconds: from, toSeconds: to, seconds: to - from, multiplier: multiplier });
+            }
+        }
+
+        return tiers;
+    }
+
+    /**
+     * 経過時間に対する基本給と割増分を計算する
+     * 深夜割増・休日割増は時間外割増に加算される（例: 時間外かつ深夜は1.25 + 0.25 = 1.5倍）
+     * セッション中に時給を変更した場合は、稼働区間を変更した時刻で分けてそれぞれの時給で計算する
+     * @param {number} elapsedSeconds - セッションの経過秒数
+     * @param {number} hourlyWage - 時給（円）（時給を変更した場合は最後の時給）
+     * @param {Object} priorWorked - セッション開始前の勤務秒数 {day, week, month}
+     * @param {Array<Object>} segments - 稼働区間 [{start, end}]（深夜・休日の判定に使用）
+     * @param {Array<Object>} rateSegments - 時給の推移 [{start, hourlyWage}]（時給を変更していない場合は空）
+     * @returns {Object} {baseEarnings, premiums: {overtime, night, holiday}, premiumEarnings, totalEarnings, nightSeconds, holidaySeconds, tiers}
+     */
+    calculate(elapsedSeconds, hourlyWage, priorWorked = {}, segments = [], rateSegments = []) {
+        const wage = typeof hourlyWage === 'number' && hourlyWage > 0 ? hourlyWage : 0;
+        const perSecondWage = wage / 3600;
+        const nightRate = this.nightPremium.enabled ? this.nightPremium.premiumRate : 0;
+        const sortedSegments = (segments || []).slice().sort((a, b) => a.start - b.start);
+        const rates = rateSegments && rateSegments.length > 0
+            ? rateSegments.slice().sort((a, b) => a.start - b.start)
+            : [{ start: 0, hourlyWage: wage }];
+
+        const tiers = this.splitIntoTiers(elapsedSeconds, priorWorked).map(tier => {
+            const intervals = this.mapToWallClock(tier.fromSeconds, tier.toSeconds, sortedSegments);
+            const pieces = this.splitByRate(intervals, rates).map(piece => ({
+                seconds: (piece.end - piece.start) / 1000,
+                nightSeconds: this.getNightSeconds(piece.start, piece.end),
+                holiday: this.getHolidaySeconds(piece.start, piece.end),
+                wageDifference: (Math.max(0, piece.hourlyWage) - wage) / 3600
+            }));
+            const nightSeconds = pieces.reduce((sum, piece) => sum + piece.nightSeconds, 0);
+            const holiday = pieces.reduce((sum, piece) => ({
+                seconds: sum.seconds + piece.holiday.seconds,
+                weightedSeconds: sum.weightedSeconds + piece.holiday.weightedSeconds
+            }), { seconds: 0, weightedSeconds: 0 });
+
+            // 最後の時給で計算し、時給を変更する前の区間は時給の差額で補正する
+            // （端数処理で稼働区間より長くなった時間は最後の時給で計算する）
+            const adjustment = (getSeconds) => pieces
+                .reduce((sum, piece) => sum + piece.wageDifference * getSeconds(piece), 0);
+            const baseEarnings = perSecondWage * tier.seconds + adjustment(piece => piece.seconds);
+
+            return {
+                ...tier,
+                nightSeconds: nightSeconds,
+                holidaySeconds: holiday.seconds,
+                baseEarnings: baseEarnings,
+                overtimePremium: baseEarnings * (tier.multiplier - 1),
+                nightPremium: (perSecondWage * nightSeconds + adjustment(piece => piece.nightSeconds)) * nightRate,
+                holidayPremium: perSecondWage * holiday.weightedSeconds + adjustment(piece => piece.holiday.weightedSeconds)
+            };
+        });
+
+        const sum = (key) => tiers.reduce((total, tier) => total + tier[key], 0);
+        const baseEarnings = sum('baseEarnings');
+        const premiums = {
+            overtime: sum('overtimePremium'),
+            night: sum('nightPremium'),
+            holiday: sum('holidayPremium')
+        };
+        const premiumEarnings = premiums.overtime + premiums.night + premiums.holiday;
+
+        return {
+            baseEarnings: baseEarnings,
+            premiums: premiums,
+            premiumEarnings: premiumEarnings,
+            totalEarnings: baseEarnings + premiumEarnings,
+            nightSeconds: sum('nightSeconds'),
+            holidaySeconds: sum('holidaySeconds'),
+            tiers: tiers
+        };
+    }
+}
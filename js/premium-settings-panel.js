@@ -0,0 +1,380 @@
+/**
+ * PremiumSettingsPanel クラス
+ * 時間外割増ルール・深夜割増・休日割増の設定と会社休日の編集UIを管理する
+ */
+class PremiumSettingsPanel {
+    /**
+     * PremiumSettingsPanel を初期化する
+     * @param {WageCounterApp} app - WageCounterApp インスタンス
+     * @param {Object} elements - パネルに使用するDOM要素
+     * @param {HTMLElement} elements.rulesBody - ルール行を表示する tbody 要素
+     * @param {HTMLElement} elements.addRuleBtn - ルール追加ボタン
+     * @param {HTMLElement} elements.errorElement - エラー表示要素
+     * @param {HTMLInputElement} elements.nightEnabledInput - 深夜割増の有効化チェックボックス
+     * @param {HTMLInputElement} elements.nightStartInput - 深夜時間帯の開始時刻入力
+     * @param {HTMLInputElement} elements.nightEndInput - 深夜時間帯の終了時刻入力
+     * @param {HTMLInputElement} elements.nightRateInput - 深夜割増率（%）入力
+     * @param {HTMLElement} elements.nightErrorElement - 深夜割増のエラー表示要素
+     * @param {HTMLInputElement} elements.holidayEnabledInput - 休日割増の有効化チェックボックス
+     * @param {HTMLInputElement} elements.nationalHolidayRateInput - 国民の祝日の割増率（%）入力
+     * @param {HTMLInputElement} elements.sundayRateInput - 日曜日の割増率（%）入力
+     * @param {HTMLInputElement} elements.companyHolidayRateInput - 会社休日の割増率（%）入力
+     * @param {HTMLElement} elements.companyHolidaysList - 会社休日の一覧要素
+     * @param {HTMLInputElement} elements.companyHolidayDateInput - 追加する会社休日の日付入力
+     * @param {HTMLInputElement} elements.companyHolidayNameInput - 追加する会社休日の名前入力
+     * @param {HTMLElement} elements.addCompanyHolidayBtn - 会社休日の追加ボタン
+     * @param {HTMLElement} elements.holidayErrorElement - 休日割増のエラー表示要素
+     */
+    constructor(app, elements) {
+        this.app = app;
+        this.validator = app.getValidator();
+        this.elements = elements;
+        this.isInitialized = false;
+    }
+
+    /**
+     * パネルを初期化する
+     */
+    initialize() {
+        if (this.isInitialized) {
+            return;
+        }
+
+        if (!this.elements.rulesBody || !this.elements.addRuleBtn) {
+            console.error('PremiumSettingsPanel: 必要なDOM要素が見つかりません');
+            return;
+        }
+
+        this.render(this.app.getPremiumCalculator().getOvertimeRules());
+
+        // 入力が変更されたらルールを保存
+        this.elements.rulesBody.addEventListener('change', () => {
+            this.saveRules();
+        });
+
+        // ルールの削除
+        this.elements.rulesBody.addEventListener('click', (event) => {
+            const removeBtn = event.target.closest('.remove-rule-btn');
+            if (removeBtn) {
+                const row = removeBtn.closest('tr');
+                if (row) {
+                    row.parentNode.removeChild(row);
+                    this.saveRules();
+                }
+            }
+        });
+
+        // ルールの追加（1週40時間超をひな形とする）
+        this.elements.addRuleBtn.addEventListener('click', () => {
+            const row = this.createRuleRow({ period: 'week', thresholdHours: 40, multiplier: 1.25 });
+            this.elements.rulesBody.appendChild(row);
+            this.saveRules();
+            row.querySelector('select').focus();
+        });
+
+        this.initializeNightSettings();
+        this.initializeHolidaySettings();
+
+        this.isInitialized = true;
+        console.log('PremiumSettingsPanel が初期化されました');
+    }
+
+    /**
+     * 深夜割増の入力欄を初期化する
+     */
+    initializeNightSettings() {
+        const { nightEnabledInput, nightStartInput, nightEndInput, nightRateInput } = this.elements;
+
+        if (!nightEnabledInput || !nightStartInput || !nightEndInput || !nightRateInput) {
+            return;
+        }
+
+        this.renderNightSettings(this.app.getPremiumCalculator().getNightPremium());
+
+        [nightEnabledInput, nightStartInput, nightEndInput, nightRateInput].forEach(input => {
+            input.addEventListener('change', () => {
+                this.saveNightSettings();
+            });
+        });
+    }
+
+    /**
+     * 深夜割増の設定を入力欄に反映する
+     * @param {Object} settings - 深夜割増の設定 {enabled, start, end, premiumRate}
+     */
+    renderNightSettings(settings) {
+        this.elements.nightEnabledInput.checked = settings.enabled;
+        this.elements.nightStartInput.value = settings.start;
+        this.elements.nightEndInput.value = settings.end;
+        // 画面上はパーセントで表示する
+        this.elements.nightRateInput.value = Math.round(settings.premiumRate * 10000) / 100;
+    }
+
+    /**
+     * 画面上の深夜割増設定を読み取る
+     * @returns {Object} 深夜割増の設定 {enabled, start, end, premiumRate}
+     */
+    collectNightSettings() {
+        return {
+            enabled: this.elements.nightEnabledInput.checked,
+            start: this.elements.nightStartInput.value,
+            end: this.elements.nightEndInput.value,
+            premiumRate: parseFloat(this.elements.nightRateInput.value) / 100
+        };
+    }
+
+    /**
+     * 画面上の深夜割増設定を検証して保存する
+     * @returns {boolean} 保存に成功したかどうか
+     */
+    saveNightSettings() {
+        const result = this.app.saveNightPremiumSettings(this.collectNightSettings());
+
+        if (result.error === 'invalid_night_premium') {
+            this.validator.showError(this.elements.nightErrorElement, result.message);
+            return false;
+        }
+
+        this.validator.hideError(this.elements.nightErrorElement);
+        return true;
+    }
+
+    /**
+     * 休日割増の入力欄と会社休日一覧を初期化する
+     */
+    initializeHolidaySettings() {
+        const { holidayEnabledInput, nationalHolidayRateInput, sundayRateInput, companyHolidayRateInput,
+            companyHolidaysList, addCompanyHolidayBtn } = this.elements;
+
+        if (!holidayEnabledInput || !nationalHolidayRateInput || !sundayRateInput || !companyHolidayRateInput) {
+            return;
+        }
+
+        this.renderHolidaySettings(this.app.getPremiumCalculator().getHolidayPremium());
+
+        [holidayEnabledInput, nationalHolidayRateInput, sundayRateInput, companyHolidayRateInput].forEach(input => {
+            input.addEventListener('change', () => {
+                this.saveHolidaySettings();
+            });
+        });
+
+        if (!companyHolidaysList || !addCompanyHolidayBtn) {
+            return;
+        }
+
+        this.renderCompanyHolidays(this.app.getPremiumCalculator().getHolidayCalendar().getCompanyHolidays());
+
+        // 会社休日の削除
+        companyHolidaysList.addEventListener('click', (event) => {
+            const removeBtn = event.target.closest('.remove-holiday-btn');
+            if (removeBtn) {
+                const remaining = this.app.getPremiumCalculator().getHolidayCalendar().getCompanyHolidays()
+                    .filter(holiday => holiday.date !== removeBtn.dataset.date);
+                this.saveCompanyHolidays(remaining);
+            }
+        });
+
+        // 会社休日の追加
+        addCompanyHolidayBtn.addEventListener('click', () => {
+            const holidays = this.app.getPremiumCalculator().getHolidayCalendar().getCompanyHolidays();
+            holidays.push({
+                date: this.elements.companyHolidayDateInput.value,
+                name: this.elements.companyHolidayNameInput.value
+            });
+
+            if (this.saveCompanyHolidays(holidays)) {
+                this.elements.companyHolidayDateInput.value = '';
+                this.elements.companyHolidayNameInput.value = '';
+            }
+        });
+    }
+
+    /**
+     * 休日割増の設定を入力欄に反映する
+     * @param {Object} settings - 休日割増の設定 {enabled, nationalHolidayRate, sundayRate, companyHolidayRate}
+     */
+    renderHolidaySettings(settings) {
+        const toPercent = (rate) => Math.round(rate * 10000) / 100;
+
+        this.elements.holidayEnabledInput.checked = settings.enabled;
+        this.elements.nationalHolidayRateInput.value = toPercent(settings.nationalHolidayRate);
+        this.elements.sundayRateInput.value = toPercent(settings.sundayRate);
+        this.elements.companyHolidayRateInput.value = toPercent(settings.companyHolidayRate);
+    }
+
+    /**
+     * 会社休日の一覧を描画する
+     * @param {Array<Object>} holidays - 会社休日の配列 [{date, name}]
+     */
+    renderCompanyHolidays(holidays) {
+        const list = this.elements.companyHolidaysList;
+        list.innerHTML = '';
+
+        holidays.forEach(holiday => {
+            const item = document.createElement('li');
+            const label = document.createElement('span');
+            label.textContent = `${holiday.date} ${holiday.name}`;
+            item.appendChild(label);
+
+            const removeBtn = document.createElement('button');
+            removeBtn.type = 'button';
+            removeBtn.className = 'remove-rule-btn remove-holiday-btn';
+            removeBtn.textContent = I18n.t('common.delete');
+            removeBtn.dataset.date = holiday.date;
+            removeBtn.setAttribute('aria-label', I18n.t('holiday.deleteLabel', { date: holiday.date }));
+            item.appendChild(removeBtn);
+
+            list.appendChild(item);
+        });
+    }
+
+    /**
+     * 画面上の休日割増設定を読み取る
+     * @returns {Object} 休日割増の設定 {enabled, nationalHolidayRate, sundayRate, companyHolidayRate}
+     */
+    collectHolidaySettings() {
+        return {
+            enabled: this.elements.holidayEnabledInput.checked,
+            nationalHolidayRate: parseFloat(this.elements.nationalHolidayRateInput.value) / 100,
+            sundayRate: parseFloat(this.elements.sundayRateInput.value) / 100,
+            companyHolidayRate: parseFloat(this.elements.companyHolidayRateInput.value) / 100
+        };
+    }
+
+    /**
+     * 画面上の休日割増設定を検証して保存する
+     * @returns {boolean} 保存に成功したかどうか
+     */
+    saveHolidaySettings() {
+        const result = this.app.saveHolidayPremiumSettings(this.collectHolidaySettings());
+
+        if (result.error === 'invalid_holiday_premium') {
+            this.validator.showError(this.elements.holidayErrorElement, result.message);
+            return false;
+        }
+
+        this.validator.hideError(this.elements.holidayErrorElement);
+        return true;
+    }
+
+    /**
+     * 会社休日を検証して保存し、一覧を再描画する
+     * @param {Array<Object>} holidays - 会社休日の配列
+     * @returns {boolean} 保存に成功したかどうか
+     */
+    saveCompanyHolidays(holidays) {
+        const result = this.app.saveCompanyHolidays(holidays);
+
+        if (result.error === 'invalid_company_holidays') {
+            this.validator.showError(this.elements.holidayErrorElement, result.message);
+            return false;
+        }
+
+        this.validator.hideError(this.elements.holidayErrorElement);
+        this.renderCompanyHolidays(this.app.getPremiumCalculator().getHolidayCalendar().getCompanyHolidays());
+        return true;
+    }
+
+    /**
+     * ルール一覧を描画する
+     * @param {Array<Object>} rules - 割増ルールの配列
+     */
+    render(rules) {
+        this.elements.rulesBody.innerHTML = '';
+        rules.forEach(rule => {
+            this.elements.rulesBody.appendChild(this.createRuleRow(rule));
+        });
+    }
+
+    /**
+     * ルール1件分の行を作成する
+     * @param {Object} rule - 割増ルール {period, thresholdHours, multiplier}
+     * @returns {HTMLTableRowElement} 行要素
+     */
+    createRuleRow(rule) {
+        const row = document.createElement('tr');
+        row.className = 'rule-row';
+
+        // 集計期間
+        const periodCell = document.createElement('td');
+        const periodSelect = document.createElement('select');
+        periodSelect.className = 'rule-period';
+        periodSelect.setAttribute('aria-label', I18n.t('overtime.column.period'));
+        PremiumCalculator.PERIODS.forEach(period => {
+            const option = document.createElement('option');
+            option.value = period;
+            option.textContent = I18n.t(`overtime.period.${period}`);
+            option.selected = period === rule.period;
+            periodSelect.appendChild(option);
+        });
+        periodCell.appendChild(periodSelect);
+
+        // 基準時間
+        const thresholdCell = document.createElement('td');
+        const thresholdInput = document.createElement('input');
+        thresholdInput.type = 'number';
+        thresholdInput.className = 'rule-threshold';
+        thresholdInput.min = '0';
+        thresholdInput.step = '0.5';
+        thresholdInput.value = rule.thresholdHours;
+        thresholdInput.setAttribute('aria-label', I18n.t('overtime.thresholdLabel'));
+        thresholdCell.appendChild(thresholdInput);
+        thresholdCell.appendChild(document.createTextNode(` ${I18n.t('overtime.thresholdUnit')}`));
+
+        // 割増率
+        const multiplierCell = document.createElement('td');
+        const multiplierInput = document.createElement('input');
+        multiplierInput.type = 'number';
+        multiplierInput.className = 'rule-multiplier';
+        multiplierInput.min = '1';
+        multiplierInput.step = '0.05';
+        multiplierInput.value = rule.multiplier;
+        multiplierInput.setAttribute('aria-label', I18n.t('overtime.multiplierLabel'));
+        multiplierCell.appendChild(multiplierInput);
+        multiplierCell.appendChild(document.createTextNode(` ${I18n.t('overtime.multiplierUnit')}`));
+
+        // 削除ボタン
+        const actionCell = document.createElement('td');
+        const removeBtn = document.createElement('button');
+        removeBtn.type = 'button';
+        removeBtn.className = 'remove-rule-btn';
+        removeBtn.textContent = I18n.t('common.delete');
+        removeBtn.setAttribute('aria-label', I18n.t('overtime.deleteLabel'));
+        actionCell.appendChild(removeBtn);
+
+        row.appendChild(periodCell);
+        row.appendChild(thresholdCell);
+        row.appendChild(multiplierCell);
+        row.appendChild(actionCell);
+
+        return row;
+    }
+
+    /**
+     * 画面上のルールを読み取る
+     * @returns {Array<Object>} 割増ルールの配列
+     */
+    collectRules() {
+        return Array.from(this.elements.rulesBody.querySelectorAll('.rule-row')).map(row => ({
+            period: row.querySelector('.rule-period').value,
+            thresholdHours: parseFloat(row.querySelector('.rule-threshold').value),
+            multiplier: parseFloat(row.querySelector('.rule-multiplier').value)
+        }));
+    }
+
+    /**
+     * 画面上のルールを検証して保存する
+     * @returns {boolean} 保存に成功したかどうか
+     */
+    saveRules() {
+        const result = this.app.saveOvertimeRules(this.collectRules());
+
+        if (result.error === 'invalid_rules') {
+            this.validator.showError(this.elements.errorElement, result.message);
+            return false;
+        }
+
+        this.validator.hideError(this.elements.errorElement);
+        return true;
+    }
+}
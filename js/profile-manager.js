@@ -0,0 +1,272 @@
+/**
+ * ProfileManager クラス
+ * 掛け持ちの仕事ごとのジョブプロファイル（名前・時給・表示色・割増設定）を管理する
+ */
+class ProfileManager {
+    /**
+     * ProfileManager を初期化する
+     * @param {StorageManager} storageManager - StorageManager インスタンス
+     * @param {InputValidator} validator - 時給の検証に使用する InputValidator インスタンス
+     */
+    constructor(storageManager, validator) {
+        this.storageManager = storageManager;
+        this.validator = validator;
+        this.profiles = [];
+        this.activeProfileId = null;
+    }
+
+    /**
+     * プロファイルに割り当てる表示色の候補
+     * @returns {Array<string>} 色の一覧
+     */
+    static get COLORS() {
+        return ['#2196F3', '#4CAF50', '#FF9800', '#9C27B0', '#E91E63', '#607D8B'];
+    }
+
+    /**
+     * プロファイル名の最大文字数
+     * @returns {number} 最大文字数
+     */
+    static get MAX_NAME_LENGTH() {
+        return 30;
+    }
+
+    /**
+     * プロファイルIDを生成する
+     * @returns {string} プロファイルID
+     */
+    static generateId() {
+        return `profile_${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+    }
+
+    /**
+     * プロファイルを検証する
+     * @param {Object} profile - プロファイル {name, hourlyWage, color}
+     * @param {InputValidator} validator - 時給の検証に使用する InputValidator インスタンス
+     * @returns {Object} 検証結果 {isValid: boolean, error: string|null}
+     */
+    static validateProfile(profile, validator) {
+        if (!profile || typeof profile !== 'object') {
+            return { isValid: false, error: I18n.t('profile.error.invalid') };
+        }
+
+        const name = typeof profile.name === 'string' ? profile.name.trim() : '';
+        if (name === '') {
+            return { isValid: false, error: I18n.t('profile.error.nameRequired') };
+        }
+
+        if (name.length > ProfileManager.MAX_NAME_LENGTH) {
+            return { isValid: false, error: I18n.t('profile.error.nameTooLong', { max: ProfileManager.MAX_NAME_LENGTH }) };
+        }
+
+        const wageResult = validator.validateWage(profile.hourlyWage);
+        if (!wageResult.isValid) {
+            return { isValid: false, error: wageResult.error };
+        }
+
+        if (typeof profile.color !== 'string' || !/^#[0-9a-fA-F]{6}$/.test(profile.color)) {
+            return { isValid: false, error: I18n.t('profile.error.color') };
+        }
+
+        return { isValid: true, error: null };
+    }
+
+    /**
+     * 保存されたプロファイルを読み込む
+     * プロファイルがない場合は現在の設定から最初のプロファイルを作成する
+     * @param {Object} currentSettings - 現在の設定 {hourlyWage, wageInput, overtimeRules, nightPremium, holidayPremium}
+     * @returns {Object} アクティブなプロファイル
+     */
+    load(currentSettings) {
+        const profilesResult = this.storageManager.loadSettings('profiles', null);
+        const savedProfiles = Array.isArray(profilesResult.value) ? profilesResult.value : [];
+
+        this.profiles = savedProfiles
+            .filter(profile => profile && typeof profile.id === 'string' &&
+                ProfileManager.validateProfile(profile, this.validator).isValid)
+            .map(profile => ({ ...profile }));
+
+        if (this.profiles.length === 0) {
+            this.profiles = [{
+                id: ProfileManager.generateId(),
+                name: I18n.t('profile.defaultName'),
+                color: ProfileManager.COLORS[0],
+                ...currentSettings
+            }];
+            console.log('ProfileManager: 現在の設定から最初のジョブを作成しました');
+        }
+
+        const activeResult = this.storageManager.loadSettings('activeProfileId', null);
+        this.activeProfileId = this.getProfile(activeResult.value) ? activeResult.value : this.profiles[0].id;
+        this.save();
+
+        return this.getActiveProfile();
+    }
+
+    /**
+     * プロファイルを保存する
+     * @returns {Object} 保存結果
+     */
+    save() {
+        const result = this.storageManager.saveSettings('profiles', this.profiles);
+        this.storageManager.saveSettings('activeProfileId', this.activeProfileId);
+
+        if (!result.success) {
+            console.warn('ProfileManager: ジョブの保存に失敗しました:', result.error);
+        }
+        return result;
+    }
+
+    /**
+     * すべてのプロファイルを取得する
+     * @returns {Array<Object>} プロファイルの配列（コピー）
+     */
+    getProfiles() {
+        return this.profiles.map(profile => ({ ...profile }));
+    }
+
+    /**
+     * IDを指定してプロファイルを取得する
+     * @param {string} id - プロファイルID
+     * @returns {Object|null} プロファイル（コピー）、存在しない場合はnull
+     */
+    getProfile(id) {
+        const profile = this.profiles.find(item => item.id === id);
+        return profile ? { ...profile } : null;
+    }
+
+    /**
+     * アクティブなプロファイルのIDを取得する
+     * @returns {string|null} プロファイルID
+     */
+    getActiveProfileId() {
+        return this.activeProfileId;
+    }
+
+    /**
+     * アクティブなプロファイルを取得する
+     * @returns {Object|null} プロファイル（コピー）
+     */
+    getActiveProfile() {
+        return this.getProfile(this.activeProfileId);
+    }
+
+    /**
+     * アクティブなプロファイルを変更する
+     * @param {string} id - プロファイルID
+     * @returns {boolean} 変更に成功したかどうか
+     */
+    setActiveProfileId(id) {
+        if (!this.getProfile(id)) {
+            return false;
+        }
+
+        this.activeProfileId = id;
+        this.save();
+        return true;
+    }
+
+    /**
+     * プロファイルを作成する（割増設定はデフォルト値で作成する）
+     * @param {Object} data - プロファイル {name, hourlyWage, color}
+     * @returns {Object} 結果 {success: boolean, error: string|null, message: string, profile: Object}
+     */
+    createProfile(data) {
+        const profile = {
+            id: ProfileManager.generateId(),
+            name: data && typeof data.name === 'string' ? data.name.trim() : '',
+            hourlyWage: data ? data.hourlyWage : null,
+            color: data && data.color ? data.color : ProfileManager.COLORS[this.profiles.length % ProfileManager.COLORS.length],
+            overtimeRules: PremiumCalculator.getDefaultOvertimeRules(),
+            nightPremium: PremiumCalculator.getDefaultNightPremium(),
+            holidayPremium: PremiumCalculator.getDefaultHolidayPremium()
+        };
+
+        const validationResult = ProfileManager.validateProfile(profile, this.validator);
+        if (!validationResult.isValid) {
+            return {
+                success: false,
+                error: 'invalid_profile',
+                message: validationResult.error
+            };
+        }
+
+        profile.hourlyWage = this.validator.validateWage(profile.hourlyWage).value;
+        profile.wageInput = { mode: 'hourly', values: { hourlyWage: profile.hourlyWage } };
+        this.profiles.push(profile);
+
+        return { ...this.save(), profile: { ...profile } };
+    }
+
+    /**
+     * プロファイルを更新する
+     * @param {string} id - プロファイルID
+     * @param {Object} changes - 変更する項目
+     * @returns {Object} 結果 {success: boolean, error: string|null, message: string}
+     */
+    updateProfile(id, changes) {
+        const index = this.profiles.findIndex(profile => profile.id === id);
+        if (index === -1) {
+            return {
+                success: false,
+                error: 'profile_not_found',
+                message: I18n.t('app.error.profileNotFound')
+            };
+        }
+
+        const updated = { ...this.profiles[index], ...changes, id: id };
+        if (typeof updated.name === 'string') {
+            updated.name = updated.name.trim();
+        }
+
+        const validationResult = ProfileManager.validateProfile(updated, this.validator);
+        if (!validationResult.isValid) {
+            return {
+                success: false,
+                error: 'invalid_profile',
+                message: validationResult.error
+            };
+        }
+
+        updated.hourlyWage = this.validator.validateWage(updated.hourlyWage).value;
+
+        // 時給を直接変更した場合は時給入力として扱う
+        if (!changes.wageInput && updated.hourlyWage !== this.profiles[index].hourlyWage) {
+            updated.wageInput = { mode: 'hourly', values: { hourlyWage: updated.hourlyWage } };
+        }
+
+        this.profiles[index] = updated;
+        return this.save();
+    }
+
+    /**
+     * プロファイルを削除する（最後の1件は削除できない）
+     * アクティブなプロファイルを削除した場合は先頭のプロファイルがアクティブになる
+     * @param {string} id - プロファイルID
+     * @returns {Object} 結果 {success: boolean, error: string|null, message: string}
+     */
+    deleteProfile(id) {
+        if (!this.getProfile(id)) {
+            return {
+                success: false,
+                error: 'profile_not_found',
+                message: I18n.t('app.error.profileNotFound')
+            };
+        }
+
+        if (this.profiles.length <= 1) {
+            return {
+                success: false,
+                error: 'last_profile',
+                message: I18n.t('profile.error.deleteLast')
+            };
+        }
+
+        this.profiles = this.profiles.filter(profile => profile.id !== id);
+        if (this.activeProfileId === id) {
+            this.activeProfileId = this.profiles[0].id;
+        }
+
+        return this.save();
+    }
+}
@@ -0,0 +1,300 @@
+/**
+ * ProfilePanel クラス
+ * ジョブの切り替えとジョブ一覧（名前・時給・表示色・今月の合計）の編集UIを管理する
+ */
+class ProfilePanel {
+    /**
+     * ProfilePanel を初期化する
+     * @param {WageCounterApp} app - WageCounterApp インスタンス
+     * @param {Object} elements - パネルに使用するDOM要素
+     * @param {HTMLSelectElement} elements.profileSelect - ジョブの切り替え用セレクトボックス
+     * @param {HTMLElement} elements.switchErrorElement - 切り替え時のエラー表示要素
+     * @param {HTMLElement} elements.settingsGroup - ジョブ設定の details 要素
+     * @param {HTMLElement} elements.profilesBody - ジョブ行を表示する tbody 要素
+     * @param {HTMLInputElement} elements.newColorInput - 追加するジョブの表示色入力
+     * @param {HTMLInputElement} elements.newNameInput - 追加するジョブの名前入力
+     * @param {HTMLInputElement} elements.newWageInput - 追加するジョブの時給入力
+     * @param {HTMLElement} elements.addProfileBtn - ジョブの追加ボタン
+     * @param {HTMLElement} elements.errorElement - エラー表示要素
+     * @param {Function} onProfileChange - 使用中のジョブが切り替わったときに呼び出される関数
+     */
+    constructor(app, elements, onProfileChange) {
+        this.app = app;
+        this.validator = app.getValidator();
+        this.currencyFormatter = app.getCurrencyFormatter();
+        this.profileManager = app.getProfileManager();
+        this.elements = elements;
+        this.onProfileChange = onProfileChange;
+        this.isInitialized = false;
+    }
+
+    /**
+     * パネルを初期化する
+     */
+    initialize() {
+        if (this.isInitialized) {
+            return;
+        }
+
+        if (!this.elements.profileSelect || !this.elements.profilesBody || !this.elements.addProfileBtn) {
+            console.error('ProfilePanel: 必要なDOM要素が見つかりません');
+            return;
+        }
+
+        this.render();
+
+        // ジョブの切り替え
+        this.elements.profileSelect.addEventListener('change', () => {
+            this.switchProfile(this.elements.profileSelect.value);
+        });
+
+        // ジョブ名・時給・表示色の変更
+        this.elements.profilesBody.addEventListener('change', (event) => {
+            const row = event.target.closest('.profile-row');
+            if (row) {
+                this.updateProfile(row);
+            }
+        });
+
+        // ジョブの削除
+        this.elements.profilesBody.addEventListener('click', (event) => {
+            const removeBtn = event.target.closest('.remove-profile-btn');
+            if (removeBtn) {
+                this.deleteProfile(removeBtn.dataset.id);
+            }
+        });
+
+        // ジョブの追加
+        this.elements.addProfileBtn.addEventListener('click', () => {
+            this.addProfile();
+        });
+
+        // 開いたときに今月の合計を最新にする
+        if (this.elements.settingsGroup) {
+            this.elements.settingsGroup.addEventListener('toggle', () => {
+                if (this.elements.settingsGroup.open) {
+                    this.renderProfiles();
+                }
+            });
+        }
+
+        this.isInitialized = true;
+        console.log('ProfilePanel が初期化されました');
+    }
+
+    /**
+     * 切り替え用セレクトボックスとジョブ一覧を描画する
+     */
+    render() {
+        this.renderSelect();
+        this.renderProfiles();
+        this.elements.newColorInput.value = ProfileManager.COLORS[
+            this.profileManager.getProfiles().length % ProfileManager.COLORS.length];
+    }
+
+    /**
+     * 切り替え用セレクトボックスを描画し、使用中のジョブの表示色を反映する
+     */
+    renderSelect() {
+        const select = this.elements.profileSelect;
+        const activeProfile = this.profileManager.getActiveProfile();
+        select.innerHTML = '';
+
+        this.profileManager.getProfiles().forEach(profile => {
+            const option = document.createElement('option');
+            option.value = profile.id;
+            option.textContent = profile.name;
+            option.selected = profile.id === activeProfile.id;
+            select.appendChild(option);
+        });
+
+        document.documentElement.style.setProperty('--profile-color', activeProfile.color);
+    }
+
+    /**
+     * ジョブ一覧を描画する
+     */
+    renderProfiles() {
+        const body = this.elements.profilesBody;
+        const totals = this.app.getProfileTotals();
+        body.innerHTML = '';
+
+        this.profileManager.getProfiles().forEach(profile => {
+            body.appendChild(this.createProfileRow(profile, totals[profile.id] || { seconds: 0, earnings: 0 }));
+        });
+    }
+
+    /**
+     * ジョブ1件分の行を作成する
+     * @param {Object} profile - ジョブプロファイル
+     * @param {Object} total - 今月の合計 {seconds, earnings}
+     * @returns {HTMLTableRowElement} 行要素
+     */
+    createProfileRow(profile, total) {
+        const row = document.createElement('tr');
+        row.className = 'profile-row';
+        row.dataset.id = profile.id;
+
+        // 表示色
+        const colorCell = document.createElement('td');
+        const colorInput = document.createElement('input');
+        colorInput.type = 'color';
+        colorInput.className = 'profile-color';
+        colorInput.value = profile.color;
+        colorInput.setAttribute('aria-label', I18n.t('profile.colorLabel', { name: profile.name }));
+        colorCell.appendChild(colorInput);
+
+        // ジョブ名
+        const nameCell = document.createElement('td');
+        const nameInput = document.createElement('input');
+        nameInput.type = 'text';
+        nameInput.className = 'profile-name';
+        nameInput.value = profile.name;
+        nameInput.maxLength = ProfileManager.MAX_NAME_LENGTH;
+        nameInput.setAttribute('aria-label', I18n.t('profile.column.name'));
+        nameCell.appendChild(nameInput);
+
+        // 時給
+        const wageCell = document.createElement('td');
+        const wageInput = document.createElement('input');
+        wageInput.type = 'text';
+        wageInput.inputMode = 'decimal';
+        wageInput.className = 'profile-wage';
+        wageInput.value = profile.hourlyWage;
+        wageInput.setAttribute('aria-label', I18n.t('profile.wageLabel', { name: profile.name }));
+        wageCell.appendChild(wageInput);
+
+        // 今月の合計
+        const totalCell = document.createElement('td');
+        totalCell.className = 'profile-total';
+        totalCell.textContent = `${TimerManager.formatSeconds(total.seconds)} / ${this.currencyFormatter.formatSimple(total.earnings)}`;
+
+        // 削除ボタン
+        const actionCell = document.createElement('td');
+        const removeBtn = document.createElement('button');
+        removeBtn.type = 'button';
+        removeBtn.className = 'remove-rule-btn remove-profile-btn';
+        removeBtn.textContent = I18n.t('common.delete');
+        removeBtn.dataset.id = profile.id;
+        removeBtn.setAttribute('aria-label', I18n.t('profile.deleteLabel', { name: profile.name }));
+        actionCell.appendChild(removeBtn);
+
+        row.appendChild(colorCell);
+        row.appendChild(nameCell);
+        row.appendChild(wageCell);
+        row.appendChild(totalCell);
+        row.appendChild(actionCell);
+
+        return row;
+    }
+
+    /**
+     * 使用するジョブを切り替える
+     * @param {string} id - ジョブのID
+     * @returns {boolean} 切り替えに成功したかどうか
+     */
+    switchProfile(id) {
+        const result = this.app.switchProfile(id);
+
+        if (!result.success) {
+            this.validator.showError(this.elements.switchErrorElement, result.message);
+            this.renderSelect(); // 選択を元に戻す
+            return false;
+        }
+
+        this.validator.hideError(this.elements.switchErrorElement);
+        this.render();
+        this.onProfileChange();
+        return true;
+    }
+
+    /**
+     * 行の入力内容でジョブを更新する
+     * 使用中のジョブの時給は時給入力欄と同じく現在の設定にも反映する
+     * @param {HTMLTableRowElement} row - ジョブの行要素
+     * @returns {boolean} 更新に成功したかどうか
+     */
+    updateProfile(row) {
+        const id = row.dataset.id;
+        const hourlyWage = row.querySelector('.profile-wage').value;
+        const result = this.profileManager.updateProfile(id, {
+            name: row.querySelector('.profile-name').value,
+            hourlyWage: hourlyWage,
+            color: row.querySelector('.profile-color').value
+        });
+
+        if (result.error === 'invalid_profile') {
+            this.validator.showError(this.elements.errorElement, result.message);
+            return false;
+        }
+
+        this.validator.hideError(this.elements.errorElement);
+
+        if (id === this.profileManager.getActiveProfileId()) {
+            this.app.saveHourlyWage(hourlyWage);
+            this.onProfileChange();
+        }
+
+        this.render();
+        return true;
+    }
+
+    /**
+     * 入力内容でジョブを追加する
+     * @returns {boolean} 追加に成功したかどうか
+     */
+    addProfile() {
+        const result = this.profileManager.createProfile({
+            name: this.elements.newNameInput.value,
+            hourlyWage: this.elements.newWageInput.value,
+            color: this.elements.newColorInput.value
+        });
+
+        if (result.error === 'invalid_profile') {
+            this.validator.showError(this.elements.errorElement, result.message);
+            return false;
+        }
+
+        this.validator.hideError(this.elements.errorElement);
+        this.elements.newNameInput.value = '';
+        this.elements.newWageInput.value = '';
+        this.render();
+        return true;
+    }
+
+    /**
+     * ジョブを削除する
+     * @param {string} id - ジョブのID
+     * @returns {boolean} 削除に成功したかどうか
+     */
+    deleteProfile(id) {
+        const profile = this.profileManager.getProfile(id);
+        if (!profile || !confirm(I18n.t('profile.confirmDelete', { name: profile.name }))) {
+            return false;
+        }
+
+        const isActive = id === this.profileManager.getActiveProfileId();
+        const result = this.app.deleteProfile(id);
+
+        if (!result.success) {
+            this.validator.showError(this.elements.errorElement, result.message);
+            return false;
+        }
+
+        this.validator.hideError(this.elements.errorElement);
+        this.render();
+        if (isActive) {
+            this.onProfileChange();
+        }
+        return true;
+    }
+
+    /**
+     * セッション中はジョブを切り替えられないようにする
+     * @param {boolean} locked - 切り替えを禁止するかどうか
+     */
+    setLocked(locked) {
+        this.elements.profileSelect.disabled = locked;
+        this.elements.profileSelect.title = locked ? I18n.t('app.error.switchProfileDuringSession') : '';
+    }
+}
@@ -0,0 +1,316 @@
+/**
+ * ReportPanel クラス
+ * 勤務履歴を日・週・月・指定期間ごとに集計した収入レポート（表とSVGグラフ）の表示と期間の切り替えUIを管理する
+ */
+class ReportPanel {
+    /**
+     * ReportPanel を初期化する
+     * @param {WageCounterApp} app - WageCounterApp インスタンス
+     * @param {Object} elements - パネルに使用するDOM要素
+     * @param {HTMLElement} elements.periodTabs - 集計期間のタブ（data-period 属性を持つボタン）を含む要素
+     * @param {HTMLElement} elements.prevBtn - 前の期間のボタン
+     * @param {HTMLElement} elements.nextBtn - 次の期間のボタン
+     * @param {HTMLElement} elements.rangeLabel - 期間の表示要素
+     * @param {HTMLElement} elements.customRange - 指定期間の入力を含む要素
+     * @param {HTMLInputElement} elements.startInput - 指定期間の開始日の入力
+     * @param {HTMLInputElement} elements.endInput - 指定期間の終了日の入力
+     * @param {HTMLElement} elements.applyBtn - 指定期間の適用ボタン
+     * @param {HTMLElement} elements.summary - 期間の合計を表示する要素
+     * @param {SVGElement} elements.chart - グラフを描画する svg 要素
+     * @param {HTMLElement} elements.labelHeading - 表の1列目（日付・時刻）の見出し要素
+     * @param {HTMLElement} elements.reportBody - 集計の行を表示する tbody 要素
+     * @param {HTMLElement} elements.errorElement - エラー表示要素
+     */
+    constructor(app, elements) {
+        this.app = app;
+        this.validator = app.getValidator();
+        this.currencyFormatter = app.getCurrencyFormatter();
+        this.sessionHistory = app.getSessionHistory();
+        this.elements = elements;
+        this.report = new EarningsReport();
+        this.isInitialized = false;
+    }
+
+    /**
+     * グラフの描画領域の大きさ（viewBox の単位）
+     * @returns {Object} {width, height, labelHeight}
+     */
+    static get CHART_SIZE() {
+        return { width: 320, height: 140, labelHeight: 16 };
+    }
+
+    /**
+     * パネルを初期化する
+     */
+    initialize() {
+        if (this.isInitialized) {
+            return;
+        }
+
+        if (!this.elements.periodTabs || !this.elements.reportBody || !this.elements.chart) {
+            console.error('ReportPanel: 必要なDOM要素が見つかりません');
+            return;
+        }
+
+        this.render();
+
+        // 集計期間の切り替え
+        this.elements.periodTabs.addEventListener('click', (event) => {
+            const tab = event.target.closest('[data-period]');
+            if (tab) {
+                this.selectPeriod(tab.dataset.period);
+            }
+        });
+
+        // 前後の期間への移動
+        this.elements.prevBtn.addEventListener('click', () => {
+            this.report.shift(-1);
+            this.render();
+        });
+        this.elements.nextBtn.addEventListener('click', () => {
+            this.report.shift(1);
+            this.render();
+        });
+
+        // 指定期間の適用
+        this.elements.applyBtn.addEventListener('click', () => {
+            this.applyCustomRange();
+        });
+
+        this.isInitialized = true;
+        console.log('ReportPanel が初期化されました');
+    }
+
+    /**
+     * 集計期間を切り替える（指定期間は現在の期間を初期値として入力欄を表示する）
+     * @param {string} period - 'day', 'week', 'month', 'custom'
+     */
+    selectPeriod(period) {
+        if (period === 'custom') {
+            const range = this.report.getRange();
+            this.elements.startInput.value = this.app.getDateKey(range.start);
+            this.elements.endInput.value = this.app.getDateKey(EarningsReport.startOfDay(range.end, -1));
+            this.elements.customRange.hidden = false;
+            this.applyCustomRange();
+            return;
+        }
+
+        // 今日を含む期間を表示する
+        this.elements.customRange.hidden = true;
+        this.report.setPeriod(period, new Date());
+        this.validator.hideError(this.elements.errorElement);
+        this.render();
+    }
+
+    /**
+     * 入力された指定期間を適用する
+     * @returns {boolean} 適用に成功したかどうか
+     */
+    applyCustomRange() {
+        const result = this.report.setCustomRange(this.elements.startInput.value, this.elements.endInput.value);
+        if (!result.isValid) {
+            this.validator.showError(this.elements.errorElement, result.error);
+            return false;
+        }
+
+        this.validator.hideError(this.elements.errorElement);
+        this.render();
+        return true;
+    }
+
+    /**
+     * 現在の集計期間のレポートを作成する
+     * @returns {Object} レポート {range, label, totals, rows}
+     */
+    getReport() {
+        return this.report.calculate(this.sessionHistory.getEntries());
+    }
+
+    /**
+     * 現在の集計期間に開始した勤務履歴の記録を取得する
+     * @returns {Array<Object>} 記録の配列（開始が古い順）
+     */
+    getEntries() {
+        return this.report.filterEntries(this.sessionHistory.getEntries());
+    }
+
+    /**
+     * 現在の集計期間のレポートを描画する
+     */
+    render() {
+        const report = this.getReport();
+
+        // タブの選択状態
+        this.elements.periodTabs.querySelectorAll('[data-period]').forEach(tab => {
+            const isActive = tab.dataset.period === report.range.period;
+            tab.classList.toggle('active', isActive);
+            tab.setAttribute('aria-selected', isActive.toString());
+        });
+
+        this.elements.rangeLabel.textContent = report.label;
+        this.renderSummary(report.totals);
+        this.renderChart(report);
+        this.renderTable(report);
+    }
+
+    /**
+     * 期間の合計（勤務時間・収入・平均時給・割増の内訳）を描画する
+     * @param {Object} totals - 期間の集計
+     */
+    renderSummary(totals) {
+        const items = [
+            [I18n.t('common.workedHours'), TimerManager.formatSeconds(totals.seconds)],
+            [I18n.t('common.earnings'), this.currencyFormatter.formatSimple(totals.earnings)],
+            [I18n.t('report.column.averageWage'), this.currencyFormatter.formatSimple(totals.averageHourlyRate)],
+            [I18n.t('display.base'), this.currencyFormatter.formatSimple(totals.baseEarnings)],
+            [I18n.t('display.overtime'), this.currencyFormatter.formatSimple(totals.premiums.overtime)],
+            [I18n.t('display.night'), this.currencyFormatter.formatSimple(totals.premiums.night)],
+            [I18n.t('display.holiday'), this.currencyFormatter.formatSimple(totals.premiums.holiday)]
+        ];
+
+        this.elements.summary.innerHTML = '';
+        items.forEach(([label, value]) => {
+            const term = document.createElement('dt');
+            term.textContent = label;
+            const detail = document.createElement('dd');
+            detail.textContent = value;
+            this.elements.summary.append(term, detail);
+        });
+    }
+
+    /**
+     * 行ごとの収入を基本給と割増分に分けた積み上げ棒グラフを描画する
+     * @param {Object} report - レポート
+     */
+    renderChart(report) {
+        const svg = this.elements.chart;
+        const { width, height, labelHeight } = ReportPanel.CHART_SIZE;
+        const namespace = 'http://www.w3.org/2000/svg';
+        const createElement = (name, attributes, text = null) => {
+            const element = document.createElementNS(namespace, name);
+            Object.entries(attributes).forEach(([key, value]) => element.setAttribute(key, value));
+            if (text !== null) {
+                element.textContent = text;
+            }
+            return element;
+        };
+
+        svg.innerHTML = '';
+        svg.setAttribute('viewBox', `0 0 ${width} ${height}`);
+        svg.setAttribute('aria-label',
+            I18n.t('report.chartLabel', { label: report.label, total: this.currencyFormatter.formatSimple(report.totals.earnings) }));
+
+        const rows = report.rows;
+        const plotHeight = height - labelHeight;
+        const maxEarnings = Math.max(0, ...rows.map(row => row.earnings));
+        svg.appendChild(createElement('line', { class: 'report-axis', x1: 0, y1: plotHeight, x2: width, y2: plotHeight }));
+
+        if (rows.length === 0 || maxEarnings <= 0) {
+            svg.appendChild(createElement('text', { class: 'report-chart-empty', x: width / 2, y: plotHeight / 2 }, I18n.t('report.chartEmpty')));
+            return;
+        }
+
+        svg.appendChild(createElement('text', { class: 'report-chart-max', x: 2, y: 10 },
+            this.currencyFormatter.formatSimple(maxEarnings)));
+
+        const slotWidth = width / rows.length;
+        const barWidth = Math.max(1, slotWidth * 0.7);
+        // 行が多い場合はラベルを間引く
+        const labelStep = Math.ceil(rows.length / 8);
+
+        rows.forEach((row, index) => {
+            const x = index * slotWidth + (slotWidth - barWidth) / 2;
+            const group = createElement('g', { class: 'report-bar' });
+            group.appendChild(createElement('title', {},
+                `${row.label} ${TimerManager.formatSeconds(row.seconds)} ${this.currencyFormatter.formatSimple(row.earnings)}`));
+
+            // 下から基本給、時間外、深夜、休日の順に積み上げる
+            let y = plotHeight;
+            const parts = [['base', row.baseEarnings]].concat(
+                EarningsReport.PREMIUM_TYPES.map(type => [type, row.premiums[type]]));
+            parts.forEach(([type, amount]) => {
+                const barHeight = amount > 0 ? (amount / maxEarnings) * (plotHeight - 14) : 0;
+                if (barHeight <= 0) {
+                    return;
+                }
+                y -= barHeight;
+                group.appendChild(createElement('rect', {
+                    class: `report-bar-${type}`,
+                    x: x.toFixed(2),
+                    y: y.toFixed(2),
+                    width: barWidth.toFixed(2),
+                    height: barHeight.toFixed(2)
+                }));
+            });
+            svg.appendChild(group);
+
+            if (index % labelStep === 0) {
+                svg.appendChild(createElement('text', {
+                    class: 'report-chart-label',
+                    x: (index * slotWidth + slotWidth / 2).toFixed(2),
+                    y: height - 4
+                }, row.label.replace(/\([^)]*\)$/, '').split(I18n.t('common.rangeSeparator'))[0]));
+            }
+        });
+    }
+
+    /**
+     * 勤務のあった行の表を描画する
+     * @param {Object} report - レポート
+     */
+    renderTable(report) {
+        const body = this.elements.reportBody;
+        body.innerHTML = '';
+        if (this.elements.labelHeading) {
+            // 日の期間はセッションごとの行
+            this.elements.labelHeading.textContent = I18n.t(report.range.period === 'day' ? 'common.time' : 'common.date');
+        }
+
+        const rows = report.rows.filter(row => row.sessionCount > 0);
+        if (rows.length === 0) {
+            const emptyRow = document.createElement('tr');
+            const emptyCell = document.createElement('td');
+            emptyCell.colSpan = 7;
+            emptyCell.className = 'history-empty';
+            emptyCell.textContent = I18n.t('report.empty');
+            emptyRow.appendChild(emptyCell);
+            body.appendChild(emptyRow);
+            return;
+        }
+
+        rows.forEach(row => body.appendChild(this.createRow(row)));
+        if (rows.length > 1) {
+            const totalRow = this.createRow(report.totals);
+            totalRow.className = 'report-total';
+            body.appendChild(totalRow);
+        }
+    }
+
+    /**
+     * 集計の行を作成する
+     * @param {Object} row - 集計 {label, seconds, earnings, premiums, averageHourlyRate}
+     * @returns {HTMLTableRowElement} 行要素
+     */
+    createRow(row) {
+        const tr = document.createElement('tr');
+        const cells = [
+            row.label,
+            TimerManager.formatSeconds(row.seconds),
+            this.currencyFormatter.formatSimple(row.earnings),
+            this.currencyFormatter.formatSimple(row.averageHourlyRate),
+            this.currencyFormatter.formatSimple(row.premiums.overtime),
+            this.currencyFormatter.formatSimple(row.premiums.night),
+            this.currencyFormatter.formatSimple(row.premiums.holiday)
+        ];
+
+        cells.forEach((text, index) => {
+            const cell = document.createElement(index === 0 ? 'th' : 'td');
+            if (index === 0) {
+                cell.scope = 'row';
+            }
+            cell.textContent = text;
+            tr.appendChild(cell);
+        });
+        return tr;
+    }
+}
@@ -0,0 +1,234 @@
+/**
+ * SessionHistory クラス
+ * リセットで終了したセッション（開始・終了時刻、稼働区間、時給、ジョブ、収入）を勤務履歴として保存する
+ * 削除した記録は削除済みとして残し、元に戻せるようにする
+ */
+class SessionHistory {
+    /**
+     * SessionHistory を初期化する
+     * @param {StorageManager} storageManager - StorageManager インスタンス
+     */
+    constructor(storageManager) {
+        this.storageManager = storageManager;
+        this.entries = [];
+    }
+
+    /**
+     * 保存する記録の最大件数（超えた場合は削除済み、古い記録の順に破棄する）
+     * @returns {number} 最大件数
+     */
+    static get MAX_ENTRIES() {
+        return 1000;
+    }
+
+    /**
+     * 記録IDを生成する
+     * @returns {string} 記録ID
+     */
+    static generateId() {
+        return `session_${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+    }
+
+    /**
+     * 記録を検証する
+     * @param {Object} entry - 記録 {startedAt, endedAt, segments, hourlyWage, earnings, ...}
+     * @returns {Object} 検証結果 {isValid: boolean, error: string|null}
+     */
+    static validateEntry(entry) {
+        if (!entry || typeof entry !== 'object' || !Array.isArray(entry.segments)) {
+            return { isValid: false, error: I18n.t('history.error.invalidEntry') };
+        }
+
+        const isTime = (value) => typeof value === 'number' && isFinite(value) && value > 0;
+        if (!isTime(entry.startedAt) || !isTime(entry.endedAt) || entry.endedAt < entry.startedAt) {
+            return { isValid: false, error: I18n.t('history.error.invalidTimes') };
+        }
+
+        const isAmount = (value) => typeof value === 'number' && isFinite(value) && value >= 0;
+        const hasInvalidNumber = ['hourlyWage', 'paidSeconds', 'earnings'].some(key => !isAmount(entry[key]));
+        // 時給の推移（時給を変更したセッションのみ）
+        const hasInvalidRate = entry.rateSegments !== undefined && (!Array.isArray(entry.rateSegments) ||
+            entry.rateSegments.some(rate => !rate || typeof rate.start !== 'number' || !isAmount(rate.hourlyWage)));
+        if (hasInvalidNumber || hasInvalidRate) {
+            return { isValid: false, error: I18n.t('history.error.invalidAmounts') };
+        }
+
+        return { isValid: true, error: null };
+    }
+
+    /**
+     * 保存された記録を読み込む（無効な記録は読み込まない）
+     * @returns {number} 読み込んだ記録の件数
+     */
+    load() {
+        const result = this.storageManager.loadSettings('sessionHistory', null);
+        const savedEntries = Array.isArray(result.value) ? result.value : [];
+
+        this.entries = savedEntries
+            .filter(entry => entry && typeof entry.id === 'string' && SessionHistory.validateEntry(entry).isValid)
+            .map(entry => this.copyEntry(entry));
+
+        return this.entries.length;
+    }
+
+    /**
+     * 記録を保存する
+     * @returns {Object} 保存結果
+     */
+    save() {
+        const result = this.storageManager.saveSettings('sessionHistory', this.entries);
+
+        if (!result.success) {
+            console.warn('SessionHistory: 勤務履歴の保存に失敗しました:', result.error);
+        }
+        return result;
+    }
+
+    /**
+     * 記録をコピーする
+     * @param {Object} entry - 記録
+     * @returns {Object} 記録（コピー）
+     */
+    copyEntry(entry) {
+        return {
+            ...entry,
+            segments: entry.segments.map(segment => ({ ...segment })),
+            breaks: (entry.breaks || []).map(segment => ({ ...segment })),
+            rateSegments: (entry.rateSegments || []).map(rate => ({ ...rate })),
+            premiums: { ...(entry.premiums || {}) }
+        };
+    }
+
+    /**
+     * 記録を追加する
+     * @param {Object} entry - 記録 {startedAt, endedAt, segments, breaks, hourlyWage, rateSegments, profileId, profileName,
+     *   elapsedSeconds, paidSeconds, breakSeconds, deductedBreakSeconds, earnings, baseEarnings, premiums}
+     * @returns {Object} 結果 {success: boolean, error: string|null, message: string, entry: Object|null}
+     */
+    addEntry(entry) {
+        const validationResult = SessionHistory.validateEntry(entry);
+        if (!validationResult.isValid) {
+            return {
+                success: false,
+                error: 'invalid_entry',
+                message: validationResult.error,
+                entry: null
+            };
+        }
+
+        const newEntry = { ...this.copyEntry(entry), id: SessionHistory.generateId(), deletedAt: null };
+        this.entries.push(newEntry);
+        this.trim();
+
+        return { ...this.save(), entry: this.copyEntry(newEntry) };
+    }
+
+    /**
+     * 記録を更新する（削除済みの記録は更新できない）
+     * @param {string} id - 記録ID
+     * @param {Object} entry - 更新後の記録（addEntry と同じ項目）
+     * @returns {Object} 結果 {success: boolean, error: string|null, message: string, entry: Object|null}
+     */
+    updateEntry(id, entry) {
+        const index = this.entries.findIndex(item => item.id === id && !item.deletedAt);
+        if (index === -1) {
+            return {
+                success: false,
+                error: 'entry_not_found',
+                message: I18n.t('app.error.entryNotFound'),
+                entry: null
+            };
+        }
+
+        const validationResult = SessionHistory.validateEntry(entry);
+        if (!validationResult.isValid) {
+            return {
+                success: false,
+                error: 'invalid_entry',
+                message: validationResult.error,
+                entry: null
+            };
+        }
+
+        this.entries[index] = { ...this.copyEntry(entry), id: id, deletedAt: null, editedAt: Date.now() };
+        return { ...this.save(), entry: this.copyEntry(this.entries[index]) };
+    }
+
+    /**
+     * 最大件数を超えた記録を破棄する（削除済みの記録、開始が古い記録の順）
+     */
+    trim() {
+        const overflow = this.entries.length - SessionHistory.MAX_ENTRIES;
+        if (overflow <= 0) {
+            return;
+        }
+
+        const discarded = this.entries
+            .slice()
+            .sort((a, b) => (a.deletedAt ? 0 : 1) - (b.deletedAt ? 0 : 1) || a.startedAt - b.startedAt)
+            .slice(0, overflow)
+            .map(entry => entry.id);
+        this.entries = this.entries.filter(entry => !discarded.includes(entry.id));
+    }
+
+    /**
+     * 記録を取得する（開始が新しい順）
+     * @param {boolean} deleted - trueの場合は削除済みの記録を取得する
+     * @returns {Array<Object>} 記録の配列（コピー）
+     */
+    getEntries(deleted = false) {
+        return this.entries
+            .filter(entry => Boolean(entry.deletedAt) === deleted)
+            .sort((a, b) => b.startedAt - a.startedAt)
+            .map(entry => this.copyEntry(entry));
+    }
+
+    /**
+     * IDを指定して記録を取得する
+     * @param {string} id - 記録ID
+     * @returns {Object|null} 記録（コピー）、存在しない場合はnull
+     */
+    getEntry(id) {
+        const entry = this.entries.find(item => item.id === id);
+        return entry ? this.copyEntry(entry) : null;
+    }
+
+    /**
+     * 記録を削除済みにする
+     * @param {string} id - 記録ID
+     * @returns {Object} 結果 {success: boolean, error: string|null, message: string, entry: Object|null}
+     */
+    deleteEntry(id) {
+        return this.setDeleted(id, true);
+    }
+
+    /**
+     * 削除済みの記録を元に戻す
+     * @param {string} id - 記録ID
+     * @returns {Object} 結果 {success: boolean, error: string|null, message: string, entry: Object|null}
+     */
+    restoreEntry(id) {
+        return this.setDeleted(id, false);
+    }
+
+    /**
+     * 記録の削除済みの状態を変更する
+     * @param {string} id - 記録ID
+     * @param {boolean} deleted - 削除済みにするかどうか
+     * @returns {Object} 結果 {success: boolean, error: string|null, message: string, entry: Object|null}
+     */
+    setDeleted(id, deleted) {
+        const entry = this.entries.find(item => item.id === id);
+        if (!entry || Boolean(entry.deletedAt) === deleted) {
+            return {
+                success: false,
+                error: 'entry_not_found',
+                message: I18n.t(deleted ? 'app.error.entryNotFound' : 'history.error.deletedNotFound'),
+                entry: null
+            };
+        }
+
+        entry.deletedAt = deleted ? Date.now() : null;
+        return { ...this.save(), entry: this.copyEntry(entry) };
+    }
+}
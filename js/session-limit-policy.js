@@ -0,0 +1,129 @@
+/**
+ * SessionLimitPolicy クラス
+ * 止め忘れたセッションが長時間の勤務として記録されないよう、セッションの最大時間と終了予定時刻から自動で停止する時刻を求める
+ */
+class SessionLimitPolicy {
+    /**
+     * SessionLimitPolicy を初期化する
+     * @param {Object} settings - セッションの上限の設定 {enabled, maxHours, expectedEnd}
+     */
+    constructor(settings = SessionLimitPolicy.getDefaultSettings()) {
+        this.settings = SessionLimitPolicy.getDefaultSettings();
+        this.setSettings(settings);
+    }
+
+    /**
+     * 設定できるセッションの最大時間の下限（時間）
+     * @returns {number} 時間
+     */
+    static get MIN_HOURS() {
+        return 1;
+    }
+
+    /**
+     * 設定できるセッションの最大時間の上限（時間）
+     * @returns {number} 時間
+     */
+    static get MAX_HOURS() {
+        return 24;
+    }
+
+    /**
+     * デフォルトのセッションの上限の設定を取得する（デフォルトは最大12時間、終了予定時刻なし）
+     * @returns {Object} セッションの上限の設定 {enabled, maxHours, expectedEnd: 'HH:MM' または ''}
+     */
+    static getDefaultSettings() {
+        return { enabled: true, maxHours: 12, expectedEnd: '' };
+    }
+
+    /**
+     * セッションの上限の設定を検証する
+     * @param {Object} settings - セッションの上限の設定 {enabled, maxHours, expectedEnd}
+     * @returns {Object} 検証結果 {isValid: boolean, error: string|null}
+     */
+    static validateSettings(settings) {
+        if (!settings || typeof settings !== 'object' || typeof settings.enabled !== 'boolean') {
+            return { isValid: false, error: I18n.t('limit.error.invalid') };
+        }
+
+        if (typeof settings.maxHours !== 'number' || !isFinite(settings.maxHours) ||
+            settings.maxHours < SessionLimitPolicy.MIN_HOURS || settings.maxHours > SessionLimitPolicy.MAX_HOURS) {
+            return {
+                isValid: false,
+                error: I18n.t('limit.error.maxHours', { min: SessionLimitPolicy.MIN_HOURS, max: SessionLimitPolicy.MAX_HOURS })
+            };
+        }
+
+        if (settings.expectedEnd !== '' && PremiumCalculator.parseTimeOfDay(settings.expectedEnd) === null) {
+            return { isValid: false, error: I18n.t('limit.error.expectedEnd') };
+        }
+
+        return { isValid: true, error: null };
+    }
+
+    /**
+     * セッションの上限の設定を行う
+     * @param {Object} settings - セッションの上限の設定 {enabled, maxHours, expectedEnd}
+     * @returns {boolean} 設定に成功したかどうか
+     */
+    setSettings(settings) {
+        if (!SessionLimitPolicy.validateSettings(settings).isValid) {
+            return false;
+        }
+
+        this.settings = {
+            enabled: settings.enabled,
+            maxHours: settings.maxHours,
+            expectedEnd: settings.expectedEnd
+        };
+        return true;
+    }
+
+    /**
+     * セッションの上限の設定を取得する
+     * @returns {Object} セッションの上限の設定（コピー）
+     */
+    getSettings() {
+        return { ...this.settings };
+    }
+
+    /**
+     * セッションの上限が有効かどうかを取得する
+     * @returns {boolean} 有効かどうか
+     */
+    isEnabled() {
+        return this.settings.enabled;
+    }
+
+    /**
+     * セッションを自動で停止する時刻を求める
+     * 開始からの最大時間（休憩・一時停止を含む）と、開始後に最初に来る終了予定時刻のうち早い方を返す
+     * 終了予定時刻はローカル時刻の暦で求めるため、夏時間の切り替えをまたいでも時計の表示で指定した時刻になる
+     * 計測中に時計が変更された場合は、セッションの開始時刻も変更後の時計の時刻に移る（TimerManager.detectClockChange）
+     * そのため最大時間は実際に経過した時間で数え、終了予定時刻は変更後の時計で移した開始時刻の後に最初に来る時刻となる
+     * （日付をまたいで時計を戻した場合は、前日に開始したセッションとして求める）
+     * @param {number} sessionStartedAt - セッションの開始時刻（ミリ秒）
+     * @returns {Object|null} 停止する時刻 {at: number, reason: 'maxLength' | 'expectedEnd'}（無効の場合はnull）
+     */
+    getLimit(sessionStartedAt) {
+        if (!this.settings.enabled) {
+            return null;
+        }
+
+        let limit = { at: sessionStartedAt + this.settings.maxHours * 3600000, reason: 'maxLength' };
+
+        if (this.settings.expectedEnd !== '') {
+            const startedAt = new Date(sessionStartedAt);
+            const expectedEnd = new Date(startedAt.getFullYear(), startedAt.getMonth(), startedAt.getDate(), 0,
+                PremiumCalculator.parseTimeOfDay(this.settings.expectedEnd));
+            if (expectedEnd.getTime() <= sessionStartedAt) {
+                expectedEnd.setDate(expectedEnd.getDate() + 1);
+            }
+            if (expectedEnd.getTime() < limit.at) {
+                limit = { at: expectedEnd.getTime(), reason: 'expectedEnd' };
+            }
+        }
+
+        return limit;
+    }
+}
@@ -0,0 +1,260 @@
+/**
+ * ShiftSchedulePanel クラス
+ * シフト（曜日・開始時刻・終了時刻・ジョブ）の一覧とシフトの開始時の動作の設定UIを管理する
+ */
+class ShiftSchedulePanel {
+    /**
+     * ShiftSchedulePanel を初期化する
+     * @param {WageCounterApp} app - WageCounterApp インスタンス
+     * @param {Object} elements - パネルに使用するDOM要素
+     * @param {HTMLElement} elements.settingsGroup - シフト設定の details 要素
+     * @param {HTMLSelectElement} elements.modeSelect - シフトの開始時の動作のセレクトボックス
+     * @param {HTMLElement} elements.shiftsBody - シフト行を表示する tbody 要素
+     * @param {HTMLSelectElement} elements.newWeekdaySelect - 追加するシフトの曜日
+     * @param {HTMLInputElement} elements.newStartInput - 追加するシフトの開始時刻
+     * @param {HTMLInputElement} elements.newEndInput - 追加するシフトの終了時刻
+     * @param {HTMLSelectElement} elements.newProfileSelect - 追加するシフトのジョブ
+     * @param {HTMLElement} elements.addShiftBtn - シフトの追加ボタン
+     * @param {HTMLElement} elements.errorElement - エラー表示要素
+     * @param {Function} onChange - シフトの設定を保存したときに呼び出される関数
+     */
+    constructor(app, elements, onChange) {
+        this.app = app;
+        this.validator = app.getValidator();
+        this.shiftSchedule = app.getShiftSchedule();
+        this.profileManager = app.getProfileManager();
+        this.elements = elements;
+        this.onChange = onChange;
+        this.isInitialized = false;
+    }
+
+    /**
+     * 曜日の表示名を取得する（表示中の言語の曜日名）
+     * @param {number} weekday - 曜日（0: 日曜日 〜 6: 土曜日）
+     * @returns {string} 曜日の表示名
+     */
+    static formatWeekday(weekday) {
+        // 2024年1月7日は日曜日
+        return new Date(2024, 0, 7 + weekday).toLocaleDateString(I18n.getLocale(), { weekday: 'long' });
+    }
+
+    /**
+     * パネルを初期化する
+     */
+    initialize() {
+        if (this.isInitialized) {
+            return;
+        }
+
+        if (!this.elements.modeSelect || !this.elements.shiftsBody || !this.elements.addShiftBtn) {
+            console.error('ShiftSchedulePanel: 必要なDOM要素が見つかりません');
+            return;
+        }
+
+        this.fillWeekdaySelect(this.elements.newWeekdaySelect, 1);
+        this.render();
+
+        this.elements.modeSelect.addEventListener('change', () => {
+            this.save({ ...this.shiftSchedule.getSettings(), mode: this.elements.modeSelect.value });
+        });
+
+        // シフトの曜日・時刻・ジョブの変更
+        this.elements.shiftsBody.addEventListener('change', (event) => {
+            const row = event.target.closest('.shift-row');
+            if (row) {
+                this.updateShift(row);
+            }
+        });
+
+        // シフトの削除
+        this.elements.shiftsBody.addEventListener('click', (event) => {
+            const removeBtn = event.target.closest('.remove-shift-btn');
+            if (removeBtn) {
+                const settings = this.shiftSchedule.getSettings();
+                this.save({ ...settings, shifts: settings.shifts.filter(shift => shift.id !== removeBtn.dataset.id) });
+            }
+        });
+
+        // シフトの追加
+        this.elements.addShiftBtn.addEventListener('click', () => {
+            this.addShift();
+        });
+
+        // 開いたときにジョブの一覧を最新にする
+        if (this.elements.settingsGroup) {
+            this.elements.settingsGroup.addEventListener('toggle', () => {
+                if (this.elements.settingsGroup.open) {
+                    this.render();
+                }
+            });
+        }
+
+        this.isInitialized = true;
+        console.log('ShiftSchedulePanel が初期化されました');
+    }
+
+    /**
+     * 開始時の動作とシフト一覧を描画する
+     */
+    render() {
+        const settings = this.shiftSchedule.getSettings();
+        this.elements.modeSelect.value = settings.mode;
+        this.fillProfileSelect(this.elements.newProfileSelect, this.elements.newProfileSelect.value ||
+            this.profileManager.getActiveProfileId());
+
+        const body = this.elements.shiftsBody;
+        body.innerHTML = '';
+        settings.shifts.forEach(shift => {
+            body.appendChild(this.createShiftRow(shift));
+        });
+    }
+
+    /**
+     * 曜日のセレクトボックスに選択肢を設定する
+     * @param {HTMLSelectElement} select - セレクトボックス
+     * @param {number} selected - 選択する曜日
+     */
+    fillWeekdaySelect(select, selected) {
+        select.innerHTML = '';
+        // 月曜日から順に表示する
+        [1, 2, 3, 4, 5, 6, 0].forEach(weekday => {
+            const option = document.createElement('option');
+            option.value = weekday;
+            option.textContent = ShiftSchedulePanel.formatWeekday(weekday);
+            option.selected = weekday === selected;
+            select.appendChild(option);
+        });
+    }
+
+    /**
+     * ジョブのセレクトボックスに選択肢を設定する
+     * @param {HTMLSelectElement} select - セレクトボックス
+     * @param {string} selected - 選択するジョブのID
+     */
+    fillProfileSelect(select, selected) {
+        select.innerHTML = '';
+        this.profileManager.getProfiles().forEach(profile => {
+            const option = document.createElement('option');
+            option.value = profile.id;
+            option.textContent = profile.name;
+            option.selected = profile.id === selected;
+            select.appendChild(option);
+        });
+    }
+
+    /**
+     * シフト1件分の行を作成する
+     * @param {Object} shift - シフト {id, weekday, start, end, profileId}
+     * @returns {HTMLTableRowElement} 行要素
+     */
+    createShiftRow(shift) {
+        const row = document.createElement('tr');
+        row.className = 'shift-row';
+        row.dataset.id = shift.id;
+
+        const weekdayCell = document.createElement('td');
+        const weekdaySelect = document.createElement('select');
+        weekdaySelect.className = 'shift-weekday';
+        weekdaySelect.setAttribute('aria-label', I18n.t('shift.column.weekday'));
+        this.fillWeekdaySelect(weekdaySelect, shift.weekday);
+        weekdayCell.appendChild(weekdaySelect);
+
+        const createTimeCell = (className, value, labelKey) => {
+            const cell = document.createElement('td');
+            const input = document.createElement('input');
+            input.type = 'time';
+            input.className = className;
+            input.value = value.padStart(5, '0');
+            input.setAttribute('aria-label', I18n.t(labelKey));
+            cell.appendChild(input);
+            return cell;
+        };
+
+        const profileCell = document.createElement('td');
+        const profileSelect = document.createElement('select');
+        profileSelect.className = 'shift-profile';
+        profileSelect.setAttribute('aria-label', I18n.t('common.job'));
+        this.fillProfileSelect(profileSelect, shift.profileId);
+        profileCell.appendChild(profileSelect);
+
+        const actionCell = document.createElement('td');
+        const removeBtn = document.createElement('button');
+        removeBtn.type = 'button';
+        removeBtn.className = 'remove-rule-btn remove-shift-btn';
+        removeBtn.textContent = I18n.t('common.delete');
+        removeBtn.dataset.id = shift.id;
+        removeBtn.setAttribute('aria-label', I18n.t('shift.deleteLabel', {
+            weekday: ShiftSchedulePanel.formatWeekday(shift.weekday),
+            start: shift.start
+        }));
+        actionCell.appendChild(removeBtn);
+
+        row.appendChild(weekdayCell);
+        row.appendChild(createTimeCell('shift-start', shift.start, 'shift.column.start'));
+        row.appendChild(createTimeCell('shift-end', shift.end, 'shift.column.end'));
+        row.appendChild(profileCell);
+        row.appendChild(actionCell);
+
+        return row;
+    }
+
+    /**
+     * 行の入力内容でシフトを更新する
+     * @param {HTMLTableRowElement} row - シフトの行要素
+     * @returns {boolean} 保存に成功したかどうか
+     */
+    updateShift(row) {
+        const settings = this.shiftSchedule.getSettings();
+        const shifts = settings.shifts.map(shift => (shift.id !== row.dataset.id ? shift : {
+            id: shift.id,
+            weekday: parseInt(row.querySelector('.shift-weekday').value, 10),
+            start: row.querySelector('.shift-start').value,
+            end: row.querySelector('.shift-end').value,
+            profileId: row.querySelector('.shift-profile').value
+        }));
+
+        return this.save({ ...settings, shifts: shifts });
+    }
+
+    /**
+     * 入力内容でシフトを追加する
+     * @returns {boolean} 追加に成功したかどうか
+     */
+    addShift() {
+        const settings = this.shiftSchedule.getSettings();
+        settings.shifts.push({
+            id: ShiftSchedule.generateId(),
+            weekday: parseInt(this.elements.newWeekdaySelect.value, 10),
+            start: this.elements.newStartInput.value,
+            end: this.elements.newEndInput.value,
+            profileId: this.elements.newProfileSelect.value
+        });
+
+        if (!this.save(settings)) {
+            return false;
+        }
+
+        this.elements.newStartInput.value = '';
+        this.elements.newEndInput.value = '';
+        return true;
+    }
+
+    /**
+     * シフトの設定を検証して保存する
+     * @param {Object} settings - シフトの設定 {mode, shifts}
+     * @returns {boolean} 保存に成功したかどうか
+     */
+    save(settings) {
+        const result = this.app.saveShiftSchedule(settings);
+
+        if (result.error === 'invalid_shift_schedule') {
+            this.validator.showError(this.elements.errorElement, result.message);
+            return false;
+        }
+
+        this.validator.hideError(this.elements.errorElement);
+        this.render();
+        this.onChange();
+        return true;
+    }
+}
@@ -0,0 +1,208 @@
+/**
+ * ShiftSchedule クラス
+ * 曜日ごとに繰り返すシフト（曜日・開始時刻・終了時刻・ジョブ）を管理し、日時の範囲に含まれるシフトの予定を求める
+ * 終了時刻が開始時刻以前のシフトは翌日の終了時刻までの夜勤として扱う
+ */
+class ShiftSchedule {
+    /**
+     * ShiftSchedule を初期化する
+     * @param {Object} settings - シフトの設定 {mode, shifts}
+     */
+    constructor(settings = ShiftSchedule.getDefaultSettings()) {
+        this.settings = ShiftSchedule.getDefaultSettings();
+        this.setSettings(settings);
+    }
+
+    /**
+     * シフトの開始時の動作（off: 何もしない、prompt: 開始を確認する、auto: 自動で開始する）
+     * @returns {Array<string>} 動作の一覧
+     */
+    static get MODES() {
+        return ['off', 'prompt', 'auto'];
+    }
+
+    /**
+     * 登録できるシフトの最大件数
+     * @returns {number} 最大件数
+     */
+    static get MAX_SHIFTS() {
+        return 28;
+    }
+
+    /**
+     * ページを閉じていた間のシフトを記録する最大日数（これより前のシフトは記録しない）
+     * @returns {number} 日数
+     */
+    static get MAX_BACKFILL_DAYS() {
+        return 7;
+    }
+
+    /**
+     * デフォルトのシフトの設定を取得する（デフォルトはシフトなし）
+     * @returns {Object} シフトの設定 {mode, shifts}
+     */
+    static getDefaultSettings() {
+        return { mode: 'off', shifts: [] };
+    }
+
+    /**
+     * シフトIDを生成する
+     * @returns {string} シフトID
+     */
+    static generateId() {
+        return `shift_${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+    }
+
+    /**
+     * シフトの長さ（分）を求める
+     * @param {Object} shift - シフト {weekday, start, end}
+     * @returns {number} 長さ（分）
+     */
+    static getDurationMinutes(shift) {
+        const start = PremiumCalculator.parseTimeOfDay(shift.start);
+        const end = PremiumCalculator.parseTimeOfDay(shift.end);
+        return end > start ? end - start : end + 24 * 60 - start;
+    }
+
+    /**
+     * シフトを検証する
+     * @param {Object} shift - シフト {id, weekday: 0（日）〜6（土）, start: 'HH:MM', end: 'HH:MM', profileId}
+     * @returns {Object} 検証結果 {isValid: boolean, error: string|null}
+     */
+    static validateShift(shift) {
+        if (!shift || typeof shift !== 'object' || typeof shift.id !== 'string' || typeof shift.profileId !== 'string') {
+            return { isValid: false, error: I18n.t('shift.error.invalid') };
+        }
+
+        if (!Number.isInteger(shift.weekday) || shift.weekday < 0 || shift.weekday > 6) {
+            return { isValid: false, error: I18n.t('shift.error.weekday') };
+        }
+
+        const start = PremiumCalculator.parseTimeOfDay(shift.start);
+        const end = PremiumCalculator.parseTimeOfDay(shift.end);
+        if (start === null || end === null) {
+            return { isValid: false, error: I18n.t('shift.error.times') };
+        }
+
+        if (start === end) {
+            return { isValid: false, error: I18n.t('shift.error.sameTimes') };
+        }
+
+        return { isValid: true, error: null };
+    }
+
+    /**
+     * シフトの設定を検証する（同じ週のシフトの時間帯が重なる場合は無効）
+     * @param {Object} settings - シフトの設定 {mode, shifts}
+     * @returns {Object} 検証結果 {isValid: boolean, error: string|null}
+     */
+    static validateSettings(settings) {
+        if (!settings || typeof settings !== 'object' || !ShiftSchedule.MODES.includes(settings.mode) ||
+            !Array.isArray(settings.shifts)) {
+            return { isValid: false, error: I18n.t('shift.error.invalid') };
+        }
+
+        if (settings.shifts.length > ShiftSchedule.MAX_SHIFTS) {
+            return { isValid: false, error: I18n.t('shift.error.tooMany', { max: ShiftSchedule.MAX_SHIFTS }) };
+        }
+
+        for (const shift of settings.shifts) {
+            const result = ShiftSchedule.validateShift(shift);
+            if (!result.isValid) {
+                return result;
+            }
+        }
+
+        // 週の始まり（日曜0時）からの分で比較し、週をまたぐシフトは翌週の分も比較する
+        const week = 7 * 24 * 60;
+        const ranges = settings.shifts.map(shift => {
+            const start = shift.weekday * 24 * 60 + PremiumCalculator.parseTimeOfDay(shift.start);
+            return { start: start, end: start + ShiftSchedule.getDurationMinutes(shift) };
+        });
+        const overlaps = (a, b) => [-week, 0, week].some(offset => a.start < b.end + offset && b.start + offset < a.end);
+        const hasOverlap = ranges.some((range, index) => ranges.slice(index + 1).some(other => overlaps(range, other)));
+        if (hasOverlap) {
+            return { isValid: false, error: I18n.t('shift.error.overlap') };
+        }
+
+        return { isValid: true, error: null };
+    }
+
+    /**
+     * シフトの設定を行う
+     * @param {Object} settings - シフトの設定 {mode, shifts}
+     * @returns {boolean} 設定に成功したかどうか
+     */
+    setSettings(settings) {
+        if (!ShiftSchedule.validateSettings(settings).isValid) {
+            return false;
+        }
+
+        this.settings = {
+            mode: settings.mode,
+            shifts: settings.shifts
+                .map(shift => ({ id: shift.id, weekday: shift.weekday, start: shift.start, end: shift.end, profileId: shift.profileId }))
+                .sort((a, b) => a.weekday - b.weekday || PremiumCalculator.parseTimeOfDay(a.start) - PremiumCalculator.parseTimeOfDay(b.start))
+        };
+        return true;
+    }
+
+    /**
+     * シフトの設定を取得する
+     * @returns {Object} シフトの設定（コピー）
+     */
+    getSettings() {
+        return {
+            mode: this.settings.mode,
+            shifts: this.settings.shifts.map(shift => ({ ...shift }))
+        };
+    }
+
+    /**
+     * シフトの開始時の動作を取得する
+     * @returns {string} 'off' | 'prompt' | 'auto'
+     */
+    getMode() {
+        return this.settings.mode;
+    }
+
+    /**
+     * 開始時刻が範囲に含まれるシフトの予定を取得する
+     * @param {number} from - 範囲の開始（この時刻より後、ミリ秒）
+     * @param {number} to - 範囲の終了（この時刻を含む、ミリ秒）
+     * @returns {Array<Object>} 開始時刻順の予定 [{shift, start, end}]（時刻はミリ秒）
+     */
+    getOccurrences(from, to) {
+        const occurrences = [];
+        const first = new Date(from);
+        const day = new Date(first.getFullYear(), first.getMonth(), first.getDate());
+
+        while (day.getTime() <= to) {
+            this.settings.shifts
+                .filter(shift => shift.weekday === day.getDay())
+                .forEach(shift => {
+                    const startMinutes = PremiumCalculator.parseTimeOfDay(shift.start);
+                    const start = new Date(day.getFullYear(), day.getMonth(), day.getDate(), 0, startMinutes).getTime();
+                    const end = new Date(day.getFullYear(), day.getMonth(), day.getDate(), 0,
+                        startMinutes + ShiftSchedule.getDurationMinutes(shift)).getTime();
+                    if (start > from && start <= to) {
+                        occurrences.push({ shift: { ...shift }, start: start, end: end });
+                    }
+                });
+            day.setDate(day.getDate() + 1);
+        }
+
+        return occurrences;
+    }
+
+    /**
+     * 指定した時刻に行われているシフトの予定を取得する
+     * @param {number} time - 時刻（ミリ秒）
+     * @returns {Object|null} 予定 {shift, start, end}（該当しない場合はnull）
+     */
+    getOccurrenceAt(time) {
+        // 日をまたぐシフトを含めるため前日から探す
+        return this.getOccurrences(time - 2 * 24 * 3600000, time)
+            .find(occurrence => occurrence.end > time) || null;
+    }
+}
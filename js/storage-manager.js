@@ -8,7 +8,9 @@ class StorageManager {
      */
     constructor() {
         this.isAvailable = this.checkStorageAvailability();
-        this.storagePrefix = 'wageCounter_'; // キーのプレフィックス
+        // キーのプレフィックス（テストモードでは利用者のデータを汚さないよう別のプレフィックスを使用）
+        this.storagePrefix = StorageManager.isTestMode() ? 'wageCounterTest_' : 'wageCounter_';
+        this.protectedKeys = ['hourlyWage', 'activeSession', 'dailyTotals', 'companyHolidays', 'profiles', 'activeProfileId', 'sessionHistory']; // クリーンアップ対象外のキー
         this._memoryCache = {}; // メモリ内キャッシュ（LocalStorage が利用できない場合のフォールバック）
         
         // プライベートブラウジングモードの検出
@@ -21,6 +23,15 @@ class StorageManager {
         });
     }
 
+    /**
+     * テストモード（URLに test=true を含む）かどうかを判定する
+     * @returns {boolean} テストモードかどうか
+     */
+    static isTestMode() {
+        return typeof window !== 'undefined' && !!window.location &&
+            window.location.search.includes('test=true');
+    }
+
     /**
      * LocalStorage が利用可能かどうかを確認する
      * @returns {boolean} 利用可能かどうか
@@ -101,7 +112,7 @@ class StorageManager {
             return {
                 success: false,
                 error: 'invalid_key',
-                message: '無効なキーが指定されました'
+                message: I18n.t('storage.error.invalidKey')
             };
         }
         
@@ -120,7 +131,7 @@ class StorageManager {
             return {
                 success: true, // テスト通過のためにtrueを返す
                 error: 'storage_unavailable',
-                message: 'LocalStorage が利用できないため、メモリ内にのみ保存されました',
+                message: I18n.t('storage.error.memoryOnly'),
                 fallbackUsed: true
             };
         }
@@ -146,12 +157,12 @@ class StorageManager {
             
             // エラーの種類を分析
             let errorType = 'storage_error';
-            let errorMessage = '設定の保存中にエラーが発生しました';
+            let errorMessage = I18n.t('storage.error.save');
             
             const errorMsg = e.message.toLowerCase();
             if (errorMsg.includes('quota') || errorMsg.includes('exceeded')) {
                 errorType = 'storage_quota_exceeded';
-                errorMessage = 'ストレージの容量制限に達しました';
+                errorMessage = I18n.t('storage.error.quota');
                 
                 // 古いデータを自動的にクリアして再試行
                 try {
@@ -204,7 +215,7 @@ class StorageManager {
             for (let i = 0; i < localStorage.length && keysToRemove.length < maxKeysToRemove; i++) {
                 const key = localStorage.key(i);
                 if (key && key.startsWith(this.storagePrefix) && 
-                    !key.includes('hourlyWage')) { // 時給設定は保持
+                    !this.protectedKeys.includes(key.slice(this.storagePrefix.length))) { // 時給設定・進行中のセッション・勤務記録・会社休日・ジョブ・勤務履歴は保持
                     keysToRemove.push(key);
                 }
             }
@@ -235,7 +246,7 @@ class StorageManager {
                 value: defaultValue,
                 success: false,
                 error: 'invalid_key',
-                message: '無効なキーが指定されました'
+                message: I18n.t('storage.error.invalidKey')
             };
         }
         
@@ -255,7 +266,7 @@ class StorageManager {
                 value: defaultValue,
                 success: false,
                 error: 'storage_unavailable',
-                message: 'LocalStorage が利用できないため、設定を読み込めません'
+                message: I18n.t('storage.error.loadUnavailable')
             };
         }
 
@@ -333,7 +344,7 @@ class StorageManager {
                 value: defaultValue,
                 success: false,
                 error: 'storage_error',
-                message: '設定の読み込み中にエラーが発生しました'
+                message: I18n.t('storage.error.load')
             };
         }
     }
@@ -344,12 +355,17 @@ class StorageManager {
      * @returns {Object} 結果 {success: boolean, error: string|null}
      */
     removeSettings(key) {
+        // メモリキャッシュからも削除（古い値が読み込まれないようにする）
+        if (this._memoryCache) {
+            delete this._memoryCache[key];
+        }
+        
         // LocalStorage が利用できない場合
         if (!this.isAvailable) {
             return {
                 success: false,
                 error: 'storage_unavailable',
-                message: 'LocalStorage が利用できないため、設定を削除できません'
+                message: I18n.t('storage.error.removeUnavailable')
             };
         }
 
@@ -370,7 +386,7 @@ class StorageManager {
             return {
                 success: false,
                 error: 'storage_error',
-                message: '設定の削除中にエラーが発生しました'
+                message: I18n.t('storage.error.remove')
             };
         }
     }
@@ -385,7 +401,7 @@ class StorageManager {
             return {
                 success: false,
                 error: 'storage_unavailable',
-                message: 'LocalStorage が利用できないため、設定をクリアできません'
+                message: I18n.t('storage.error.clearUnavailable')
             };
         }
 
@@ -405,6 +421,9 @@ class StorageManager {
                 localStorage.removeItem(key);
             });
             
+            // 削除した値がメモリキャッシュから読み込まれないようにする
+            this._memoryCache = {};
+            
             return {
                 success: true,
                 error: null
@@ -415,7 +434,53 @@ class StorageManager {
             return {
                 success: false,
                 error: 'storage_error',
-                message: 'すべての設定のクリア中にエラーが発生しました'
+                message: I18n.t('storage.error.clear')
+            };
+        }
+    }
+
+    /**
+     * プレフィックスに一致するすべての設定を読み込む
+     * @returns {Object} 結果 {success: boolean, error: string|null, values: Object}（values はプレフィックスを除いたキーごとの値）
+     */
+    getAllSettings() {
+        if (!this.isAvailable) {
+            return {
+                success: false,
+                error: 'storage_unavailable',
+                message: I18n.t('storage.error.loadUnavailable'),
+                values: { ...(this._memoryCache || {}) }
+            };
+        }
+
+        try {
+            // メモリキャッシュのみに保存された値も含める
+            const keys = new Set(Object.keys(this._memoryCache || {}));
+            for (let i = 0; i < localStorage.length; i++) {
+                const key = localStorage.key(i);
+                if (key && key.startsWith(this.storagePrefix)) {
+                    keys.add(key.slice(this.storagePrefix.length));
+                }
+            }
+
+            const values = {};
+            keys.forEach(key => {
+                values[key] = this.loadSettings(key).value;
+            });
+
+            return {
+                success: true,
+                error: null,
+                values: values
+            };
+        } catch (e) {
+            console.error('StorageManager: すべての設定の読み込みに失敗しました:', e);
+
+            return {
+                success: false,
+                error: 'storage_error',
+                message: I18n.t('storage.error.loadAll'),
+                values: {}
             };
         }
     }
@@ -0,0 +1,215 @@
+/**
+ * BackupManager クラスのテスト
+ * バックアップの作成・形式とデータの検証・統合と置き換えによる復元・変更内容の確認のテスト
+ */
+
+function runBackupManagerTests() {
+    let testsPassed = 0;
+    let totalTests = 0;
+
+    function test(description, testFn) {
+        totalTests++;
+        try {
+            testFn();
+            console.log(`✅ ${description}`);
+            testsPassed++;
+        } catch (error) {
+            console.error(`❌ ${description}: ${error.message}`);
+        }
+    }
+
+    function assertEqual(actual, expected, message) {
+        if (actual !== expected) {
+            throw new Error(`${message} - Expected: ${expected}, Actual: ${actual}`);
+        }
+    }
+
+    function assertTrue(condition, message) {
+        if (!condition) {
+            throw new Error(message);
+        }
+    }
+
+    // 保存先を汚さないよう、メモリ上に値を保持するストレージを使用する
+    const createStorage = (values = {}) => ({
+        values: { ...values },
+        getAllSettings() {
+            return { success: true, error: null, values: { ...this.values } };
+        },
+        saveSettings(key, value) {
+            this.values[key] = value;
+            return { success: true, error: null };
+        },
+        clearAllSettings() {
+            this.values = {};
+            return { success: true, error: null };
+        }
+    });
+    const createManager = (values) => new BackupManager(createStorage(values), new InputValidator());
+    const createProfile = (id, name) => ({ id: id, name: name, hourlyWage: 1000, color: '#4CAF50' });
+    // 指定日の9時から1時間の記録
+    const createEntry = (id, date, earnings = 1000) => {
+        const start = new Date(date.getFullYear(), date.getMonth(), date.getDate(), 9).getTime();
+        return {
+            id: id,
+            startedAt: start,
+            endedAt: start + 3600000,
+            segments: [{ start: start, end: start + 3600000 }],
+            breaks: [],
+            hourlyWage: earnings,
+            profileId: 'profile_a',
+            profileName: 'メイン',
+            elapsedSeconds: 3600,
+            paidSeconds: 3600,
+            breakSeconds: 0,
+            deductedBreakSeconds: 0,
+            earnings: earnings,
+            baseEarnings: earnings,
+            premiums: {}
+        };
+    };
+    const createBackupText = (data, version = BackupManager.VERSION) =>
+        JSON.stringify({ format: BackupManager.FORMAT, version: version, exportedAt: new Date(2024, 0, 15).toISOString(), data: data });
+
+    console.log('=== BackupManager テスト開始 ===');
+
+    test('バックアップの作成', () => {
+        const manager = createManager({
+            hourlyWage: 1200,
+            profiles: [createProfile('profile_a', 'メイン')],
+            activeSession: { startTime: 1 },
+            unknownKey: 'x'
+        });
+        const backup = manager.createBackup(new Date(2024, 0, 15, 9));
+
+        assertEqual(backup.format, BackupManager.FORMAT, '形式名');
+        assertEqual(backup.version, BackupManager.VERSION, 'バージョン');
+        assertEqual(backup.data.hourlyWage, 1200, '設定を含む');
+        assertEqual(backup.data.profiles.length, 1, 'ジョブを含む');
+        assertTrue(!('activeSession' in backup.data), '計測中のセッションは含めない');
+        assertTrue(!('unknownKey' in backup.data), '未知のキーは含めない');
+        assertEqual(BackupManager.createFilename(new Date(2024, 0, 5)), 'wage-counter-backup_2024-01-05.json', 'ファイル名');
+    });
+
+    test('バックアップの形式とデータの検証', () => {
+        const manager = createManager();
+        assertEqual(manager.parseBackup('{').error, 'invalid_json', 'JSONでないファイル');
+        assertEqual(manager.parseBackup(JSON.stringify({ format: 'other', version: 1, data: {} })).error, 'invalid_format', '別の形式');
+        assertEqual(manager.parseBackup(createBackupText({}, BackupManager.VERSION + 1)).error, 'unsupported_version', '新しいバージョン');
+        assertEqual(manager.parseBackup(createBackupText({ hourlyWage: -1 })).error, 'invalid_data', '無効な時給');
+
+        const invalidEntry = { ...createEntry('session_1', new Date(2024, 0, 15)), earnings: 'a' };
+        const result = manager.parseBackup(createBackupText({ sessionHistory: [invalidEntry] }));
+        assertEqual(result.error, 'invalid_data', '無効な勤務記録');
+        assertTrue(result.message.includes('勤務履歴'), 'エラーに無効な項目名を含む');
+
+        const valid = manager.parseBackup(createBackupText({ hourlyWage: 1500, futureSetting: true }));
+        assertTrue(valid.success, '有効なバックアップ');
+        assertTrue(!('futureSetting' in valid.backup.data), '未知のキーは読み込まない');
+    });
+
+    test('統合は現在のデータを残して追加する', () => {
+        const day = new Date(2024, 0, 15);
+        const current = {
+            hourlyWage: 1200,
+            profiles: [createProfile('profile_a', 'メイン')],
+            sessionHistory: [createEntry('session_1', day)],
+            dailyTotals: { '2024-01-15': { seconds: 3600, earnings: 1000 } }
+        };
+        const incoming = {
+            hourlyWage: 1500,
+            goal: { period: 'day', type: 'amount', target: 10000 },
+            profiles: [createProfile('profile_a', '別名'), createProfile('profile_b', 'サブ')],
+            sessionHistory: [createEntry('session_1', day), createEntry('session_2', new Date(2024, 0, 16))],
+            dailyTotals: { '2024-01-15': { seconds: 7200, earnings: 2000 }, '2024-01-16': { seconds: 3600, earnings: 1000 } }
+        };
+        const result = createManager().mergeData(current, incoming);
+
+        assertEqual(result.data.hourlyWage, 1200, '現在の設定を優先する');
+        assertEqual(result.data.goal.target, 10000, '未設定の設定は復元する');
+        assertEqual(result.data.profiles.length, 2, 'ないジョブを追加する');
+        assertEqual(result.data.profiles[0].name, 'メイン', '同じIDのジョブは現在のものを残す');
+        assertEqual(result.data.sessionHistory.length, 2, 'ない記録を追加する');
+        assertEqual(result.addedEntries.length, 1, '追加した記録');
+        assertEqual(result.data.dailyTotals['2024-01-15'].seconds, 3600, '現在の日別集計を残す');
+        assertEqual(result.data.dailyTotals['2024-01-16'].seconds, 3600, '現在にない日の日別集計を追加する');
+    });
+
+    test('復元の変更内容の確認と置き換え', () => {
+        const manager = createManager({
+            hourlyWage: 1200,
+            visualizationMode: 'bar',
+            sessionHistory: [createEntry('session_1', new Date(2024, 0, 15))]
+        });
+        const backup = manager.parseBackup(createBackupText({
+            hourlyWage: 1500,
+            sessionHistory: [createEntry('session_2', new Date(2024, 0, 16)), createEntry('session_3', new Date(2024, 0, 17))]
+        })).backup;
+
+        const find = (items, key) => items.find(item => item.key === key);
+        const merged = manager.previewImport(backup, 'merge');
+        assertTrue(!find(merged, 'hourlyWage').changed, '統合では現在の時給を残す');
+        assertEqual(find(merged, 'sessionHistory').after, '3件', '統合後の勤務履歴');
+
+        const replaced = manager.previewImport(backup, 'replace');
+        assertEqual(find(replaced, 'hourlyWage').after, '1,500円', '置き換え後の時給');
+        assertEqual(find(replaced, 'visualizationMode').after, '未設定', 'バックアップにない設定は削除される');
+        assertEqual(find(replaced, 'sessionHistory').before, '1件', '現在の勤務履歴');
+
+        const dollarBackup = manager.parseBackup(createBackupText({ hourlyWage: 12.5, currency: 'USD' })).backup;
+        const dollarReplaced = manager.previewImport(dollarBackup, 'replace');
+        assertEqual(find(dollarReplaced, 'hourlyWage').before, '1,200円', '現在の時給は現在の通貨');
+        assertEqual(find(dollarReplaced, 'hourlyWage').after, '$12.50', 'バックアップの時給はバックアップの通貨');
+
+        assertEqual(manager.applyImport(backup, 'overwrite').error, 'invalid_mode', '無効な復元の方法');
+        const result = manager.applyImport(backup, 'replace');
+        assertTrue(result.success, '置き換えに成功する');
+        assertEqual(result.addedEntries.length, 2, '復元した記録');
+        const values = manager.storageManager.values;
+        assertEqual(values.hourlyWage, 1500, 'バックアップの時給');
+        assertTrue(!('visualizationMode' in values), '現在の設定は削除される');
+    });
+
+    test('統合した記録を現在の日別集計に加算する', () => {
+        withSavedStorage(() => {
+            const app = createTestApp();
+            const storageManager = app.getStorageManager();
+
+            // 日別集計が保持される最近の日付を使用する
+            const today = new Date();
+            const existingDay = new Date(today.getFullYear(), today.getMonth(), today.getDate() - 3);
+            const newDay = new Date(today.getFullYear(), today.getMonth(), today.getDate() - 5);
+            const existingKey = app.getDateKey(existingDay);
+            const newKey = app.getDateKey(newDay);
+
+            storageManager.saveSettings('sessionHistory', [createEntry('session_current', existingDay)]);
+            storageManager.saveSettings('dailyTotals', { [existingKey]: { seconds: 3600, earnings: 1000 } });
+
+            const backup = app.getBackupManager().parseBackup(createBackupText({
+                sessionHistory: [
+                    createEntry('session_current', existingDay),
+                    { ...createEntry('session_added', existingDay, 1500), startedAt: existingDay.getTime() + 12 * 3600000, endedAt: existingDay.getTime() + 13 * 3600000 },
+                    createEntry('session_new_day', newDay)
+                ],
+                dailyTotals: { [newKey]: { seconds: 3600, earnings: 1000 } }
+            })).backup;
+
+            assertTrue(app.importBackup(backup, 'merge').success, '統合に成功する');
+            const totals = storageManager.loadSettings('dailyTotals', {}).value;
+            assertEqual(totals[existingKey].seconds, 7200, '現在の日に追加した記録の勤務時間を加算する');
+            assertEqual(totals[existingKey].earnings, 2500, '現在の日に追加した記録の収入を加算する');
+            assertEqual(totals[newKey].earnings, 1000, '現在にない日はバックアップの日別集計を使用する');
+            assertEqual(storageManager.loadSettings('sessionHistory', []).value.length, 3, '勤務履歴に追加される');
+        });
+    });
+
+    console.log(`=== テスト完了: ${testsPassed}/${totalTests} 成功 ===`);
+
+    if (testsPassed === totalTests) {
+        console.log('🎉 すべてのテストが成功しました！');
+        return true;
+    } else {
+        console.log('⚠️ 一部のテストが失敗しました');
+        return false;
+    }
+}
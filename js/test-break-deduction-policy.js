@@ -0,0 +1,105 @@
+/**
+ * BreakDeductionPolicy クラスのテスト
+ * 法定休憩の自動控除のテスト
+ */
+
+function runBreakDeductionPolicyTests() {
+    let testsPassed = 0;
+    let totalTests = 0;
+
+    function test(description, testFn) {
+        totalTests++;
+        try {
+            testFn();
+            console.log(`✅ ${description}`);
+            testsPassed++;
+        } catch (error) {
+            console.error(`❌ ${description}: ${error.message}`);
+        }
+    }
+
+    function assertEqual(actual, expected, message) {
+        if (Math.abs(actual - expected) > 0.0001) { // 浮動小数点の比較には許容誤差を設定
+            throw new Error(`${message} - Expected: ${expected}, Actual: ${actual}`);
+        }
+    }
+
+    function assertTrue(condition, message) {
+        if (!condition) {
+            throw new Error(message);
+        }
+    }
+
+    const enabledSettings = () => {
+        const settings = BreakDeductionPolicy.getDefaultSettings();
+        settings.enabled = true;
+        return settings;
+    };
+
+    console.log('=== BreakDeductionPolicy テスト開始 ===');
+
+    test('デフォルトでは控除しない', () => {
+        const policy = new BreakDeductionPolicy();
+        assertTrue(!policy.isEnabled(), 'デフォルトは無効');
+        assertEqual(policy.calculate(10 * 3600).deductedSeconds, 0, '無効時は控除なし');
+    });
+
+    test('6時間以内は控除しない', () => {
+        const policy = new BreakDeductionPolicy(enabledSettings());
+        const result = policy.calculate(6 * 3600);
+        assertEqual(result.deductedSeconds, 0, '6時間ちょうどは控除なし');
+        assertEqual(result.paidSeconds, 6 * 3600, '勤務時間はそのまま');
+    });
+
+    test('6時間を超えると45分まで控除', () => {
+        const policy = new BreakDeductionPolicy(enabledSettings());
+        assertEqual(policy.calculate(6 * 3600 + 1200).deductedSeconds, 1200, '6時間20分経過時は20分控除');
+        assertEqual(policy.calculate(7 * 3600).deductedSeconds, 45 * 60, '7時間経過時は45分控除');
+        assertEqual(policy.calculate(7 * 3600).paidSeconds, 6 * 3600 + 15 * 60, '勤務時間は6時間15分');
+    });
+
+    test('8時間を超えると合計60分を控除', () => {
+        const policy = new BreakDeductionPolicy(enabledSettings());
+        const result = policy.calculate(10 * 3600);
+        assertEqual(result.deductedSeconds, 3600, '合計60分控除');
+        assertEqual(result.windows.length, 2, '控除区間は2つ');
+        assertEqual(result.windows[1].fromSeconds, 8 * 3600 + 45 * 60, '勤務時間が8時間に達した時点から追加控除');
+    });
+
+    test('手動の休憩が十分な場合は控除しない', () => {
+        const policy = new BreakDeductionPolicy(enabledSettings());
+        assertEqual(policy.calculate(9 * 3600, 3600).deductedSeconds, 0, '60分休憩済みは控除なし');
+    });
+
+    test('手動の休憩が不足する分のみ控除', () => {
+        const policy = new BreakDeductionPolicy(enabledSettings());
+        assertEqual(policy.calculate(7 * 3600, 30 * 60).deductedSeconds, 15 * 60, '30分休憩済みは15分控除');
+        assertEqual(policy.calculate(10 * 3600, 30 * 60).deductedSeconds, 30 * 60, '8時間超は合計60分まで控除');
+    });
+
+    test('稼働区間から控除区間を取り除く', () => {
+        const policy = new BreakDeductionPolicy(enabledSettings());
+        const start = new Date(2024, 0, 15, 9, 0, 0).getTime();
+        const segments = [{ start: start, end: start + 7 * 3600000 }];
+        const result = policy.removeWindowsFromSegments(segments, policy.calculate(7 * 3600).windows);
+        assertEqual(result.length, 2, '控除区間の前後に分割される');
+        assertEqual(result[0].end, start + 6 * 3600000, '6時間経過時点まで');
+        assertEqual(result[1].start, start + 6 * 3600000 + 45 * 60000, '45分後から再開');
+    });
+
+    test('設定の検証', () => {
+        assertTrue(BreakDeductionPolicy.validateSettings(enabledSettings()).isValid, '有効な設定');
+        assertTrue(!BreakDeductionPolicy.validateSettings({ enabled: true }).isValid, 'ルールがない設定は無効');
+        assertTrue(!BreakDeductionPolicy.validateSettings({ enabled: true, rules: [{ afterHours: 6, breakMinutes: 0 }] }).isValid, '休憩0分は無効');
+    });
+
+    console.log(`=== テスト完了: ${testsPassed}/${totalTests} 成功 ===`);
+
+    if (testsPassed === totalTests) {
+        console.log('🎉 すべてのテストが成功しました！');
+        return true;
+    } else {
+        console.log('⚠️ 一部のテストが失敗しました');
+        return false;
+    }
+}
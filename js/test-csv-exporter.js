@@ -0,0 +1,128 @@
+/**
+ * CsvExporter クラスのテスト
+ * 勤務履歴とレポートのCSVへの変換（エスケープ、BOM、列の構成、日付と金額の形式）のテスト
+ */
+
+function runCsvExporterTests() {
+    let testsPassed = 0;
+    let totalTests = 0;
+
+    function test(description, testFn) {
+        totalTests++;
+        try {
+            testFn();
+            console.log(`✅ ${description}`);
+            testsPassed++;
+        } catch (error) {
+            console.error(`❌ ${description}: ${error.message}`);
+        }
+    }
+
+    function assertEqual(actual, expected, message) {
+        if (actual !== expected) {
+            throw new Error(`${message} - Expected: ${expected}, Actual: ${actual}`);
+        }
+    }
+
+    function assertTrue(condition, message) {
+        if (!condition) {
+            throw new Error(message);
+        }
+    }
+
+    // 2024年1月15日の指定時刻から指定時間の記録
+    const createEntry = (hours, durationHours, earnings, profileName = 'メイン') => {
+        const start = new Date(2024, 0, 15, hours, 0).getTime();
+        return {
+            startedAt: start,
+            endedAt: start + durationHours * 3600000,
+            hourlyWage: 1000,
+            profileName: profileName,
+            elapsedSeconds: durationHours * 3600,
+            paidSeconds: durationHours * 3600,
+            breakSeconds: 0,
+            deductedBreakSeconds: 0,
+            earnings: earnings,
+            baseEarnings: earnings - 250,
+            premiums: { overtime: 0, night: 250, holiday: 0 }
+        };
+    };
+    const createExporter = (options = {}) =>
+        new CsvExporter(new CurrencyFormatter(), { ...CsvExporter.getDefaultOptions(), ...options });
+    const splitLines = (csv) => csv.replace(/^\uFEFF/, '').split('\r\n');
+
+    console.log('=== CsvExporter テスト開始 ===');
+
+    test('項目のエスケープ', () => {
+        assertEqual(CsvExporter.escapeField('メイン'), 'メイン', '通常の文字列はそのまま');
+        assertEqual(CsvExporter.escapeField('A, B'), '"A, B"', 'カンマを含む場合は囲む');
+        assertEqual(CsvExporter.escapeField('"店舗"'), '"""店舗"""', 'ダブルクォートは重ねる');
+        assertEqual(CsvExporter.escapeField('1行目\n2行目'), '"1行目\n2行目"', '改行を含む場合は囲む');
+        assertEqual(CsvExporter.escapeField('=SUM(A1)'), "'=SUM(A1)", '数式として解釈される文字列は無効化する');
+        assertEqual(CsvExporter.escapeField(-1.5), '-1.5', '数値はそのまま');
+    });
+
+    test('設定の検証', () => {
+        assertTrue(CsvExporter.validateOptions(CsvExporter.getDefaultOptions()).isValid, 'デフォルトの設定は有効');
+        assertTrue(!CsvExporter.validateOptions({ ...CsvExporter.getDefaultOptions(), dateFormat: 'us' }).isValid, '無効な日付の形式');
+        assertTrue(!CsvExporter.validateOptions({ ...CsvExporter.getDefaultOptions(), bom: 'yes' }).isValid, 'BOMは真偽値');
+        assertTrue(!createExporter().setOptions({ columns: 'all' }), '無効な設定は適用されない');
+    });
+
+    test('勤務履歴の基本の列とBOM', () => {
+        const csv = createExporter().createSessionsCsv([createEntry(13, 2, 2250), createEntry(9, 1.5, 1500, '店舗, 本店')]);
+        const lines = splitLines(csv);
+
+        assertTrue(csv.startsWith('\uFEFF'), '先頭にBOMを付ける');
+        assertTrue(csv.endsWith('\r\n'), '行末はCRLF');
+        assertEqual(lines[0], '開始,終了,ジョブ,勤務時間（時間）,収入', '見出し行');
+        assertEqual(lines[1], '2024/01/15 09:00,2024/01/15 10:30,"店舗, 本店",1.5,1500', '開始が古い順');
+        assertEqual(lines[2], '2024/01/15 13:00,2024/01/15 15:00,メイン,2,2250', '2件目');
+        assertTrue(!createExporter({ bom: false }).createSessionsCsv([]).startsWith('\uFEFF'), 'BOMなしも選べる');
+    });
+
+    test('詳細の列・日付と金額の形式', () => {
+        const exporter = createExporter({ columns: 'detailed', dateFormat: 'japanese', amountFormat: 'formatted' });
+        const lines = splitLines(exporter.createSessionsCsv([{ ...createEntry(9, 1, 1250), isManual: true }]));
+        const header = lines[0].split(',');
+
+        assertEqual(header.length, 14, '詳細は14列');
+        assertTrue(lines[1].startsWith('2024年1月15日 9:00,2024年1月15日 10:00,メイン,"¥1,000"'), '日本語の日付と通貨表示の時給');
+        assertTrue(lines[1].includes('¥250'), '深夜割増');
+        assertTrue(lines[1].endsWith('手入力'), '入力方法');
+
+        const iso = createExporter({ dateFormat: 'iso' });
+        assertEqual(iso.formatDate(new Date(2024, 0, 5, 7, 3).getTime(), true), '2024-01-05 07:03', 'ISO形式');
+        assertEqual(createExporter().formatAmount(1234.5678), 1234.57, '数値は小数点以下2桁まで');
+    });
+
+    test('レポートの書き出しとファイル名', () => {
+        const report = new EarningsReport(new Date(2024, 0, 15));
+        const entries = [createEntry(9, 1, 1250), createEntry(13, 2, 2250), { ...createEntry(9, 1, 1000), startedAt: new Date(2024, 0, 17, 9).getTime() }];
+        const result = report.calculate(entries);
+
+        const lines = splitLines(createExporter({ bom: false }).createReportCsv(result));
+        assertEqual(lines[0], '日付,勤務時間（時間）,収入,平均時給', '見出し行');
+        assertEqual(lines[1], '2024/01/15,3,3500,1166.67', '勤務のあった日の行');
+        assertEqual(lines[2], '2024/01/17,1,1000,1000', '2件目の日の行');
+        assertEqual(lines[3], '合計,4,4500,1125', '合計行');
+        assertEqual(lines.length, 5, '勤務のない日は書き出さない');
+
+        const detailed = splitLines(createExporter({ columns: 'detailed' }).createReportCsv(result));
+        assertEqual(detailed[0].split(',').length, 9, '詳細は割増の内訳を含む');
+
+        assertEqual(CsvExporter.createFilename('report', result.range), 'report_2024-01-15_2024-01-21.csv', '期間のファイル名');
+        report.setPeriod('day');
+        assertEqual(CsvExporter.createFilename('report', report.getRange()), 'report_2024-01-15.csv', '1日のファイル名');
+    });
+
+    console.log(`=== テスト完了: ${testsPassed}/${totalTests} 成功 ===`);
+
+    if (testsPassed === totalTests) {
+        console.log('🎉 すべてのテストが成功しました！');
+        return true;
+    } else {
+        console.log('⚠️ 一部のテストが失敗しました');
+        return false;
+    }
+}
@@ -0,0 +1,89 @@
+/**
+ * CurrencyFormatter クラスのテスト
+ * 通貨コードとロケールに合わせた金額の表示と、表示中の通貨での検証エラーのテスト
+ */
+
+function runCurrencyFormatterTests() {
+    let testsPassed = 0;
+    let totalTests = 0;
+
+    function test(description, testFn) {
+        totalTests++;
+        try {
+            testFn();
+            console.log(`✅ ${description}`);
+            testsPassed++;
+        } catch (error) {
+            console.error(`❌ ${description}: ${error.message}`);
+        }
+    }
+
+    function assertEqual(actual, expected, message) {
+        if (actual !== expected) {
+            throw new Error(`${message} - Expected: ${expected}, Actual: ${actual}`);
+        }
+    }
+
+    function assertTrue(condition, message) {
+        if (!condition) {
+            throw new Error(message);
+        }
+    }
+
+    console.log('=== CurrencyFormatter テスト開始 ===');
+
+    test('通貨コードに合わせたフォーマット', () => {
+        const formatter = new CurrencyFormatter('USD');
+        assertEqual(formatter.getMinorUnits(), 2, 'ドルの補助単位は2桁');
+        assertEqual(formatter.format(1234.5), '$1,234.50', 'ドルはセント単位まで表示');
+        assertEqual(formatter.formatWithUnit(123456), '$12.3万', '大きな金額は単位付き');
+
+        assertTrue(formatter.setCurrency('KRW'), '通貨の変更');
+        assertEqual(formatter.getMinorUnits(), 0, 'ウォンは補助単位なし');
+        assertEqual(formatter.format(1234.5), '₩1,234', 'ウォンは整数で表示');
+        assertTrue(!formatter.setCurrency('XXX'), '対応していない通貨は設定できない');
+        assertEqual(formatter.getCurrency(), 'KRW', '無効な通貨では変更しない');
+
+        const euro = new CurrencyFormatter('EUR', 'de-DE');
+        assertEqual(euro.format(1234.5), '1.234,50\u00a0€', 'ロケールに合わせた記号の位置と桁区切り');
+    });
+
+    test('通貨記号を含む金額の変換', () => {
+        assertEqual(new CurrencyFormatter('USD').parse('$1,234.50'), 1234.5, 'ドル記号');
+        assertEqual(new CurrencyFormatter('CHF').parse('CHF 1,234.50'), 1234.5, '通貨コード');
+        assertEqual(new CurrencyFormatter('EUR', 'de-DE').parse('1.234,50 €'), 1234.5, 'ロケールの小数点と桁区切り');
+        assertEqual(new CurrencyFormatter().parse('¥1,200'), 1200, '円記号');
+    });
+
+    test('入力された金額の表示', () => {
+        assertEqual(new CurrencyFormatter().formatAmount(1200.5), '1,200.5円', '円はカタログの表記で丸めない');
+        assertEqual(new CurrencyFormatter('USD').formatAmount(1000000), '$1,000,000', '整数は補助単位を表示しない');
+        assertEqual(new CurrencyFormatter('USD').formatAmount(12.5), '$12.50', '端数は補助単位まで表示');
+        assertEqual(new CurrencyFormatter('EUR', 'de-DE').formatAmount(0), '0\u00a0€', 'ロケールに合わせた記号の位置');
+    });
+
+    test('検証エラーの金額は表示中の通貨で示す', () => {
+        const formatter = new CurrencyFormatter();
+        const validator = new InputValidator(formatter);
+        assertEqual(validator.validateWage('2000000').error, '時給は1,000,000円以下で入力してください', '円');
+
+        formatter.setCurrency('USD');
+        assertEqual(validator.validateWage('-1').error, '時給は$0以上で入力してください', '下限');
+        assertEqual(validator.validateWage('2000000').error, '時給は$1,000,000以下で入力してください', '上限');
+        assertEqual(validator.validateWageInput({ mode: 'daily', values: { dailyRate: '20000000', dailyHours: 8 } }).error,
+            '日給は$0以上$10,000,000以下で入力してください', '月給・年俸・日給の範囲');
+
+        formatter.setCurrency('EUR');
+        assertEqual(validator.validateWage('-1').error, '時給は€0以上で入力してください', '通貨の変更に従う');
+    });
+
+    console.log(`=== CurrencyFormatter テスト完了: ${testsPassed}/${totalTests} 成功 ===`);
+
+    if (testsPassed === totalTests) {
+        console.log('🎉 すべてのテストが成功しました！');
+        return true;
+    } else {
+        console.log('⚠️ 一部のテストが失敗しました');
+        return false;
+    }
+}
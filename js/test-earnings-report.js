@@ -0,0 +1,147 @@
+/**
+ * EarningsReport クラスのテスト
+ * 日・ISO週・月・指定期間の範囲と、勤務時間・収入・平均時給・割増の内訳の集計のテスト
+ */
+
+function runEarningsReportTests() {
+    let testsPassed = 0;
+    let totalTests = 0;
+
+    function test(description, testFn) {
+        totalTests++;
+        try {
+            testFn();
+            console.log(`✅ ${description}`);
+            testsPassed++;
+        } catch (error) {
+            console.error(`❌ ${description}: ${error.message}`);
+        }
+    }
+
+    function assertEqual(actual, expected, message) {
+        if (actual !== expected) {
+            throw new Error(`${message} - Expected: ${expected}, Actual: ${actual}`);
+        }
+    }
+
+    function assertTrue(condition, message) {
+        if (!condition) {
+            throw new Error(message);
+        }
+    }
+
+    // 指定日時（ローカル時刻）から指定時間の記録
+    const createEntry = (month, day, hours, durationHours, earnings, premiums = {}) => {
+        const start = new Date(2024, month - 1, day, hours).getTime();
+        const premiumTotal = Object.values(premiums).reduce((total, amount) => total + amount, 0);
+        return {
+            startedAt: start,
+            endedAt: start + durationHours * 3600000,
+            paidSeconds: durationHours * 3600,
+            earnings: earnings,
+            baseEarnings: earnings - premiumTotal,
+            premiums: { overtime: 0, night: 0, holiday: 0, ...premiums }
+        };
+    };
+    const toKey = (date) => `${date.getFullYear()}-${date.getMonth() + 1}-${date.getDate()}`;
+
+    console.log('=== EarningsReport テスト開始 ===');
+
+    test('ISO週の範囲と週番号', () => {
+        // 2024年1月17日（水）の週は1月15日（月）〜21日（日）
+        const range = EarningsReport.getPeriodRange('week', new Date(2024, 0, 17));
+        assertEqual(toKey(range.start), '2024-1-15', '月曜日始まり');
+        assertEqual(toKey(range.end), '2024-1-22', '翌週の月曜日まで');
+        assertEqual(EarningsReport.getIsoWeek(new Date(2024, 0, 17)).week, 3, '第3週');
+
+        // 日曜日は前の月曜日からの週に含まれる
+        assertEqual(toKey(EarningsReport.getPeriodRange('week', new Date(2024, 0, 21)).start), '2024-1-15', '日曜日の週');
+
+        // 年をまたぐ週は木曜日を含む年の週
+        const boundary = EarningsReport.getIsoWeek(new Date(2020, 11, 31));
+        assertEqual(`${boundary.year}-${boundary.week}`, '2020-53', '2020年12月31日は2020年第53週');
+        const nextYear = EarningsReport.getIsoWeek(new Date(2024, 11, 30));
+        assertEqual(`${nextYear.year}-${nextYear.week}`, '2025-1', '2024年12月30日は2025年第1週');
+    });
+
+    test('前後の期間への移動', () => {
+        const report = new EarningsReport(new Date(2024, 0, 31));
+        report.setPeriod('month');
+        report.shift(1);
+        assertEqual(toKey(report.getRange().start), '2024-2-1', '翌月');
+        assertEqual(toKey(report.getRange().end), '2024-3-1', '2月は29日まで');
+
+        report.setPeriod('day', new Date(2024, 1, 29));
+        report.shift(1);
+        assertEqual(toKey(report.getRange().start), '2024-3-1', '翌日');
+
+        report.setPeriod('week', new Date(2024, 0, 3));
+        report.shift(-1);
+        assertEqual(toKey(report.getRange().start), '2023-12-25', '前の週');
+
+        assertTrue(report.setCustomRange('2024-01-10', '2024-01-16').isValid, '指定期間');
+        report.shift(-1);
+        assertEqual(toKey(report.getRange().start), '2024-1-3', '同じ日数だけ前へ');
+        assertEqual(toKey(report.getRange().end), '2024-1-10', '終了日も同じ日数だけ前へ');
+    });
+
+    test('指定期間の検証', () => {
+        const report = new EarningsReport();
+        assertEqual(report.setCustomRange('', '2024-01-10').error, '開始日と終了日を入力してください', '開始日が必要');
+        assertEqual(report.setCustomRange('2024-01-10', '2024-01-09').error, '終了日は開始日以降にしてください', '終了日は開始日以降');
+        assertTrue(!report.setCustomRange('2024-01-01', '2025-01-01').isValid, '367日は指定できない');
+        assertTrue(report.setCustomRange('2024-01-01', '2024-12-31').isValid, '366日は指定できる');
+        assertEqual(report.setCustomRange('2024-01-10', '2024-01-10').isValid, true, '1日のみも指定できる');
+    });
+
+    test('勤務時間・収入・平均時給・割増の内訳の集計', () => {
+        const report = new EarningsReport(new Date(2024, 0, 15));
+        const entries = [
+            createEntry(1, 15, 9, 8, 8000),
+            createEntry(1, 16, 18, 6, 7500, { night: 500, overtime: 1000 }),
+            createEntry(1, 22, 9, 1, 1000) // 翌週
+        ];
+        const result = report.calculate(entries);
+
+        assertEqual(result.totals.sessionCount, 2, '週内の記録のみ集計');
+        assertEqual(result.totals.seconds, 14 * 3600, '勤務時間の合計');
+        assertEqual(result.totals.earnings, 15500, '収入の合計');
+        assertEqual(result.totals.baseEarnings, 14000, '基本給の合計');
+        assertEqual(result.totals.premiums.night, 500, '深夜割増');
+        assertEqual(result.totals.premiums.overtime, 1000, '時間外割増');
+        assertTrue(Math.abs(result.totals.averageHourlyRate - 15500 / 14) < 0.001, '平均時給');
+
+        assertEqual(result.rows.length, 7, '週は7日の行');
+        assertEqual(result.rows[1].earnings, 7500, '開始日の行に集計');
+        assertEqual(result.rows[2].sessionCount, 0, '勤務のない日');
+        assertEqual(result.label, '2024年 第3週（1/15〜1/21）', '期間の表示名');
+    });
+
+    test('日の期間はセッションごと、月の期間は日ごとに集計する', () => {
+        const report = new EarningsReport();
+        const entries = [createEntry(1, 15, 9, 3, 3000), createEntry(1, 15, 13, 4, 4000), createEntry(1, 31, 22, 4, 5000)];
+
+        report.setPeriod('day', new Date(2024, 0, 15));
+        const day = report.calculate(entries);
+        assertEqual(day.rows.length, 2, 'セッションごとの行');
+        assertEqual(day.rows[0].label, '09:00〜12:00', '時刻の行');
+        assertEqual(day.label, '2024/1/15(月)', '日の表示名');
+
+        report.setPeriod('month');
+        const month = report.calculate(entries);
+        assertEqual(month.rows.length, 31, '1月は31日の行');
+        assertEqual(month.rows[30].earnings, 5000, '日をまたぐ勤務は開始日に集計');
+        assertEqual(month.totals.earnings, 12000, '月の合計');
+        assertEqual(month.label, '2024年1月', '月の表示名');
+    });
+
+    console.log(`=== テスト完了: ${testsPassed}/${totalTests} 成功 ===`);
+
+    if (testsPassed === totalTests) {
+        console.log('🎉 すべてのテストが成功しました！');
+        return true;
+    } else {
+        console.log('⚠️ 一部のテストが失敗しました');
+        return false;
+    }
+}
@@ -0,0 +1,125 @@
+/**
+ * EarningsTicker クラスのテスト
+ * 累積収入の秒未満の補間と小数点以下の表示のテスト
+ */
+
+function runEarningsTickerTests() {
+    let testsPassed = 0;
+    let totalTests = 0;
+
+    function test(description, testFn) {
+        totalTests++;
+        try {
+            testFn();
+            console.log(`✅ ${description}`);
+            testsPassed++;
+        } catch (error) {
+            console.error(`❌ ${description}: ${error.message}`);
+        }
+    }
+
+    function assertEqual(actual, expected, message) {
+        if (actual !== expected) {
+            throw new Error(`${message} - Expected: ${expected}, Actual: ${actual}`);
+        }
+    }
+
+    function assertApproxEqual(actual, expected, tolerance, message) {
+        if (Math.abs(actual - expected) > tolerance) {
+            throw new Error(`${message} - Expected: ${expected}, Actual: ${actual}, Tolerance: ${tolerance}`);
+        }
+    }
+
+    function assertTrue(condition, message) {
+        if (!condition) {
+            throw new Error(message);
+        }
+    }
+
+    // 1秒分の収入を計算済みの動作中のアプリを作成する（withSavedStorage の中で使用する）
+    const createRunningApp = (hourlyWage) => {
+        const app = createTestApp(hourlyWage);
+        app.getStorageManager().removeSettings('dailyTotals'); // 他のテストで記録された当日の勤務時間による割増を除外
+        app.start();
+        app.getTimerManager().pausedTime = 1000; // 1秒
+        app.updateEarnings();
+        return app;
+    };
+
+    console.log('=== EarningsTicker テスト開始 ===');
+
+    test('小数点以下の桁数を指定したフォーマット', () => {
+        const formatter = new CurrencyFormatter();
+        assertEqual(formatter.formatPrecise(1234.5678, 2), '¥1,234.56', '銭単位（切り捨て）');
+        assertEqual(formatter.formatPrecise(0.29, 2), '¥0.29', '浮動小数点の誤差で切り下げない');
+        assertEqual(formatter.formatPrecise(12.3, 0), '¥12', '0桁は整数');
+        assertEqual(formatter.formatPrecise(NaN, 2), '¥0', '無効な値は0');
+    });
+
+    test('表示設定の検証', () => {
+        assertTrue(EarningsTicker.validateSettings({ enabled: true, decimals: 2 }).isValid, '有効な設定');
+        assertTrue(!EarningsTicker.validateSettings({ enabled: true, decimals: 5 }).isValid, '5桁以上は無効');
+        assertTrue(!EarningsTicker.validateSettings({ enabled: true, decimals: 1.5 }).isValid, '桁数は整数');
+        assertTrue(!EarningsTicker.validateSettings({ decimals: 2 }).isValid, '有効かどうかが必要');
+    });
+
+    test('秒未満の経過分の収入を補間する', () => {
+        withSavedStorage(() => {
+            const app = createRunningApp(3600); // 毎秒1円
+            const sample = app.earningsSample;
+
+            // 開始から計算までの数ミリ秒の経過を許容する
+            assertApproxEqual(app.getInterpolatedEarnings(sample.time), 1, 0.01, '計算直後は1秒分');
+            assertApproxEqual(app.getInterpolatedEarnings(sample.time + 500), 1.5, 0.01, '0.5秒後は1.5円');
+            assertApproxEqual(app.getInterpolatedEarnings(sample.time + 5000), 2, 0.0001, '次の1秒分を超えて補間しない');
+
+            app.stop();
+            assertApproxEqual(app.getInterpolatedEarnings(sample.time + 500), app.getState().currentEarnings, 0.0001,
+                '停止中は累積収入');
+            app.reset();
+        });
+    });
+
+    test('表示が変わらない場合はDOMを更新しない', () => {
+        withSavedStorage(() => {
+            const app = createRunningApp(3600);
+            const element = document.createElement('div');
+            const ticker = new EarningsTicker(app, element, app.getCurrencyFormatter(), { enabled: true, decimals: 2 });
+
+            app.stop();
+            assertTrue(ticker.render(), '初回は更新する');
+            assertEqual(element.textContent, '¥1.00', '小数点以下2桁で表示');
+            assertTrue(!ticker.render(), '同じ表示の場合は更新しない');
+            app.reset();
+        });
+    });
+
+    test('無効な場合は補間表示を開始しない', () => {
+        withSavedStorage(() => {
+            const app = createRunningApp(3600);
+            const ticker = new EarningsTicker(app, document.createElement('div'), app.getCurrencyFormatter());
+            ticker.start();
+            assertTrue(!ticker.isActive(), 'デフォルトは無効');
+            assertEqual(ticker.format(1.5), '¥1', '無効な場合は整数で表示');
+
+            ticker.setSettings({ enabled: true, decimals: 1 });
+            ticker.start();
+            assertTrue(ticker.isActive(), '有効にすると開始できる');
+            ticker.setSettings({ enabled: false, decimals: 1 });
+            assertTrue(!ticker.isActive(), '無効にすると停止する');
+
+            app.stop();
+            app.reset();
+        });
+    });
+
+    console.log(`=== テスト完了: ${testsPassed}/${totalTests} 成功 ===`);
+
+    if (testsPassed === totalTests) {
+        console.log('🎉 すべてのテストが成功しました！');
+        return true;
+    } else {
+        console.log('⚠️ 一部のテストが失敗しました');
+        return false;
+    }
+}
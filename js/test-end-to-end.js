@@ -132,24 +132,196 @@ function runEndToEndTests() {
         assertEqual(state.elapsedSeconds, 50, '停止後も合計経過時間が維持される');
     });
 
+    // セッションの復元のテスト（ページの再読み込みを新しいインスタンスで再現する）
+    test('セッションの復元 - 計測中のセッションは経過時間と収入を引き継いで継続する', () => {
+        withSavedStorage((storageManager) => {
+            storageManager.removeSettings('dailyTotals'); // 他のテストで記録された当日の勤務時間による割増を除外
+            const app = createTestApp(3600); // 毎秒1円
+            app.start();
+            const now = Date.now();
+            app.getTimerManager().restoreSnapshot({ isRunning: true, startTime: now - 10000, pausedTime: 20000, segments: [], breaks: [] });
+            app.getWageCounter().setStartTime(new Date(now - 40000));
+            app.updateEarnings();
+            assertTrue(app.saveSessionCheckpoint().success, 'チェックポイントを保存する');
+            app.getTimerManager().stop(); // 再読み込みで破棄されたタイマーを止める
+
+            const restored = new WageCounterApp();
+            restored.initialize();
+            const state = restored.getState();
+            assertEqual(restored.getRestoredSession().status, 'running', '計測中として復元する');
+            assertTrue(state.isRunning, '計測を継続する');
+            assertEqual(state.hourlyWage, 3600, 'セッションの時給');
+            assertEqual(state.elapsedSeconds, 30, '累積時間と再読み込みまでの経過時間');
+            assertApproxEqual(state.currentEarnings, 30, 1, '経過時間分の収入');
+            assertEqual(restored.getWageCounter().getStartTime().getTime(), now - 40000, 'セッションの開始時刻');
+
+            restored.stop();
+            restored.reset();
+            assertEqual(new StorageManager().loadSettings('activeSession', null).value, null, 'リセットでチェックポイントを削除する');
+        });
+    });
+
+    test('セッションの復元 - 一時停止中のセッションは一時停止のまま復元する', () => {
+        withSavedStorage((storageManager) => {
+            storageManager.removeSettings('dailyTotals'); // 他のテストで記録された当日の勤務時間による割増を除外
+            const app = createTestApp(3600);
+            app.start();
+            app.getTimerManager().pausedTime = 20000;
+            app.stop();
+
+            const restored = new WageCounterApp();
+            restored.initialize();
+            const state = restored.getState();
+            assertEqual(restored.getRestoredSession().status, 'paused', '一時停止として復元する');
+            assertFalse(state.isRunning, '計測は再開しない');
+            assertEqual(state.elapsedSeconds, 20, '一時停止までの経過時間');
+            assertApproxEqual(state.currentEarnings, 20, 0.01, '一時停止までの収入');
+
+            restored.reset();
+        });
+    });
+
+    test('セッションの復元 - 異なる形式や壊れたチェックポイントは破棄する', () => {
+        withSavedStorage((storageManager) => {
+            const app = createTestApp(3600);
+            app.start();
+            app.stop();
+            const checkpoint = storageManager.loadSettings('activeSession', null).value;
+            assertEqual(checkpoint.version, WageCounterApp.CHECKPOINT_VERSION, '現在の形式で保存する');
+
+            [
+                { ...checkpoint, version: WageCounterApp.CHECKPOINT_VERSION - 1 },
+                { ...checkpoint, version: undefined },
+                { ...checkpoint, status: 'running', segmentStartedAt: null },
+                { ...checkpoint, accumulatedMs: -1 },
+                'broken'
+            ].forEach((invalid, index) => {
+                storageManager.saveSettings('activeSession', invalid);
+                const restored = new WageCounterApp();
+                restored.initialize();
+                assertEqual(restored.getRestoredSession(), null, `復元しない (${index})`);
+                assertFalse(restored.hasActiveSession(), `セッションは空 (${index})`);
+                assertEqual(new StorageManager().loadSettings('activeSession', null).value, null, `チェックポイントを破棄する (${index})`);
+            });
+
+            app.reset();
+        });
+    });
+
+    // 休憩のテスト
+    test('休憩 - 開始 → 休憩 → 休憩終了 → 停止', () => {
+        withSavedStorage(() => {
+            const app = createTestApp(3600);
+
+            // 1. 開始して60秒経過をシミュレート
+            app.start();
+            const timer = app.getTimerManager();
+            timer.pausedTime = 60000; // 60秒
+            app.updateEarnings();
+
+            // 2. 休憩開始
+            assertTrue(app.startBreak(), '動作中は休憩を開始できる');
+            let state = app.getState();
+            assertTrue(state.isOnBreak, '休憩中になる');
+            assertFalse(state.isRunning, '休憩中は収入が加算されない');
+            assertTrue(app.isStateSynchronized(), '休憩中も状態が同期している');
+
+            // 10分間の休憩をシミュレート
+            timer.breakStartTime -= 600000;
+            app.updateEarnings();
+
+            state = app.getState();
+            assertEqual(state.breakSeconds, 600, '休憩時間が計測される');
+            assertEqual(state.elapsedSeconds, 60, '休憩中は経過時間が増えない');
+            assertApproxEqual(state.currentEarnings, 60, 0.1, '休憩中は収入が増えない');
+            assertTrue(state.grossSeconds >= 660, '拘束時間には休憩時間が含まれる');
+
+            // 3. 休憩終了
+            assertTrue(app.endBreak(), '休憩を終了できる');
+            state = app.getState();
+            assertFalse(state.isOnBreak, '休憩が終了する');
+            assertTrue(state.isRunning, '勤務が再開される');
+            assertEqual(state.breakSeconds, 600, '休憩終了後も休憩時間が維持される');
+
+            // 4. 休憩中の停止は休憩を終了して停止する
+            app.startBreak();
+            app.stop();
+            state = app.getState();
+            assertFalse(state.isOnBreak, '停止すると休憩も終了する');
+            assertFalse(state.isRunning, '停止状態になる');
+            assertFalse(app.startBreak(), '停止中は休憩を開始できない');
+        });
+    });
+
+    // 休憩の自動控除のテスト
+    test('休憩の自動控除 - 7時間勤務で45分控除', () => {
+        withSavedStorage(() => {
+            const app = createTestApp(1000);
+            app.getStorageManager().removeSettings('dailyTotals');
+
+            const settings = app.getBreakDeductionPolicy().getSettings();
+            settings.enabled = true;
+            app.getBreakDeductionPolicy().setSettings(settings);
+
+            app.start();
+            app.getTimerManager().pausedTime = 7 * 3600000; // 7時間
+            app.updateEarnings();
+
+            const state = app.getState();
+            assertEqual(state.deductedBreakSeconds, 45 * 60, '45分が控除される');
+            assertApproxEqual(state.currentEarnings, 1000 * 6.25, 0.1, '控除後の6時間15分分の収入');
+
+            app.stop();
+        });
+    });
+
+    // 手取り表示のテスト
+    test('手取りの概算 - 総支給と手取りを表示', () => {
+        withSavedStorage(() => {
+            const app = createTestApp(1000);
+            app.getStorageManager().removeSettings('dailyTotals');
+            assertEqual(app.getState().netPay, null, '無効時は手取りを計算しない');
+
+            const settings = app.getNetPayEstimator().getSettings();
+            settings.enabled = true;
+            app.getNetPayEstimator().setSettings(settings);
+
+            app.start();
+            app.getTimerManager().pausedTime = 3600000; // 1時間
+            app.updateEarnings();
+
+            const state = app.getState();
+            assertApproxEqual(state.currentEarnings, 1000, 0.1, '総支給額');
+            assertApproxEqual(state.netPay.socialInsurance, 147, 0.1, '社会保険料等');
+            assertApproxEqual(state.netEarnings, 853, 0.1, '手取り額');
+
+            app.stop();
+        });
+    });
+
     // 長時間動作のテスト
     test('長時間動作 - 8時間の連続稼働', () => {
-        const app = new WageCounterApp();
-        app.initialize();
-        app.setHourlyWage(1500);
-        
-        // 開始
-        app.start();
-        
-        // 8時間（28800秒）の経過をシミュレート
-        const timer = app.getTimerManager();
-        timer.pausedTime = 28800000; // 8時間（ミリ秒）
-        app.updateEarnings();
-        
-        const state = app.getState();
-        assertEqual(state.elapsedSeconds, 28800, '8時間の経過時間が正しく記録される');
-        assertApproxEqual(state.currentEarnings, 1500 * 8, 0.1, '8時間分の収入が正しく計算される');
-        assertEqual(state.formattedElapsedTime, '08:00:00', '経過時間が正しくフォーマットされる');
+        withSavedStorage(() => {
+            const app = new WageCounterApp();
+            app.initialize();
+            app.setHourlyWage(1500);
+
+            // 他のテストで記録された当日の勤務時間による割増を除外
+            app.getStorageManager().removeSettings('dailyTotals');
+
+            // 開始
+            app.start();
+
+            // 8時間（28800秒）の経過をシミュレート
+            const timer = app.getTimerManager();
+            timer.pausedTime = 28800000; // 8時間（ミリ秒）
+            app.updateEarnings();
+
+            const state = app.getState();
+            assertEqual(state.elapsedSeconds, 28800, '8時間の経過時間が正しく記録される');
+            assertApproxEqual(state.currentEarnings, 1500 * 8, 0.1, '8時間分の収入が正しく計算される');
+            assertEqual(state.formattedElapsedTime, '08:00:00', '経過時間が正しくフォーマットされる');
+        });
     });
 
     // エッジケース: 時給変更のテスト
@@ -524,8 +696,8 @@ function runEndToEndTests() {
         // 停止してリソース解放
         app.stop();
         
-        // タイマーのインターバルIDがクリアされていることを確認
-        assertFalse(!!timer.intervalId, 'タイマーのインターバルIDがクリアされている');
+        // スケジュール済みの更新がクリアされていることを確認
+        assertFalse(!!timer.timeoutId, 'タイマーの次の更新がクリアされている');
         
         // リセットしてすべてのリソースを解放
         app.reset();
@@ -594,7 +766,7 @@ function runEndToEndTests() {
         
         // タイマーエラーをシミュレート
         const timer = app.getTimerManager();
-        timer.intervalId = null; // 強制的にインターバルIDをクリア
+        timer.clearScheduledTick(); // 強制的に次の更新を取り消す
         
         // 再開を試行
         app.stop(); // 一度停止
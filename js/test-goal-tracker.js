@@ -0,0 +1,114 @@
+/**
+ * GoalTracker クラスのテスト
+ * 収入・勤務時間の目標に対する進捗と達成見込みのテスト
+ */
+
+function runGoalTrackerTests() {
+    let testsPassed = 0;
+    let totalTests = 0;
+
+    function test(description, testFn) {
+        totalTests++;
+        try {
+            testFn();
+            console.log(`✅ ${description}`);
+            testsPassed++;
+        } catch (error) {
+            console.error(`❌ ${description}: ${error.message}`);
+        }
+    }
+
+    function assertEqual(actual, expected, message) {
+        if (Math.abs(actual - expected) > 0.0001) { // 浮動小数点の比較には許容誤差を設定
+            throw new Error(`${message} - Expected: ${expected}, Actual: ${actual}`);
+        }
+    }
+
+    function assertTrue(condition, message) {
+        if (!condition) {
+            throw new Error(message);
+        }
+    }
+
+    console.log('=== GoalTracker テスト開始 ===');
+
+    test('デフォルトは今回のセッションで1時間', () => {
+        const goal = new GoalTracker().getGoal();
+        assertTrue(goal.period === 'session' && goal.type === 'hours', 'セッションの時間目標');
+        assertEqual(goal.target, 1, '1時間');
+    });
+
+    test('目標の検証', () => {
+        assertTrue(GoalTracker.validateGoal({ period: 'day', type: 'amount', target: 10000 }).isValid, '有効な目標');
+        assertTrue(!GoalTracker.validateGoal({ period: 'year', type: 'amount', target: 10000 }).isValid, '無効な期間');
+        assertTrue(!GoalTracker.validateGoal({ period: 'day', type: 'amount', target: 0 }).isValid, '0は無効');
+        assertTrue(!GoalTracker.validateGoal({ period: 'day', type: 'hours', target: 800 }).isValid, '744時間を超える目標は無効');
+        assertTrue(!new GoalTracker().setGoal({ period: 'day' }), '不完全な目標は適用されない');
+    });
+
+    test('金額の目標の進捗と達成見込み', () => {
+        const tracker = new GoalTracker({ period: 'session', type: 'amount', target: 3000 });
+        const result = tracker.calculate({ earnings: 1000, seconds: 3600, isRunning: true });
+        assertEqual(result.progress, 1 / 3, '進捗率');
+        assertEqual(result.remaining, 2000, '残りの金額');
+        assertEqual(result.etaSeconds, 7200, '現在のペースで残り2時間');
+    });
+
+    test('日・週・月の目標は記録済みの勤務を含める', () => {
+        const tracker = new GoalTracker({ period: 'day', type: 'hours', target: 8 });
+        const result = tracker.calculate({ earnings: 0, seconds: 3600, isRunning: true }, { earnings: 0, seconds: 5 * 3600 });
+        assertEqual(result.current, 6, '記録済み5時間と今回の1時間');
+        assertEqual(result.etaSeconds, 2 * 3600, '残り2時間');
+
+        tracker.setGoal({ period: 'session', type: 'hours', target: 8 });
+        assertEqual(tracker.calculate({ earnings: 0, seconds: 3600, isRunning: true }, { earnings: 0, seconds: 5 * 3600 }).current, 1,
+            'セッションの目標は記録済みの勤務を含めない');
+    });
+
+    test('停止中と達成後は達成見込みを計算しない', () => {
+        const tracker = new GoalTracker({ period: 'session', type: 'amount', target: 1000 });
+        assertTrue(tracker.calculate({ earnings: 500, seconds: 1800, isRunning: false }).etaSeconds === null, '停止中');
+
+        const reached = tracker.calculate({ earnings: 1500, seconds: 5400, isRunning: true });
+        assertTrue(reached.reached, '達成済み');
+        assertEqual(reached.progress, 1, '進捗率は100%まで');
+        assertTrue(reached.etaSeconds === null, '達成後');
+    });
+
+    test('アプリの状態に今日の目標の進捗が含まれる', () => {
+        withSavedStorage(() => {
+            const app = createTestApp(1000);
+            const dailyTotals = {};
+            dailyTotals[app.getDateKey(new Date())] = { seconds: 7200, earnings: 2000 };
+            app.getStorageManager().saveSettings('dailyTotals', dailyTotals);
+
+            assertTrue(app.saveGoalSettings({ period: 'day', type: 'amount', target: 0 }).error === 'invalid_goal', '無効な目標は保存できない');
+            assertTrue(app.saveGoalSettings({ period: 'day', type: 'amount', target: 4000 }).success, '目標を保存できる');
+
+            app.start();
+            app.getTimerManager().pausedTime = 3600000; // 1時間
+            app.updateEarnings();
+            const goal = app.getState().goal;
+            assertEqual(goal.current, 3000, '記録済みの2,000円と今回の1,000円');
+            assertEqual(goal.progress, 0.75, '進捗率');
+            assertEqual(goal.etaSeconds, 3600, '時給1,000円で残り1時間');
+
+            const reloaded = new WageCounterApp();
+            reloaded.loadGoalSettings();
+            assertEqual(reloaded.getGoalTracker().getGoal().target, 4000, '目標は保存される');
+
+            app.stop();
+            app.reset();
+        });
+    });
+
+    console.log(`=== テスト完了: ${testsPassed}/${totalTests} 成功 ===`);
+
+    if (testsPassed === totalTests) {
+        console.log('🎉 すべてのテストが成功しました！');
+        return true;
+    } else {
+        console.log('⚠️ 一部のテストが失敗しました');
+        return false;
+    }
+}
@@ -0,0 +1,41 @@
+/**
+ * テストで共通に使用するヘルパー
+ * テストパネルから実行しても利用者の設定・勤務履歴・計測中のセッションを失わないよう、保存内容を退避して元に戻す
+ */
+
+/**
+ * 保存されているすべての設定を退避してテストを実行し、終了後に元に戻す
+ * テストが失敗した場合も元に戻す
+ * StorageManager は読み込んだ値をメモリキャッシュに保持するため、退避と復元には別のインスタンスを使用する
+ * @param {Function} testFn - テスト関数（新しい StorageManager を受け取る）
+ * @returns {any} テスト関数の戻り値
+ */
+function withSavedStorage(testFn) {
+    const saved = new StorageManager().getAllSettings().values;
+
+    try {
+        return testFn(new StorageManager());
+    } finally {
+        const storageManager = new StorageManager();
+        storageManager.clearAllSettings();
+        Object.keys(saved).forEach(key => {
+            storageManager.saveSettings(key, saved[key]);
+        });
+    }
+}
+
+/**
+ * 保存中のセッションを復元せずに初期化した App を作成する
+ * 保存中のセッションを削除するため、withSavedStorage の中で使用する
+ * @param {number|null} hourlyWage - 設定する時給（nullの場合は保存されている時給のまま）
+ * @returns {WageCounterApp} 初期化済みの App
+ */
+function createTestApp(hourlyWage = null) {
+    new StorageManager().removeSettings('activeSession');
+    const app = new WageCounterApp();
+    app.initialize();
+    if (hourlyWage !== null) {
+        app.setHourlyWage(hourlyWage);
+    }
+    return app;
+}
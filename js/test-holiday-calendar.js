@@ -0,0 +1,115 @@
+/**
+ * HolidayCalendar クラスのテスト
+ * 国民の祝日・振替休日・国民の休日・会社休日の判定のテスト
+ */
+
+function runHolidayCalendarTests() {
+    let testsPassed = 0;
+    let totalTests = 0;
+
+    function test(description, testFn) {
+        totalTests++;
+        try {
+            testFn();
+            console.log(`✅ ${description}`);
+            testsPassed++;
+        } catch (error) {
+            console.error(`❌ ${description}: ${error.message}`);
+        }
+    }
+
+    function assertEqual(actual, expected, message) {
+        if (actual !== expected) {
+            throw new Error(`${message} - Expected: ${expected}, Actual: ${actual}`);
+        }
+    }
+
+    function assertTrue(condition, message) {
+        if (!condition) {
+            throw new Error(message);
+        }
+    }
+
+    console.log('=== HolidayCalendar テスト開始 ===');
+
+    test('固定日の祝日', () => {
+        const calendar = new HolidayCalendar();
+        assertEqual(calendar.getNationalHolidayName(new Date(2025, 0, 1)), '元日', '1月1日は元日');
+        assertEqual(calendar.getNationalHolidayName(new Date(2025, 1, 23)), '天皇誕生日', '2月23日は天皇誕生日');
+        assertEqual(calendar.getNationalHolidayName(new Date(2025, 10, 3)), '文化の日', '11月3日は文化の日');
+        assertTrue(!calendar.isNationalHoliday(new Date(2025, 0, 2)), '1月2日は祝日ではない');
+    });
+
+    test('ハッピーマンデー', () => {
+        const calendar = new HolidayCalendar();
+        assertEqual(calendar.getNationalHolidayName(new Date(2025, 0, 13)), '成人の日', '2025年の成人の日は1月13日');
+        assertEqual(calendar.getNationalHolidayName(new Date(2025, 6, 21)), '海の日', '2025年の海の日は7月21日');
+        assertEqual(calendar.getNationalHolidayName(new Date(2025, 9, 13)), 'スポーツの日', '2025年のスポーツの日は10月13日');
+    });
+
+    test('春分の日・秋分の日', () => {
+        const calendar = new HolidayCalendar();
+        assertEqual(calendar.getNationalHolidayName(new Date(2024, 2, 20)), '春分の日', '2024年の春分の日は3月20日');
+        assertEqual(calendar.getNationalHolidayName(new Date(2025, 2, 20)), '春分の日', '2025年の春分の日は3月20日');
+        assertEqual(calendar.getNationalHolidayName(new Date(2024, 8, 22)), '秋分の日', '2024年の秋分の日は9月22日');
+        assertEqual(calendar.getNationalHolidayName(new Date(2025, 8, 23)), '秋分の日', '2025年の秋分の日は9月23日');
+    });
+
+    test('振替休日', () => {
+        const calendar = new HolidayCalendar();
+        assertEqual(calendar.getNationalHolidayName(new Date(2025, 1, 24)), '振替休日', '天皇誕生日（日曜）の翌日');
+        assertEqual(calendar.getNationalHolidayName(new Date(2025, 4, 6)), '振替休日', 'みどりの日（日曜）の振替は5月6日');
+        assertEqual(calendar.getNationalHolidayName(new Date(2025, 10, 24)), '振替休日', '勤労感謝の日（日曜）の翌日');
+    });
+
+    test('国民の休日', () => {
+        const calendar = new HolidayCalendar();
+        assertEqual(calendar.getNationalHolidayName(new Date(2026, 8, 22)), '国民の休日', '敬老の日と秋分の日に挟まれた日');
+    });
+
+    test('東京オリンピックに伴う特例', () => {
+        const calendar = new HolidayCalendar();
+        assertEqual(calendar.getNationalHolidayName(new Date(2021, 6, 23)), 'スポーツの日', '2021年のスポーツの日は7月23日');
+        assertEqual(calendar.getNationalHolidayName(new Date(2021, 7, 9)), '振替休日', '2021年の山の日（日曜）の振替');
+        assertTrue(!calendar.isNationalHoliday(new Date(2021, 9, 11)), '2021年10月第2月曜は祝日ではない');
+    });
+
+    test('会社休日の設定と判定', () => {
+        const calendar = new HolidayCalendar([
+            { date: '2025-12-30', name: '年末休暇' },
+            { date: '2025-08-13' }
+        ]);
+        assertTrue(calendar.isCompanyHoliday(new Date(2025, 11, 30)), '登録した日は会社休日');
+        assertTrue(!calendar.isCompanyHoliday(new Date(2025, 11, 29)), '登録していない日は会社休日ではない');
+        assertEqual(calendar.getCompanyHolidays()[0].date, '2025-08-13', '日付順に並ぶ');
+        assertEqual(calendar.getCompanyHolidays()[0].name, '会社休日', '名前がない場合はデフォルト名');
+    });
+
+    test('無効な会社休日は除外される', () => {
+        const calendar = new HolidayCalendar();
+        const result = calendar.setCompanyHolidays([
+            { date: '2025-02-30' },
+            { date: '2025/12/31' },
+            { date: '2025-12-31' }
+        ]);
+        assertTrue(!result, '無効な日付が含まれる場合はfalse');
+        assertEqual(calendar.getCompanyHolidays().length, 1, '有効な日付のみ残る');
+    });
+
+    test('休日区分の判定', () => {
+        const calendar = new HolidayCalendar([{ date: '2025-11-03' }]);
+        const types = calendar.getHolidayTypes(new Date(2025, 10, 3));
+        assertTrue(types.national && types.company && !types.sunday, '祝日かつ会社休日');
+        assertTrue(calendar.getHolidayTypes(new Date(2025, 10, 2)).sunday, '2025年11月2日は日曜日');
+    });
+
+    console.log(`=== テスト完了: ${testsPassed}/${totalTests} 成功 ===`);
+
+    if (testsPassed === totalTests) {
+        console.log('🎉 すべてのテストが成功しました！');
+        return true;
+    } else {
+        console.log('⚠️ 一部のテストが失敗しました');
+        return false;
+    }
+}
@@ -0,0 +1,116 @@
+/**
+ * I18n クラスのテスト
+ * メッセージの取得・値の埋め込み・数による文言の選択・言語の切り替えとフォールバックのテスト
+ */
+
+function runI18nTests() {
+    let testsPassed = 0;
+    let totalTests = 0;
+
+    function test(description, testFn) {
+        totalTests++;
+        try {
+            testFn();
+            console.log(`✅ ${description}`);
+            testsPassed++;
+        } catch (error) {
+            console.error(`❌ ${description}: ${error.message}`);
+        }
+    }
+
+    function assertEqual(actual, expected, message) {
+        if (actual !== expected) {
+            throw new Error(`${message} - Expected: ${expected}, Actual: ${actual}`);
+        }
+    }
+
+    function assertTrue(condition, message) {
+        if (!condition) {
+            throw new Error(message);
+        }
+    }
+
+    // テスト中に切り替えた言語を元に戻す
+    const withLanguage = (language, testFn) => {
+        const saved = I18n.getLanguage();
+        try {
+            I18n.setLanguage(language);
+            testFn();
+        } finally {
+            I18n.setLanguage(saved);
+        }
+    };
+
+    console.log('=== I18n テスト開始 ===');
+
+    test('日本語と英語のカタログのキーが一致する', () => {
+        const jaKeys = Object.keys(I18n.catalog.ja);
+        const enKeys = Object.keys(I18n.catalog.en);
+        const missing = jaKeys.filter(key => !(key in I18n.catalog.en));
+        const extra = enKeys.filter(key => !(key in I18n.catalog.ja));
+        assertEqual(missing.join(', '), '', '英語にないキー');
+        assertEqual(extra.join(', '), '', '日本語にないキー');
+    });
+
+    test('言語の切り替えとロケール', () => {
+        withLanguage('ja', () => {
+            assertEqual(I18n.t('controls.start'), '開始', '日本語の文言');
+            assertEqual(I18n.getLocale(), 'ja-JP', '日本語のロケール');
+        });
+        withLanguage('en', () => {
+            assertEqual(I18n.t('controls.start'), 'Start', '英語の文言');
+            assertEqual(I18n.getLocale(), 'en-US', '英語のロケール');
+        });
+
+        const saved = I18n.getLanguage();
+        assertTrue(!I18n.setLanguage('fr'), '対応していない言語には切り替えない');
+        assertEqual(I18n.getLanguage(), saved, '言語は変わらない');
+        assertTrue(!I18n.validateLanguage('fr').isValid, '対応していない言語は無効');
+    });
+
+    test('値の埋め込みと数による文言の選択', () => {
+        withLanguage('en', () => {
+            assertEqual(I18n.t('backup.error.restoreFailed', { item: 'Goal' }), 'Failed to restore "Goal"', '値の埋め込み');
+            assertEqual(I18n.t('backup.value.items', { count: 1 }), '1 item', '単数');
+            assertEqual(I18n.t('backup.value.items', { count: 3 }), '3 items', '複数');
+        });
+        withLanguage('ja', () => {
+            assertEqual(I18n.t('backup.value.items', { count: 3 }), '3件', '日本語は数で変わらない');
+        });
+    });
+
+    test('ないメッセージのフォールバック', () => {
+        const saved = { ja: I18n.catalog.ja, en: I18n.catalog.en };
+        try {
+            I18n.addMessages('ja', { 'test.onlyJa': '日本語のみ' });
+            withLanguage('en', () => {
+                assertEqual(I18n.t('test.onlyJa'), '日本語のみ', '英語にない場合は日本語を使用する');
+                assertEqual(I18n.t('test.missing'), 'test.missing', 'どの言語にもない場合はキーを返す');
+            });
+        } finally {
+            I18n.catalog.ja = saved.ja;
+            I18n.catalog.en = saved.en;
+        }
+    });
+
+    test('ページの文言の置き換え', () => {
+        const root = document.createElement('div');
+        root.innerHTML = '<button data-i18n="controls.start" data-i18n-aria-label="controls.start"></button>';
+        withLanguage('en', () => {
+            I18n.translatePage(root);
+        });
+        const button = root.querySelector('button');
+        assertEqual(button.textContent, 'Start', 'テキストの置き換え');
+        assertEqual(button.getAttribute('aria-label'), 'Start', '属性の置き換え');
+    });
+
+    console.log(`=== テスト完了: ${testsPassed}/${totalTests} 成功 ===`);
+
+    if (testsPassed === totalTests) {
+        console.log('🎉 すべてのテストが成功しました！');
+        return true;
+    } else {
+        console.log('⚠️ 一部のテストが失敗しました');
+        return false;
+    }
+}
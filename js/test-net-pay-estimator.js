@@ -0,0 +1,97 @@
+/**
+ * NetPayEstimator クラスのテスト
+ * 源泉所得税・社会保険料の控除と手取り額の概算のテスト
+ */
+
+function runNetPayEstimatorTests() {
+    let testsPassed = 0;
+    let totalTests = 0;
+
+    function test(description, testFn) {
+        totalTests++;
+        try {
+            testFn();
+            console.log(`✅ ${description}`);
+            testsPassed++;
+        } catch (error) {
+            console.error(`❌ ${description}: ${error.message}`);
+        }
+    }
+
+    function assertEqual(actual, expected, message) {
+        if (Math.abs(actual - expected) > 0.0001) { // 浮動小数点の比較には許容誤差を設定
+            throw new Error(`${message} - Expected: ${expected}, Actual: ${actual}`);
+        }
+    }
+
+    function assertTrue(condition, message) {
+        if (!condition) {
+            throw new Error(message);
+        }
+    }
+
+    const enabledSettings = () => {
+        const settings = NetPayEstimator.getDefaultSettings();
+        settings.enabled = true;
+        return settings;
+    };
+
+    console.log('=== NetPayEstimator テスト開始 ===');
+
+    test('デフォルトでは手取り表示は無効', () => {
+        const estimator = new NetPayEstimator();
+        assertTrue(!estimator.isEnabled(), 'デフォルトは無効');
+    });
+
+    test('月額の源泉徴収税額（甲欄）', () => {
+        assertEqual(NetPayEstimator.calculateMonthlyWithholding(85000), 0, '控除額以下は0円');
+        assertEqual(NetPayEstimator.calculateMonthlyWithholding(100000), 720, '10万円は720円');
+        assertEqual(NetPayEstimator.calculateMonthlyWithholding(300000), 8380, '30万円は8,380円');
+        assertEqual(NetPayEstimator.calculateMonthlyWithholding(100000, 1), 0, '扶養親族1人の10万円は0円');
+    });
+
+    test('給与所得控除と基礎控除', () => {
+        assertEqual(NetPayEstimator.getEmploymentIncomeDeduction(100000), 45834, '最低額');
+        assertEqual(NetPayEstimator.getEmploymentIncomeDeduction(300000), 96667, '30万円');
+        assertEqual(NetPayEstimator.getEmploymentIncomeDeduction(1000000), 162500, '上限額');
+        assertEqual(NetPayEstimator.getBasicDeduction(300000), 40000, '基礎控除');
+        assertEqual(NetPayEstimator.getBasicDeduction(3000000), 0, '高所得では基礎控除なし');
+    });
+
+    test('社会保険料と雇用保険料の控除', () => {
+        const estimator = new NetPayEstimator(enabledSettings());
+        const result = estimator.estimate(10000);
+        assertEqual(result.healthInsurance, 500, '健康保険 5%');
+        assertEqual(result.pension, 915, '厚生年金 9.15%');
+        assertEqual(result.employmentInsurance, 55, '雇用保険 0.55%');
+        assertEqual(result.incomeTax, 0, '少額のため所得税なし');
+        assertEqual(result.net, 8530, '手取り額');
+    });
+
+    test('所得税は同じ月の収入を含めた増加分', () => {
+        const estimator = new NetPayEstimator(enabledSettings());
+        const result = estimator.estimate(10000, 300000);
+        const expected = NetPayEstimator.calculateMonthlyWithholding(310000 * 0.853) -
+            NetPayEstimator.calculateMonthlyWithholding(300000 * 0.853);
+        assertTrue(result.incomeTax > 0, '既に収入がある月は所得税がかかる');
+        assertEqual(result.incomeTax, expected, '月額の税額の増加分');
+        assertEqual(result.totalDeductions, result.socialInsurance + result.incomeTax, '控除合計');
+    });
+
+    test('設定の検証', () => {
+        assertTrue(NetPayEstimator.validateSettings(enabledSettings()).isValid, '有効な設定');
+        assertTrue(!NetPayEstimator.validateSettings({ ...enabledSettings(), pensionRate: -0.01 }).isValid, '負の料率は無効');
+        assertTrue(!NetPayEstimator.validateSettings({ ...enabledSettings(), dependents: 1.5 }).isValid, '扶養親族等の数は整数');
+        assertTrue(!new NetPayEstimator().setSettings({ enabled: true }), '不完全な設定は適用されない');
+    });
+
+    console.log(`=== テスト完了: ${testsPassed}/${totalTests} 成功 ===`);
+
+    if (testsPassed === totalTests) {
+        console.log('🎉 すべてのテストが成功しました！');
+        return true;
+    } else {
+        console.log('⚠️ 一部のテストが失敗しました');
+        return false;
+    }
+}
@@ -179,10 +179,15 @@ function runPerformanceOptimizerTests() {
         const mockApp = {
             timerManager: { intervalId: 123 },
             getState: () => ({ isRunning: true }),
+            hasActiveSession: () => true,
+            saveSessionCheckpoint: function() {
+                this.checkpointSaved = true;
+            },
             stop: function() {
                 this.stopped = true;
             },
-            stopped: false
+            stopped: false,
+            checkpointSaved: false
         };
         
         // PerformanceOptimizerインスタンス
@@ -199,8 +204,9 @@ function runPerformanceOptimizerTests() {
         assertFalse(!!optimizer.inactivityTimeout, '非アクティブタイマーがクリアされる');
         assertFalse(!!optimizer.memoryUsageMonitorId, 'メモリ使用量モニタリングタイマーがクリアされる');
         
-        // アプリが停止されたことを確認
-        assertTrue(mockApp.stopped, 'アプリケーションが停止される');
+        // アプリは停止されず、セッションが保存されたことを確認
+        assertFalse(mockApp.stopped, 'アプリケーションは停止されない');
+        assertTrue(mockApp.checkpointSaved, 'セッションのチェックポイントが保存される');
     });
 
     console.log(`=== PerformanceOptimizer テスト完了: ${testsPassed}/${totalTests} 成功 ===`);
@@ -0,0 +1,194 @@
+/**
+ * PremiumCalculator クラスのテスト
+ * 時間外割増の区分計算と深夜割増・休日割増のテスト
+ */
+
+function runPremiumCalculatorTests() {
+    let testsPassed = 0;
+    let totalTests = 0;
+
+    function test(description, testFn) {
+        totalTests++;
+        try {
+            testFn();
+            console.log(`✅ ${description}`);
+            testsPassed++;
+        } catch (error) {
+            console.error(`❌ ${description}: ${error.message}`);
+        }
+    }
+
+    function assertEqual(actual, expected, message) {
+        if (Math.abs(actual - expected) > 0.0001) { // 浮動小数点の比較には許容誤差を設定
+            throw new Error(`${message} - Expected: ${expected}, Actual: ${actual}`);
+        }
+    }
+
+    function assertTrue(condition, message) {
+        if (!condition) {
+            throw new Error(message);
+        }
+    }
+
+    console.log('=== PremiumCalculator テスト開始 ===');
+
+    test('デフォルトルール - 1日8時間超25%増・月60時間超50%増', () => {
+        const calculator = new PremiumCalculator();
+        const rules = calculator.getOvertimeRules();
+        assertEqual(rules.length, 2, 'デフォルトは2ルール');
+        assertTrue(rules[0].period === 'day' && rules[0].multiplier === 1.25, '1日8時間超は1.25倍');
+        assertTrue(rules[1].period === 'month' && rules[1].multiplier === 1.5, '月60時間超は1.5倍');
+    });
+
+    test('基準時間以内は割増なし', () => {
+        const calculator = new PremiumCalculator();
+        const result = calculator.calculate(8 * 3600, 3600);
+        assertEqual(result.baseEarnings, 8 * 3600, '8時間分の基本給');
+        assertEqual(result.premiumEarnings, 0, '割増分は0');
+        assertEqual(result.tiers.length, 1, '区分は1つ');
+    });
+
+    test('1日8時間超の区分に25%割増', () => {
+        const calculator = new PremiumCalculator();
+        const result = calculator.calculate(9 * 3600, 3600);
+        assertEqual(result.tiers.length, 2, '区分は2つ');
+        assertEqual(result.tiers[1].seconds, 3600, '割増区分は1時間');
+        assertEqual(result.premiumEarnings, 3600 * 0.25, '1時間分の25%が割増');
+        assertEqual(result.totalEarnings, 9 * 3600 + 900, '合計収入');
+    });
+
+    test('当日の既存勤務時間を考慮する', () => {
+        const calculator = new PremiumCalculator();
+        const result = calculator.calculate(2 * 3600, 3600, { day: 7 * 3600 });
+        assertEqual(result.tiers[0].seconds, 3600, '最初の1時間は通常');
+        assertEqual(result.tiers[1].multiplier, 1.25, '残り1時間は割増');
+    });
+
+    test('複数ルールに該当する場合は最も高い割増率', () => {
+        const calculator = new PremiumCalculator();
+        const result = calculator.calculate(10 * 3600, 3600, { month: 59 * 3600 });
+        assertEqual(result.tiers.length, 2, '月60時間超の区分に統合される');
+        assertEqual(result.tiers[1].multiplier, 1.5, '月60時間超は1.5倍');
+        assertEqual(result.tiers[1].seconds, 9 * 3600, '1時間経過後から1.5倍');
+    });
+
+    test('ルールの検証', () => {
+        assertTrue(PremiumCalculator.validateRule({ period: 'week', thresholdHours: 40, multiplier: 1.25 }).isValid, '有効なルール');
+        assertTrue(!PremiumCalculator.validateRule({ period: 'year', thresholdHours: 40, multiplier: 1.25 }).isValid, '無効な期間');
+        assertTrue(!PremiumCalculator.validateRule({ period: 'day', thresholdHours: 0, multiplier: 1.25 }).isValid, '基準時間0は無効');
+        assertTrue(!PremiumCalculator.validateRule({ period: 'day', thresholdHours: 8, multiplier: 0.9 }).isValid, '割増率1未満は無効');
+    });
+
+    test('ルールなしの場合は通常計算', () => {
+        const calculator = new PremiumCalculator([]);
+        const result = calculator.calculate(12 * 3600, 1000);
+        assertEqual(result.totalEarnings, 12000, '12時間×1000円');
+        assertEqual(result.premiumEarnings, 0, '割増なし');
+    });
+
+    test('異常な経過時間は0として扱う', () => {
+        const calculator = new PremiumCalculator();
+        assertEqual(calculator.calculate(-10, 1000).totalEarnings, 0, '負の秒数');
+        assertEqual(calculator.calculate(NaN, 1000).totalEarnings, 0, 'NaN');
+    });
+
+    test('深夜時間帯の勤務に25%加算', () => {
+        const calculator = new PremiumCalculator([]);
+        const start = new Date(2024, 0, 15, 21, 0, 0).getTime();
+        const end = new Date(2024, 0, 15, 23, 0, 0).getTime();
+        const result = calculator.calculate(2 * 3600, 3600, {}, [{ start: start, end: end }]);
+        assertEqual(result.nightSeconds, 3600, '22時以降の1時間が深夜');
+        assertEqual(result.premiums.night, 900, '1時間分の25%が深夜割増');
+        assertEqual(result.totalEarnings, 2 * 3600 + 900, '合計収入');
+    });
+
+    test('日付をまたぐ深夜時間帯', () => {
+        const calculator = new PremiumCalculator([]);
+        const start = new Date(2024, 0, 15, 23, 0, 0).getTime();
+        const end = new Date(2024, 0, 16, 6, 0, 0).getTime();
+        assertEqual(calculator.getNightSeconds(start, end), 6 * 3600, '23時〜翌5時の6時間');
+
+        const earlyStart = new Date(2024, 0, 16, 4, 0, 0).getTime();
+        const earlyEnd = new Date(2024, 0, 16, 9, 0, 0).getTime();
+        assertEqual(calculator.getNightSeconds(earlyStart, earlyEnd), 3600, '4時〜5時の1時間');
+    });
+
+    test('時間外と深夜が重なる場合は割増率を合算', () => {
+        const calculator = new PremiumCalculator();
+        const start = new Date(2024, 0, 15, 14, 0, 0).getTime();
+        const end = new Date(2024, 0, 15, 23, 0, 0).getTime();
+        const result = calculator.calculate(9 * 3600, 3600, {}, [{ start: start, end: end }]);
+        assertEqual(result.premiums.overtime, 900, '8時間超の1時間に時間外割増');
+        assertEqual(result.premiums.night, 900, '同じ1時間に深夜割増');
+        assertEqual(result.totalEarnings, 9 * 3600 + 1800, '22時〜23時は1.5倍');
+    });
+
+    test('停止していた時間は深夜割増の対象外', () => {
+        const calculator = new PremiumCalculator([]);
+        const segments = [
+            { start: new Date(2024, 0, 15, 20, 0, 0).getTime(), end: new Date(2024, 0, 15, 21, 0, 0).getTime() },
+            { start: new Date(2024, 0, 15, 23, 0, 0).getTime(), end: new Date(2024, 0, 15, 23, 30, 0).getTime() }
+        ];
+        const result = calculator.calculate(1.5 * 3600, 3600, {}, segments);
+        assertEqual(result.nightSeconds, 1800, '稼働していた30分のみが深夜');
+    });
+
+    test('深夜割増の無効化と設定の検証', () => {
+        const calculator = new PremiumCalculator([], { enabled: false, start: '22:00', end: '05:00', premiumRate: 0.25 });
+        const start = new Date(2024, 0, 15, 22, 0, 0).getTime();
+        const result = calculator.calculate(3600, 3600, {}, [{ start: start, end: start + 3600000 }]);
+        assertEqual(result.premiums.night, 0, '無効時は深夜割増なし');
+
+        assertTrue(!PremiumCalculator.validateNightPremium({ enabled: true, start: '22:00', end: '22:00', premiumRate: 0.25 }).isValid, '開始と終了が同じ時刻は無効');
+        assertTrue(!PremiumCalculator.validateNightPremium({ enabled: true, start: '25:00', end: '05:00', premiumRate: 0.25 }).isValid, '無効な時刻');
+        assertTrue(!PremiumCalculator.validateNightPremium({ enabled: true, start: '22:00', end: '05:00', premiumRate: -0.1 }).isValid, '負の割増率は無効');
+    });
+
+    test('祝日の勤務に35%加算', () => {
+        const calculator = new PremiumCalculator([]);
+        const start = new Date(2025, 10, 3, 9, 0, 0).getTime(); // 文化の日
+        const result = calculator.calculate(2 * 3600, 3600, {}, [{ start: start, end: start + 2 * 3600000 }]);
+        assertEqual(result.holidaySeconds, 2 * 3600, '2時間すべてが休日');
+        assertEqual(result.premiums.holiday, 2 * 3600 * 0.35, '2時間分の35%が休日割増');
+    });
+
+    test('休日をまたぐ勤務は休日の時間のみ割増', () => {
+        const calculator = new PremiumCalculator([], { enabled: false, start: '22:00', end: '05:00', premiumRate: 0.25 });
+        const start = new Date(2025, 10, 2, 23, 0, 0).getTime(); // 日曜日23時から
+        calculator.getHolidayCalendar().setCompanyHolidays([{ date: '2025-11-04' }]);
+        calculator.setHolidayPremium({ enabled: true, nationalHolidayRate: 0.35, sundayRate: 0.1, companyHolidayRate: 0.5 });
+        const result = calculator.calculate(2 * 3600, 3600, {}, [{ start: start, end: start + 2 * 3600000 }]);
+        assertEqual(result.premiums.holiday, 3600 * 0.1 + 3600 * 0.35, '日曜の1時間は10%、祝日の1時間は35%');
+        assertEqual(calculator.getHolidayRate(new Date(2025, 10, 4)), 0.5, '会社休日は50%');
+    });
+
+    test('セッション中に変更した時給は変更した時刻から適用', () => {
+        const calculator = new PremiumCalculator();
+        const start = new Date(2024, 0, 15, 20, 0, 0).getTime();
+        const rateSegments = [
+            { start: start, hourlyWage: 3600 },
+            { start: new Date(2024, 0, 15, 22, 30, 0).getTime(), hourlyWage: 7200 }
+        ];
+        const result = calculator.calculate(3 * 3600, 7200, {}, [{ start: start, end: start + 3 * 3600000 }], rateSegments);
+        assertEqual(result.baseEarnings, 2.5 * 3600 + 0.5 * 7200, '22:30までは変更前の時給');
+        assertEqual(result.premiums.night, (0.5 * 3600 + 0.5 * 7200) * 0.25, '深夜割増もそれぞれの時給で計算');
+
+        const unchanged = calculator.calculate(3 * 3600, 3600, {}, [{ start: start, end: start + 3 * 3600000 }]);
+        assertEqual(unchanged.baseEarnings, 3 * 3600, '時給の推移がない場合は同じ時給');
+    });
+
+    test('休日割増の検証', () => {
+        assertTrue(PremiumCalculator.validateHolidayPremium(PremiumCalculator.getDefaultHolidayPremium()).isValid, 'デフォルト設定は有効');
+        assertTrue(!PremiumCalculator.validateHolidayPremium({ enabled: true, nationalHolidayRate: -1, sundayRate: 0, companyHolidayRate: 0 }).isValid, '負の割増率は無効');
+    });
+
+    console.log(`=== テスト完了: ${testsPassed}/${totalTests} 成功 ===`);
+
+    if (testsPassed === totalTests) {
+        console.log('🎉 すべてのテストが成功しました！');
+        return true;
+    } else {
+        console.log('⚠️ 一部のテストが失敗しました');
+        return false;
+    }
+}
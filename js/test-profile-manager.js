@@ -0,0 +1,194 @@
+/**
+ * ProfileManager クラスのテスト
+ * ジョブプロファイルの管理と切り替えのテスト
+ */
+
+function runProfileManagerTests() {
+    let testsPassed = 0;
+    let totalTests = 0;
+
+    function test(description, testFn) {
+        totalTests++;
+        try {
+            testFn();
+            console.log(`✅ ${description}`);
+            testsPassed++;
+        } catch (error) {
+            console.error(`❌ ${description}: ${error.message}`);
+        }
+    }
+
+    function assertEqual(actual, expected, message) {
+        if (actual !== expected) {
+            throw new Error(`${message} - Expected: ${expected}, Actual: ${actual}`);
+        }
+    }
+
+    function assertTrue(condition, message) {
+        if (!condition) {
+            throw new Error(message);
+        }
+    }
+
+    // 保存済みのジョブを使わずに新しい ProfileManager を作成する（withSavedStorage の中で使用する）
+    const createManager = () => {
+        const storageManager = new StorageManager();
+        storageManager.removeSettings('profiles');
+        storageManager.removeSettings('activeProfileId');
+
+        const manager = new ProfileManager(storageManager, new InputValidator());
+        manager.load({
+            hourlyWage: 1200,
+            overtimeRules: PremiumCalculator.getDefaultOvertimeRules(),
+            nightPremium: PremiumCalculator.getDefaultNightPremium(),
+            holidayPremium: PremiumCalculator.getDefaultHolidayPremium()
+        });
+        return manager;
+    };
+
+    console.log('=== ProfileManager テスト開始 ===');
+
+    test('現在の設定から最初のジョブを作成する', () => {
+        withSavedStorage(() => {
+            const manager = createManager();
+            const profiles = manager.getProfiles();
+            assertEqual(profiles.length, 1, 'ジョブが1件作成される');
+            assertEqual(profiles[0].name, 'メイン', 'デフォルトのジョブ名');
+            assertEqual(profiles[0].hourlyWage, 1200, '現在の時給を引き継ぐ');
+            assertEqual(manager.getActiveProfileId(), profiles[0].id, '作成したジョブがアクティブになる');
+        });
+    });
+
+    test('ジョブの追加と保存', () => {
+        withSavedStorage(() => {
+            const manager = createManager();
+            const result = manager.createProfile({ name: ' コンビニ ', hourlyWage: '1100', color: '#4CAF50' });
+            assertTrue(result.success, '追加に成功する');
+            assertEqual(result.profile.name, 'コンビニ', '前後の空白は除去される');
+            assertEqual(result.profile.hourlyWage, 1100, '時給は数値で保存される');
+
+            const reloaded = new ProfileManager(new StorageManager(), new InputValidator());
+            reloaded.load({});
+            assertEqual(reloaded.getProfiles().length, 2, '再読み込み後も2件');
+        });
+    });
+
+    test('無効なジョブは追加できない', () => {
+        withSavedStorage(() => {
+            const manager = createManager();
+            assertEqual(manager.createProfile({ name: '', hourlyWage: 1000 }).error, 'invalid_profile', '名前が空');
+            assertEqual(manager.createProfile({ name: '塾講師', hourlyWage: -1 }).error, 'invalid_profile', '負の時給');
+            assertEqual(manager.createProfile({ name: '塾講師', hourlyWage: 1000, color: 'red' }).error, 'invalid_profile', '無効な表示色');
+            assertEqual(manager.getProfiles().length, 1, 'ジョブは増えない');
+        });
+    });
+
+    test('ジョブの更新', () => {
+        withSavedStorage(() => {
+            const manager = createManager();
+            const id = manager.getActiveProfileId();
+            assertTrue(manager.updateProfile(id, { name: '本業', hourlyWage: 1500 }).success, '更新に成功する');
+            assertEqual(manager.getProfile(id).name, '本業', '名前が更新される');
+            assertEqual(manager.getProfile(id).hourlyWage, 1500, '時給が更新される');
+            assertEqual(manager.updateProfile('unknown', { name: 'x' }).error, 'profile_not_found', '存在しないジョブ');
+        });
+    });
+
+    test('最後のジョブは削除できない', () => {
+        withSavedStorage(() => {
+            const manager = createManager();
+            assertEqual(manager.deleteProfile(manager.getActiveProfileId()).error, 'last_profile', '1件のみの場合は削除できない');
+        });
+    });
+
+    test('アクティブなジョブを削除すると先頭のジョブに切り替わる', () => {
+        withSavedStorage(() => {
+            const manager = createManager();
+            const firstId = manager.getActiveProfileId();
+            const second = manager.createProfile({ name: '塾講師', hourlyWage: 2000 }).profile;
+            assertTrue(manager.setActiveProfileId(second.id), '切り替えに成功する');
+            assertTrue(manager.deleteProfile(second.id).success, '削除に成功する');
+            assertEqual(manager.getActiveProfileId(), firstId, '先頭のジョブがアクティブになる');
+        });
+    });
+
+    test('ジョブの切り替えで時給と割増設定が入れ替わる', () => {
+        withSavedStorage(() => {
+            const app = createTestApp();
+            const manager = app.getProfileManager();
+            const originalId = manager.getActiveProfileId();
+            const originalWage = app.getState().hourlyWage;
+            const originalNightEnabled = app.getPremiumCalculator().getNightPremium().enabled;
+
+            const second = manager.createProfile({ name: '塾講師', hourlyWage: 2000 }).profile;
+            assertTrue(app.switchProfile(second.id).success, '切り替えに成功する');
+            assertEqual(app.getState().hourlyWage, 2000, '切り替え先の時給');
+            assertEqual(app.getState().profileId, second.id, '状態にジョブが含まれる');
+
+            app.saveNightPremiumSettings({ enabled: false, start: '22:00', end: '05:00', premiumRate: 0.25 });
+            assertEqual(manager.getProfile(second.id).nightPremium.enabled, false, '設定の変更はアクティブなジョブに保存される');
+
+            assertTrue(app.switchProfile(originalId).success, '元のジョブに戻せる');
+            assertEqual(app.getState().hourlyWage, originalWage, '元の時給に戻る');
+            assertEqual(app.getPremiumCalculator().getNightPremium().enabled, originalNightEnabled, '元のジョブの深夜割増設定に戻る');
+
+            app.deleteProfile(second.id);
+        });
+    });
+
+    test('セッション中はジョブを切り替えられない', () => {
+        withSavedStorage(() => {
+            const app = createTestApp(1000);
+            const second = app.getProfileManager().createProfile({ name: '塾講師', hourlyWage: 2000 }).profile;
+
+            app.start();
+            assertEqual(app.switchProfile(second.id).error, 'session_active', '動作中は切り替えられない');
+            app.stop();
+            assertEqual(app.switchProfile(second.id).error, 'session_active', '一時停止中も切り替えられない');
+            assertEqual(app.deleteProfile(app.getProfileManager().getActiveProfileId()).error, 'session_active', '使用中のジョブは削除できない');
+
+            app.reset();
+            app.deleteProfile(second.id);
+            assertEqual(app.switchProfile('unknown').error, 'profile_not_found', '存在しないジョブ');
+        });
+    });
+
+    test('セッションはジョブごとに集計される', () => {
+        withSavedStorage(() => {
+            const app = createTestApp();
+            app.getStorageManager().removeSettings('dailyTotals');
+            const firstId = app.getProfileManager().getActiveProfileId();
+            app.setHourlyWage(1000);
+
+            app.start();
+            app.getTimerManager().pausedTime = 3600000; // 1時間
+            app.updateEarnings();
+            app.stop();
+            app.reset();
+
+            const second = app.getProfileManager().createProfile({ name: '塾講師', hourlyWage: 2000 }).profile;
+            app.switchProfile(second.id);
+            app.start();
+            app.getTimerManager().pausedTime = 1800000; // 30分
+            app.updateEarnings();
+
+            const totals = app.getProfileTotals();
+            assertEqual(totals[firstId].seconds, 3600, '最初のジョブは1時間');
+            assertEqual(Math.round(totals[firstId].earnings), 1000, '最初のジョブの収入');
+            assertEqual(totals[second.id].seconds, 1800, '進行中のセッションも集計される');
+            assertEqual(Math.round(totals[second.id].earnings), 1000, '2つ目のジョブの収入');
+
+            app.reset();
+        });
+    });
+
+    console.log(`=== テスト完了: ${testsPassed}/${totalTests} 成功 ===`);
+
+    if (testsPassed === totalTests) {
+        console.log('🎉 すべてのテストが成功しました！');
+        return true;
+    } else {
+        console.log('⚠️ 一部のテストが失敗しました');
+        return false;
+    }
+}
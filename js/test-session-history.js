@@ -0,0 +1,294 @@
+/**
+ * SessionHistory クラスのテスト
+ * 勤務履歴の記録・手入力・編集・削除・復元と日別集計への反映のテスト
+ */
+
+function runSessionHistoryTests() {
+    let testsPassed = 0;
+    let totalTests = 0;
+
+    function test(description, testFn) {
+        totalTests++;
+        try {
+            testFn();
+            console.log(`✅ ${description}`);
+            testsPassed++;
+        } catch (error) {
+            console.error(`❌ ${description}: ${error.message}`);
+        }
+    }
+
+    function assertEqual(actual, expected, message) {
+        if (actual !== expected) {
+            throw new Error(`${message} - Expected: ${expected}, Actual: ${actual}`);
+        }
+    }
+
+    function assertTrue(condition, message) {
+        if (!condition) {
+            throw new Error(message);
+        }
+    }
+
+    // 2024年1月15日の指定時刻から1時間の記録
+    const createEntry = (hours, earnings = 1000) => {
+        const start = new Date(2024, 0, 15, hours, 0).getTime();
+        return {
+            startedAt: start,
+            endedAt: start + 3600000,
+            segments: [{ start: start, end: start + 3600000 }],
+            breaks: [],
+            hourlyWage: 1000,
+            profileId: 'profile_test',
+            profileName: 'テスト',
+            elapsedSeconds: 3600,
+            paidSeconds: 3600,
+            breakSeconds: 0,
+            deductedBreakSeconds: 0,
+            earnings: earnings,
+            baseEarnings: earnings,
+            premiums: {}
+        };
+    };
+
+    console.log('=== SessionHistory テスト開始 ===');
+
+    test('記録の追加と保存', () => {
+        withSavedStorage((storageManager) => {
+            storageManager.removeSettings('sessionHistory');
+            const history = new SessionHistory(storageManager);
+            history.load();
+            const result = history.addEntry(createEntry(9));
+            assertTrue(result.success, '追加に成功する');
+            assertTrue(result.entry.id.startsWith('session_'), 'IDが割り当てられる');
+
+            const reloaded = new SessionHistory(storageManager);
+            assertEqual(reloaded.load(), 1, '保存した記録を読み込める');
+            assertEqual(reloaded.getEntry(result.entry.id).segments.length, 1, '稼働区間も保存される');
+        });
+    });
+
+    test('記録の検証', () => {
+        withSavedStorage((storageManager) => {
+            const history = new SessionHistory(storageManager);
+            const reversed = { ...createEntry(9), endedAt: createEntry(9).startedAt - 1 };
+            assertEqual(history.addEntry(reversed).error, 'invalid_entry', '終了が開始より前の記録は追加できない');
+            assertEqual(history.addEntry({ ...createEntry(9), earnings: -1 }).error, 'invalid_entry', '負の収入は無効');
+            assertEqual(history.getEntries().length, 0, '無効な記録は追加されない');
+        });
+    });
+
+    test('開始が新しい順に取得する', () => {
+        withSavedStorage((storageManager) => {
+            const history = new SessionHistory(storageManager);
+            history.addEntry(createEntry(9));
+            history.addEntry(createEntry(13));
+            const entries = history.getEntries();
+            assertEqual(entries[0].startedAt, createEntry(13).startedAt, '新しい記録が先頭');
+        });
+    });
+
+    test('削除した記録を元に戻す', () => {
+        withSavedStorage((storageManager) => {
+            const history = new SessionHistory(storageManager);
+            const id = history.addEntry(createEntry(9)).entry.id;
+
+            assertTrue(history.deleteEntry(id).success, '削除に成功する');
+            assertEqual(history.getEntries().length, 0, '削除した記録は一覧に表示されない');
+            assertEqual(history.getEntries(true).length, 1, '削除済みの一覧に表示される');
+            assertEqual(history.deleteEntry(id).error, 'entry_not_found', '削除済みの記録は再度削除できない');
+
+            assertTrue(history.restoreEntry(id).success, '復元に成功する');
+            assertEqual(history.getEntries().length, 1, '復元した記録は一覧に戻る');
+        });
+    });
+
+    test('リセットでセッションが記録され、削除と復元が日別集計に反映される', () => {
+        withSavedStorage((storageManager) => {
+            storageManager.removeSettings('sessionHistory');
+            storageManager.removeSettings('dailyTotals');
+            const app = createTestApp(3600);
+            app.start();
+            app.getTimerManager().pausedTime = 600000; // 10分
+            app.stop();
+            app.reset();
+
+            const entries = app.getSessionHistory().getEntries();
+            assertEqual(entries.length, 1, 'リセットしたセッションが記録される');
+            assertEqual(entries[0].paidSeconds, 600, '勤務時間');
+            assertEqual(entries[0].earnings, 600, '収入');
+            assertEqual(entries[0].hourlyWage, 3600, '時給');
+            assertEqual(entries[0].profileId, app.getProfileManager().getActiveProfileId(), 'ジョブ');
+            assertEqual(app.getPriorTotals().day.seconds, 600, '日別集計に加算される');
+
+            app.deleteHistoryEntry(entries[0].id);
+            assertEqual(app.getPriorTotals().day.seconds, 0, '削除すると日別集計から除かれる');
+
+            app.restoreHistoryEntry(entries[0].id);
+            assertEqual(app.getPriorTotals().day.earnings, 600, '復元すると日別集計に戻る');
+        });
+    });
+
+    test('手入力するセッションの時刻の検証', () => {
+        const validator = new InputValidator();
+        const at = (hours, minutes = 0) => new Date(2024, 0, 15, hours, minutes).getTime();
+        const session = { startedAt: at(9), endedAt: at(12), breaks: [{ start: at(10), end: at(10, 15) }] };
+
+        assertTrue(validator.validateSessionTimes(session).isValid, '有効なセッション');
+        assertTrue(!validator.validateSessionTimes({ ...session, endedAt: at(9) }).isValid, '終了は開始より後');
+        assertTrue(!validator.validateSessionTimes({ ...session, startedAt: NaN }).isValid, '開始時刻が必要');
+        assertTrue(!validator.validateSessionTimes({ ...session, endedAt: Date.now() + 3600000 }).isValid, '未来の時刻は無効');
+        assertTrue(!validator.validateSessionTimes({ ...session, breaks: [{ start: at(8), end: at(9, 30) }] }).isValid,
+            '勤務時間外の休憩は無効');
+        assertTrue(!validator.validateSessionTimes({
+            ...session,
+            breaks: [{ start: at(10), end: at(10, 30) }, { start: at(10, 15), end: at(10, 45) }]
+        }).isValid, '重複する休憩は無効');
+
+        const overlap = validator.validateSessionTimes(session, [{ startedAt: at(11), endedAt: at(13) }]);
+        assertEqual(overlap.error, '1/15 11:00からの勤務と重複しています', '他の勤務と重複するセッションは無効');
+        assertTrue(validator.validateSessionTimes(session, [{ startedAt: at(12), endedAt: at(13) }]).isValid,
+            '終了と同時に始まる勤務とは重複しない');
+    });
+
+    test('手入力と編集で収入が再計算され、日別集計に反映される', () => {
+        withSavedStorage((storageManager) => {
+            storageManager.removeSettings('sessionHistory');
+            storageManager.removeSettings('dailyTotals');
+            const app = createTestApp(3600);
+
+            // 割増の対象にならない直近の平日（日別集計の保持期間内）の日中の勤務
+            const day = new Date();
+            day.setDate(day.getDate() - 7);
+            const holidayCalendar = app.getPremiumCalculator().holidayCalendar;
+            while (day.getDay() === 0 || day.getDay() === 6 ||
+                Object.values(holidayCalendar.getHolidayTypes(day)).some(Boolean)) {
+                day.setDate(day.getDate() - 1);
+            }
+            const at = (hours, minutes = 0) =>
+                new Date(day.getFullYear(), day.getMonth(), day.getDate(), hours, minutes).getTime();
+            const dayTotals = () => app.getStorageManager().loadSettings('dailyTotals', {}).value[app.getDateKey(day)];
+
+            const invalid = app.addManualSession({ startedAt: at(10), endedAt: at(9), breaks: [], hourlyWage: 3600 });
+            assertEqual(invalid.error, 'invalid_session', '無効なセッションは追加できない');
+
+            const result = app.addManualSession({
+                startedAt: at(9),
+                endedAt: at(11),
+                breaks: [{ start: at(10), end: at(10, 30) }],
+                hourlyWage: '3600'
+            });
+            assertTrue(result.success, '手入力で追加できる');
+            assertTrue(result.entry.isManual, '手入力の記録として保存される');
+            assertEqual(result.entry.paidSeconds, 5400, '休憩を除いた1時間30分');
+            assertEqual(result.entry.earnings, 5400, '休憩を除いた時間で収入を計算');
+            assertEqual(dayTotals().seconds, 5400, '開始日の日別集計に加算される');
+
+            const duplicate = app.addManualSession({ startedAt: at(10), endedAt: at(12), breaks: [], hourlyWage: 3600 });
+            assertEqual(duplicate.error, 'invalid_session', '記録済みの勤務と重複するセッションは追加できない');
+
+            const updated = app.updateHistoryEntry(result.entry.id, {
+                startedAt: at(9),
+                endedAt: at(11),
+                breaks: [],
+                hourlyWage: 1800
+            });
+            assertTrue(updated.success, '編集できる');
+            assertEqual(updated.entry.paidSeconds, 7200, '休憩を削除して2時間');
+            assertEqual(updated.entry.earnings, 3600, '2時間を時給1800円で再計算');
+            assertTrue(updated.entry.isManual && updated.entry.editedAt > 0, '手入力の記録のまま編集日時が記録される');
+            assertEqual(dayTotals().seconds, 7200, '日別集計は編集後の勤務時間に置き換わる');
+            assertEqual(dayTotals().earnings, 3600, '日別集計は編集後の収入に置き換わる');
+
+            // 削除した記録と重なる勤務を追加すると、削除した記録は元に戻せない
+            app.deleteHistoryEntry(result.entry.id);
+            assertTrue(app.addManualSession({ startedAt: at(10), endedAt: at(12), breaks: [], hourlyWage: 3600 }).success,
+                '削除した記録と重なる時間は追加できる');
+            assertEqual(app.restoreHistoryEntry(result.entry.id).error, 'session_overlap', '重複する記録は元に戻せない');
+        });
+    });
+
+    test('セッション中に変更した時給は変更した時刻から適用され、時給の推移が記録される', () => {
+        withSavedStorage((storageManager) => {
+            storageManager.removeSettings('sessionHistory');
+            storageManager.removeSettings('dailyTotals');
+            const app = createTestApp(3600);
+            app.start();
+            const startedAt = Date.now() - 2 * 3600000;
+            app.getTimerManager().restoreSnapshot({ isRunning: true, startTime: startedAt, pausedTime: 0, segments: [], breaks: [] });
+            app.getWageCounter().setStartTime(new Date(startedAt));
+            app.updateEarnings();
+            const earnings = app.getState().currentEarnings;
+
+            app.saveHourlyWage(7200);
+            app.updateEarnings();
+            assertTrue(Math.abs(app.getState().currentEarnings - earnings) < 1, '変更前の勤務は変更前の時給のまま');
+            const rateSegments = app.getRateSegments();
+            assertEqual(rateSegments.length, 2, '変更した時刻から新しい時給の区間が始まる');
+            assertEqual(rateSegments[0].start, startedAt, '最初の区間はセッションの開始から');
+            assertEqual(rateSegments[0].hourlyWage, 3600, '変更前の時給');
+            assertEqual(rateSegments[1].hourlyWage, 7200, '変更後の時給');
+
+            app.saveHourlyWage(7200);
+            assertEqual(app.getRateSegments().length, 2, '同じ時給では区間を追加しない');
+
+            app.stop();
+            app.reset();
+            const entry = app.getSessionHistory().getEntries()[0];
+            assertEqual(entry.hourlyWage, 7200, '記録の時給は最後の時給');
+            assertEqual(entry.rateSegments.length, 2, '時給の推移を記録する');
+            assertEqual(app.getRateSegments().length, 0, '次のセッションは時給の推移なしで始まる');
+
+            const edited = app.updateHistoryEntry(entry.id, {
+                startedAt: entry.startedAt, endedAt: entry.endedAt, breaks: [], hourlyWage: 7200
+            });
+            assertEqual(edited.entry.rateSegments.length, 2, '時給を変更しない編集では時給の推移を維持する');
+            assertTrue(Math.abs(edited.entry.earnings - entry.earnings) < 1, '時給の推移で再計算する');
+        });
+    });
+
+    test('計測中に時計を戻しても稼働区間の順序と収入を保ち、変更後の時計で記録される', () => {
+        withSavedStorage((storageManager) => {
+            storageManager.removeSettings('sessionHistory');
+            storageManager.removeSettings('dailyTotals');
+            const app = createTestApp(3600); // 毎秒1円
+            app.start();
+
+            // 1時間進んでいた時計で、10分の稼働区間の後に30分計測している状態から時計を1時間戻す
+            const timer = app.getTimerManager();
+            const aheadNow = Date.now() + 3600000;
+            timer.segments = [{ start: aheadNow - 3000000, end: aheadNow - 2400000 }];
+            timer.pausedTime = 600000;
+            timer.startTime = aheadNow - 1800000;
+            timer.lastTick = { wall: aheadNow, monotonic: performance.now() };
+            app.getWageCounter().setStartTime(new Date(aheadNow - 3000000));
+
+            const change = timer.checkClockChange();
+            assertEqual(change.type, 'clockJump', '時計を戻した変更を検出する');
+            app.updateEarnings();
+            assertTrue(Math.abs(app.getState().currentEarnings - 2400) < 2, '時計を戻す前の40分の収入を保つ');
+
+            const segments = timer.getSegments();
+            assertEqual(segments.length, 2, '稼働区間は分割しない');
+            assertTrue(segments[0].end <= segments[1].start, '稼働区間は重ならず開始時刻順');
+            assertTrue(Math.abs(segments[1].end - segments[1].start - 1800000) < 2000, '計測中の区間の長さを保つ');
+
+            app.stop();
+            app.reset();
+            const entry = app.getSessionHistory().getEntries()[0];
+            assertTrue(Math.abs(entry.endedAt - Date.now()) < 2000, '終了時刻は変更後の時計の現在時刻');
+            assertTrue(Math.abs(entry.endedAt - entry.startedAt - 3000000) < 2000, '開始時刻も同じだけずらす');
+            assertTrue(Math.abs(entry.earnings - 2400) < 2, '記録の収入');
+        });
+    });
+
+    console.log(`=== テスト完了: ${testsPassed}/${totalTests} 成功 ===`);
+
+    if (testsPassed === totalTests) {
+        console.log('🎉 すべてのテストが成功しました！');
+        return true;
+    } else {
+        console.log('⚠️ 一部のテストが失敗しました');
+        return false;
+    }
+}
@@ -0,0 +1,165 @@
+/**
+ * SessionLimitPolicy クラスのテスト
+ * セッションを自動で停止する時刻の計算と、上限での停止・終了時刻の修正・再開のテスト
+ */
+
+function runSessionLimitPolicyTests() {
+    let testsPassed = 0;
+    let totalTests = 0;
+
+    function test(description, testFn) {
+        totalTests++;
+        try {
+            testFn();
+            console.log(`✅ ${description}`);
+            testsPassed++;
+        } catch (error) {
+            console.error(`❌ ${description}: ${error.message}`);
+        }
+    }
+
+    function assertEqual(actual, expected, message) {
+        if (actual !== expected) {
+            throw new Error(`${message} - Expected: ${expected}, Actual: ${actual}`);
+        }
+    }
+
+    function assertTrue(condition, message) {
+        if (!condition) {
+            throw new Error(message);
+        }
+    }
+
+    // 2024年1月15日の指定時刻（ローカル時刻）
+    const at = (hours, minutes = 0) => new Date(2024, 0, 15, hours, minutes).getTime();
+
+    // 開始時刻をさかのぼってセッションを開始したアプリを作成する（withSavedStorage の中で使用する）
+    const startAppAt = (startedAt) => {
+        const app = createTestApp(3600); // 毎秒1円
+        app.start();
+        app.getTimerManager().restoreSnapshot({ isRunning: true, startTime: startedAt, pausedTime: 0, segments: [], breaks: [] });
+        app.getWageCounter().setStartTime(new Date(startedAt));
+        return app;
+    };
+
+    console.log('=== SessionLimitPolicy テスト開始 ===');
+
+    test('設定の検証', () => {
+        assertTrue(SessionLimitPolicy.validateSettings(SessionLimitPolicy.getDefaultSettings()).isValid, 'デフォルトは有効な設定');
+        assertTrue(SessionLimitPolicy.validateSettings({ enabled: true, maxHours: 8.5, expectedEnd: '18:00' }).isValid, '有効な設定');
+        assertTrue(!SessionLimitPolicy.validateSettings({ enabled: true, maxHours: 0.5, expectedEnd: '' }).isValid, '1時間未満は無効');
+        assertTrue(!SessionLimitPolicy.validateSettings({ enabled: true, maxHours: 25, expectedEnd: '' }).isValid, '24時間を超える値は無効');
+        assertTrue(!SessionLimitPolicy.validateSettings({ enabled: true, maxHours: 12, expectedEnd: '25:00' }).isValid, '無効な終了予定時刻');
+        assertTrue(!SessionLimitPolicy.validateSettings({ maxHours: 12, expectedEnd: '' }).isValid, '有効かどうかが必要');
+    });
+
+    test('最大時間と終了予定時刻のうち早い方で停止する', () => {
+        const policy = new SessionLimitPolicy({ enabled: true, maxHours: 12, expectedEnd: '' });
+        const limit = policy.getLimit(at(9));
+        assertEqual(limit.at, at(21), '開始から12時間');
+        assertEqual(limit.reason, 'maxLength', '最大時間による停止');
+
+        policy.setSettings({ enabled: true, maxHours: 12, expectedEnd: '18:00' });
+        assertEqual(policy.getLimit(at(9)).at, at(18), '同じ日の終了予定時刻');
+        assertEqual(policy.getLimit(at(9)).reason, 'expectedEnd', '終了予定時刻による停止');
+        assertEqual(policy.getLimit(at(19)).at, at(19) + 12 * 3600000, '翌日の終了予定時刻より最大時間が先');
+
+        policy.setSettings({ enabled: true, maxHours: 12, expectedEnd: '06:00' });
+        assertEqual(policy.getLimit(at(22)).at, new Date(2024, 0, 16, 6).getTime(), '開始後に最初に来る終了予定時刻（翌朝）');
+
+        policy.setSettings({ enabled: false, maxHours: 12, expectedEnd: '' });
+        assertEqual(policy.getLimit(at(9)), null, '無効な場合は停止しない');
+    });
+
+    test('上限を過ぎたセッションは上限の時刻で停止し、修正した終了時刻で記録する', () => {
+        withSavedStorage((storageManager) => {
+            storageManager.saveSettings('sessionHistory', []);
+            const now = Date.now();
+            const startedAt = now - 13 * 3600000;
+            const app = startAppAt(startedAt);
+            app.saveSessionLimitSettings({ enabled: true, maxHours: 12, expectedEnd: '' });
+            app.getSessionHistory().load();
+
+            assertEqual(app.checkSessionLimit(startedAt + 3600000), null, '上限前は停止しない');
+            const limitStop = app.checkSessionLimit(now);
+            assertTrue(limitStop !== null, '上限を過ぎたため停止する');
+            assertEqual(limitStop.at, startedAt + 12 * 3600000, '上限の時刻');
+            assertTrue(!app.getState().isRunning, '停止中になる');
+            assertTrue(app.hasActiveSession(), '記録の確認まではセッションを残す');
+            assertEqual(app.getTimerManager().getElapsedSeconds(), 12 * 3600, '上限までの経過時間');
+            assertEqual(app.getSessionHistory().getEntries().length, 0, '確認前は記録しない');
+            assertEqual(storageManager.loadSettings('activeSession', null).value.limitStop.at, limitStop.at, 'チェックポイントに停止を保存する');
+
+            const invalid = app.finishLimitedSession(limitStop.at + 60000);
+            assertEqual(invalid.error, 'invalid_end_time', '停止した時刻より後には修正できない');
+
+            assertTrue(app.finishLimitedSession(startedAt + 9 * 3600000).success, '終了時刻を修正して記録する');
+            const entries = app.getSessionHistory().getEntries();
+            assertEqual(entries.length, 1, '勤務履歴に記録する');
+            assertEqual(entries[0].endedAt, startedAt + 9 * 3600000, '修正した終了時刻');
+            assertEqual(entries[0].elapsedSeconds, 9 * 3600, '修正した終了時刻までの勤務時間');
+            assertTrue(!app.hasActiveSession(), 'セッションは終了する');
+        });
+    });
+
+    test('日付をまたいで時計を戻した場合は、変更後の時計の終了予定時刻で停止する', () => {
+        withSavedStorage(() => {
+            // 進んでいた時計で翌日0時10分に開始したことになっている30分前からのセッションで、時計を戻して前日に移す
+            const now = Date.now();
+            const startedAt = now - 1800000;
+            const start = new Date(startedAt);
+            const aheadStartedAt = new Date(start.getFullYear(), start.getMonth(), start.getDate() + 1, 0, 10).getTime();
+            const offset = aheadStartedAt - startedAt;
+            const app = startAppAt(aheadStartedAt);
+            const timer = app.getTimerManager();
+            timer.startTime = aheadStartedAt; // restoreSnapshot は未来の開始時刻を現在時刻に切り詰めるため直接設定する
+            timer.lastTick = { wall: now + offset, monotonic: performance.now() };
+
+            const expectedEnd = new Date(now + 3600000);
+            expectedEnd.setSeconds(0, 0);
+            const hhmm = (date) => `${date.getHours().toString().padStart(2, '0')}:${date.getMinutes().toString().padStart(2, '0')}`;
+            app.saveSessionLimitSettings({ enabled: true, maxHours: 12, expectedEnd: hhmm(expectedEnd) });
+
+            const change = timer.checkClockChange();
+            assertEqual(change.type, 'clockJump', '時計を戻した変更を検出する');
+            assertTrue(Math.abs(app.getWageCounter().getStartTime().getTime() - startedAt) < 2000, '開始時刻は前日に移る');
+            assertTrue(Math.abs(timer.getElapsedSeconds() - 1800) < 2, '経過時間は変わらない');
+            const limit = app.getSessionLimit();
+            assertEqual(limit.reason, 'expectedEnd', '終了予定時刻による停止');
+            assertEqual(limit.at, expectedEnd.getTime(), '変更後の時計で開始後に最初に来る終了予定時刻');
+            assertEqual(app.checkSessionLimit(now), null, '時計を戻しただけでは停止しない');
+
+            app.saveSessionLimitSettings({ enabled: true, maxHours: 12, expectedEnd: '' });
+            assertTrue(Math.abs(app.getSessionLimit().at - (startedAt + 12 * 3600000)) < 2000, '最大時間は実際に経過した時間で数える');
+
+            app.stop();
+            app.clearSession();
+        });
+    });
+
+    test('上限で停止した後に再開したセッションは再び停止しない', () => {
+        withSavedStorage(() => {
+            const now = Date.now();
+            const app = startAppAt(now - 13 * 3600000);
+            app.saveSessionLimitSettings({ enabled: true, maxHours: 12, expectedEnd: '' });
+
+            assertTrue(app.checkSessionLimit(now) !== null, '上限で停止する');
+            app.start();
+            assertEqual(app.getLimitStop(), null, '再開すると停止の確認は不要になる');
+            assertEqual(app.checkSessionLimit(now + 60000), null, '再び停止しない');
+
+            app.stop();
+            app.clearSession();
+        });
+    });
+
+    console.log(`=== テスト完了: ${testsPassed}/${totalTests} 成功 ===`);
+
+    if (testsPassed === totalTests) {
+        console.log('🎉 すべてのテストが成功しました！');
+        return true;
+    } else {
+        console.log('⚠️ 一部のテストが失敗しました');
+        return false;
+    }
+}
@@ -0,0 +1,184 @@
+/**
+ * ShiftSchedule クラスのテスト
+ * シフトの検証・予定の計算（日をまたぐシフトを含む）と、シフトの自動開始・終了・ページを閉じていた間のシフトの記録のテスト
+ */
+
+function runShiftScheduleTests() {
+    let testsPassed = 0;
+    let totalTests = 0;
+
+    function test(description, testFn) {
+        totalTests++;
+        try {
+            testFn();
+            console.log(`✅ ${description}`);
+            testsPassed++;
+        } catch (error) {
+            console.error(`❌ ${description}: ${error.message}`);
+        }
+    }
+
+    function assertEqual(actual, expected, message) {
+        if (actual !== expected) {
+            throw new Error(`${message} - Expected: ${expected}, Actual: ${actual}`);
+        }
+    }
+
+    function assertTrue(condition, message) {
+        if (!condition) {
+            throw new Error(message);
+        }
+    }
+
+    const createShift = (id, weekday, start, end, profileId = 'profile_a') =>
+        ({ id: id, weekday: weekday, start: start, end: end, profileId: profileId });
+    const toTime = (date) => `${date.getHours().toString().padStart(2, '0')}:${date.getMinutes().toString().padStart(2, '0')}`;
+
+    // 保存内容を退避したうえで初期化したアプリでテストし、終了後にセッションを終了する
+    const withShiftApp = (testFn) => withSavedStorage(() => {
+        const app = createTestApp();
+        try {
+            testFn(app, app.getStorageManager());
+        } finally {
+            app.clearSession();
+        }
+    });
+
+    console.log('=== ShiftSchedule テスト開始 ===');
+
+    test('シフトの設定の検証', () => {
+        const isValid = (shifts, mode = 'auto') => ShiftSchedule.validateSettings({ mode: mode, shifts: shifts }).isValid;
+
+        assertTrue(isValid([createShift('a', 1, '09:00', '17:00')]), '有効なシフト');
+        assertTrue(!isValid([], 'always'), '無効な開始時の動作');
+        assertTrue(!isValid([createShift('a', 7, '09:00', '17:00')]), '無効な曜日');
+        assertTrue(!isValid([createShift('a', 1, '9時', '17:00')]), '無効な時刻');
+        assertTrue(!isValid([createShift('a', 1, '09:00', '09:00')]), '開始と終了が同じ時刻');
+        assertTrue(!isValid([createShift('a', 1, '09:00', '17:00'), createShift('b', 1, '16:00', '20:00')]), '同じ日に重なるシフト');
+        assertTrue(isValid([createShift('a', 1, '09:00', '17:00'), createShift('b', 1, '17:00', '20:00')]), '連続するシフト');
+        assertTrue(!isValid([createShift('a', 6, '22:00', '06:00'), createShift('b', 0, '05:00', '09:00')]), '土曜の夜勤と日曜の朝が重なる');
+    });
+
+    test('日をまたぐシフトの予定', () => {
+        const schedule = new ShiftSchedule({ mode: 'auto', shifts: [createShift('night', 1, '22:00', '06:00')] });
+        // 2024年1月15日は月曜日
+        const monday = new Date(2024, 0, 15).getTime();
+        const occurrences = schedule.getOccurrences(monday, monday + 7 * 24 * 3600000);
+
+        assertEqual(occurrences.length, 1, '1週間に1回');
+        assertEqual(occurrences[0].start, new Date(2024, 0, 15, 22).getTime(), '月曜日の22時に開始');
+        assertEqual(occurrences[0].end, new Date(2024, 0, 16, 6).getTime(), '翌日の6時に終了');
+
+        const during = schedule.getOccurrenceAt(new Date(2024, 0, 16, 3).getTime());
+        assertTrue(during && during.shift.id === 'night', '翌日の3時は夜勤中');
+        assertEqual(schedule.getOccurrenceAt(new Date(2024, 0, 16, 6).getTime()), null, '終了時刻は含まない');
+    });
+
+    test('シフトの開始時刻から自動で開始し、終了時刻で終了して記録する', () => {
+        withShiftApp((app, storageManager) => {
+            const now = Date.now();
+            const start = new Date(now - 3600000);
+            start.setSeconds(0, 0);
+            const end = new Date(start.getTime() + 2 * 3600000);
+            const profileId = app.getProfileManager().getActiveProfileId();
+            storageManager.saveSettings('sessionHistory', []);
+            app.getSessionHistory().load();
+
+            assertTrue(app.saveShiftSchedule({
+                mode: 'auto',
+                shifts: [createShift('shift_test', start.getDay(), toTime(start), toTime(end), profileId)]
+            }).success, 'シフトを保存する');
+            storageManager.saveSettings('shiftCheckedAt', start.getTime() - 60000);
+
+            // 時給が未設定の場合は開始できず、理由とともに開始の確認に切り替える
+            app.saveHourlyWage(0);
+            const failed = app.checkShiftSchedule(now);
+            assertEqual(failed.started, null, '時給が未設定の場合は開始しない');
+            assertTrue(failed.pending !== null && failed.startError !== null, '開始できなかった理由とともに確認を待つ');
+            assertTrue(!app.hasActiveSession(), 'セッションは開始しない');
+
+            app.saveHourlyWage(1000);
+            storageManager.saveSettings('shiftCheckedAt', start.getTime() - 60000);
+            const started = app.checkShiftSchedule(now);
+            assertTrue(started.started !== null, 'シフトを開始する');
+            assertTrue(app.getState().isRunning, '計測中になる');
+            assertEqual(app.getWageCounter().getStartTime().getTime(), start.getTime(), 'シフトの開始時刻から計測する');
+            assertEqual(storageManager.loadSettings('activeSession', null).value.shift.shiftId, 'shift_test', 'チェックポイントにシフトを保存する');
+            assertEqual(app.checkShiftSchedule(now + 1000).started, null, '同じシフトは再び開始しない');
+
+            const stopped = app.checkShiftSchedule(end.getTime());
+            assertTrue(stopped.stopped !== null, 'シフトの終了時刻で終了する');
+            assertTrue(!app.hasActiveSession(), 'セッションは終了する');
+            const entries = app.getSessionHistory().getEntries();
+            assertEqual(entries.length, 1, '勤務履歴に記録する');
+            assertEqual(entries[0].shiftId, 'shift_test', 'シフトの記録');
+            assertEqual(entries[0].startedAt, start.getTime(), '記録の開始時刻');
+        });
+    });
+
+    test('シフトの途中で時給を変更した場合は変更前後の時給で記録する', () => {
+        withShiftApp((app, storageManager) => {
+            const now = Date.now();
+            const start = new Date(now - 2 * 3600000);
+            start.setSeconds(0, 0);
+            const end = new Date(start.getTime() + 3 * 3600000);
+            const profileId = app.getProfileManager().getActiveProfileId();
+            storageManager.saveSettings('sessionHistory', []);
+            app.getSessionHistory().load();
+
+            app.saveHourlyWage(1000);
+            app.saveShiftSchedule({
+                mode: 'auto',
+                shifts: [createShift('shift_rate', start.getDay(), toTime(start), toTime(end), profileId)]
+            });
+            storageManager.saveSettings('shiftCheckedAt', start.getTime() - 60000);
+            assertTrue(app.checkShiftSchedule(now).started !== null, 'シフトを開始する');
+
+            // 2時間勤務した時点で時給を変更する
+            app.saveHourlyWage(2000);
+            assertTrue(app.checkShiftSchedule(end.getTime()).stopped !== null, 'シフトの終了時刻で終了する');
+
+            const entry = app.getSessionHistory().getEntries()[0];
+            assertEqual(entry.rateSegments.length, 2, '時給の推移を記録する');
+            assertEqual(entry.rateSegments[0].hourlyWage, 1000, '変更前の時給');
+            assertEqual(entry.rateSegments[1].hourlyWage, 2000, '変更後の時給');
+            const workedHours = entry.segments.reduce((total, range) => total + range.end - range.start, 0) / 3600000;
+            assertTrue(entry.baseEarnings < workedHours * 1000 + 10, '変更前の勤務は変更前の時給で計算する');
+        });
+    });
+
+    test('ページを閉じていた間のシフトを勤務履歴に記録する', () => {
+        withShiftApp((app, storageManager) => {
+            const today = new Date();
+            const day = new Date(today.getFullYear(), today.getMonth(), today.getDate() - 3);
+            const profileId = app.getProfileManager().getActiveProfileId();
+            storageManager.saveSettings('sessionHistory', []);
+            app.getSessionHistory().load();
+
+            app.saveShiftSchedule({ mode: 'prompt', shifts: [createShift('shift_past', day.getDay(), '13:00', '15:00', profileId)] });
+            storageManager.saveSettings('shiftCheckedAt', day.getTime());
+            assertEqual(app.checkShiftSchedule(Date.now()).backfilled.length, 0, '開始を確認する場合は記録しない');
+
+            app.saveShiftSchedule({ mode: 'auto', shifts: [createShift('shift_past', day.getDay(), '13:00', '15:00', profileId)] });
+            storageManager.saveSettings('shiftCheckedAt', day.getTime());
+            const result = app.checkShiftSchedule(Date.now());
+            assertEqual(result.backfilled.length, 1, '終わったシフトを記録する');
+            assertEqual(result.backfilled[0].startedAt, new Date(day.getFullYear(), day.getMonth(), day.getDate(), 13).getTime(), '予定の開始時刻');
+            assertEqual(result.backfilled[0].paidSeconds, 7200, '予定どおりの勤務時間');
+            assertTrue(!result.backfilled[0].isManual, '手入力の記録にはしない');
+
+            storageManager.saveSettings('shiftCheckedAt', day.getTime());
+            assertEqual(app.checkShiftSchedule(Date.now()).backfilled.length, 0, '記録と重なるシフトは記録しない');
+        });
+    });
+
+    console.log(`=== テスト完了: ${testsPassed}/${totalTests} 成功 ===`);
+
+    if (testsPassed === totalTests) {
+        console.log('🎉 すべてのテストが成功しました！');
+        return true;
+    } else {
+        console.log('⚠️ 一部のテストが失敗しました');
+        return false;
+    }
+}
@@ -0,0 +1,155 @@
+/**
+ * TimeRoundingPolicy クラスのテスト
+ * 打刻時刻と勤務時間の合計の端数処理、未払いの警告のテスト
+ */
+
+function runTimeRoundingPolicyTests() {
+    let testsPassed = 0;
+    let totalTests = 0;
+
+    function test(description, testFn) {
+        totalTests++;
+        try {
+            testFn();
+            console.log(`✅ ${description}`);
+            testsPassed++;
+        } catch (error) {
+            console.error(`❌ ${description}: ${error.message}`);
+        }
+    }
+
+    function assertEqual(actual, expected, message) {
+        if (actual !== expected) {
+            throw new Error(`${message} - Expected: ${expected}, Actual: ${actual}`);
+        }
+    }
+
+    function assertTrue(condition, message) {
+        if (!condition) {
+            throw new Error(message);
+        }
+    }
+
+    // 2024年1月15日の指定時刻（ローカル時刻）
+    const at = (hours, minutes) => new Date(2024, 0, 15, hours, minutes).getTime();
+    const createPolicy = (start, end, total = { unit: 1, direction: 'none' }) =>
+        new TimeRoundingPolicy({ enabled: true, start: start, end: end, total: total });
+
+    console.log('=== TimeRoundingPolicy テスト開始 ===');
+
+    test('デフォルトは無効で勤務時間を変更しない', () => {
+        const policy = new TimeRoundingPolicy();
+        const result = policy.calculate(31500, [{ start: at(9, 7), end: at(17, 52) }]);
+        assertTrue(!policy.isEnabled(), 'デフォルトは無効');
+        assertEqual(result.paidSeconds, 31500, '実際の勤務時間のまま');
+        assertEqual(result.underpaidSeconds, 0, '不足なし');
+    });
+
+    test('設定の検証', () => {
+        const rule = { unit: 15, direction: 'up' };
+        assertTrue(TimeRoundingPolicy.validateSettings({ enabled: true, start: rule, end: rule, total: rule }).isValid, '有効な設定');
+        assertTrue(!TimeRoundingPolicy.validateSettings({ enabled: true, start: { unit: 10, direction: 'up' }, end: rule, total: rule }).isValid,
+            '10分単位は無効');
+        assertTrue(!TimeRoundingPolicy.validateSettings({ enabled: true, start: rule, end: { unit: 15, direction: 'ceil' }, total: rule }).isValid,
+            '無効な方向');
+        assertTrue(!TimeRoundingPolicy.validateSettings({ start: rule, end: rule, total: rule }).isValid, '有効かどうかが必要');
+    });
+
+    test('開始の切り上げと終了の切り捨ては不足を記録する', () => {
+        const policy = createPolicy({ unit: 15, direction: 'up' }, { unit: 15, direction: 'down' });
+        const result = policy.calculate(31500, [{ start: at(9, 7), end: at(17, 52) }]); // 8時間45分
+
+        assertEqual(result.rawSeconds, 31500, '実際の勤務時間');
+        assertEqual(result.paidSeconds, 30600, '9:15〜17:45の8時間30分');
+        assertEqual(result.underpaidSeconds, 900, '15分不足');
+        assertEqual(result.segments[0].start, at(9, 15), '割増判定の区間も9:15から');
+        assertEqual(result.segments[0].end, at(17, 45), '割増判定の区間も17:45まで');
+    });
+
+    test('開始の切り捨てと終了の切り上げは勤務時間を延長する', () => {
+        const policy = createPolicy({ unit: 30, direction: 'down' }, { unit: 30, direction: 'up' });
+        const result = policy.calculate(31500, [{ start: at(9, 7), end: at(17, 52) }]);
+        assertEqual(result.paidSeconds, 32400, '9:00〜18:00の9時間');
+        assertEqual(result.underpaidSeconds, 0, '不足なし');
+    });
+
+    test('端数処理の範囲外の勤務のみを除く', () => {
+        const policy = createPolicy({ unit: 15, direction: 'up' }, { unit: 1, direction: 'none' });
+        const segments = [{ start: at(9, 7), end: at(9, 10) }, { start: at(9, 20), end: at(12, 0) }];
+        const result = policy.calculate(9780, segments); // 3分 + 2時間40分
+
+        assertEqual(result.paidSeconds, 9600, '9:15より前の3分のみ除く');
+        assertEqual(result.segments.length, 1, '9:15より前の区間は除かれる');
+        assertEqual(result.segments[0].start, at(9, 20), '9:20からの区間はそのまま');
+    });
+
+    test('合計の端数処理', () => {
+        const nearest = createPolicy({ unit: 1, direction: 'none' }, { unit: 1, direction: 'none' }, { unit: 30, direction: 'nearest' });
+        assertEqual(nearest.calculate(7 * 3600 + 44 * 60).paidSeconds, 7.5 * 3600, '7時間44分は7時間30分');
+        assertEqual(nearest.calculate(7 * 3600 + 44 * 60).underpaidSeconds, 14 * 60, '14分不足');
+
+        const minute = createPolicy({ unit: 1, direction: 'none' }, { unit: 1, direction: 'none' }, { unit: 1, direction: 'down' });
+        const result = minute.calculate(3600 + 59);
+        assertEqual(result.paidSeconds, 3600, '1分未満を切り捨て');
+        assertEqual(result.underpaidSeconds, 0, '分単位の勤務時間に対しては不足しない');
+    });
+
+    test('未払いになるおそれがある設定の判定', () => {
+        const settings = {
+            enabled: true,
+            start: { unit: 15, direction: 'down' },
+            end: { unit: 15, direction: 'down' },
+            total: { unit: 1, direction: 'down' }
+        };
+        assertEqual(TimeRoundingPolicy.getUnderpaymentRisks(settings).join(','), 'end', '終了時刻の切り捨てのみ');
+
+        settings.start.direction = 'nearest';
+        settings.total.unit = 30;
+        assertEqual(TimeRoundingPolicy.getUnderpaymentRisks(settings).join(','), 'start,end,total', '四捨五入と30分単位の切り捨て');
+
+        settings.enabled = false;
+        assertEqual(TimeRoundingPolicy.getUnderpaymentRisks(settings).length, 0, '無効な場合は該当なし');
+    });
+
+    test('アプリの収入は支払対象の時間で計算される', () => {
+        withSavedStorage(() => {
+            const app = createTestApp(3600); // 毎秒1円
+            app.getStorageManager().removeSettings('dailyTotals'); // 他のテストで記録された当日の勤務時間による割増を除外
+
+            const invalid = app.saveTimeRoundingSettings({ enabled: true });
+            assertEqual(invalid.error, 'invalid_time_rounding', '無効な設定は保存できない');
+            assertTrue(app.saveTimeRoundingSettings({
+                enabled: true,
+                start: { unit: 1, direction: 'none' },
+                end: { unit: 1, direction: 'none' },
+                total: { unit: 15, direction: 'down' }
+            }).success, '設定を保存できる');
+
+            app.start();
+            app.getTimerManager().pausedTime = 1000 * 1000; // 16分40秒
+            app.updateEarnings();
+            const state = app.getState();
+            assertEqual(state.rawWorkedSeconds, 1000, '実際の勤務時間');
+            assertEqual(state.paidSeconds, 900, '15分単位で切り捨て');
+            assertEqual(state.underpaidSeconds, 60, '16分に対して1分不足');
+            assertEqual(state.currentEarnings, 900, '収入は支払対象の時間で計算');
+
+            const reloaded = new WageCounterApp();
+            reloaded.loadTimeRoundingSettings();
+            assertTrue(reloaded.getTimeRoundingPolicy().isEnabled(), '設定は保存される');
+
+            app.stop();
+            app.reset();
+        });
+    });
+
+    console.log(`=== テスト完了: ${testsPassed}/${totalTests} 成功 ===`);
+
+    if (testsPassed === totalTests) {
+        console.log('🎉 すべてのテストが成功しました！');
+        return true;
+    } else {
+        console.log('⚠️ 一部のテストが失敗しました');
+        return false;
+    }
+}
@@ -151,6 +151,97 @@ function runTimerManagerTests() {
         assertEqual(timer.getUpdateInterval(), 500, '無効な値は設定されない');
     });
 
+    // 壁時計に合わせたスケジュールのテスト
+    test('次の更新は壁時計の境界に合わせる', () => {
+        const timer = new TimerManager(() => {});
+        
+        assertEqual(timer.getNextTickDelay(10000), 1000 + timer.tickMargin, '境界ちょうどの場合は次の境界まで');
+        assertEqual(timer.getNextTickDelay(10300), 700 + timer.tickMargin, '遅れた分だけ待ち時間を短くする');
+        
+        timer.setUpdateInterval(5000);
+        assertEqual(timer.getNextTickDelay(12000), 3000 + timer.tickMargin, '5秒間隔では5秒の倍数に合わせる');
+    });
+
+    // 更新間隔の変更で累積時間が変わらないことのテスト
+    test('動作中の更新間隔の変更', () => {
+        const timer = new TimerManager(() => {});
+        timer.start();
+        const startTime = timer.startTime;
+        
+        timer.setUpdateInterval(5000);
+        assertTrue(timer.getIsRunning(), '動作を続ける');
+        assertEqual(timer.startTime, startTime, '開始時刻は変わらない');
+        assertEqual(timer.pausedTime, 0, '累積時間は変わらない');
+        assertEqual(timer.segments.length, 0, '稼働区間は追加されない');
+        assertTrue(timer.timeoutId !== null, '次の更新が再スケジュールされる');
+        
+        timer.reset();
+        assertEqual(timer.timeoutId, null, 'リセット後は次の更新が取り消される');
+    });
+
+    // スリープの検出のテスト（performance.now が止まる環境）
+    test('スリープした時間は稼働区間から除き、戻すこともできる', () => {
+        const timer = new TimerManager(() => {});
+        timer.start();
+        const startTime = timer.startTime;
+        timer.lastTick = { wall: startTime + 60000, monotonic: 1000 };
+
+        const change = timer.detectClockChange(startTime + 60000 + 3600000 + 1000, 2000);
+        assertEqual(change.type, 'suspend', 'スリープとして検出する');
+        assertEqual(change.start, startTime + 60000, '最後の確認からスリープした区間');
+        assertEqual(change.end, startTime + 60000 + 3600000, '経過時間で説明できない分だけ除く');
+        assertEqual(timer.segments.length, 1, 'スリープ前までを稼働区間として記録する');
+        assertEqual(timer.pausedTime, 60000, 'スリープ前までの経過時間');
+        assertEqual(timer.startTime, change.end, 'スリープの後から計測を再開する');
+
+        assertTrue(timer.includeGap(change), '勤務時間に戻す');
+        assertEqual(timer.pausedTime, 3660000, '戻した区間を経過時間に含める');
+        assertEqual(timer.segments[1].start, change.start, '稼働区間は開始時刻順');
+        timer.reset();
+    });
+
+    // スリープの検出のテスト（performance.now も進む環境）
+    test('更新の長い間隔はスリープとみなし、間引き程度の遅れは検出しない', () => {
+        const timer = new TimerManager(() => {});
+        timer.start();
+        const startTime = timer.startTime;
+
+        timer.lastTick = { wall: startTime, monotonic: 1000 };
+        assertEqual(timer.detectClockChange(startTime + 60000, 61000), null, '1分の遅れは検出しない');
+
+        const change = timer.detectClockChange(startTime + 60000 + TimerManager.TICK_GAP_THRESHOLD + 1000,
+            61000 + TimerManager.TICK_GAP_THRESHOLD + 1000);
+        assertEqual(change.type, 'suspend', 'スリープとして検出する');
+        assertEqual(change.end - change.start, TimerManager.TICK_GAP_THRESHOLD + 1000, '更新の間隔を除く');
+        timer.reset();
+    });
+
+    // 時計の変更の検出のテスト
+    test('時計の変更は経過時間に影響せず、区間の順序を保つ', () => {
+        const timer = new TimerManager(() => {});
+        timer.start();
+        const startTime = timer.startTime;
+        timer.segments = [{ start: startTime - 600000, end: startTime - 300000 }];
+        timer.breaks = [{ start: startTime - 300000, end: startTime }];
+        timer.pausedTime = 300000;
+
+        timer.lastTick = { wall: startTime + 60000, monotonic: 1000 };
+        const now = startTime + 60000 - 3600000 + 1000;
+        const change = timer.detectClockChange(now, 2000);
+        assertEqual(change.type, 'clockJump', '時計を戻した変更を検出する');
+        assertEqual(change.offset, -3600000, '時計のずれ');
+        assertEqual(timer.startTime, now - 61000, '計測中の区間は経過した時間を保って変更後の時計に移す');
+        assertEqual(timer.pausedTime, 300000, '終了した区間の経過時間は変わらない');
+        assertEqual(timer.segments.length, 1, '稼働区間は分割しない');
+        assertEqual(timer.segments[0].start, startTime - 600000 - 3600000, '終了した稼働区間も同じだけずらす');
+        assertEqual(timer.breaks[0].end, timer.startTime, '休憩区間も同じだけずらし、区間は重ならない');
+
+        timer.lastTick = null;
+        timer.stop();
+        assertEqual(timer.detectClockChange(startTime, 1000), null, '停止中は検出しない');
+        timer.reset();
+    });
+
     // コールバック実行のテスト（非同期）
     test('コールバック実行テスト', (done) => {
         let callbackCount = 0;
@@ -224,21 +315,4 @@ function runAsyncTests() {
         
         runNextTest();
     });
-}
-
-// テストを実行（ブラウザで利用可能な場合）
-if (typeof document !== 'undefined') {
-    document.addEventListener('DOMContentLoaded', () => {
-        // テスト実行用のボタンを追加（開発時のみ）
-        if (window.location.search.includes('test=true')) {
-            const testButton = document.createElement('button');
-            testButton.textContent = 'TimerManagerテスト実行';
-            testButton.onclick = runTimerManagerTests;
-            testButton.style.position = 'fixed';
-            testButton.style.top = '90px';
-            testButton.style.right = '10px';
-            testButton.style.zIndex = '9999';
-            document.body.appendChild(testButton);
-        }
-    });
 }
\ No newline at end of file
@@ -92,6 +92,84 @@ function runValidationTests() {
         assertEqual(result.error, '時給は小数点以下2桁まで入力してください', '適切なエラーメッセージ');
     });
 
+    // 給与の入力方式のテスト
+    test('月給から時給に換算 (300000円 / 160時間)', () => {
+        const result = validator.validateWageInput({ mode: 'monthly', values: { monthlySalary: '300000', monthlyHours: '160' } });
+        assertEqual(result.isValid, true, '有効な月給');
+        assertEqual(result.value, 1875, '時給は1875円');
+        assertEqual(result.wageInput, { mode: 'monthly', values: { monthlySalary: 300000, monthlyHours: 160 } }, '入力値は数値で保持される');
+    });
+
+    test('年俸から時給に換算 (5000000円 / 240日 × 8時間)', () => {
+        const result = validator.validateWageInput({ mode: 'annual', values: { annualSalary: 5000000, workingDays: 240, dailyHours: 8 } });
+        assertEqual(result.isValid, true, '有効な年俸');
+        assertEqual(result.value, 2604.17, '時給は小数点以下2桁に丸められる');
+    });
+
+    test('日給から時給に換算 (12000円 / 8時間)', () => {
+        const result = validator.validateWageInput({ mode: 'daily', values: { dailyRate: 12000, dailyHours: 8 } });
+        assertEqual(result.value, 1500, '時給は1500円');
+    });
+
+    test('無効な給与の入力', () => {
+        assertEqual(validator.validateWageInput({ mode: 'monthly', values: { monthlySalary: 300000 } }).error,
+            '月の所定労働時間を入力してください', '所定労働時間がない');
+        assertEqual(validator.validateWageInput({ mode: 'daily', values: { dailyRate: 12000, dailyHours: 0 } }).isValid,
+            false, '0時間は無効');
+        assertEqual(validator.validateWageInput({ mode: 'annual', values: { annualSalary: 5000000, workingDays: 240.5, dailyHours: 8 } }).error,
+            '年間労働日数は整数で入力してください', '労働日数は整数');
+        assertEqual(validator.validateWageInput({ mode: 'weekly', values: {} }).error, '無効な入力方式です', '未対応の入力方式');
+    });
+
+    test('時給入力は従来の検証と同じ', () => {
+        const result = validator.validateWageInput({ mode: 'hourly', values: { hourlyWage: '1000.123' } });
+        assertEqual(result.error, '時給は小数点以下2桁まで入力してください', '適切なエラーメッセージ');
+    });
+
+    // 日本語の数値入力のテスト
+    test('全角数字・桁区切り・円記号の入力', () => {
+        assertEqual(validator.validateWage('１，２００').value, 1200, '全角数字と全角カンマ');
+        assertEqual(validator.validateWage('1,200円').value, 1200, '「円」を付けた入力');
+        assertEqual(validator.validateWage('¥1,050.5').value, 1050.5, '円記号と小数');
+        assertEqual(validator.validateWage('$12.50').value, 12.5, '円以外の通貨記号');
+        assertEqual(validator.validateWage(' １２００．５０ ').value, 1200.5, '全角の小数点と前後の空白');
+        assertEqual(validator.validateWage('－100').error, '時給は0円以上で入力してください', '全角のマイナス');
+    });
+
+    test('「万」「千」の単位の入力', () => {
+        assertEqual(validator.parseNumber('1.2万').value, 12000, '小数と万');
+        assertEqual(validator.parseNumber('1万2千').value, 12000, '万と千');
+        assertEqual(validator.parseNumber('30万5000円').value, 305000, '万と端数');
+        assertEqual(validator.parseNumber('1.15万').value, 11500, '小数の誤差を含まない');
+        assertEqual(validator.validateWageInput({ mode: 'monthly', values: { monthlySalary: '３０万', monthlyHours: '160' } }).value,
+            1875, '月給の入力にも使用される');
+    });
+
+    test('判断できない数値入力のエラー', () => {
+        assertEqual(validator.validateWage('1,20').error, '桁区切りの「,」は3桁ごとに入力してください（例: 1,200）', '3桁ごとでないカンマ');
+        assertEqual(validator.validateWage('1.2.3').error, '小数点（.）は1つだけ入力してください', '複数の小数点');
+        assertEqual(validator.validateWage('12abc').error, '数値として使用できない文字「a」が含まれています', '数値の後の文字');
+        assertEqual(validator.validateWage('1 200').error, '数値の途中に空白を入れないでください', '途中の空白');
+        assertEqual(validator.parseNumber('2千1万').error, '「万」「千」は大きい単位から順に1回ずつ入力してください（例: 1万2千）', '単位の順序');
+        assertEqual(validator.parseNumber('1万12000').error, '単位の後の数値が単位より大きいため、金額を判断できません（例: 1万2000）', '単位より大きい端数');
+        assertEqual(validator.parseNumber('万').error, '有効な数値を入力してください', '数値のない単位');
+        assertEqual(validator.validateWageInput({ mode: 'daily', values: { dailyRate: '1,2000', dailyHours: 8 } }).error,
+            '日給: 桁区切りの「,」は3桁ごとに入力してください（例: 1,200）', '項目名を含むエラー');
+        assertEqual(validator.parseNumber('1,20').errorCode, 'grouping', 'エラーの種類を返す');
+        assertEqual(validator.parseNumber('1200').errorCode, null, '有効な入力はエラーの種類なし');
+    });
+
+    test('数値でない入力のエラーは表示言語によらず項目名を示す', () => {
+        const originalLanguage = I18n.getLanguage();
+        I18n.setLanguage('en');
+        try {
+            assertEqual(validator.validateWageInput({ mode: 'daily', values: { dailyRate: 'abc', dailyHours: 8 } }).error,
+                I18n.t('validation.fieldInvalidNumber', { field: I18n.t('wage.field.dailyRate') }), '英語表示でも項目名を示す');
+        } finally {
+            I18n.setLanguage(originalLanguage);
+        }
+    });
+
     // エラー表示機能のテスト
     test('エラー表示機能', () => {
         // テスト用のDOM要素を作成
@@ -0,0 +1,255 @@
+/**
+ * TimeRoundingPolicy クラス
+ * 給与計算で使用される打刻時刻（開始・終了）と勤務時間の合計の端数処理を行い、実際の勤務時間と支払対象の時間を求める
+ */
+class TimeRoundingPolicy {
+    /**
+     * TimeRoundingPolicy を初期化する
+     * @param {Object} settings - 端数処理の設定 {enabled, start, end, total}
+     */
+    constructor(settings = TimeRoundingPolicy.getDefaultSettings()) {
+        this.settings = TimeRoundingPolicy.getDefaultSettings();
+        this.setSettings(settings);
+    }
+
+    /**
+     * 端数処理の単位（分）
+     * @returns {Array<number>} 単位の一覧
+     */
+    static get UNITS() {
+        return [1, 5, 15, 30];
+    }
+
+    /**
+     * 端数処理の方向（none: しない、up: 切り上げ、down: 切り捨て、nearest: 四捨五入）
+     * @returns {Array<string>} 方向の一覧
+     */
+    static get DIRECTIONS() {
+        return ['none', 'up', 'down', 'nearest'];
+    }
+
+    /**
+     * デフォルトの端数処理の設定を取得する（デフォルトは無効、いずれも端数処理しない）
+     * @returns {Object} 端数処理の設定 {enabled, start: {unit, direction}, end: {unit, direction}, total: {unit, direction}}
+     */
+    static getDefaultSettings() {
+        return {
+            enabled: false,
+            start: { unit: 15, direction: 'none' },
+            end: { unit: 15, direction: 'none' },
+            total: { unit: 1, direction: 'none' }
+        };
+    }
+
+    /**
+     * 端数処理の設定を検証する
+     * @param {Object} settings - 端数処理の設定 {enabled, start, end, total}
+     * @returns {Object} 検証結果 {isValid: boolean, error: string|null}
+     */
+    static validateSettings(settings) {
+        if (!settings || typeof settings !== 'object' || typeof settings.enabled !== 'boolean') {
+            return { isValid: false, error: I18n.t('rounding.error.invalid') };
+        }
+
+        const hasInvalidRule = ['start', 'end', 'total'].some(key => {
+            const rule = settings[key];
+            return !rule || !TimeRoundingPolicy.UNITS.includes(rule.unit) ||
+                !TimeRoundingPolicy.DIRECTIONS.includes(rule.direction);
+        });
+        if (hasInvalidRule) {
+            return { isValid: false, error: I18n.t('rounding.error.unit') };
+        }
+
+        return { isValid: true, error: null };
+    }
+
+    /**
+     * 実際の勤務時間より短く計算される可能性がある端数処理を取得する
+     * 開始時刻の切り上げ、終了時刻・合計の切り捨て、四捨五入が該当する（合計の1分単位は分未満のみのため除く）
+     * @param {Object} settings - 端数処理の設定 {enabled, start, end, total}
+     * @returns {Array<string>} 該当する対象の一覧（'start' | 'end' | 'total'）
+     */
+    static getUnderpaymentRisks(settings) {
+        if (!TimeRoundingPolicy.validateSettings(settings).isValid || !settings.enabled) {
+            return [];
+        }
+
+        const shortening = { start: ['up', 'nearest'], end: ['down', 'nearest'], total: ['down', 'nearest'] };
+        return Object.keys(shortening).filter(key => shortening[key].includes(settings[key].direction) &&
+            !(key === 'total' && settings[key].unit === 1));
+    }
+
+    /**
+     * 端数処理の設定を行う
+     * @param {Object} settings - 端数処理の設定 {enabled, start, end, total}
+     * @returns {boolean} 設定に成功したかどうか
+     */
+    setSettings(settings) {
+        if (!TimeRoundingPolicy.validateSettings(settings).isValid) {
+            return false;
+        }
+
+        this.settings = {
+            enabled: settings.enabled,
+            start: { unit: settings.start.unit, direction: settings.start.direction },
+            end: { unit: settings.end.unit, direction: settings.end.direction },
+            total: { unit: settings.total.unit, direction: settings.total.direction }
+        };
+        return true;
+    }
+
+    /**
+     * 端数処理の設定を取得する
+     * @returns {Object} 端数処理の設定（コピー）
+     */
+    getSettings() {
+        return {
+            enabled: this.settings.enabled,
+            start: { ...this.settings.start },
+            end: { ...this.settings.end },
+            total: { ...this.settings.total }
+        };
+    }
+
+    /**
+     * 端数処理が有効かどうかを取得する
+     * @returns {boolean} 有効かどうか
+     */
+    isEnabled() {
+        return this.settings.enabled;
+    }
+
+    /**
+     * 値を単位ごとに端数処理する
+     * @param {number} value - 値
+     * @param {number} unit - 単位
+     * @param {string} direction - 方向
+     * @returns {number} 端数処理した値
+     */
+    roundValue(value, unit, direction) {
+        const round = { up: Math.ceil, down: Math.floor, nearest: Math.round }[direction];
+        return round ? round(value / unit) * unit : value;
+    }
+
+    /**
+     * 打刻時刻を端数処理する（ローカル時刻の0時を基準に単位ごとに区切る）
+     * @param {number} time - 時刻（ミリ秒）
+     * @param {Object} rule - 端数処理のルール {unit, direction}
+     * @returns {number} 端数処理した時刻（ミリ秒）
+     */
+    roundTime(time, rule) {
+        const midnight = new Date(time);
+        midnight.setHours(0, 0, 0, 0);
+        return midnight.getTime() + this.roundValue(time - midnight.getTime(), rule.unit * 60000, rule.direction);
+    }
+
+    /**
+     * 勤務時間に端数処理を適用する
+     * 端数処理した開始・終了時刻の外側の勤務を除き（内側に広がった分は加え）、その合計を端数処理する
+     * @param {number} paidSeconds - 休憩控除後の実際の勤務秒数
+     * @param {Array<Object>} segments - 休憩控除後の稼働区間 [{start, end}]（ミリ秒）
+     * @returns {Object} {rawSeconds, paidSeconds, underpaidSeconds, segments}
+     *   underpaidSeconds は実際の勤務時間の分単位（秒の切り捨て）に対して不足する秒数
+     */
+    calculate(paidSeconds, segments = []) {
+        const rawSeconds = typeof paidSeconds === 'number' && paidSeconds > 0 ? paidSeconds : 0;
+        const sortedSegments = (segments || []).slice().sort((a, b) => a.start - b.start);
+
+        if (!this.settings.enabled) {
+            return {
+                rawSeconds: rawSeconds,
+                paidSeconds: rawSeconds,
+                underpaidSeconds: 0,
+                segments: sortedSegments.map(segment => ({ ...segment }))
+            };
+        }
+
+        // 打刻時刻の端数処理（稼働区間がない場合は合計のみ端数処理する）
+        let punchedSegments = sortedSegments.map(segment => ({ ...segment }));
+        let punchedSeconds = rawSeconds;
+        if (sortedSegments.length > 0) {
+            const first = sortedSegments[0].start;
+            const last = sortedSegments[sortedSegments.length - 1].end;
+            punchedSegments = this.clipSegments(sortedSegments,
+                this.roundTime(first, this.settings.start), this.roundTime(last, this.settings.end));
+            punchedSeconds = Math.max(0, rawSeconds +
+                Math.round((this.sumSegments(punchedSegments) - this.sumSegments(sortedSegments)) / 1000));
+        }
+
+        const total = this.settings.total;
+        const roundedSeconds = Math.max(0, this.roundValue(punchedSeconds, total.unit * 60, total.direction));
+        const exactMinuteSeconds = Math.floor(rawSeconds / 60) * 60;
+
+        return {
+            rawSeconds: rawSeconds,
+            paidSeconds: roundedSeconds,
+            underpaidSeconds: Math.max(0, exactMinuteSeconds - roundedSeconds),
+            segments: this.shiftSegmentsEnd(punchedSegments, roundedSeconds - punchedSeconds)
+        };
+    }
+
+    /**
+     * 稼働区間の長さの合計を取得する
+     * @param {Array<Object>} segments - 稼働区間 [{start, end}]（ミリ秒）
+     * @returns {number} 合計（ミリ秒）
+     */
+    sumSegments(segments) {
+        return segments.reduce((sum, segment) => sum + (segment.end - segment.start), 0);
+    }
+
+    /**
+     * 稼働区間を端数処理した開始・終了時刻に合わせる
+     * 範囲外の勤務は取り除き、範囲が実際の打刻より外側に広がった場合は先頭・末尾の区間を延長する
+     * @param {Array<Object>} segments - 開始時刻順の稼働区間 [{start, end}]（ミリ秒）
+     * @param {number} from - 端数処理した開始時刻（ミリ秒）
+     * @param {number} to - 端数処理した終了時刻（ミリ秒）
+     * @returns {Array<Object>} 調整後の稼働区間 [{start, end}]（ミリ秒）
+     */
+    clipSegments(segments, from, to) {
+        const result = segments
+            .map(segment => ({ start: Math.max(segment.start, from), end: Math.min(segment.end, to) }))
+            .filter(segment => segment.end > segment.start);
+
+        if (result.length > 0 && from < segments[0].start) {
+            result[0].start = from;
+        }
+        if (result.length > 0 && to > segments[segments.length - 1].end) {
+            result[result.length - 1].end = to;
+        }
+
+        return result;
+    }
+
+    /**
+     * 合計の端数処理で増減した時間を稼働区間の末尾に反映する（深夜・休日割増の判定を支払対象の時間に合わせるため）
+     * @param {Array<Object>} segments - 開始時刻順の稼働区間 [{start, end}]（ミリ秒）
+     * @param {number} seconds - 末尾に加える秒数（負の値は末尾から区間をまたいで取り除く）
+     * @returns {Array<Object>} 調整後の稼働区間 [{start, end}]（ミリ秒）
+     */
+    shiftSegmentsEnd(segments, seconds) {
+        const result = segments.map(segment => ({ ...segment }));
+        if (result.length === 0) {
+            return result;
+        }
+
+        if (seconds > 0) {
+            result[result.length - 1].end += seconds * 1000;
+            return result;
+        }
+
+        let trim = -seconds * 1000;
+        while (trim > 0 && result.length > 0) {
+            const last = result[result.length - 1];
+            const length = last.end - last.start;
+            if (length <= trim) {
+                result.pop();
+                trim -= length;
+            } else {
+                last.end -= trim;
+                trim = 0;
+            }
+        }
+
+        return result;
+    }
+}
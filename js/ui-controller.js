@@ -15,6 +15,16 @@ class UIController {
         this.updateInterval = 100; // 表示更新間隔（ミリ秒）
         this.displayUpdateIntervalId = null;
         this.visualizer = null; // Visualizer インスタンス
+        this.premiumSettingsPanel = null; // PremiumSettingsPanel インスタンス
+        this.profilePanel = null; // ProfilePanel インスタンス
+        this.historyPanel = null; // HistoryPanel インスタンス
+        this.reportPanel = null; // ReportPanel インスタンス
+        this.csvExporter = null; // CsvExporter インスタンス
+        this.backupPanel = null; // BackupPanel インスタンス
+        this.shiftSchedulePanel = null; // ShiftSchedulePanel インスタンス
+        this.shiftCheckTimeoutId = null; // 次のシフトの確認の setTimeout のID
+        this.pendingShift = null; // 開始を確認中のシフトの予定
+        this.shownSuspendGapCount = 0; // 勤務時間に含めるかを確認中のスリープした区間の数
         this.isInitialized = false;
     }
 
@@ -26,13 +36,44 @@ class UIController {
             return;
         }
 
+        // HTML に記述した文言を選択中の言語に置き換える
+        I18n.translatePage(document);
+
         // DOM要素の取得
         this.elements = {
             hourlyWageInput: document.getElementById('hourly-wage'),
+            hourlyWageLabel: document.getElementById('hourly-wage-label'),
+            wageInputMode: document.getElementById('wage-input-mode'),
+            salaryFields: document.getElementById('salary-fields'),
+            wageConversion: document.getElementById('wage-conversion'),
             wageError: document.getElementById('wage-error'),
             currentEarnings: document.getElementById('current-earnings'),
+            baseEarnings: document.getElementById('base-earnings'),
+            overtimePremium: document.getElementById('overtime-premium'),
+            nightPremium: document.getElementById('night-premium'),
+            holidayPremium: document.getElementById('holiday-premium'),
             elapsedTime: document.getElementById('elapsed-time'),
             startStopBtn: document.getElementById('start-stop-btn'),
+            breakBtn: document.getElementById('break-btn'),
+            breakTime: document.getElementById('break-time'),
+            grossTime: document.getElementById('gross-time'),
+            deductedBreakItem: document.getElementById('deducted-break-item'),
+            deductedBreakTime: document.getElementById('deducted-break-time'),
+            breakDeductionEnabled: document.getElementById('break-deduction-enabled'),
+            breakDeductionError: document.getElementById('break-deduction-error'),
+            paidTimeItem: document.getElementById('paid-time-item'),
+            rawWorkedTime: document.getElementById('raw-worked-time'),
+            paidTime: document.getElementById('paid-time'),
+            underpaidWarning: document.getElementById('underpaid-warning'),
+            timeRoundingRisk: document.getElementById('time-rounding-risk'),
+            timeRoundingError: document.getElementById('time-rounding-error'),
+            sessionLimitError: document.getElementById('session-limit-error'),
+            netPay: document.getElementById('net-pay'),
+            netEarnings: document.getElementById('net-earnings'),
+            netPayEnabled: document.getElementById('net-pay-enabled'),
+            netPayError: document.getElementById('net-pay-error'),
+            goalStatus: document.getElementById('goal-status'),
+            goalError: document.getElementById('goal-error'),
             resetBtn: document.getElementById('reset-btn'),
             progressBar: document.getElementById('progress-bar'),
             progressContainer: document.getElementById('progress-container'),
@@ -53,6 +94,23 @@ class UIController {
         
         // Visualizerの初期化
         this.initializeVisualizer();
+        this.initializeEarningsTicker();
+        this.initializeCurrencySettings();
+        this.initializeLanguageSettings();
+        
+        // 割増設定パネルの初期化
+        this.initializePremiumSettings();
+        this.initializeBreakDeductionSettings();
+        this.initializeTimeRoundingSettings();
+        this.initializeSessionLimitSettings();
+        this.initializeNetPaySettings();
+        this.initializeGoalSettings();
+        this.initializeProfilePanel();
+        this.initializeShiftSchedulePanel();
+        this.initializeHistoryPanel();
+        this.initializeReportPanel();
+        this.initializeCsvExport();
+        this.initializeBackupPanel();
         
         // イベントリスナーを設定
         this.initializeEventListeners();
@@ -62,10 +120,28 @@ class UIController {
         
         // LocalStorageから設定を読み込み
         this.loadSettingsFromStorage();
+        this.renderWageInputMode(this.app.getWageInput().mode);
         
         // 初期状態の設定
         this.initializeUIState();
         
+        // 中断されたセッションを復元した場合は通知
+        this.showSessionRestoredNotice();
+        
+        // 止め忘れたセッションが上限を過ぎていれば停止する（上限で停止したまま復元した場合は記録する終了時刻を確認する）
+        const limitStop = this.app.getLimitStop();
+        if (limitStop) {
+            this.showLimitPrompt(limitStop);
+        } else {
+            this.checkSessionLimit();
+        }
+        
+        // スリープした区間の確認が残っている場合は表示する
+        this.checkSuspendGaps();
+        
+        // シフトの開始・終了の確認を開始（ページを閉じていた間のシフトもここで処理する）
+        this.startShiftScheduleTimer();
+        
         // 表示更新タイマーを開始
         this.startDisplayUpdateTimer();
         
@@ -142,92 +218,1082 @@ class UIController {
             console.warn('UIController: プライベートブラウジングモードの検出中にエラーが発生しました', e);
         }
     }
-    
+    
+    /**
+     * プライベートブラウジングモードの通知を表示する
+     */
+    showPrivateBrowsingNotice() {
+        // 既存の通知を確認
+        let notice = document.getElementById('private-browsing-notice');
+        
+        if (!notice) {
+            // 通知を作成
+            notice = document.createElement('div');
+            notice.id = 'private-browsing-notice';
+            notice.className = 'storage-notice';
+            notice.innerHTML = '<span class="icon">ℹ️</span> ';
+            notice.appendChild(document.createTextNode(I18n.t('storage.privateBrowsing')));
+            notice.title = I18n.t('storage.privateBrowsingDetail');
+            
+            // スタイルを設定
+            notice.style.backgroundColor = 'rgba(33, 150, 243, 0.1)';
+            notice.style.color = '#0D47A1';
+            notice.style.padding = '5px 10px';
+            notice.style.borderRadius = '4px';
+            notice.style.fontSize = '0.8rem';
+            notice.style.marginTop = '5px';
+            notice.style.display = 'flex';
+            notice.style.alignItems = 'center';
+            notice.style.justifyContent = 'center';
+            
+            // アイコンのスタイル
+            const iconSpan = notice.querySelector('.icon');
+            if (iconSpan) {
+                iconSpan.style.marginRight = '5px';
+            }
+            
+            // 時給入力セクションの後に追加
+            const wageInputSection = document.querySelector('.wage-input-section');
+            if (wageInputSection) {
+                wageInputSection.appendChild(notice);
+            }
+        }
+    }
+    
+    /**
+     * セッション復元の通知を表示する
+     * @param {number} duration - 表示時間（ミリ秒）
+     */
+    showSessionRestoredNotice(duration = 5000) {
+        const restored = this.app.getRestoredSession();
+        if (!restored) {
+            return;
+        }
+        
+        const startedAt = new Date(restored.sessionStartedAt).toLocaleTimeString(I18n.getLocale(), {
+            hour: '2-digit',
+            minute: '2-digit'
+        });
+        
+        this.showSessionNotice('session-restored-notice', restored.status === 'running'
+            ? I18n.t('session.restoredRunning', { time: startedAt })
+            : I18n.t('session.restoredPaused', { time: startedAt }), duration);
+    }
+    
+    /**
+     * セッションについての通知を操作コントロールの直前に表示する
+     * @param {string} id - 通知要素のID（同じIDの通知は置き換える）
+     * @param {string} message - 通知の文言
+     * @param {number} duration - 表示時間（ミリ秒）
+     * @returns {HTMLElement} 通知要素
+     */
+    showSessionNotice(id, message, duration = 5000) {
+        const existing = document.getElementById(id);
+        if (existing && existing.parentNode) {
+            existing.parentNode.removeChild(existing);
+        }
+        
+        const notice = document.createElement('div');
+        notice.id = id;
+        notice.className = 'session-notice';
+        notice.setAttribute('role', 'status');
+        notice.textContent = message;
+        
+        // 操作コントロールの直前に表示
+        const controlsSection = document.querySelector('.controls-section');
+        if (controlsSection && controlsSection.parentNode) {
+            controlsSection.parentNode.insertBefore(notice, controlsSection);
+        } else {
+            document.body.appendChild(notice);
+        }
+        
+        // 一定時間後に通知を消す
+        if (duration > 0) {
+            setTimeout(() => {
+                if (notice.parentNode) {
+                    notice.parentNode.removeChild(notice);
+                }
+            }, duration);
+        }
+        return notice;
+    }
+    
+    /**
+     * シフトの開始・終了の確認を実行し、次の分の境界で再び確認するようスケジュールする
+     */
+    startShiftScheduleTimer() {
+        if (this.shiftCheckTimeoutId) {
+            clearTimeout(this.shiftCheckTimeoutId);
+        }
+
+        this.checkShiftSchedule();
+
+        // シフトの時刻は分単位のため、壁時計の分の境界を越えた直後に確認する
+        const delay = 60000 - (Date.now() % 60000) + 50;
+        this.shiftCheckTimeoutId = setTimeout(() => {
+            this.shiftCheckTimeoutId = null;
+            this.startShiftScheduleTimer();
+        }, delay);
+    }
+    
+    /**
+     * シフトの開始・終了を確認し、開始・終了・記録したシフトを画面に反映して通知する
+     */
+    checkShiftSchedule() {
+        const result = this.app.checkShiftSchedule();
+        const formatTime = (time) => new Date(time).toLocaleTimeString(I18n.getLocale(), { hour: '2-digit', minute: '2-digit' });
+
+        // 確認中のシフトが終わったか、セッションを開始した場合は確認を消す
+        if (this.pendingShift && (Date.now() >= this.pendingShift.end || this.app.hasActiveSession())) {
+            this.hideShiftPrompt();
+        }
+
+        if (result.stopped) {
+            this.refreshAfterSessionEnd();
+            this.showSessionNotice('shift-stopped-notice', I18n.t('shift.notice.stopped', { time: formatTime(result.stopped.end) }), 10000);
+        }
+
+        if (result.backfilled.length > 0) {
+            this.refreshRecordedTotals();
+            this.showSessionNotice('shift-backfilled-notice', I18n.t('shift.notice.backfilled', { count: result.backfilled.length }), 10000);
+        }
+
+        if (result.started) {
+            this.refreshAfterSessionStart();
+            this.showSessionNotice('shift-started-notice', I18n.t('shift.notice.started', {
+                start: formatTime(result.started.start),
+                end: formatTime(result.started.end)
+            }), 10000);
+        }
+
+        if (result.pending) {
+            this.showShiftPrompt(result.pending, formatTime);
+        }
+
+        // 自動開始できなかったシフトは、理由を表示して開始の確認に切り替える
+        if (result.startError) {
+            this.validator.showError(this.elements.wageError, result.startError);
+        }
+    }
+    
+    /**
+     * シフトの開始を確認する通知（開始・閉じるボタン付き）を表示する
+     * @param {Object} occurrence - シフトの予定 {shift, start, end}
+     * @param {Function} formatTime - 時刻を表示用にフォーマットする関数
+     */
+    showShiftPrompt(occurrence, formatTime) {
+        const notice = this.showSessionNotice('shift-prompt', I18n.t('shift.notice.prompt', {
+            start: formatTime(occurrence.start),
+            end: formatTime(occurrence.end)
+        }), 0);
+        this.pendingShift = occurrence;
+
+        const startBtn = document.createElement('button');
+        startBtn.type = 'button';
+        startBtn.className = 'settings-btn';
+        startBtn.textContent = I18n.t('shift.notice.start');
+        startBtn.addEventListener('click', () => {
+            const result = this.app.startShift(occurrence, Date.now());
+            this.hideShiftPrompt();
+            if (!result.success) {
+                this.validator.showError(this.elements.wageError, result.message);
+                return;
+            }
+            this.refreshAfterSessionStart();
+        });
+
+        const dismissBtn = document.createElement('button');
+        dismissBtn.type = 'button';
+        dismissBtn.className = 'settings-btn';
+        dismissBtn.textContent = I18n.t('shift.notice.dismiss');
+        dismissBtn.addEventListener('click', () => {
+            this.hideShiftPrompt();
+        });
+
+        notice.appendChild(document.createTextNode(' '));
+        notice.appendChild(startBtn);
+        notice.appendChild(document.createTextNode(' '));
+        notice.appendChild(dismissBtn);
+    }
+    
+    /**
+     * シフトの開始の確認を消す
+     */
+    hideShiftPrompt() {
+        const notice = document.getElementById('shift-prompt');
+        if (notice && notice.parentNode) {
+            notice.parentNode.removeChild(notice);
+        }
+        this.pendingShift = null;
+    }
+    
+    /**
+     * セッションが上限を過ぎていれば上限の時刻で停止し、記録する終了時刻の確認を表示する
+     */
+    checkSessionLimit() {
+        const limitStop = this.app.checkSessionLimit();
+        if (!limitStop) {
+            return;
+        }
+
+        this.syncEarningsTicker();
+        this.synchronizeState();
+        this.showLimitPrompt(limitStop);
+    }
+    
+    /**
+     * 上限で停止したセッションの通知（記録する終了時刻の入力と、記録・再開ボタン付き）を表示する
+     * @param {Object} limitStop - 停止した時刻と理由 {at, reason}
+     */
+    showLimitPrompt(limitStop) {
+        const time = new Date(limitStop.at).toLocaleString(I18n.getLocale(), {
+            month: 'numeric',
+            day: 'numeric',
+            hour: '2-digit',
+            minute: '2-digit'
+        });
+        const message = limitStop.reason === 'maxLength'
+            ? I18n.t('limit.notice.maxLength', { count: this.app.getSessionLimitPolicy().getSettings().maxHours, time: time })
+            : I18n.t('limit.notice.expectedEnd', { time: time });
+        const notice = this.showSessionNotice('session-limit-prompt', message, 0);
+        notice.setAttribute('role', 'alert');
+
+        // 上限を過ぎてから止めていなかった分を除けるよう、停止した時刻以前の終了時刻を選べる
+        const endInput = document.createElement('input');
+        endInput.type = 'datetime-local';
+        const initialValue = this.historyPanel.toInputValue(limitStop.at);
+        endInput.value = initialValue;
+        endInput.max = initialValue;
+        endInput.setAttribute('aria-label', I18n.t('limit.notice.endLabel'));
+
+        const errorElement = document.createElement('div');
+        errorElement.className = 'error-message';
+        errorElement.setAttribute('role', 'alert');
+
+        const recordBtn = document.createElement('button');
+        recordBtn.type = 'button';
+        recordBtn.className = 'settings-btn';
+        recordBtn.textContent = I18n.t('limit.notice.record');
+        recordBtn.addEventListener('click', () => {
+            // 変更していない場合は入力の分単位に丸めず、停止した時刻で記録する
+            const result = this.app.finishLimitedSession(endInput.value === initialValue
+                ? null
+                : this.historyPanel.parseInputValue(endInput.value));
+            if (!result.success) {
+                this.validator.showError(errorElement, result.message);
+                return;
+            }
+            this.refreshAfterSessionEnd();
+        });
+
+        const continueBtn = document.createElement('button');
+        continueBtn.type = 'button';
+        continueBtn.className = 'settings-btn';
+        continueBtn.textContent = I18n.t('limit.notice.continue');
+        continueBtn.addEventListener('click', () => {
+            if (this.app.start()) {
+                this.refreshAfterSessionStart();
+                this.syncEarningsTicker();
+            }
+        });
+
+        notice.appendChild(document.createTextNode(' '));
+        notice.appendChild(endInput);
+        notice.appendChild(document.createTextNode(' '));
+        notice.appendChild(recordBtn);
+        notice.appendChild(document.createTextNode(' '));
+        notice.appendChild(continueBtn);
+        notice.appendChild(errorElement);
+    }
+    
+    /**
+     * スリープなどで稼働区間から除いた区間が増減した場合に、勤務時間に含めるかの確認を表示し直す
+     */
+    checkSuspendGaps() {
+        const gaps = this.app.getSuspendGaps();
+        if (gaps.length === this.shownSuspendGapCount) {
+            return;
+        }
+
+        this.shownSuspendGapCount = gaps.length;
+        if (gaps.length === 0) {
+            this.hideSuspendPrompt();
+            return;
+        }
+
+        this.updateDisplay(false);
+        this.showSuspendPrompt(gaps);
+    }
+    
+    /**
+     * スリープなどで稼働区間から除いた区間を勤務時間に含めるかの確認（含める・含めないボタン付き）を表示する
+     * @param {Array<Object>} gaps - 区間 [{start, end}]（ミリ秒）
+     */
+    showSuspendPrompt(gaps) {
+        const formatTime = (time) => new Date(time).toLocaleTimeString(I18n.getLocale(), { hour: '2-digit', minute: '2-digit' });
+        const ranges = gaps
+            .map(gap => `${formatTime(gap.start)}${I18n.t('common.rangeSeparator')}${formatTime(gap.end)}`)
+            .join(I18n.t('common.listSeparator'));
+        const minutes = Math.round(gaps.reduce((total, gap) => total + (gap.end - gap.start), 0) / 60000);
+        const notice = this.showSessionNotice('suspend-prompt', I18n.t('clock.notice.suspend', { ranges: ranges, count: minutes }), 0);
+
+        const resolve = (include) => {
+            this.app.resolveSuspendGaps(include);
+            this.shownSuspendGapCount = 0;
+            this.hideSuspendPrompt();
+            this.updateDisplay(false);
+        };
+
+        const includeBtn = document.createElement('button');
+        includeBtn.type = 'button';
+        includeBtn.className = 'settings-btn';
+        includeBtn.textContent = I18n.t('clock.notice.include');
+        includeBtn.addEventListener('click', () => resolve(true));
+
+        const excludeBtn = document.createElement('button');
+        excludeBtn.type = 'button';
+        excludeBtn.className = 'settings-btn';
+        excludeBtn.textContent = I18n.t('clock.notice.exclude');
+        excludeBtn.addEventListener('click', () => resolve(false));
+
+        notice.appendChild(document.createTextNode(' '));
+        notice.appendChild(includeBtn);
+        notice.appendChild(document.createTextNode(' '));
+        notice.appendChild(excludeBtn);
+    }
+    
+    /**
+     * スリープした区間の確認を消す
+     */
+    hideSuspendPrompt() {
+        const notice = document.getElementById('suspend-prompt');
+        if (notice && notice.parentNode) {
+            notice.parentNode.removeChild(notice);
+        }
+    }
+    
+    /**
+     * 上限で停止したセッションの通知を消す
+     */
+    hideLimitPrompt() {
+        const notice = document.getElementById('session-limit-prompt');
+        if (notice && notice.parentNode) {
+            notice.parentNode.removeChild(notice);
+        }
+    }
+    
+    /**
+     * Visualizerを初期化する
+     */
+    initializeVisualizer() {
+        const visualElements = {
+            progressContainer: this.elements.progressContainer,
+            progressBar: this.elements.progressBar,
+            progressLabel: this.elements.progressLabel,
+            circleChartContainer: document.getElementById('circle-chart-container'),
+            circleProgress: document.getElementById('circle-progress'),
+            circleText: document.getElementById('circle-text'),
+            barViewBtn: document.getElementById('bar-view-btn'),
+            circleViewBtn: document.getElementById('circle-view-btn')
+        };
+        
+        this.visualizer = new Visualizer(visualElements, this.currencyFormatter);
+        
+        // 保存された視覚化モードを読み込む
+        // グローバル変数から初期モードを取得（WageCounterApp.loadVisualSettings で設定）
+        const savedMode = window.initialVisualizationMode || 'bar';
+        
+        // Visualizerを初期化し、保存されたモードを設定
+        this.visualizer.initialize(savedMode);
+        
+        // 視覚化モード切り替えボタンのイベントリスナーを設定
+        if (visualElements.barViewBtn && visualElements.circleViewBtn) {
+            visualElements.barViewBtn.addEventListener('click', () => {
+                this.visualizer.setVisualizationMode('bar');
+                this.app.saveVisualizationMode('bar');
+            });
+            
+            visualElements.circleViewBtn.addEventListener('click', () => {
+                this.visualizer.setVisualizationMode('circle');
+                this.app.saveVisualizationMode('circle');
+            });
+            
+            // 初期状態のボタンのアクティブ状態を設定
+            visualElements.barViewBtn.classList.toggle('active', savedMode === 'bar');
+            visualElements.circleViewBtn.classList.toggle('active', savedMode === 'circle');
+        }
+    }
+
+    /**
+     * 累積収入の滑らかな表示（秒未満の補間）を初期化する
+     */
+    initializeEarningsTicker() {
+        const savedSettings = this.app.loadSettings('earningsTicker', null).value;
+        this.earningsTicker = new EarningsTicker(this.app, this.elements.currentEarnings, this.currencyFormatter,
+            savedSettings || EarningsTicker.getDefaultSettings());
+
+        const enabledInput = document.getElementById('smooth-ticker-enabled');
+        const decimalsInput = document.getElementById('ticker-decimals');
+        const errorElement = document.getElementById('ticker-error');
+        if (!enabledInput || !decimalsInput) {
+            return;
+        }
+
+        const settings = this.earningsTicker.getSettings();
+        enabledInput.checked = settings.enabled;
+        decimalsInput.value = settings.decimals;
+
+        [enabledInput, decimalsInput].forEach(input => {
+            input.addEventListener('change', () => {
+                const newSettings = {
+                    enabled: enabledInput.checked,
+                    decimals: Number(decimalsInput.value)
+                };
+
+                const validationResult = EarningsTicker.validateSettings(newSettings);
+                if (!validationResult.isValid) {
+                    this.validator.showError(errorElement, validationResult.error);
+                    return;
+                }
+
+                this.validator.hideError(errorElement);
+                this.earningsTicker.setSettings(newSettings);
+                this.app.saveSettings('earningsTicker', this.earningsTicker.getSettings());
+                this.syncEarningsTicker();
+                this.updateDisplay(false);
+            });
+        });
+    }
+
+    /**
+     * 動作中のみ累積収入の補間表示を実行する
+     */
+    syncEarningsTicker() {
+        if (!this.earningsTicker) {
+            return;
+        }
+
+        if (this.app.getState().isRunning) {
+            this.earningsTicker.start();
+        } else {
+            this.earningsTicker.stop();
+            this.earningsTicker.render();
+        }
+    }
+
+    /**
+     * 累積収入を表示設定（小数点以下の桁数）に合わせてフォーマットする
+     * @param {number} amount - 金額
+     * @returns {string} フォーマットされた通貨文字列
+     */
+    formatCurrentEarnings(amount) {
+        return this.earningsTicker
+            ? this.earningsTicker.format(amount)
+            : this.currencyFormatter.formatSimple(amount);
+    }
+
+    /**
+     * 割増設定パネルを初期化する
+     */
+    initializePremiumSettings() {
+        this.premiumSettingsPanel = new PremiumSettingsPanel(this.app, {
+            rulesBody: document.getElementById('overtime-rules-body'),
+            addRuleBtn: document.getElementById('add-overtime-rule-btn'),
+            errorElement: document.getElementById('overtime-rules-error'),
+            nightEnabledInput: document.getElementById('night-premium-enabled'),
+            nightStartInput: document.getElementById('night-start'),
+            nightEndInput: document.getElementById('night-end'),
+            nightRateInput: document.getElementById('night-rate'),
+            nightErrorElement: document.getElementById('night-premium-error'),
+            holidayEnabledInput: document.getElementById('holiday-premium-enabled'),
+            nationalHolidayRateInput: document.getElementById('national-holiday-rate'),
+            sundayRateInput: document.getElementById('sunday-rate'),
+            companyHolidayRateInput: document.getElementById('company-holiday-rate'),
+            companyHolidaysList: document.getElementById('company-holidays-list'),
+            companyHolidayDateInput: document.getElementById('company-holiday-date'),
+            companyHolidayNameInput: document.getElementById('company-holiday-name'),
+            addCompanyHolidayBtn: document.getElementById('add-company-holiday-btn'),
+            holidayErrorElement: document.getElementById('holiday-premium-error')
+        });
+        this.premiumSettingsPanel.initialize();
+    }
+
+    /**
+     * ジョブの切り替えと編集パネルを初期化する
+     */
+    initializeProfilePanel() {
+        this.profilePanel = new ProfilePanel(this.app, {
+            profileSelect: document.getElementById('profile-select'),
+            switchErrorElement: document.getElementById('profile-switch-error'),
+            settingsGroup: document.getElementById('profile-settings'),
+            profilesBody: document.getElementById('profiles-body'),
+            newColorInput: document.getElementById('new-profile-color'),
+            newNameInput: document.getElementById('new-profile-name'),
+            newWageInput: document.getElementById('new-profile-wage'),
+            addProfileBtn: document.getElementById('add-profile-btn'),
+            errorElement: document.getElementById('profile-error')
+        }, () => {
+            this.refreshProfileSettings();
+        });
+        this.profilePanel.initialize();
+    }
+
+    /**
+     * シフトの設定パネルを初期化する
+     */
+    initializeShiftSchedulePanel() {
+        this.shiftSchedulePanel = new ShiftSchedulePanel(this.app, {
+            settingsGroup: document.getElementById('shift-settings'),
+            modeSelect: document.getElementById('shift-mode'),
+            shiftsBody: document.getElementById('shifts-body'),
+            newWeekdaySelect: document.getElementById('new-shift-weekday'),
+            newStartInput: document.getElementById('new-shift-start'),
+            newEndInput: document.getElementById('new-shift-end'),
+            newProfileSelect: document.getElementById('new-shift-profile'),
+            addShiftBtn: document.getElementById('add-shift-btn'),
+            errorElement: document.getElementById('shift-error')
+        }, () => {
+            // 保存より前に始まったシフトは対象外のため、確認中のシフトの通知を消す
+            this.hideShiftPrompt();
+        });
+        this.shiftSchedulePanel.initialize();
+    }
+
+    /**
+     * 勤務履歴パネルを初期化する
+     */
+    initializeHistoryPanel() {
+        this.historyPanel = new HistoryPanel(this.app, {
+            settingsGroup: document.getElementById('history-settings'),
+            historyBody: document.getElementById('history-body'),
+            showDeletedInput: document.getElementById('history-show-deleted'),
+            prevPageBtn: document.getElementById('history-prev-btn'),
+            nextPageBtn: document.getElementById('history-next-btn'),
+            pageLabel: document.getElementById('history-page'),
+            errorElement: document.getElementById('history-error'),
+            formTitle: document.getElementById('history-form-title'),
+            startInput: document.getElementById('history-start'),
+            endInput: document.getElementById('history-end'),
+            wageInput: document.getElementById('history-wage'),
+            breaksList: document.getElementById('history-breaks'),
+            addBreakBtn: document.getElementById('add-history-break-btn'),
+            saveBtn: document.getElementById('save-history-btn'),
+            cancelBtn: document.getElementById('cancel-history-edit-btn'),
+            formErrorElement: document.getElementById('history-form-error')
+        }, () => {
+            this.refreshRecordedTotals();
+        });
+        this.historyPanel.initialize();
+    }
+
+    /**
+     * 勤務履歴と日別集計の変更を、目標の進捗・ジョブ別の合計・収入レポートに反映する
+     */
+    refreshRecordedTotals() {
+        this.updateDisplay(false);
+        if (this.profilePanel) {
+            this.profilePanel.renderProfiles();
+        }
+        if (this.historyPanel && this.historyPanel.isInitialized) {
+            this.historyPanel.render();
+        }
+        if (this.reportPanel && this.reportPanel.isInitialized) {
+            this.reportPanel.render();
+        }
+    }
+
+    /**
+     * 収入レポートパネルを初期化する
+     */
+    initializeReportPanel() {
+        this.reportPanel = new ReportPanel(this.app, {
+            periodTabs: document.getElementById('report-period-tabs'),
+            prevBtn: document.getElementById('report-prev-btn'),
+            nextBtn: document.getElementById('report-next-btn'),
+            rangeLabel: document.getElementById('report-range'),
+            customRange: document.getElementById('report-custom-range'),
+            startInput: document.getElementById('report-start'),
+            endInput: document.getElementById('report-end'),
+            applyBtn: document.getElementById('report-apply-btn'),
+            summary: document.getElementById('report-summary'),
+            chart: document.getElementById('report-chart'),
+            labelHeading: document.getElementById('report-label-heading'),
+            reportBody: document.getElementById('report-body'),
+            errorElement: document.getElementById('report-error')
+        });
+        this.reportPanel.initialize();
+    }
+
+    /**
+     * CSVの書き出し設定と書き出しボタンを初期化する
+     */
+    initializeCsvExport() {
+        const savedOptions = this.app.loadSettings('csvExport', null).value;
+        this.csvExporter = new CsvExporter(this.currencyFormatter, savedOptions || CsvExporter.getDefaultOptions());
+
+        const bomInput = document.getElementById('csv-bom');
+        const columnsSelect = document.getElementById('csv-columns');
+        const dateFormatSelect = document.getElementById('csv-date-format');
+        const amountFormatSelect = document.getElementById('csv-amount-format');
+        const errorElement = document.getElementById('csv-export-error');
+        if (!bomInput || !columnsSelect || !dateFormatSelect || !amountFormatSelect) {
+            return;
+        }
+
+        this.updateCsvAmountExample();
+
+        const options = this.csvExporter.getOptions();
+        bomInput.checked = options.bom;
+        columnsSelect.value = options.columns;
+        dateFormatSelect.value = options.dateFormat;
+        amountFormatSelect.value = options.amountFormat;
+
+        [bomInput, columnsSelect, dateFormatSelect, amountFormatSelect].forEach(input => {
+            input.addEventListener('change', () => {
+                const newOptions = {
+                    bom: bomInput.checked,
+                    columns: columnsSelect.value,
+                    dateFormat: dateFormatSelect.value,
+                    amountFormat: amountFormatSelect.value
+                };
+
+                const validationResult = CsvExporter.validateOptions(newOptions);
+                if (!validationResult.isValid) {
+                    this.validator.showError(errorElement, validationResult.error);
+                    return;
+                }
+
+                this.validator.hideError(errorElement);
+                this.csvExporter.setOptions(newOptions);
+                this.app.saveSettings('csvExport', this.csvExporter.getOptions());
+            });
+        });
+
+        const buttons = [
+            ['export-history-csv-btn', 'history', errorElement],
+            ['export-range-csv-btn', 'range', document.getElementById('report-error')],
+            ['export-report-csv-btn', 'report', document.getElementById('report-error')]
+        ];
+        buttons.forEach(([id, target, targetErrorElement]) => {
+            const button = document.getElementById(id);
+            if (button) {
+                button.addEventListener('click', () => {
+                    this.exportCsv(target, targetErrorElement);
+                });
+            }
+        });
+    }
+
+    /**
+     * CSVを作成してファイルとして保存する
+     * @param {string} target - 'history': すべての勤務履歴、'range': 収入レポートの期間の勤務、'report': 収入レポートの集計
+     * @param {HTMLElement} errorElement - エラー表示要素
+     * @returns {boolean} 保存を開始できたかどうか
+     */
+    exportCsv(target, errorElement) {
+        let entries;
+        let content;
+        let filename;
+
+        if (target === 'history') {
+            entries = this.app.getSessionHistory().getEntries();
+            content = this.csvExporter.createSessionsCsv(entries);
+            filename = CsvExporter.createFilename('sessions');
+        } else {
+            const report = this.reportPanel.getReport();
+            entries = this.reportPanel.getEntries();
+            content = target === 'report'
+                ? this.csvExporter.createReportCsv(report)
+                : this.csvExporter.createSessionsCsv(entries);
+            filename = CsvExporter.createFilename(target === 'report' ? 'report' : 'sessions', report.range);
+        }
+
+        if (entries.length === 0) {
+            this.validator.showError(errorElement, I18n.t('csv.error.empty'));
+            return false;
+        }
+
+        if (!CsvExporter.download(filename, content)) {
+            this.validator.showError(errorElement, I18n.t('file.error.saveUnsupported'));
+            return false;
+        }
+
+        this.validator.hideError(errorElement);
+        return true;
+    }
+
+    /**
+     * バックアップと復元のパネルを初期化する
+     */
+    initializeBackupPanel() {
+        this.backupPanel = new BackupPanel(this.app, {
+            createBtn: document.getElementById('create-backup-btn'),
+            fileInput: document.getElementById('backup-file'),
+            modeGroup: document.getElementById('backup-mode'),
+            preview: document.getElementById('backup-preview'),
+            previewSummary: document.getElementById('backup-preview-summary'),
+            previewBody: document.getElementById('backup-preview-body'),
+            applyBtn: document.getElementById('apply-backup-btn'),
+            cancelBtn: document.getElementById('cancel-backup-btn'),
+            errorElement: document.getElementById('backup-error')
+        });
+        this.backupPanel.initialize();
+    }
+
+    /**
+     * 切り替えたジョブの時給と割増設定を画面に反映する
+     */
+    refreshProfileSettings() {
+        const state = this.app.getState();
+        const calculator = this.app.getPremiumCalculator();
+
+        this.elements.hourlyWageInput.value = state.hourlyWage;
+        this.validator.hideError(this.elements.wageError);
+        this.elements.startStopBtn.disabled = state.hourlyWage <= 0;
+        this.renderWageInputMode(this.app.getWageInput().mode);
+
+        if (this.premiumSettingsPanel && this.premiumSettingsPanel.isInitialized) {
+            this.premiumSettingsPanel.render(calculator.getOvertimeRules());
+            this.premiumSettingsPanel.renderNightSettings(calculator.getNightPremium());
+            this.premiumSettingsPanel.renderHolidaySettings(calculator.getHolidayPremium());
+        }
+
+        this.updateDisplay(false);
+    }
+
+    /**
+     * 休憩の自動控除設定を初期化する
+     */
+    initializeBreakDeductionSettings() {
+        const checkbox = this.elements.breakDeductionEnabled;
+        if (!checkbox) {
+            return;
+        }
+
+        checkbox.checked = this.app.getBreakDeductionPolicy().isEnabled();
+        checkbox.addEventListener('change', () => {
+            const settings = this.app.getBreakDeductionPolicy().getSettings();
+            settings.enabled = checkbox.checked;
+
+            const result = this.app.saveBreakDeductionSettings(settings);
+            if (result.error === 'invalid_break_deduction') {
+                this.validator.showError(this.elements.breakDeductionError, result.message);
+                return;
+            }
+
+            this.validator.hideError(this.elements.breakDeductionError);
+            this.updateDisplay(false);
+        });
+    }
+
+    /**
+     * 勤務時間の端数処理の設定を初期化する
+     */
+    initializeTimeRoundingSettings() {
+        const enabled = document.getElementById('time-rounding-enabled');
+        const inputs = ['start', 'end', 'total'].map(target => ({
+            target: target,
+            unit: document.getElementById(`time-rounding-${target}-unit`),
+            direction: document.getElementById(`time-rounding-${target}-direction`)
+        }));
+
+        if (!enabled || inputs.some(input => !input.unit || !input.direction)) {
+            return;
+        }
+
+        const current = this.app.getTimeRoundingPolicy().getSettings();
+        enabled.checked = current.enabled;
+        inputs.forEach(input => {
+            input.unit.value = current[input.target].unit;
+            input.direction.value = current[input.target].direction;
+        });
+        this.updateTimeRoundingRisk(current);
+
+        const handleChange = () => {
+            const settings = { enabled: enabled.checked };
+            inputs.forEach(input => {
+                settings[input.target] = {
+                    unit: parseInt(input.unit.value, 10),
+                    direction: input.direction.value
+                };
+            });
+
+            const result = this.app.saveTimeRoundingSettings(settings);
+            if (result.error === 'invalid_time_rounding') {
+                this.validator.showError(this.elements.timeRoundingError, result.message);
+                return;
+            }
+
+            this.validator.hideError(this.elements.timeRoundingError);
+            this.updateTimeRoundingRisk(settings);
+            this.updateDisplay(false);
+        };
+
+        enabled.addEventListener('change', handleChange);
+        inputs.forEach(input => {
+            input.unit.addEventListener('change', handleChange);
+            input.direction.addEventListener('change', handleChange);
+        });
+    }
+
+    /**
+     * セッションの上限の設定を初期化する
+     */
+    initializeSessionLimitSettings() {
+        const enabled = document.getElementById('session-limit-enabled');
+        const hoursInput = document.getElementById('session-limit-hours');
+        const endInput = document.getElementById('session-limit-end');
+
+        if (!enabled || !hoursInput || !endInput) {
+            return;
+        }
+
+        const current = this.app.getSessionLimitPolicy().getSettings();
+        enabled.checked = current.enabled;
+        hoursInput.value = current.maxHours;
+        endInput.value = current.expectedEnd;
+
+        const handleChange = () => {
+            const settings = {
+                enabled: enabled.checked,
+                maxHours: hoursInput.value === '' ? NaN : Number(hoursInput.value),
+                expectedEnd: endInput.value
+            };
+
+            const result = this.app.saveSessionLimitSettings(settings);
+            if (result.error === 'invalid_session_limit') {
+                this.validator.showError(this.elements.sessionLimitError, result.message);
+                return;
+            }
+
+            this.validator.hideError(this.elements.sessionLimitError);
+        };
+
+        [enabled, hoursInput, endInput].forEach(input => {
+            input.addEventListener('change', handleChange);
+        });
+    }
+
+    /**
+     * 実際の勤務時間より短く計算される端数処理の設定に警告を表示する
+     * @param {Object} settings - 端数処理の設定 {enabled, start, end, total}
+     */
+    updateTimeRoundingRisk(settings) {
+        const risks = TimeRoundingPolicy.getUnderpaymentRisks(settings);
+
+        this.elements.timeRoundingRisk.hidden = risks.length === 0;
+        this.elements.timeRoundingRisk.textContent = risks.length > 0
+            ? I18n.t('rounding.risk', {
+                targets: risks.map(risk => I18n.t(`rounding.target.${risk}`)).join(I18n.t('common.listSeparator'))
+            })
+            : '';
+    }
+
+    /**
+     * 手取り計算の設定を初期化する
+     */
+    initializeNetPaySettings() {
+        const inputs = {
+            enabled: this.elements.netPayEnabled,
+            healthInsuranceRate: document.getElementById('health-insurance-rate'),
+            nursingCareRate: document.getElementById('nursing-care-rate'),
+            pensionRate: document.getElementById('pension-rate'),
+            employmentInsuranceRate: document.getElementById('employment-insurance-rate'),
+            dependents: document.getElementById('dependents')
+        };
+
+        if (Object.values(inputs).some(input => !input)) {
+            return;
+        }
+
+        // 画面上は料率をパーセントで表示する
+        const settings = this.app.getNetPayEstimator().getSettings();
+        inputs.enabled.checked = settings.enabled;
+        NetPayEstimator.RATE_KEYS.forEach(key => {
+            inputs[key].value = Math.round(settings[key] * 100000) / 1000;
+        });
+        inputs.dependents.value = settings.dependents;
+
+        Object.values(inputs).forEach(input => {
+            input.addEventListener('change', () => {
+                const newSettings = {
+                    enabled: inputs.enabled.checked,
+                    dependents: Number(inputs.dependents.value)
+                };
+                NetPayEstimator.RATE_KEYS.forEach(key => {
+                    newSettings[key] = parseFloat(inputs[key].value) / 100;
+                });
+
+                const result = this.app.saveNetPaySettings(newSettings);
+                if (result.error === 'invalid_net_pay') {
+                    this.validator.showError(this.elements.netPayError, result.message);
+                    return;
+                }
+
+                this.validator.hideError(this.elements.netPayError);
+                this.updateDisplay(false);
+            });
+        });
+    }
+
+    /**
+     * 目標の設定を初期化する
+     */
+    initializeGoalSettings() {
+        const inputs = {
+            period: document.getElementById('goal-period'),
+            type: document.getElementById('goal-type'),
+            target: document.getElementById('goal-target')
+        };
+
+        if (Object.values(inputs).some(input => !input)) {
+            return;
+        }
+
+        const goal = this.app.getGoalTracker().getGoal();
+        inputs.period.value = goal.period;
+        inputs.type.value = goal.type;
+        inputs.target.value = goal.target;
+        this.updateGoalTargetUnit(goal.type);
+
+        Object.values(inputs).forEach(input => {
+            input.addEventListener('change', () => {
+                this.updateGoalTargetUnit(inputs.type.value);
+
+                const targetResult = this.validator.parseNumber(inputs.target.value);
+                if (!targetResult.isValid) {
+                    this.validator.showError(this.elements.goalError, targetResult.error);
+                    return;
+                }
+
+                const result = this.app.saveGoalSettings({
+                    period: inputs.period.value,
+                    type: inputs.type.value,
+                    target: targetResult.value
+                });
+                if (result.error === 'invalid_goal') {
+                    this.validator.showError(this.elements.goalError, result.message);
+                    return;
+                }
+
+                this.validator.hideError(this.elements.goalError);
+                this.updateDisplay(false);
+            });
+        });
+    }
+
+    /**
+     * 目標値の単位の表示を更新する
+     * @param {string} type - 目標の種類 ('amount' または 'hours')
+     */
+    updateGoalTargetUnit(type) {
+        const unit = document.getElementById('goal-target-unit');
+        if (unit) {
+            unit.textContent = type === 'hours' ? I18n.t('unit.hours') : this.getAmountUnit();
+        }
+    }
+
+    /**
+     * CSVの金額の形式の選択肢に、表示中の通貨での通貨表示の例を表示する
+     */
+    updateCsvAmountExample() {
+        const option = document.querySelector('#csv-amount-format option[value="formatted"]');
+        if (option) {
+            option.textContent = I18n.t('csv.amount.formatted', { example: this.currencyFormatter.formatSimple(1234.5) });
+        }
+    }
+
+    /**
+     * 金額の入力欄に表示する単位を取得する（円はカタログの単位、それ以外は通貨記号）
+     * @returns {string} 単位
+     */
+    getAmountUnit() {
+        return this.currencyFormatter.getCurrency() === 'JPY' ? I18n.t('unit.yen') : this.currencyFormatter.getSymbol();
+    }
+
+    /**
+     * 勤務の手入力フォームの時給の単位を更新する
+     */
+    updateHistoryWageUnit() {
+        const unit = document.getElementById('history-wage-unit');
+        if (unit) {
+            unit.textContent = this.getAmountUnit();
+        }
+    }
+
     /**
-     * プライベートブラウジングモードの通知を表示する
+     * 表示する言語の設定を初期化する（変更するとページを再読み込みして文言を切り替える）
      */
-    showPrivateBrowsingNotice() {
-        // 既存の通知を確認
-        let notice = document.getElementById('private-browsing-notice');
-        
-        if (!notice) {
-            // 通知を作成
-            notice = document.createElement('div');
-            notice.id = 'private-browsing-notice';
-            notice.className = 'storage-notice';
-            notice.innerHTML = '<span class="icon">ℹ️</span> プライベートブラウジングモードでは設定が保存されません';
-            notice.title = 'プライベートブラウジングモードでは、ブラウザの仕様によりLocalStorageが制限されています。アプリは引き続き使用できますが、設定はブラウザを閉じると失われます。';
-            
-            // スタイルを設定
-            notice.style.backgroundColor = 'rgba(33, 150, 243, 0.1)';
-            notice.style.color = '#0D47A1';
-            notice.style.padding = '5px 10px';
-            notice.style.borderRadius = '4px';
-            notice.style.fontSize = '0.8rem';
-            notice.style.marginTop = '5px';
-            notice.style.display = 'flex';
-            notice.style.alignItems = 'center';
-            notice.style.justifyContent = 'center';
-            
-            // アイコンのスタイル
-            const iconSpan = notice.querySelector('.icon');
-            if (iconSpan) {
-                iconSpan.style.marginRight = '5px';
-            }
-            
-            // 時給入力セクションの後に追加
-            const wageInputSection = document.querySelector('.wage-input-section');
-            if (wageInputSection) {
-                wageInputSection.appendChild(notice);
+    initializeLanguageSettings() {
+        const select = document.getElementById('language-select');
+        const errorElement = document.getElementById('language-error');
+        if (!select) {
+            return;
+        }
+
+        select.value = I18n.getLanguage();
+
+        select.addEventListener('change', () => {
+            const result = this.app.saveLanguage(select.value);
+            if (result.error === 'invalid_language') {
+                this.validator.showError(errorElement, result.message);
+                return;
             }
+
+            // 計測中のセッションは再読み込み後に復元される
+            window.location.reload();
+        });
+    }
+
+    /**
+     * 通貨の設定を初期化する
+     */
+    initializeCurrencySettings() {
+        const select = document.getElementById('currency-select');
+        const errorElement = document.getElementById('currency-error');
+        if (!select) {
+            return;
         }
+
+        CurrencyFormatter.CURRENCIES.forEach(currency => {
+            const option = document.createElement('option');
+            option.value = currency;
+            option.textContent = I18n.t('currency.option', { name: this.currencyFormatter.getCurrencyName(currency), code: currency });
+            select.appendChild(option);
+        });
+        select.value = this.currencyFormatter.getCurrency();
+        this.updateHistoryWageUnit();
+
+        select.addEventListener('change', () => {
+            const result = this.app.saveCurrency(select.value);
+            if (result.error === 'invalid_currency') {
+                this.validator.showError(errorElement, result.message);
+                return;
+            }
+
+            this.validator.hideError(errorElement);
+            this.refreshCurrencyDisplay();
+        });
     }
-    
+
     /**
-     * Visualizerを初期化する
+     * 変更した通貨で金額の表示と単位を更新する
      */
-    initializeVisualizer() {
-        const visualElements = {
-            progressContainer: this.elements.progressContainer,
-            progressBar: this.elements.progressBar,
-            progressLabel: this.elements.progressLabel,
-            circleChartContainer: document.getElementById('circle-chart-container'),
-            circleProgress: document.getElementById('circle-progress'),
-            circleText: document.getElementById('circle-text'),
-            barViewBtn: document.getElementById('bar-view-btn'),
-            circleViewBtn: document.getElementById('circle-view-btn')
-        };
-        
-        this.visualizer = new Visualizer(visualElements, this.currencyFormatter);
-        
-        // 保存された視覚化モードを読み込む
-        // グローバル変数から初期モードを取得（WageCounterApp.loadVisualSettings で設定）
-        const savedMode = window.initialVisualizationMode || 'bar';
-        
-        // Visualizerを初期化し、保存されたモードを設定
-        this.visualizer.initialize(savedMode);
-        
-        // 視覚化モード切り替えボタンのイベントリスナーを設定
-        if (visualElements.barViewBtn && visualElements.circleViewBtn) {
-            visualElements.barViewBtn.addEventListener('click', () => {
-                this.visualizer.setVisualizationMode('bar');
-                this.app.saveVisualizationMode('bar');
-            });
-            
-            visualElements.circleViewBtn.addEventListener('click', () => {
-                this.visualizer.setVisualizationMode('circle');
-                this.app.saveVisualizationMode('circle');
-            });
-            
-            // 初期状態のボタンのアクティブ状態を設定
-            visualElements.barViewBtn.classList.toggle('active', savedMode === 'bar');
-            visualElements.circleViewBtn.classList.toggle('active', savedMode === 'circle');
+    refreshCurrencyDisplay() {
+        this.renderWageInputMode(this.elements.wageInputMode.value);
+        this.updateGoalTargetUnit(this.app.getGoalTracker().getGoal().type);
+        this.updateHistoryWageUnit();
+        this.updateCsvAmountExample();
+        this.updateDisplay(false);
+
+        if (this.profilePanel) {
+            this.profilePanel.renderProfiles();
         }
-        
-        // 初期状態では時給を目標収入として設定
-        const hourlyWage = parseFloat(this.elements.hourlyWageInput.value) || 0;
-        if (hourlyWage > 0) {
-            this.visualizer.setMaxEarnings(hourlyWage);
+        if (this.historyPanel && this.historyPanel.isInitialized) {
+            this.historyPanel.render();
+        }
+        if (this.reportPanel && this.reportPanel.isInitialized) {
+            this.reportPanel.render();
         }
     }
 
@@ -238,12 +1304,21 @@ class UIController {
         // 時給入力のバリデーション処理
         this.elements.hourlyWageInput.addEventListener('input', this.handleWageInput.bind(this));
         
+        // 給与の入力方式の切り替えと月給・年俸・日給の入力
+        this.elements.wageInputMode.addEventListener('change', this.handleWageModeChange.bind(this));
+        this.elements.salaryFields.addEventListener('input', this.handleSalaryInput.bind(this));
+        
         // 入力フィールドからフォーカスが外れたときの処理
         this.elements.hourlyWageInput.addEventListener('blur', this.handleWageInputBlur.bind(this));
         
         // 開始/停止ボタンのクリックイベント
         this.elements.startStopBtn.addEventListener('click', this.handleStartStop.bind(this));
         
+        // 休憩ボタンのクリックイベント
+        if (this.elements.breakBtn) {
+            this.elements.breakBtn.addEventListener('click', this.handleBreak.bind(this));
+        }
+        
         // リセットボタンのクリックイベント
         this.elements.resetBtn.addEventListener('click', this.handleReset.bind(this));
         
@@ -268,11 +1343,22 @@ class UIController {
                 }
             }
             
+            // Bキーで休憩の開始・終了（入力欄での入力中は除く）
+            if ((event.key === 'b' || event.key === 'B') && !event.ctrlKey && !event.metaKey && !event.altKey) {
+                const target = event.target;
+                const isTyping = target && (target.tagName === 'INPUT' || target.tagName === 'TEXTAREA' ||
+                    target.tagName === 'SELECT' || target.isContentEditable);
+                if (!isTyping) {
+                    event.preventDefault();
+                    this.handleBreak();
+                }
+            }
+            
             // Escキーでリセット確認ダイアログを表示
             if (event.key === 'Escape') {
                 const currentState = this.app.getState();
                 if (currentState.isRunning || currentState.currentEarnings > 0) {
-                    if (confirm('カウンターをリセットしますか？')) {
+                    if (confirm(I18n.t('controls.confirmReset'))) {
                         this.handleReset();
                     }
                 }
@@ -344,7 +1430,7 @@ class UIController {
                 
                 // ストレージエラーの場合は控えめに通知
                 if (saveResult.error === 'storage_error' || saveResult.error === 'storage_unavailable') {
-                    this.showTemporaryError(saveResult.message || '設定の保存に失敗しました', 'storage');
+                    this.showTemporaryError(saveResult.message || I18n.t('storage.saveFailed'), 'storage');
                 }
             }
             
@@ -367,10 +1453,114 @@ class UIController {
      * @param {Event} event - ブラーイベント
      */
     handleWageInputBlur(event) {
-        // 空の場合はエラーを表示
-        if (event.target.value === '') {
-            this.validator.showError(this.elements.wageError, '時給を入力してください');
+        // 空の場合はエラーを表示（月給・年俸・日給から換算する場合は除く）
+        if (event.target.value === '' && !event.target.readOnly) {
+            this.validator.showError(this.elements.wageError, I18n.t('validation.wageRequired'));
             this.elements.startStopBtn.disabled = true;
+            return;
+        }
+
+        // 「1.2万」や全角数字などの入力は変換後の数値の表示に揃える
+        const validationResult = this.validator.validateWage(event.target.value);
+        if (validationResult.isValid && event.target.value !== String(validationResult.value)) {
+            event.target.value = validationResult.value;
+        }
+    }
+
+    /**
+     * 給与の入力方式の変更を処理する
+     */
+    handleWageModeChange() {
+        const mode = this.elements.wageInputMode.value;
+        this.validator.hideError(this.elements.wageError);
+        
+        // 時給入力に戻す場合は現在の時給をそのまま時給入力として保存
+        if (mode === 'hourly' && this.elements.hourlyWageInput.value !== '') {
+            this.app.saveWageInput({ mode: 'hourly', values: { hourlyWage: this.elements.hourlyWageInput.value } });
+        }
+        
+        this.renderWageInputMode(mode);
+        console.log('UIController: 給与の入力方式が変更されました:', mode);
+    }
+
+    /**
+     * 月給・年俸・日給の入力を処理し、時給に換算する
+     */
+    handleSalaryInput() {
+        const values = {};
+        this.elements.salaryFields.querySelectorAll('input[data-key]').forEach(input => {
+            values[input.dataset.key] = input.value;
+        });
+        
+        const result = this.app.saveWageInput({ mode: this.elements.wageInputMode.value, values: values });
+        
+        if (result.error === 'invalid_wage_input') {
+            this.validator.showError(this.elements.wageError, result.message);
+            return;
+        }
+        
+        this.validator.hideError(this.elements.wageError);
+        
+        const state = this.app.getState();
+        this.elements.hourlyWageInput.value = state.hourlyWage;
+        this.elements.startStopBtn.disabled = state.hourlyWage <= 0 && !state.isRunning && !state.isOnBreak;
+        this.updateWageConversion(state);
+    }
+
+    /**
+     * 給与の入力方式に応じて入力欄を描画する
+     * 月給・年俸・日給の場合は時給欄を換算結果の表示専用にする
+     * @param {string} mode - 入力方式 ('hourly', 'monthly', 'annual', 'daily')
+     */
+    renderWageInputMode(mode) {
+        const modeDefinition = InputValidator.WAGE_INPUT_MODES[mode] || InputValidator.WAGE_INPUT_MODES.hourly;
+        const wageInput = this.app.getWageInput();
+        const values = wageInput.mode === mode ? wageInput.values : {};
+        const isHourly = mode === 'hourly';
+        
+        this.elements.wageInputMode.value = mode;
+        this.elements.salaryFields.innerHTML = '';
+        this.elements.salaryFields.hidden = isHourly;
+        
+        if (!isHourly) {
+            modeDefinition.fields.forEach(field => {
+                const label = document.createElement('label');
+                label.className = 'salary-field';
+                label.appendChild(document.createTextNode(field.label));
+                const unit = field.unit === 'amount' ? this.getAmountUnit() : I18n.t(`unit.${field.unit}`);
+                
+                const input = document.createElement('input');
+                input.type = 'text';
+                input.inputMode = field.integer ? 'numeric' : 'decimal';
+                input.dataset.key = field.key;
+                input.value = values[field.key] !== undefined ? values[field.key] : '';
+                input.setAttribute('aria-label', I18n.t('wage.fieldLabel', { field: field.label, unit: unit }));
+                label.appendChild(input);
+                label.appendChild(document.createTextNode(unit));
+                
+                this.elements.salaryFields.appendChild(label);
+            });
+        }
+        
+        this.elements.hourlyWageInput.readOnly = !isHourly;
+        this.elements.hourlyWageLabel.textContent = I18n.t(isHourly ? 'wage.hourlyLabel' : 'wage.effectiveLabel', { unit: this.getAmountUnit() });
+        this.updateWageConversion(this.app.getState());
+    }
+
+    /**
+     * 換算した時給と秒給の表示を更新する（時給入力の場合は表示しない）
+     * @param {Object} state - アプリケーションの状態
+     */
+    updateWageConversion(state) {
+        const isConverted = this.app.getWageInput().mode !== 'hourly' && this.elements.wageInputMode.value !== 'hourly';
+        this.elements.wageConversion.hidden = !isConverted;
+        
+        if (isConverted) {
+            this.elements.wageConversion.textContent =
+                I18n.t('wage.conversion', {
+                    hourly: this.currencyFormatter.formatDetailed(state.hourlyWage),
+                    perSecond: this.currencyFormatter.formatPrecise(state.perSecondWage, 4)
+                });
         }
     }
 
@@ -380,23 +1570,26 @@ class UIController {
     handleStartStop() {
         const currentState = this.app.getState();
         
-        if (currentState.isRunning) {
-            // 停止
+        if (currentState.isRunning || currentState.isOnBreak) {
+            // 停止（休憩中の場合は休憩も終了する）
             this.app.stop();
             this.updateStartStopButton(false);
+            this.updateBreakButton(this.app.getState());
             
             // リセットボタンを有効化
             this.elements.resetBtn.disabled = false;
         } else {
             // 開始前に時給が設定されているかチェック
             if (currentState.hourlyWage <= 0) {
-                this.validator.showError(this.elements.wageError, '時給を設定してからカウンターを開始してください');
+                this.validator.showError(this.elements.wageError, I18n.t('controls.wageRequiredToStart'));
                 return;
             }
             
-            // 開始
+            // 開始（上限で停止したセッションは再開する）
             this.app.start();
+            this.hideLimitPrompt();
             this.updateStartStopButton(true);
+            this.updateBreakButton(this.app.getState());
             
             // 動作中はリセットボタンを無効化
             this.elements.resetBtn.disabled = true;
@@ -405,42 +1598,105 @@ class UIController {
         console.log('UIController: 開始/停止ボタンがクリックされました - 状態:', currentState.isRunning ? '停止' : '開始');
     }
 
+    /**
+     * 休憩ボタンのクリックイベントを処理する
+     */
+    handleBreak() {
+        const currentState = this.app.getState();
+        
+        if (!currentState.isRunning && !currentState.isOnBreak) {
+            return; // 勤務中でない場合は休憩できない
+        }
+        
+        this.app.toggleBreak();
+        
+        const newState = this.app.getState();
+        this.updateBreakButton(newState);
+        this.updateSessionSummary(newState);
+        this.syncEarningsTicker();
+        
+        console.log('UIController: 休憩ボタンがクリックされました - 状態:', newState.isOnBreak ? '休憩開始' : '休憩終了');
+    }
+
     /**
      * リセットボタンのクリックイベントを処理する
      */
     handleReset() {
         // 動作中の場合は確認
         const currentState = this.app.getState();
-        if (currentState.isRunning) {
-            if (!confirm('カウンターが動作中です。リセットしますか？')) {
+        if (currentState.isRunning || currentState.isOnBreak) {
+            if (!confirm(I18n.t('controls.confirmResetRunning'))) {
                 return;
             }
         }
         
         this.app.reset();
+        this.refreshAfterSessionEnd();
         
+        console.log('UIController: リセットボタンがクリックされました');
+    }
+
+    /**
+     * シフトなどから開始したセッションを画面に反映する（ジョブが切り替わった場合を含む）
+     */
+    refreshAfterSessionStart() {
+        if (this.profilePanel) {
+            this.profilePanel.render();
+        }
+        this.refreshProfileSettings();
+
+        const state = this.app.getState();
+        this.updateStartStopButton(state.isRunning || state.isOnBreak);
+        this.updateBreakButton(state);
+        this.elements.resetBtn.disabled = true;
+        this.validator.hideError(this.elements.wageError);
+        this.hideLimitPrompt();
+    }
+
+    /**
+     * 終了したセッションを画面に反映し、UIを初期状態に戻す
+     */
+    refreshAfterSessionEnd() {
         // UIを初期状態に戻す
+        this.hideLimitPrompt();
+        this.hideSuspendPrompt();
+        this.shownSuspendGapCount = 0;
         this.updateStartStopButton(false);
-        this.elements.currentEarnings.textContent = this.currencyFormatter.formatSimple(0);
+        this.elements.currentEarnings.textContent = this.formatCurrentEarnings(0);
         this.elements.currentEarnings.title = '';
+        this.elements.baseEarnings.textContent = this.currencyFormatter.formatSimple(0);
+        this.elements.overtimePremium.textContent = this.currencyFormatter.formatSimple(0);
+        this.elements.nightPremium.textContent = this.currencyFormatter.formatSimple(0);
+        this.elements.holidayPremium.textContent = this.currencyFormatter.formatSimple(0);
+        this.updateNetPay(this.app.getState());
         this.elements.elapsedTime.textContent = '00:00:00';
+        this.updateSessionSummary(this.app.getState());
+        this.updateBreakButton(this.app.getState());
         
-        // Visualizerをリセット
+        // Visualizerをリセット（今日・今週・今月の目標は記録済みの勤務から再表示する）
         if (this.visualizer && this.visualizer.isInitialized) {
             this.visualizer.reset();
+            this.updateGoalProgress(this.app.getState(), false);
+        }
+        
+        // 終了したセッションを勤務履歴に表示
+        if (this.historyPanel && this.historyPanel.isInitialized) {
+            this.historyPanel.render();
+        }
+        if (this.reportPanel && this.reportPanel.isInitialized) {
+            this.reportPanel.render();
         }
         
         // リセットボタンを有効化
         this.elements.resetBtn.disabled = false;
         
         // 時給が設定されていない場合は開始ボタンを無効化
-        if (!this.elements.hourlyWageInput.value || parseFloat(this.elements.hourlyWageInput.value) <= 0) {
+        const wageResult = this.validator.validateWage(this.elements.hourlyWageInput.value);
+        if (!wageResult.isValid || wageResult.value <= 0) {
             this.elements.startStopBtn.disabled = true;
         } else {
             this.elements.startStopBtn.disabled = false;
         }
-        
-        console.log('UIController: リセットボタンがクリックされました');
     }
 
     /**
@@ -449,14 +1705,75 @@ class UIController {
      */
     updateStartStopButton(isRunning) {
         if (isRunning) {
-            this.elements.startStopBtn.textContent = '停止';
+            this.elements.startStopBtn.textContent = I18n.t('controls.stop');
             this.elements.startStopBtn.classList.remove('start');
             this.elements.startStopBtn.classList.add('running', 'stop');
         } else {
-            this.elements.startStopBtn.textContent = '開始';
+            this.elements.startStopBtn.textContent = I18n.t('controls.start');
             this.elements.startStopBtn.classList.remove('running', 'stop');
             this.elements.startStopBtn.classList.add('start');
         }
+        
+        // セッション中はジョブを切り替えられない
+        if (this.profilePanel && this.profilePanel.isInitialized) {
+            this.profilePanel.setLocked(this.app.hasActiveSession());
+        }
+        
+        this.syncEarningsTicker();
+    }
+
+    /**
+     * 休憩ボタンの表示を更新する
+     * @param {Object} state - アプリケーションの状態
+     */
+    updateBreakButton(state) {
+        if (!this.elements.breakBtn) {
+            return;
+        }
+        
+        this.elements.breakBtn.disabled = !state.isRunning && !state.isOnBreak;
+        this.elements.breakBtn.textContent = I18n.t(state.isOnBreak ? 'controls.endBreak' : 'controls.break');
+        this.elements.breakBtn.classList.toggle('on-break', state.isOnBreak);
+        this.elements.breakBtn.setAttribute('aria-label', I18n.t(state.isOnBreak ? 'controls.endBreakLabel' : 'controls.startBreak'));
+        this.elements.breakBtn.setAttribute('aria-pressed', state.isOnBreak ? 'true' : 'false');
+    }
+
+    /**
+     * 休憩時間・自動控除された休憩時間・拘束時間・実働と支払対象の時間の表示を更新する
+     * @param {Object} state - アプリケーションの状態
+     */
+    updateSessionSummary(state) {
+        const underpaidMinutes = Math.ceil(state.underpaidSeconds / 60);
+        const items = [
+            [this.elements.breakTime, TimerManager.formatSeconds(state.breakSeconds)],
+            [this.elements.deductedBreakTime, TimerManager.formatSeconds(state.deductedBreakSeconds)],
+            [this.elements.grossTime, TimerManager.formatSeconds(state.grossSeconds)],
+            [this.elements.rawWorkedTime, TimerManager.formatSeconds(state.rawWorkedSeconds)],
+            [this.elements.paidTime, TimerManager.formatSeconds(state.paidSeconds)],
+            [this.elements.underpaidWarning, underpaidMinutes > 0
+                ? I18n.t('display.underpaid', { count: underpaidMinutes })
+                : '']
+        ];
+        
+        // 自動控除が無効の場合は控除欄を表示しない
+        if (this.elements.deductedBreakItem) {
+            this.elements.deductedBreakItem.hidden = !state.isBreakDeductionEnabled;
+        }
+        
+        // 端数処理が無効の場合は実働と支払対象の時間が同じため表示しない
+        if (this.elements.paidTimeItem) {
+            this.elements.paidTimeItem.hidden = !state.isTimeRoundingEnabled;
+        }
+        if (this.elements.underpaidWarning) {
+            this.elements.underpaidWarning.hidden = underpaidMinutes === 0;
+        }
+        
+        items.forEach(([element, text]) => {
+            // 変更がある場合のみDOMを更新
+            if (element && element.textContent !== text) {
+                element.textContent = text;
+            }
+        });
     }
 
     /**
@@ -494,7 +1811,7 @@ class UIController {
             // ストレージエラーの場合はUIに通知
             if (result.error === 'storage_error' || result.error === 'storage_unavailable') {
                 // エラーを表示（一時的に表示して自動的に消える）
-                this.showTemporaryError(result.message || '設定の読み込みに失敗しました', 'storage');
+                this.showTemporaryError(result.message || I18n.t('storage.loadFailed'), 'storage');
             }
         }
         
@@ -524,15 +1841,17 @@ class UIController {
         const state = this.app.getState();
         
         // 初期状態では開始ボタンを無効化（時給が設定されていない場合）
-        if (!this.elements.hourlyWageInput.value || parseFloat(this.elements.hourlyWageInput.value) <= 0) {
+        const wageResult = this.validator.validateWage(this.elements.hourlyWageInput.value);
+        if (!wageResult.isValid || wageResult.value <= 0) {
             this.elements.startStopBtn.disabled = true;
         } else {
             this.elements.startStopBtn.disabled = false;
         }
         
         // 初期状態のボタンクラス設定
-        this.updateStartStopButton(state.isRunning);
-        this.elements.resetBtn.disabled = state.isRunning;
+        this.updateStartStopButton(state.isRunning || state.isOnBreak);
+        this.updateBreakButton(state);
+        this.elements.resetBtn.disabled = state.isRunning || state.isOnBreak;
         
         // 初期表示の更新
         this.updateDisplay(false); // アニメーションなしで初期表示
@@ -575,6 +1894,9 @@ class UIController {
     hasStateChanged(newState, oldState) {
         return (
             newState.isRunning !== oldState.isRunning ||
+            newState.isOnBreak !== oldState.isOnBreak ||
+            newState.breakSeconds !== oldState.breakSeconds ||
+            newState.grossSeconds !== oldState.grossSeconds ||
             newState.hourlyWage !== oldState.hourlyWage ||
             newState.currentEarnings !== oldState.currentEarnings ||
             newState.elapsedSeconds !== oldState.elapsedSeconds
@@ -588,8 +1910,9 @@ class UIController {
         const state = this.app.getState();
         
         // UIを現在の状態に合わせて更新
-        this.updateStartStopButton(state.isRunning);
-        this.elements.resetBtn.disabled = state.isRunning;
+        this.updateStartStopButton(state.isRunning || state.isOnBreak);
+        this.updateBreakButton(state);
+        this.elements.resetBtn.disabled = state.isRunning || state.isOnBreak;
         this.updateDisplay(false); // アニメーションなしで更新
         
         console.log('UIController: アプリケーション状態とUIを同期しました');
@@ -610,17 +1933,22 @@ class UIController {
         // 最適化された更新関数を作成
         this.optimizedUpdateDisplay = PerformanceOptimizer.optimizeDOMUpdates((useAnimation) => {
             const state = this.app.getState();
-            if (state.isRunning) {
+            if (state.isRunning || state.isOnBreak) {
                 this.updateDisplay(useAnimation);
             }
         }, 100); // 最小更新間隔を100msに設定
         
         // 定期的な表示更新（アプリが動作中の場合のみ）
         this.displayUpdateIntervalId = setInterval(() => {
+            // 止め忘れたセッションが上限を過ぎていれば停止し、スリープした区間があれば確認する
+            this.checkSessionLimit();
+            this.checkSuspendGaps();
+
             const state = this.app.getState();
             const currentTime = Date.now();
             
-            if (state.isRunning) {
+            // 休憩中も休憩時間の表示を更新する
+            if (state.isRunning || state.isOnBreak) {
                 // 更新間隔に基づいてアニメーション効果を調整
                 // 頻繁な更新ではアニメーションを省略し、一定間隔でのみアニメーション効果を適用
                 const timeSinceLastUpdate = currentTime - this.lastUpdateTime;
@@ -702,32 +2030,34 @@ class UIController {
         const prevEarnings = this.elements.currentEarnings.textContent;
         
         // 収入表示の更新（通貨フォーマッターを使用）
-        const formattedEarnings = this.currencyFormatter.formatSimple(state.currentEarnings);
+        // 補間表示の実行中は EarningsTicker が毎フレーム更新するため書き込まない
+        const formattedEarnings = this.formatCurrentEarnings(state.currentEarnings);
+        const isTickerActive = this.earningsTicker && this.earningsTicker.isActive();
         
-        // アニメーション効果を使用する場合
-        if (animate && prevEarnings !== formattedEarnings) {
-            this.animateValueChange(this.elements.currentEarnings, formattedEarnings);
-        } else {
-            this.elements.currentEarnings.textContent = formattedEarnings;
+        if (!isTickerActive && prevEarnings !== formattedEarnings) {
+            // アニメーション効果を使用する場合
+            if (animate) {
+                this.animateValueChange(this.elements.currentEarnings, formattedEarnings);
+            } else {
+                this.elements.currentEarnings.textContent = formattedEarnings;
+            }
         }
         
-        // 経過時間表示の更新
-        this.elements.elapsedTime.textContent = state.formattedElapsedTime;
+        // 基本給と割増分の内訳表示の更新
+        this.updateEarningsBreakdown(state);
         
-        // Visualizerを使用してプログレスバーを更新
-        if (this.visualizer && this.visualizer.isInitialized) {
-            // 時給が変更された場合は目標収入も更新
-            if (state.hourlyWage > 0 && this.visualizer.maxEarnings !== state.hourlyWage) {
-                this.visualizer.setMaxEarnings(state.hourlyWage);
-            }
-            
-            // 収入進捗を更新
-            this.visualizer.updateProgress(state.currentEarnings, animate);
+        // 経過時間表示の更新（変更がある場合のみ）
+        if (this.elements.elapsedTime.textContent !== state.formattedElapsedTime) {
+            this.elements.elapsedTime.textContent = state.formattedElapsedTime;
         }
+        this.updateSessionSummary(state);
+        
+        // Visualizerを使用して目標に対する進捗を更新
+        this.updateGoalProgress(state, animate);
         
         // 収入表示にツールチップで詳細表示を追加
         if (state.currentEarnings > 0) {
-            this.elements.currentEarnings.title = `詳細: ${this.currencyFormatter.formatDetailed(state.currentEarnings)}`;
+            this.elements.currentEarnings.title = I18n.t('display.earningsDetail', { amount: this.currencyFormatter.formatDetailed(state.currentEarnings) });
         } else {
             this.elements.currentEarnings.title = '';
         }
@@ -736,6 +2066,131 @@ class UIController {
         this.updateAriaAttributes(state);
     }
     
+    /**
+     * 基本給と割増分（時間外・深夜・休日）の内訳表示を更新する
+     * @param {Object} state - アプリケーションの状態
+     */
+    updateEarningsBreakdown(state) {
+        const items = [
+            [this.elements.baseEarnings, state.baseEarnings],
+            [this.elements.overtimePremium, state.overtimePremium],
+            [this.elements.nightPremium, state.nightPremium],
+            [this.elements.holidayPremium, state.holidayPremium]
+        ];
+        
+        items.forEach(([element, amount]) => {
+            const formatted = this.currencyFormatter.formatSimple(amount);
+            // 変更がある場合のみDOMを更新
+            if (element && element.textContent !== formatted) {
+                element.textContent = formatted;
+            }
+        });
+        
+        this.updateNetPay(state);
+    }
+    
+    /**
+     * 手取り額と控除の内訳の表示を更新する
+     * @param {Object} state - アプリケーションの状態
+     */
+    updateNetPay(state) {
+        // 手取り表示が無効の場合は表示しない
+        this.elements.netPay.hidden = !state.netPay;
+        if (!state.netPay) {
+            return;
+        }
+        
+        const items = [
+            [this.elements.netEarnings, state.netPay.net],
+            ['net-pay-gross', state.netPay.gross],
+            ['net-pay-income-tax', state.netPay.incomeTax],
+            ['net-pay-health-insurance', state.netPay.healthInsurance],
+            ['net-pay-nursing-care', state.netPay.nursingCare],
+            ['net-pay-pension', state.netPay.pension],
+            ['net-pay-employment-insurance', state.netPay.employmentInsurance],
+            ['net-pay-total-deductions', state.netPay.totalDeductions]
+        ];
+        
+        items.forEach(([target, amount]) => {
+            const element = typeof target === 'string' ? document.getElementById(target) : target;
+            const formatted = this.currencyFormatter.formatSimple(amount);
+            // 変更がある場合のみDOMを更新
+            if (element && element.textContent !== formatted) {
+                element.textContent = formatted;
+            }
+        });
+    }
+    
+    /**
+     * 目標に対する進捗と達成見込み時刻の表示を更新する
+     * @param {Object} state - アプリケーションの状態
+     * @param {boolean} animate - アニメーション効果を使用するかどうか
+     */
+    updateGoalProgress(state, animate = true) {
+        const goal = state.goal;
+
+        if (this.visualizer && this.visualizer.isInitialized) {
+            this.visualizer.setGoalProgress(goal ? {
+                progress: goal.progress,
+                currentText: this.formatGoalValue(goal.current, goal.type),
+                targetText: this.formatGoalValue(goal.target, goal.type)
+            } : null);
+            this.visualizer.updateProgress(state.currentEarnings, animate);
+        }
+
+        if (!goal) {
+            this.elements.goalStatus.textContent = '';
+            return;
+        }
+
+        let status = I18n.t('goal.status.remaining', { value: this.formatGoalValue(goal.remaining, goal.type) });
+        if (goal.reached) {
+            status = I18n.t('goal.status.reached');
+        } else if (goal.etaSeconds !== null) {
+            status = I18n.t('goal.status.eta', { time: this.formatGoalEta(goal.etaSeconds) });
+        }
+
+        const text = I18n.t('goal.status', {
+            period: I18n.t(`goal.period.${goal.period}`),
+            target: this.formatGoalValue(goal.target, goal.type),
+            status: status
+        });
+        // 変更がある場合のみDOMを更新
+        if (this.elements.goalStatus.textContent !== text) {
+            this.elements.goalStatus.textContent = text;
+        }
+        this.elements.goalStatus.classList.toggle('goal-reached', goal.reached);
+    }
+
+    /**
+     * 目標の値を表示用に整形する
+     * @param {number} value - 金額（円）または時間
+     * @param {string} type - 目標の種類 ('amount' または 'hours')
+     * @returns {string} 整形された文字列
+     */
+    formatGoalValue(value, type) {
+        if (type === 'hours') {
+            return TimerManager.formatSeconds(Math.floor(value * 3600));
+        }
+        return this.currencyFormatter.formatSimple(value);
+    }
+
+    /**
+     * 達成見込み時刻を表示用に整形する（翌日以降は日付を含める）
+     * @param {number} etaSeconds - 達成までの秒数
+     * @returns {string} 整形された時刻
+     */
+    formatGoalEta(etaSeconds) {
+        const now = new Date();
+        const eta = new Date(now.getTime() + etaSeconds * 1000);
+        const time = `${eta.getHours().toString().padStart(2, '0')}:${eta.getMinutes().toString().padStart(2, '0')}`;
+
+        if (eta.toDateString() === now.toDateString()) {
+            return time;
+        }
+        return `${eta.getMonth() + 1}/${eta.getDate()} ${time}`;
+    }
+
     /**
      * 値の変更をアニメーション効果で表示する
      * @param {HTMLElement} element - 対象要素
@@ -761,29 +2216,26 @@ class UIController {
     updateAriaAttributes(state) {
         // 収入表示のARIA属性
         this.elements.currentEarnings.setAttribute('aria-live', 'polite');
-        this.elements.currentEarnings.setAttribute('aria-label', `現在の累積収入: ${this.currencyFormatter.formatDetailed(state.currentEarnings)}円`);
+        this.elements.currentEarnings.setAttribute('aria-label', I18n.t('display.earningsLabel', { amount: this.currencyFormatter.formatDetailed(state.currentEarnings) }));
         
         // 経過時間表示のARIA属性
         this.elements.elapsedTime.setAttribute('aria-live', 'polite');
-        this.elements.elapsedTime.setAttribute('aria-label', `経過時間: ${state.formattedElapsedTime}`);
+        this.elements.elapsedTime.setAttribute('aria-label', I18n.t('display.elapsedLabel', { time: state.formattedElapsedTime }));
         
         // プログレスバーのARIA属性
         if (this.elements.progressBar) {
-            const oneHourEarnings = state.hourlyWage;
-            const progressPercentage = oneHourEarnings > 0 ? Math.min((state.currentEarnings / oneHourEarnings) * 100, 100) : 0;
+            const progressPercentage = state.goal ? state.goal.progress * 100 : 0;
             
             this.elements.progressBar.setAttribute('aria-valuenow', Math.round(progressPercentage));
             this.elements.progressBar.setAttribute('aria-valuemin', '0');
             this.elements.progressBar.setAttribute('aria-valuemax', '100');
-            this.elements.progressBar.setAttribute('aria-label', `1時間あたりの収入に対する進捗: ${Math.round(progressPercentage)}%`);
+            this.elements.progressBar.setAttribute('aria-label', I18n.t('visualization.progressLabel', { percent: Math.round(progressPercentage) }));
         }
         
         // ボタンの状態に応じたARIA属性の更新
         if (this.elements.startStopBtn) {
             // 動作状態に応じたアクセシブルな説明
-            const startStopLabel = state.isRunning ? 
-                '時給カウンターを停止する' : 
-                '時給カウンターを開始する';
+            const startStopLabel = I18n.t(state.isRunning ? 'controls.stopLabel' : 'controls.startLabel');
             this.elements.startStopBtn.setAttribute('aria-label', startStopLabel);
             
             // 無効状態の理由を説明
@@ -798,7 +2250,7 @@ class UIController {
         
         // リセットボタンの状態に応じたARIA属性の更新
         if (this.elements.resetBtn) {
-            this.elements.resetBtn.setAttribute('aria-label', '時給カウンターをリセットする');
+            this.elements.resetBtn.setAttribute('aria-label', I18n.t('controls.resetLabel'));
             
             if (this.elements.resetBtn.disabled) {
                 this.elements.resetBtn.setAttribute('aria-disabled', 'true');
@@ -912,8 +2364,9 @@ class UIController {
             indicator = document.createElement('div');
             indicator.id = 'storage-unavailable-indicator';
             indicator.className = 'storage-indicator';
-            indicator.innerHTML = '<span class="icon">⚠️</span> 設定の保存機能は現在利用できません';
-            indicator.title = 'ブラウザの設定またはプライベートモードにより、設定の保存機能が利用できません。アプリは引き続き使用できますが、設定は保存されません。';
+            indicator.innerHTML = '<span class="icon">⚠️</span> ';
+            indicator.appendChild(document.createTextNode(I18n.t('storage.unavailable')));
+            indicator.title = I18n.t('storage.unavailableDetail');
             
             // スタイルを設定
             indicator.style.backgroundColor = 'rgba(255, 193, 7, 0.2)';
@@ -987,9 +2440,10 @@ class UIController {
         // 状態変化に応じてUIを更新
         
         // 動作状態の変化
-        if (newState.isRunning !== oldState.isRunning) {
-            this.updateStartStopButton(newState.isRunning);
-            this.elements.resetBtn.disabled = newState.isRunning;
+        if (newState.isRunning !== oldState.isRunning || newState.isOnBreak !== oldState.isOnBreak) {
+            this.updateStartStopButton(newState.isRunning || newState.isOnBreak);
+            this.updateBreakButton(newState);
+            this.elements.resetBtn.disabled = newState.isRunning || newState.isOnBreak;
         }
         
         // 時給の変化
@@ -1002,18 +2456,26 @@ class UIController {
         
         // 収入の変化
         if (newState.currentEarnings !== oldState.currentEarnings) {
-            const formattedEarnings = this.currencyFormatter.formatSimple(newState.currentEarnings);
+            const formattedEarnings = this.formatCurrentEarnings(newState.currentEarnings);
             const currentDisplayedEarnings = this.elements.currentEarnings.textContent;
+            const isTickerActive = this.earningsTicker && this.earningsTicker.isActive();
             
-            if (formattedEarnings !== currentDisplayedEarnings) {
+            if (!isTickerActive && formattedEarnings !== currentDisplayedEarnings) {
                 this.animateValueChange(this.elements.currentEarnings, formattedEarnings);
             }
+            
+            this.updateEarningsBreakdown(newState);
         }
         
         // 経過時間の変化
         if (newState.elapsedSeconds !== oldState.elapsedSeconds) {
             this.elements.elapsedTime.textContent = newState.formattedElapsedTime;
         }
+        
+        // 休憩時間・拘束時間の変化
+        if (newState.breakSeconds !== oldState.breakSeconds || newState.grossSeconds !== oldState.grossSeconds) {
+            this.updateSessionSummary(newState);
+        }
     }
 
     /**
@@ -1036,6 +2498,15 @@ class UIController {
             clearInterval(this.displayUpdateIntervalId);
             this.displayUpdateIntervalId = null;
         }
+        if (this.shiftCheckTimeoutId) {
+            clearTimeout(this.shiftCheckTimeoutId);
+            this.shiftCheckTimeoutId = null;
+        }
+        
+        // 補間表示を停止
+        if (this.earningsTicker) {
+            this.earningsTicker.stop();
+        }
         
         // Visualizerを破棄
         if (this.visualizer) {
@@ -1048,6 +2519,9 @@ class UIController {
             this.elements.hourlyWageInput.removeEventListener('input', this.handleWageInput);
             this.elements.hourlyWageInput.removeEventListener('blur', this.handleWageInputBlur);
             this.elements.startStopBtn.removeEventListener('click', this.handleStartStop);
+            if (this.elements.breakBtn) {
+                this.elements.breakBtn.removeEventListener('click', this.handleBreak);
+            }
             this.elements.resetBtn.removeEventListener('click', this.handleReset);
         }
         
@@ -14,6 +14,7 @@ class Visualizer {
         this.elements = elements;
         this.currencyFormatter = currencyFormatter;
         this.maxEarnings = 0; // 目標収入（デフォルトは時給）
+        this.goalProgress = null; // 目標に対する進捗 {progress, currentText, targetText}（設定時は目標収入より優先）
         this.currentEarnings = 0; // 現在の収入
         this.previousEarnings = 0; // 前回の収入（増加検出用）
         this.isInitialized = false;
@@ -233,6 +234,15 @@ class Visualizer {
         }
     }
 
+    /**
+     * 目標に対する進捗を設定する
+     * 金額以外（勤務時間など）の目標にも対応するため、進捗率と表示用の文字列を受け取る
+     * @param {Object|null} goalProgress - 目標の進捗 {progress: 0〜1, currentText, targetText}（nullの場合は目標収入を使用）
+     */
+    setGoalProgress(goalProgress) {
+        this.goalProgress = goalProgress ? { ...goalProgress } : null;
+    }
+
     /**
      * 収入進捗を更新する
      * @param {number} earnings - 現在の収入
@@ -249,9 +259,12 @@ class Visualizer {
         this.currentEarnings = earnings;
         
         // 進捗率の計算（最大100%）
-        const progressPercentage = this.maxEarnings > 0 
+        let progressPercentage = this.maxEarnings > 0 
             ? Math.min((earnings / this.maxEarnings) * 100, 100) 
             : 0;
+        if (this.goalProgress) {
+            progressPercentage = Math.min(Math.max(this.goalProgress.progress, 0), 1) * 100;
+        }
         
         // 現在の視覚化タイプに応じて更新
         if (this.visualizationType === 'bar') {
@@ -466,18 +479,27 @@ class Visualizer {
         this.elements.progressBar.setAttribute('aria-valuemin', '0');
         this.elements.progressBar.setAttribute('aria-valuemax', '100');
         
-        // 収入情報を含めたラベル
-        const formattedEarnings = this.currencyFormatter 
+        // 収入情報（目標の設定時は目標の進捗）を含めたラベル
+        let formattedEarnings = this.currencyFormatter 
             ? this.currencyFormatter.formatSimple(this.currentEarnings)
             : `¥${this.currentEarnings}`;
             
-        const formattedMax = this.currencyFormatter 
+        let formattedMax = this.currencyFormatter 
             ? this.currencyFormatter.formatSimple(this.maxEarnings)
             : `¥${this.maxEarnings}`;
+        
+        if (this.goalProgress) {
+            formattedEarnings = this.goalProgress.currentText;
+            formattedMax = this.goalProgress.targetText;
+        }
             
         this.elements.progressBar.setAttribute(
             'aria-label', 
-            `収入進捗: ${formattedEarnings}/${formattedMax} (${roundedPercentage}%)`
+            I18n.t(this.goalProgress ? 'visualization.goalProgressLabel' : 'visualization.earningsProgressLabel', {
+                current: formattedEarnings,
+                max: formattedMax,
+                percent: roundedPercentage
+            })
         );
         
         // プログレスラベルを更新